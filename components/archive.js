@@ -0,0 +1,228 @@
+/*
+----
+POST-IMPORT ARCHIVAL
+----
+`onFileComplete` does something with each source file once Mixpanel has
+acknowledged every batch holding its records:
+
+  { onFileComplete: "move", archivePrefix: "gs://landing/archive/" }
+  { onFileComplete: "delete" }
+  { onFileComplete: "tag" }
+
+- move: the file goes under archivePrefix, keeping its path below the folder
+  or prefix the job read (just its name, for files named outright). for
+  gs:// / s3:// / az:// files archivePrefix is a url on the same storage, or
+  a key prefix in the file's own bucket or container; for local files it's
+  a folder
+- delete: the file is removed
+- tag: gs:// objects get custom metadata, s3:// objects and az:// blobs an
+  object tag: mixpanel-imported-at = when. local files can't be tagged
+- a file with a failed batch, one the run didn't get all the way through, and
+  one the action itself failed on all stay where they are; summary().archive
+  lists them under `kept`, with the reason
+
+the checkpoint ledger (components/checkpoint.js) says when a file has settled;
+without a checkpointPath the job keeps one in memory for this. dry runs don't
+archive anything.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { Storage } = require('@google-cloud/storage');
+const { S3Client, CopyObjectCommand, DeleteObjectCommand, GetObjectTaggingCommand, PutObjectTaggingCommand } = require('@aws-sdk/client-s3');
+const { s3ClientConfig, requireS3Region } = require('./s3-client.js');
+const azure = require('./azure-blob.js');
+
+/** @typedef {import('./job')} JobConfig */
+/** @typedef {import('../index.d.ts').ArchiveSummary} ArchiveSummary */
+
+const FILE_COMPLETE_ACTIONS = ['move', 'delete', 'tag'];
+
+/** metadata / tag key stamped by "tag" */
+const IMPORTED_AT = 'mixpanel-imported-at';
+
+const CLOUD_URL = /^(gs|s3|az):\/\/([^/]+)\/(.+)$/;
+
+/**
+ * moves, deletes or tags each source file as it settles
+ */
+class FileArchiver {
+	/**
+	 * @param {JobConfig} job
+	 */
+	constructor(job) {
+		this.job = job;
+		this.action = job.onFileComplete;
+		/** @type {string[]} */
+		this.archived = [];
+		/** @type {Array<{file: string, reason: string}>} */
+		this.kept = [];
+		/** @type {Set<Promise<void>>} */
+		this.running = new Set();
+	}
+
+	/**
+	 * the ledger's onSettled: every batch holding `file`'s records has been answered
+	 * @param {string} file
+	 * @param {{failed: boolean}} outcome
+	 */
+	settled(file, { failed }) {
+		if (failed) {
+			this.kept.push({ file, reason: 'a batch failed' });
+			return;
+		}
+		const op = this.apply(file).then(
+			() => { this.archived.push(file); },
+			(error) => { this.kept.push({ file, reason: `${this.action} failed: ${error.message}` }); }
+		).finally(() => this.running.delete(op));
+		this.running.add(op);
+	}
+
+	/**
+	 * wait for every move / delete / tag in flight
+	 */
+	async drain() {
+		while (this.running.size) await Promise.all([...this.running]);
+	}
+
+	/**
+	 * @returns {ArchiveSummary}
+	 */
+	summary() {
+		const unfinished = this.job.checkpoint ? this.job.checkpoint.unsettled() : [];
+		return {
+			action: this.action,
+			archived: [...this.archived],
+			kept: [...this.kept, ...unfinished.map(file => ({ file, reason: 'not every batch was acknowledged' }))]
+		};
+	}
+
+	/**
+	 * @param {string} file
+	 */
+	async apply(file) {
+		const { job } = this;
+		const [, scheme] = file.match(CLOUD_URL) || [];
+		if (this.action === 'move') {
+			const target = this.target(file, scheme);
+			if (scheme === 'gs') return gcsFile(file, job).move(gcsFile(target, job));
+			if (scheme === 's3') return moveS3Object(file, target, job);
+			if (scheme === 'az') return azure.moveAzureBlob(file, target, job);
+			await fs.promises.mkdir(path.dirname(target), { recursive: true });
+			return fs.promises.rename(file, target).catch(async (error) => {
+				// another filesystem: copy, then remove
+				if (error.code !== 'EXDEV') throw error;
+				await fs.promises.copyFile(file, target);
+				await fs.promises.unlink(file);
+			});
+		}
+		if (this.action === 'delete') return removeFile(file, job);
+		const now = new Date().toISOString();
+		if (scheme === 'gs') return gcsFile(file, job).setMetadata({ metadata: { [IMPORTED_AT]: now } });
+		if (scheme === 's3') return tagS3Object(file, { [IMPORTED_AT]: now }, job);
+		if (scheme === 'az') return azure.tagAzureBlob(file, { [IMPORTED_AT]: now }, job);
+		throw new Error('local files can\'t be tagged; tag works for gs://, s3:// and az:// files');
+	}
+
+	/**
+	 * where "move" puts `file`
+	 * @param {string} file
+	 * @param {string | undefined} scheme
+	 * @returns {string}
+	 */
+	target(file, scheme) {
+		// below the longest folder / prefix it was listed under
+		const root = (this.job.selectionRoots || [])
+			.filter(candidate => candidate && file.startsWith(candidate))
+			.sort((a, b) => b.length - a.length)[0];
+		const relative = root ? file.slice(root.length) : path.basename(file);
+		const prefix = this.job.archivePrefix;
+		if (!scheme) {
+			if (/^[a-z0-9]+:\/\//.test(prefix)) throw new Error(`archivePrefix ${prefix} isn't a folder; local files move to local folders`);
+			return path.join(path.resolve(prefix), relative);
+		}
+		let base = prefix;
+		if (!prefix.startsWith(`${scheme}://`)) {
+			if (/^[a-z0-9]+:\/\//.test(prefix)) throw new Error(`archivePrefix ${prefix} isn't on the same storage as ${file}`);
+			const [, , bucket] = file.match(CLOUD_URL);
+			base = `${scheme}://${bucket}/${prefix.replace(/^\/+/, '')}`;
+		}
+		return `${base.replace(/\/*$/, '/')}${relative}`;
+	}
+}
+
+/**
+ * delete a local file or a gs:// / s3:// / az:// object
+ * @param {string} file
+ * @param {JobConfig} job
+ */
+async function removeFile(file, job) {
+	const [, scheme] = file.match(CLOUD_URL) || [];
+	if (scheme === 'gs') return gcsFile(file, job).delete();
+	if (scheme === 's3') return s3Client(job).send(new DeleteObjectCommand(s3Object(file)));
+	if (scheme === 'az') return azure.deleteAzureBlob(file, job);
+	return fs.promises.unlink(file);
+}
+
+/**
+ * @param {string} gcsPath
+ * @param {JobConfig} job
+ */
+function gcsFile(gcsPath, job) {
+	const [, , bucketName, key] = gcsPath.match(CLOUD_URL);
+	const storageConfig = { projectId: job.gcpProjectId };
+	if (job.gcsCredentials) storageConfig.keyFilename = job.gcsCredentials;
+	return new Storage(storageConfig).bucket(bucketName).file(key);
+}
+
+/**
+ * @param {JobConfig} job
+ * @returns {S3Client}
+ */
+function s3Client(job) {
+	requireS3Region(job);
+	return new S3Client(s3ClientConfig(job));
+}
+
+/**
+ * @param {string} s3Path
+ * @returns {{Bucket: string, Key: string}}
+ */
+function s3Object(s3Path) {
+	const [, , Bucket, Key] = s3Path.match(CLOUD_URL);
+	return { Bucket, Key };
+}
+
+/**
+ * S3 has no move: copy, then delete the original
+ * @param {string} from
+ * @param {string} to
+ * @param {JobConfig} job
+ */
+async function moveS3Object(from, to, job) {
+	const client = s3Client(job);
+	const source = s3Object(from);
+	const copySource = `${source.Bucket}/${source.Key.split('/').map(encodeURIComponent).join('/')}`;
+	await client.send(new CopyObjectCommand({ ...s3Object(to), CopySource: copySource }));
+	await client.send(new DeleteObjectCommand(source));
+}
+
+/**
+ * add tags to an object, keeping the ones it has
+ * @param {string} s3Path
+ * @param {Object<string, string>} tags
+ * @param {JobConfig} job
+ */
+async function tagS3Object(s3Path, tags, job) {
+	const client = s3Client(job);
+	const object = s3Object(s3Path);
+	const { TagSet = [] } = await client.send(new GetObjectTaggingCommand(object));
+	const merged = TagSet.filter(tag => !(tag.Key in tags)).concat(Object.entries(tags).map(([Key, Value]) => ({ Key, Value })));
+	await client.send(new PutObjectTaggingCommand({ ...object, Tagging: { TagSet: merged } }));
+}
+
+module.exports = {
+	FILE_COMPLETE_ACTIONS,
+	FileArchiver,
+	removeFile
+};
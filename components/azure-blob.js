@@ -0,0 +1,235 @@
+/*
+----
+AZURE BLOB STORAGE
+----
+az://container/path/to/blob paths, for sources (JSONL / CSV / Parquet, gzipped
+or not), `destination`, exports and the other cloud writers.
+
+- a path ending in / (or just az://container) is a prefix: every blob under it,
+  in name order, narrowed by the file-selection options
+- the account comes from `azureConnectionString` (or the
+  AZURE_STORAGE_CONNECTION_STRING env var), else `azureAccount` with
+  `azureKey` or `azureSasToken`. `azureEndpoint` overrides the blob service
+  url, e.g. for the Azurite emulator (http://127.0.0.1:10000/devstoreaccount1);
+  `azureConnectionString: "UseDevelopmentStorage=true"` does the same
+- reads go through createResilientAzureSource, so stalls and resets get the
+  same watchdog, counters and (with `resumeOnStall`) ranged resume as gs://
+- move / delete / tag for `onFileComplete` (components/archive.js)
+
+the SDK is only loaded when an az:// path is used.
+*/
+
+const { PassThrough, Writable } = require('stream');
+const { once } = require('events');
+const { createResilientAzureSource } = require('./resilient-source.js');
+
+/** @typedef {import('./job')} JobConfig */
+
+const AZURE_PATH = /^az:\/\/([^/]+)(?:\/(.*))?$/;
+
+/** block size for streamed uploads, and how many blocks go up at once */
+const UPLOAD_BLOCK_BYTES = 8 * 1024 * 1024;
+const UPLOAD_CONCURRENCY = 4;
+
+/**
+ * @param {string} azPath
+ * @returns {{ container: string, blob: string }} blob is '' for a bare container
+ */
+function parseAzurePath(azPath) {
+	const matches = String(azPath).match(AZURE_PATH);
+	if (!matches) throw new Error(`Invalid Azure path: ${azPath} (expected az://container/path)`);
+	return { container: matches[1], blob: matches[2] || '' };
+}
+
+/**
+ * @param {Partial<JobConfig>} job
+ * @returns {import('@azure/storage-blob').BlobServiceClient}
+ */
+function azureServiceClient(job) {
+	const { BlobServiceClient, StorageSharedKeyCredential } = require('@azure/storage-blob');
+	const connectionString = job.azureConnectionString || process.env.AZURE_STORAGE_CONNECTION_STRING;
+	if (connectionString) return BlobServiceClient.fromConnectionString(connectionString);
+	if (!job.azureAccount) {
+		throw new Error('Azure Blob Storage needs azureConnectionString, or azureAccount with azureKey or azureSasToken');
+	}
+	const url = job.azureEndpoint || `https://${job.azureAccount}.blob.core.windows.net`;
+	if (job.azureKey) return new BlobServiceClient(url, new StorageSharedKeyCredential(job.azureAccount, job.azureKey));
+	if (job.azureSasToken) return new BlobServiceClient(`${url}?${job.azureSasToken.replace(/^\?/, '')}`);
+	throw new Error(`Azure account ${job.azureAccount} needs azureKey or azureSasToken`);
+}
+
+/**
+ * @param {string} azPath
+ * @param {Partial<JobConfig>} job
+ * @returns {import('@azure/storage-blob').BlockBlobClient}
+ */
+function azureBlobClient(azPath, job) {
+	const { container, blob } = parseAzurePath(azPath);
+	if (!blob || blob.endsWith('/')) throw new Error(`Azure path names a prefix, not a blob: ${azPath}`);
+	return azureServiceClient(job).getContainerClient(container).getBlockBlobClient(blob);
+}
+
+/**
+ * every blob under a prefix, for file selection (see file-selection.js)
+ * @param {string} azPath az://container/ or az://container/some/prefix/
+ * @param {Partial<JobConfig>} job
+ * @returns {Promise<import('./file-selection').ListedFile[]>}
+ */
+async function listAzurePrefix(azPath, job) {
+	const { container, blob: prefix } = parseAzurePath(azPath);
+	const out = [];
+	const containerClient = azureServiceClient(job).getContainerClient(container);
+	for await (const item of containerClient.listBlobsFlat({ prefix: prefix || undefined })) {
+		// zero-byte "folder" markers some tools leave behind
+		if (item.name.endsWith('/')) continue;
+		const modified = item.properties?.lastModified;
+		out.push({ path: `az://${container}/${item.name}`, relative: item.name.slice(prefix.length), modified: modified ? modified.getTime() : undefined });
+	}
+	if (!out.length && job.verbose) console.warn(`⚠️  No blobs under ${azPath}`);
+	return out;
+}
+
+/**
+ * the raw bytes of a blob, resilient to stalls and resets
+ * @param {string} azPath
+ * @param {JobConfig} job
+ * @param {number} [initialOffset]
+ * @returns {Promise<PassThrough>}
+ */
+async function openAzureSource(azPath, job, initialOffset = 0) {
+	return createResilientAzureSource({
+		blobClient: azureBlobClient(azPath, job),
+		azPath,
+		idleMs: job.cloudReadIdleTimeout ?? 120000,
+		job,
+		initialOffset
+	});
+}
+
+/**
+ * a byte-mode writable that streams into a block blob; 'finish' waits for the upload
+ * @param {string} azPath
+ * @param {Partial<JobConfig>} job
+ * @param {{ contentType?: string, contentEncoding?: string }} [headers]
+ * @returns {Writable}
+ */
+function createAzureWriteStream(azPath, job, headers = {}) {
+	const blobClient = azureBlobClient(azPath, job);
+	const body = new PassThrough();
+	const upload = blobClient.uploadStream(body, UPLOAD_BLOCK_BYTES, UPLOAD_CONCURRENCY, {
+		blobHTTPHeaders: { blobContentType: headers.contentType, blobContentEncoding: headers.contentEncoding }
+	});
+	// a failed upload pauses `body` for good, so it fails the writer right away rather than at final()
+	const uploaded = upload.then(() => { }, (err) => { writer.destroy(err); });
+
+	const writer = new Writable({
+		write(chunk, encoding, callback) {
+			if (body.write(chunk)) return callback();
+			// no drain is coming once the upload has stopped reading
+			Promise.race([once(body, 'drain'), uploaded]).then(() => {
+				if (!writer.destroyed) callback();
+			}, callback);
+		},
+		final(callback) {
+			body.end();
+			upload.then(() => callback(), callback);
+		},
+		destroy(err, callback) {
+			if (!body.destroyed) body.destroy(err || undefined);
+			callback(err);
+		}
+	});
+	writer._azPath = azPath;
+	return writer;
+}
+
+/**
+ * write a whole blob in one request
+ * @param {string} azPath
+ * @param {Buffer | string} body
+ * @param {Partial<JobConfig>} job
+ * @param {{ contentType?: string, contentEncoding?: string }} [headers]
+ */
+async function uploadAzureBlob(azPath, body, job, headers = {}) {
+	const data = typeof body === 'string' ? Buffer.from(body) : body;
+	await azureBlobClient(azPath, job).upload(data, data.length, {
+		blobHTTPHeaders: { blobContentType: headers.contentType, blobContentEncoding: headers.contentEncoding }
+	});
+}
+
+/**
+ * a whole blob's contents
+ * @param {string} azPath
+ * @param {Partial<JobConfig>} job
+ * @returns {Promise<Buffer>}
+ */
+async function downloadAzureBlob(azPath, job) {
+	return azureBlobClient(azPath, job).downloadToBuffer();
+}
+
+/**
+ * copy a blob (server side) and delete the original
+ * @param {string} fromPath
+ * @param {string} toPath
+ * @param {Partial<JobConfig>} job
+ */
+async function moveAzureBlob(fromPath, toPath, job) {
+	const source = azureBlobClient(fromPath, job);
+	const copy = await azureBlobClient(toPath, job).beginCopyFromURL(source.url);
+	await copy.pollUntilDone();
+	await source.delete();
+}
+
+/**
+ * @param {string} azPath
+ * @param {Partial<JobConfig>} job
+ */
+async function deleteAzureBlob(azPath, job) {
+	await azureBlobClient(azPath, job).delete();
+}
+
+/**
+ * add index tags to a blob, keeping the ones it has
+ * @param {string} azPath
+ * @param {Object<string, string>} tags
+ * @param {Partial<JobConfig>} job
+ */
+async function tagAzureBlob(azPath, tags, job) {
+	const client = azureBlobClient(azPath, job);
+	const { tags: existing } = await client.getTags();
+	await client.setTags({ ...existing, ...tags });
+}
+
+/**
+ * create and delete a probe blob next to `azPath`
+ * @param {string} azPath
+ * @param {Partial<JobConfig>} job
+ * @returns {Promise<boolean>}
+ */
+async function testAzureWriteAccess(azPath, job) {
+	const { container, blob } = parseAzurePath(azPath);
+	const folder = blob.includes('/') ? blob.slice(0, blob.lastIndexOf('/') + 1) : '';
+	const probe = `az://${container}/${folder}.write-test-${Date.now()}-${Math.random().toString(36).substring(2)}`;
+	try {
+		const client = azureBlobClient(probe, job);
+		await client.upload('test-write-access', 17, { blobHTTPHeaders: { blobContentType: 'text/plain' } });
+		await client.delete();
+		return true;
+	}
+	catch (error) {
+		throw new Error(`Cannot write to Azure path ${azPath}: ${error.message}`);
+	}
+}
+
+module.exports = {
+	createAzureWriteStream,
+	deleteAzureBlob,
+	downloadAzureBlob,
+	listAzurePrefix,
+	moveAzureBlob,
+	openAzureSource,
+	parseAzurePath,
+	tagAzureBlob,
+	testAzureWriteAccess,
+	uploadAzureBlob
+};
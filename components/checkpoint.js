@@ -0,0 +1,493 @@
+/*
+----
+CHECKPOINT LEDGER
+----
+A durable record of how far a file-based import got, so a run that dies
+halfway through a folder or a gs:// / s3:// file list can resume without
+re-sending everything Mixpanel already acknowledged.
+
+- Provenance: file sources stamp every record with a symbol-keyed tag
+  { file, index, start, end } — start/end are raw byte offsets when the reader
+  can track them (uncompressed JSONL), null otherwise. Symbol keys are
+  invisible to JSON.stringify, so the tag never reaches a request payload;
+  carryCheckpoint() moves it across stages that return new objects.
+- Batches: the batcher observe()s every record it buffers and seal()s each
+  batch it emits; the HTTP sender ack()s a batch when Mixpanel answers 200.
+  Acked batches COMMIT strictly in creation order, so a file's watermark
+  (records + byteOffset) is always a contiguous prefix — an out-of-order ack
+  from a parallel worker can never paper over an unacknowledged hole.
+- A file is complete once a later file (or the end of input) reaches the
+  batcher AND every batch holding its records has committed.
+- Resume: complete files are skipped; partial files either seek to their
+  byteOffset (uncompressed JSONL) or skip their first `records` rows.
+- Delivery stays at-least-once: anything not committed is re-sent on resume
+  and $insert_id dedupe absorbs the overlap. Never guess — a local file whose
+  size changed since the ledger was written fails the job instead of seeking.
+- Settling: separately from the in-order watermark, a file is settled once it
+  has drained and every batch holding its records has been answered, 200 or
+  not; onSettled hears about it with whether any of those batches failed.
+  That's what post-import archival (components/archive.js) waits for.
+- Without a path the ledger lives in memory only: provenance and settling,
+  nothing saved.
+
+This module has no internal imports and no process-global side effects.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+/** symbol key for the per-record provenance tag (shared across module copies) */
+const CHECKPOINT = Symbol.for('mixpanel-import.checkpoint');
+
+/** bump when the on-disk shape changes incompatibly */
+const LEDGER_VERSION = 1;
+
+/** acks are persisted at most this often; file completion always persists immediately */
+const SAVE_INTERVAL_MS = 5000;
+
+/**
+ * @typedef {Object} CheckpointTag
+ * @property {string} [file] - source file the record came from
+ * @property {number} [index] - 0-based record position within that file
+ * @property {number | null} start - byte offset where the record's line starts
+ * @property {number | null} end - byte offset just past the record's line (incl. newline)
+ */
+
+/**
+ * @typedef {Object} FileEntry
+ * @property {'partial' | 'complete'} status
+ * @property {number} records - leading records fully acknowledged
+ * @property {number | null} byteOffset - raw byte offset just past those records (null if untracked)
+ * @property {number | null} size - file size when known (local files)
+ * @property {string} [completedAt]
+ * @property {number} [order] - runtime: position in this run's read order
+ * @property {number} [cursor] - runtime: index of the next record the source will emit
+ * @property {number} [skipUntil] - runtime: records below this index were acked in a prior run
+ * @property {number} [maxObserved] - runtime: highest record index seen at the batcher
+ * @property {CheckpointTag | null} [lastCommitted] - runtime: last record of the newest committed batch
+ * @property {number} [open] - runtime: sealed/forming batches holding this file's records, not yet committed
+ * @property {boolean} [drained] - runtime: every record of this file has reached the batcher
+ * @property {number} [unanswered] - runtime: sealed/forming batches holding this file's records, not yet answered
+ * @property {boolean} [failed] - runtime: a batch holding this file's records was answered with something other than a 200
+ * @property {boolean} [settled] - runtime: drained, and every batch holding its records answered
+ */
+
+/**
+ * copy the provenance tag from a stage's input onto its output;
+ * a no-op when the input is untagged or the output is the same object
+ * @template T
+ * @param {any} from
+ * @param {T} to
+ * @returns {T}
+ */
+function carryCheckpoint(from, to) {
+	if (!from || !to || from === to || typeof to !== 'object') return to;
+	const tag = from[CHECKPOINT];
+	if (tag && !to[CHECKPOINT]) to[CHECKPOINT] = tag;
+	return to;
+}
+
+class CheckpointLedger {
+	/**
+	 * @param {string | null} filePath - where the ledger JSON lives; null keeps it in memory
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.resume=false] - load an existing ledger instead of starting fresh
+	 * @param {string} [opts.recordType] - a ledger written for another recordType is refused
+	 * @param {number} [opts.saveIntervalMs=5000] - throttle for ack-driven saves
+	 * @param {(file: string, outcome: {failed: boolean}) => void} [opts.onSettled] - a file this run read has settled
+	 */
+	constructor(filePath, opts = {}) {
+		if (filePath !== null && (!filePath || typeof filePath !== 'string')) throw new Error('checkpointPath must be a file path');
+		this.path = filePath === null ? null : path.resolve(filePath);
+		this.recordType = opts.recordType || '';
+		this.saveIntervalMs = opts.saveIntervalMs ?? SAVE_INTERVAL_MS;
+		this.onSettled = opts.onSettled || null;
+
+		/** @type {Map<string, FileEntry>} */
+		this.files = new Map();
+		/** @type {Array<[number, number]>} acknowledged batch ids (this run), merged into ranges */
+		this.ackedBatches = [];
+		/** @type {Array<{id: number, spans: Map<string, {first: CheckpointTag | null, last: CheckpointTag | null}>, acked: boolean, answered: boolean}>} */
+		this.pending = [];
+		/** @type {WeakMap<any[], {id: number, spans: Map<string, {first: CheckpointTag | null, last: CheckpointTag | null}>, acked: boolean, answered: boolean}>} */
+		this.sealed = new WeakMap();
+		/** @type {Map<string, {first: CheckpointTag | null, last: CheckpointTag | null}> | null} */
+		this.forming = null;
+		this.batchSeq = 0;
+		this.nextOrder = 0;
+		this.lastFile = null;
+		this.lastSave = 0;
+
+		this.stats = {
+			filesCompleted: 0,
+			filesSkipped: 0,
+			filesResumed: 0,
+			recordsSkipped: 0,
+			bytesSkipped: 0
+		};
+
+		if (opts.resume) this.load();
+	}
+
+	/**
+	 * read a prior run's ledger (a missing file just means a fresh start)
+	 */
+	load() {
+		if (!fs.existsSync(this.path)) return;
+		let saved;
+		try {
+			saved = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+		} catch (e) {
+			throw new Error(`checkpoint ledger at ${this.path} is unreadable: ${e.message}`);
+		}
+		if (saved?.version !== LEDGER_VERSION) {
+			throw new Error(`checkpoint ledger at ${this.path} has version ${saved?.version}; expected ${LEDGER_VERSION}`);
+		}
+		if (this.recordType && saved.recordType && saved.recordType !== this.recordType) {
+			throw new Error(`checkpoint ledger at ${this.path} was written for recordType '${saved.recordType}', not '${this.recordType}'`);
+		}
+		for (const [file, entry] of Object.entries(saved.files || {})) {
+			this.files.set(file, {
+				status: entry.status === 'complete' ? 'complete' : 'partial',
+				records: Number(entry.records) || 0,
+				byteOffset: Number.isFinite(entry.byteOffset) ? entry.byteOffset : null,
+				size: Number.isFinite(entry.size) ? entry.size : null,
+				completedAt: entry.completedAt
+			});
+		}
+	}
+
+	/**
+	 * a source is about to read `file`; decide where it should start
+	 * @param {string} file
+	 * @param {Object} [opts]
+	 * @param {number | null} [opts.size] - current size, when the source knows it cheaply
+	 * @param {boolean} [opts.seekable=false] - can the source open at a raw byte offset?
+	 * @returns {{skip: boolean, startOffset: number, startIndex: number}}
+	 */
+	beginFile(file, opts = {}) {
+		const { size = null, seekable = false } = opts;
+		const prior = this.files.get(file);
+		if (prior && size !== null && prior.size !== null && prior.size !== size) {
+			throw new Error(`checkpoint: ${file} changed size since it was checkpointed (${prior.size} → ${size} bytes); delete ${this.path} to start over`);
+		}
+
+		if (prior?.status === 'complete') {
+			this.stats.filesSkipped++;
+			this.stats.recordsSkipped += prior.records;
+			return { skip: true, startOffset: 0, startIndex: 0 };
+		}
+
+		const records = prior?.records || 0;
+		const byteOffset = prior?.byteOffset || 0;
+		const seek = seekable && records > 0 && byteOffset > 0;
+		if (records > 0) {
+			this.stats.filesResumed++;
+			this.stats.recordsSkipped += records;
+			if (seek) this.stats.bytesSkipped += byteOffset;
+		}
+
+		this.files.set(file, {
+			status: 'partial',
+			records,
+			byteOffset: seek ? byteOffset : (records > 0 ? prior.byteOffset : null),
+			size,
+			order: this.nextOrder++,
+			cursor: seek ? records : 0,
+			skipUntil: seek ? 0 : records,
+			maxObserved: -1,
+			lastCommitted: null,
+			open: 0,
+			drained: false,
+			unanswered: 0,
+			failed: false,
+			settled: false
+		});
+
+		return { skip: false, startOffset: seek ? byteOffset : 0, startIndex: seek ? records : 0 };
+	}
+
+	/**
+	 * the source read one record from `file`: stamp it, or drop it if a
+	 * prior run already delivered it
+	 * @param {string} file
+	 * @param {any} record
+	 * @returns {boolean} false when the record must be skipped
+	 */
+	admit(file, record) {
+		const entry = this.files.get(file);
+		if (!entry || entry.cursor === undefined) return true;
+		const index = entry.cursor++;
+		if (index < entry.skipUntil) return false;
+		if (record && typeof record === 'object') {
+			const tag = record[CHECKPOINT];
+			record[CHECKPOINT] = { file, index, start: tag?.start ?? null, end: tag?.end ?? null };
+		}
+		return true;
+	}
+
+	/**
+	 * the batcher buffered `record` into the batch it is forming.
+	 * records that lost their tag along the way (synthetic events, transforms
+	 * that build new objects) are attributed to the last file seen — stages
+	 * preserve order, so that file is still open when they arrive.
+	 * @param {any} record
+	 */
+	observe(record) {
+		/** @type {CheckpointTag | undefined} */
+		const tag = record?.[CHECKPOINT];
+		const file = tag?.file || this.lastFile;
+		if (!file) return; // not a file source
+		const entry = this.files.get(file);
+		if (!entry || entry.order === undefined) return;
+
+		if (file !== this.lastFile) {
+			// sources read files one after another: reaching file N means
+			// every earlier file has fully passed the batcher
+			this.drainBefore(entry.order);
+			this.lastFile = file;
+		}
+
+		if (!this.forming) this.forming = new Map();
+		let span = this.forming.get(file);
+		if (!span) {
+			span = { first: null, last: null };
+			this.forming.set(file, span);
+			entry.open++;
+			entry.unanswered++;
+		}
+		if (tag && tag.index !== undefined) {
+			if (!span.first) span.first = tag;
+			span.last = tag;
+			if (tag.index > entry.maxObserved) {
+				entry.maxObserved = tag.index;
+				// a newer record proves the held-back one has been fully batched
+				if (entry.lastCommitted && entry.records <= entry.lastCommitted.index) this.advance(file, entry);
+			}
+		}
+	}
+
+	/**
+	 * the batcher emitted `batch`: everything observed since the last seal belongs to it
+	 * @param {any[]} batch
+	 */
+	seal(batch) {
+		if (!this.forming) return;
+		const sealed = { id: ++this.batchSeq, spans: this.forming, acked: false, answered: false };
+		this.forming = null;
+		this.pending.push(sealed);
+		this.sealed.set(batch, sealed);
+	}
+
+	/**
+	 * Mixpanel acknowledged `batch` with a 200
+	 * @param {any[]} batch
+	 */
+	ack(batch) {
+		const sealed = batch && this.sealed.get(batch);
+		if (!sealed || sealed.acked) return;
+		sealed.acked = true;
+		this.sealed.delete(batch);
+		this.trackAckedBatch(sealed.id);
+		this.answer(sealed, false);
+		this.commit();
+		if (Date.now() - this.lastSave >= this.saveIntervalMs) this.save();
+	}
+
+	/**
+	 * Mixpanel answered `batch` with anything but a 200. it stays uncommitted
+	 * (so it holds back the watermark and is re-sent on resume); its files
+	 * settle as failed
+	 * @param {any[]} batch
+	 */
+	fail(batch) {
+		const sealed = batch && this.sealed.get(batch);
+		if (!sealed || sealed.answered) return;
+		this.answer(sealed, true);
+	}
+
+	/**
+	 * @param {{spans: Map<string, any>, answered: boolean}} sealed
+	 * @param {boolean} failed
+	 */
+	answer(sealed, failed) {
+		if (sealed.answered) return;
+		sealed.answered = true;
+		for (const file of sealed.spans.keys()) {
+			const entry = this.files.get(file);
+			if (!entry || entry.unanswered === undefined) continue;
+			entry.unanswered--;
+			if (failed) entry.failed = true;
+			this.checkSettled(file, entry);
+		}
+	}
+
+	/**
+	 * @param {string} file
+	 * @param {FileEntry} entry
+	 */
+	checkSettled(file, entry) {
+		if (entry.settled || !entry.drained || entry.unanswered > 0) return;
+		entry.settled = true;
+		if (this.onSettled) this.onSettled(file, { failed: Boolean(entry.failed) });
+	}
+
+	/**
+	 * @returns {string[]} files this run read that haven't settled (yet)
+	 */
+	unsettled() {
+		const out = [];
+		for (const [file, entry] of this.files) {
+			if (entry.order !== undefined && !entry.settled) out.push(file);
+		}
+		return out;
+	}
+
+	/**
+	 * the input ended and the batcher flushed: every file it read has drained
+	 */
+	finish() {
+		this.drainBefore(Infinity);
+		this.save();
+	}
+
+	/**
+	 * advance watermarks over the acknowledged prefix of sealed batches
+	 */
+	commit() {
+		while (this.pending.length && this.pending[0].acked) {
+			const { spans } = this.pending.shift();
+			for (const [file, span] of spans) {
+				const entry = this.files.get(file);
+				if (!entry) continue;
+				entry.open--;
+				if (span.last) {
+					entry.lastCommitted = span.last;
+					this.advance(file, entry);
+				}
+				this.checkComplete(file, entry);
+			}
+		}
+	}
+
+	/**
+	 * move a file's watermark up to the newest committed record. that record
+	 * may have been exploded into several, some still in uncommitted batches
+	 * (or not batched yet): it only counts once a later record has reached the
+	 * batcher and no uncommitted batch holds a piece of it.
+	 * @param {string} file
+	 * @param {FileEntry} entry
+	 */
+	advance(file, entry) {
+		const last = entry.lastCommitted;
+		if (!last || entry.status === 'complete') return;
+		const whole = entry.maxObserved > last.index && !this.isUncommitted(file, last.index);
+		const records = whole ? last.index + 1 : last.index;
+		if (records > entry.records) {
+			entry.records = records;
+			entry.byteOffset = (whole ? last.end : last.start) ?? null;
+		}
+	}
+
+	/**
+	 * @param {string} file
+	 * @param {number} index
+	 * @returns {boolean} does a sealed-but-uncommitted or forming batch hold (part of) this record?
+	 */
+	isUncommitted(file, index) {
+		const spans = this.pending.map(({ spans }) => spans.get(file));
+		if (this.forming) spans.push(this.forming.get(file));
+		return spans.some(span => span?.first && span.first.index <= index);
+	}
+
+	/**
+	 * @param {number} order - files read before this position have drained
+	 */
+	drainBefore(order) {
+		for (const [file, entry] of this.files) {
+			if (entry.order === undefined || entry.order >= order || entry.drained) continue;
+			entry.drained = true;
+			this.checkComplete(file, entry);
+			this.checkSettled(file, entry);
+		}
+	}
+
+	/**
+	 * @param {string} file
+	 * @param {FileEntry} entry
+	 */
+	checkComplete(file, entry) {
+		if (entry.status === 'complete' || !entry.drained || entry.open > 0) return;
+		entry.status = 'complete';
+		entry.records = entry.cursor;
+		entry.byteOffset = entry.size ?? entry.byteOffset;
+		entry.completedAt = new Date().toISOString();
+		this.stats.filesCompleted++;
+		this.save();
+	}
+
+	/**
+	 * @param {number} id
+	 */
+	trackAckedBatch(id) {
+		const ranges = this.ackedBatches;
+		ranges.push([id, id]);
+		ranges.sort((a, b) => a[0] - b[0]);
+		/** @type {Array<[number, number]>} */
+		const merged = [];
+		for (const range of ranges) {
+			const prev = merged[merged.length - 1];
+			if (prev && range[0] <= prev[1] + 1) prev[1] = Math.max(prev[1], range[1]);
+			else merged.push([range[0], range[1]]);
+		}
+		this.ackedBatches = merged;
+	}
+
+	/**
+	 * persist atomically: write a sibling temp file, then rename over the ledger
+	 */
+	save() {
+		if (!this.path) return;
+		const files = {};
+		for (const [file, entry] of this.files) {
+			files[file] = {
+				status: entry.status,
+				records: entry.records,
+				byteOffset: entry.byteOffset,
+				size: entry.size
+			};
+			if (entry.completedAt) files[file].completedAt = entry.completedAt;
+		}
+		const ledger = {
+			version: LEDGER_VERSION,
+			recordType: this.recordType,
+			updatedAt: new Date().toISOString(),
+			files,
+			batches: { acknowledged: this.ackedBatches }
+		};
+		const tmp = `${this.path}.tmp`;
+		fs.mkdirSync(path.dirname(this.path), { recursive: true });
+		fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2));
+		fs.renameSync(tmp, this.path);
+		this.lastSave = Date.now();
+	}
+
+	/**
+	 * @returns {import('../index').CheckpointSummary}
+	 */
+	summary() {
+		let batchesAcknowledged = 0;
+		for (const [first, last] of this.ackedBatches) batchesAcknowledged += last - first + 1;
+		return {
+			path: this.path,
+			...this.stats,
+			batchesAcknowledged
+		};
+	}
+}
+
+module.exports = {
+	CHECKPOINT,
+	CheckpointLedger,
+	carryCheckpoint
+};
@@ -15,9 +15,11 @@ function cliParams() {
 ex:
 npx  --yes  $0 ./events.ndjson --secret 1234 --format jsonl
 npx  --yes  $0 ./pathToData/ --secret 1234 --type user --format json
+npx  --yes  $0 migrate --acct me --pass 1234 --project 1 --second-project 2 --second-token abc --start 2024-01-01
 
 DOCS: https://github.com/ak--47/mixpanel-import`)
 		.command('$0', 'import data to mixpanel', () => { })
+		.command('migrate', 'copy events, profiles, lookup tables and annotations to another project, then compare event counts', () => { })
 		.option("project", {
 			demandOption: false,
 			describe: 'mixpanel project id',
@@ -53,11 +55,78 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'second project token (for export-import-event)',
 			type: 'string'
 		})
+		.option("second-project", {
+			demandOption: false,
+			alias: 'secondProject',
+			describe: 'migrate: destination project id',
+			type: 'number'
+		})
+		.option("second-secret", {
+			demandOption: false,
+			alias: 'secondSecret',
+			describe: 'migrate: destination api secret (else the service account is used for the destination too)',
+			type: 'string'
+		})
+		.option("second-bearer", {
+			demandOption: false,
+			alias: 'secondBearer',
+			describe: 'migrate: destination bearer token for annotations (else --bearer)',
+			type: 'string'
+		})
+		.option("second-region", {
+			demandOption: false,
+			alias: 'secondRegion',
+			describe: 'export-import / migrate: destination region (US, EU or IN)',
+			type: 'string'
+		})
+		.option("second-endpoints", {
+			demandOption: false,
+			alias: 'secondEndpoints',
+			describe: 'migrate: like --endpoints, for the destination project',
+			type: 'string'
+		})
+		.option("migrate-steps", {
+			demandOption: false,
+			alias: 'migrateSteps',
+			describe: 'migrate: which of events,users,groups,tables,annotations,parity to run (default all)',
+			type: 'string'
+		})
+		.option("migrate-groups", {
+			demandOption: false,
+			alias: 'migrateGroups',
+			describe: 'migrate: group types as JSON, e.g. [{"groupKey":"company_id","dataGroupId":"1"}]',
+			type: 'string'
+		})
+		.option("lookup-tables", {
+			demandOption: false,
+			alias: 'lookupTables',
+			describe: 'migrate: source lookup table id → destination id as JSON, e.g. {"abc":"def"}',
+			type: 'string'
+		})
+		.option("event-renames", {
+			demandOption: false,
+			alias: 'eventRenames',
+			describe: 'migrate: rename events on the way, as JSON, e.g. {"signup":"Sign Up"}',
+			type: 'string'
+		})
+		.option("migrate-report", {
+			demandOption: false,
+			alias: 'migrateReport',
+			describe: 'migrate: where to write the JSON report (default ./logs/migrate-<time>.json)',
+			type: 'string'
+		})
 		.option("table", {
 			demandOption: false,
+			alias: "lookupTableId",
 			describe: "existing lookup table's key",
 			type: 'string'
 		})
+		.option("lookup-key", {
+			demandOption: false,
+			alias: "lookupKey",
+			describe: "lookup table column that must be present and unique (default: first column)",
+			type: 'string'
+		})
 		.option("group", {
 			demandOption: false,
 			describe: 'the group analytics group key',
@@ -99,6 +168,18 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'where clause for /export',
 			type: 'string'
 		})
+		.option("export-window", {
+			demandOption: false,
+			alias: 'exportWindow',
+			describe: 'event exports: fetch day or hour windows in parallel (up to --workers), each retried on its own',
+			type: 'string'
+		})
+		.option("export-manifest", {
+			demandOption: false,
+			alias: 'exportManifest',
+			describe: 'export-window: JSON file of finished windows; rerun with it to fetch only the missing ones',
+			type: 'string'
+		})
 		.option("verbose", {
 			demandOption: false,
 			default: true,
@@ -112,6 +193,30 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'override stream format (json, jsonl, csv, parquet); auto-detected from file extension when omitted',
 			type: 'string'
 		})
+		.option("output-format", {
+			demandOption: false,
+			alias: 'outputFormat',
+			describe: 'exports + destination: ndjson (default), csv or parquet part files',
+			type: 'string'
+		})
+		.option("rows-per-part", {
+			demandOption: false,
+			alias: 'rowsPerPart',
+			describe: 'csv / parquet output: rows per part file (default 100000)',
+			type: 'number'
+		})
+		.option("partition-by", {
+			demandOption: false,
+			alias: 'partitionBy',
+			describe: 'exports + destination: hive folders, e.g. date,event (dt=YYYY-MM-DD/event=...)',
+			type: 'string'
+		})
+		.option("partition-file-bytes", {
+			demandOption: false,
+			alias: 'partitionFileBytes',
+			describe: 'partitionBy: roll a partition\'s part file after this many bytes (default 128MB)',
+			type: 'number'
+		})
 		.option("stream", {
 			alias: "forceStream",
 			demandOption: false,
@@ -125,6 +230,24 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'concurrent connections',
 			type: 'number'
 		})
+		.option("adaptive-concurrency", {
+			demandOption: false,
+			alias: 'adaptiveConcurrency',
+			describe: 'adjust concurrency (up to --workers) to 429s, 5xx and latency',
+			type: 'boolean'
+		})
+		.option("max-events-per-second", {
+			demandOption: false,
+			alias: ['maxEventsPerSecond', 'max-eps'],
+			describe: 'never send more than this many records per second',
+			type: 'number'
+		})
+		.option("latency-target", {
+			demandOption: false,
+			alias: 'latencyTarget',
+			describe: 'p95 latency (ms) under which --adaptive-concurrency keeps adding workers',
+			type: 'number'
+		})
 		.option("retries", {
 			demandOption: false,
 			default: 10,
@@ -138,12 +261,129 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'resume stalled GCS reads via range requests (JSON/JSONL only)',
 			type: 'boolean'
 		})
+		.option("checkpoint-path", {
+			demandOption: false,
+			alias: 'checkpointPath',
+			describe: 'persist acknowledged records + byte offsets per file to this JSON ledger',
+			type: 'string'
+		})
+		.option("resume", {
+			demandOption: false,
+			default: false,
+			describe: 'skip files finished by a previous run and seek past acknowledged offsets (requires --checkpoint-path)',
+			type: 'boolean'
+		})
+		.option("on-file-complete", {
+			demandOption: false,
+			alias: 'onFileComplete',
+			describe: 'move, delete or tag each source file once all its batches are acknowledged',
+			choices: ['move', 'delete', 'tag'],
+			type: 'string'
+		})
+		.option("archive-prefix", {
+			demandOption: false,
+			alias: 'archivePrefix',
+			describe: 'where --on-file-complete move puts files (a folder, or a cloud url / key prefix)',
+			type: 'string'
+		})
+		.option("watch", {
+			demandOption: false,
+			describe: 'keep importing each new file that lands in this folder or bucket prefix until interrupted',
+			type: 'string'
+		})
+		.option("watch-interval", {
+			demandOption: false,
+			alias: 'watchInterval',
+			describe: 'with --watch: ms between listings (default 10000)',
+			type: 'number'
+		})
+		.option("watch-concurrency", {
+			demandOption: false,
+			alias: 'watchConcurrency',
+			describe: 'with --watch: how many files import at once (default 1)',
+			type: 'number'
+		})
+		.option("watch-settle", {
+			demandOption: false,
+			alias: 'watchSettle',
+			describe: 'with --watch: only pick up files unmodified for this many ms (default 5000)',
+			type: 'number'
+		})
+		.option("watch-state", {
+			demandOption: false,
+			alias: 'watchState',
+			describe: 'with --watch: JSON file recording which files were imported (default ./mixpanel-import-watch.json)',
+			type: 'string'
+		})
+		.option("dead-letter", {
+			demandOption: false,
+			alias: 'deadLetter',
+			describe: 'stream rejected records (with error message, batch number, and HTTP status) as JSONL to this path (local, gs://, or s3://)',
+			type: 'string'
+		})
+		.option("replay-dead-letter", {
+			demandOption: false,
+			alias: 'replayDeadLetter',
+			describe: 're-import the records held in a dead-letter file (used in place of the file/folder argument)',
+			type: 'string'
+		})
+		.option("plugin", {
+			demandOption: false,
+			alias: 'plugins',
+			describe: 'transform plugin to run after the transform (a file path or npm package); repeat to chain them in order',
+			type: 'string',
+			array: true
+		})
+		.option("route-by", {
+			demandOption: false,
+			alias: 'routeBy',
+			describe: 'send each record to the project its value of this property names in --routes',
+			type: 'string'
+		})
+		.option("routes", {
+			demandOption: false,
+			describe: 'JSON of tenant → creds for --route-by, e.g. {"acme":{"token":"..."},"globex":{"token":"...","region":"EU"}}',
+			type: 'string'
+		})
+		.option("verify", {
+			demandOption: false,
+			describe: 'after an event import, export the project and compare per-day, per-event counts and sampled $insert_ids (needs --secret)',
+			type: 'boolean'
+		})
+		.option("verify-lag", {
+			demandOption: false,
+			alias: 'verifyLagMs',
+			describe: 'how long (ms) --verify keeps re-checking while events are missing; 0 checks once',
+			type: 'number'
+		})
+		.option("verify-sample", {
+			demandOption: false,
+			alias: 'verifySample',
+			describe: 'how many $insert_ids --verify looks up',
+			type: 'number'
+		})
 		.option("region", {
 			demandOption: false,
 			default: 'US',
 			describe: 'either US, EU, or IN',
 			type: 'string'
 		})
+		.option("endpoints", {
+			demandOption: false,
+			describe: 'send API calls to this base url instead of mixpanel.com (e.g. a --mock-server)',
+			type: 'string'
+		})
+		.option("api-host", {
+			demandOption: false,
+			alias: 'apiHost',
+			describe: 'host (or base url) every API call goes to, e.g. a corporate reverse proxy; paths are kept',
+			type: 'string'
+		})
+		.option("proxy", {
+			demandOption: false,
+			describe: 'outbound HTTP(S) proxy url (default: HTTPS_PROXY / HTTP_PROXY, honoring NO_PROXY)',
+			type: 'string'
+		})
 		.option("fix", {
 			demandOption: false,
 			default: false,
@@ -175,6 +415,48 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'label for SCD',
 			type: 'string'
 		})
+		.option("scd-columns", {
+			demandOption: false,
+			alias: "scdColumns",
+			describe: 'comma-separated columns to track from snapshot / history tables',
+			type: 'string'
+		})
+		.option("scd-source", {
+			demandOption: false,
+			alias: "scdSource",
+			describe: 'snapshot (diff consecutive snapshots) or history (valid_from / valid_to rows)',
+			type: 'string'
+		})
+		.option("scd-time-key", {
+			demandOption: false,
+			alias: "scdTimeKey",
+			describe: 'snapshot date column (default: snapshot_date)',
+			type: 'string'
+		})
+		.option("scd-valid-from", {
+			demandOption: false,
+			alias: "scdValidFrom",
+			describe: 'history start column (default: valid_from)',
+			type: 'string'
+		})
+		.option("scd-valid-to", {
+			demandOption: false,
+			alias: "scdValidTo",
+			describe: 'history end column (default: valid_to)',
+			type: 'string'
+		})
+		.option("scd-user-key", {
+			demandOption: false,
+			alias: "scdUserKey",
+			describe: 'user id column (default: distinct_id, $distinct_id or user_id)',
+			type: 'string'
+		})
+		.option("scd-group-keys", {
+			demandOption: false,
+			alias: "scdGroupKeys",
+			describe: 'comma-separated group id columns',
+			type: 'string'
+		})
 		.option("clean", {
 			demandOption: false,
 			default: false,
@@ -227,6 +509,30 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'end date (exports)',
 			type: 'string'
 		})
+		.option("include", {
+			demandOption: false,
+			describe: 'only read listed files whose path (relative to the folder / prefix) matches this glob; repeat for several',
+			type: 'string',
+			array: true
+		})
+		.option("exclude", {
+			demandOption: false,
+			describe: 'skip listed files whose path (relative to the folder / prefix) matches this glob; repeat for several',
+			type: 'string',
+			array: true
+		})
+		.option("modified-after", {
+			demandOption: false,
+			alias: 'modifiedAfter',
+			describe: 'only read files last modified at or after this date / time',
+			type: 'string'
+		})
+		.option("modified-before", {
+			demandOption: false,
+			alias: 'modifiedBefore',
+			describe: 'only read files last modified before this date / time',
+			type: 'string'
+		})
 		.options("tags", {
 			demandOption: false,
 			default: "{}",
@@ -259,6 +565,41 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'dedupe records by murmur hash',
 			type: 'boolean'
 		})
+		.options("sessionize", {
+			demandOption: false,
+			describe: 'add $session_id to every event, plus Session Start / Session End events per distinct_id',
+			type: 'boolean'
+		})
+		.options("session-timeout", {
+			demandOption: false,
+			alias: 'sessionTimeoutMs',
+			describe: 'inactivity (ms) that ends a session; default 30 minutes',
+			type: 'number'
+		})
+		.options("session-window", {
+			demandOption: false,
+			alias: 'sessionWindowMs',
+			describe: 'how far out of order (ms) events may arrive and still be sessionized in order; default 10 minutes',
+			type: 'number'
+		})
+		.options("session-buffer", {
+			demandOption: false,
+			alias: 'sessionBufferSize',
+			describe: 'most events --sessionize holds in memory (or per sorted run with --session-spill)',
+			type: 'number'
+		})
+		.options("session-spill", {
+			demandOption: false,
+			alias: 'sessionSpill',
+			describe: 'sort the whole input on disk before sessionizing (for unordered input)',
+			type: 'boolean'
+		})
+		.options("session-spill-dir", {
+			demandOption: false,
+			alias: 'sessionSpillDir',
+			describe: 'where --session-spill writes its sorted runs; default the OS temp dir',
+			type: 'string'
+		})
 		.options("aggressiveGC", {
 			demandOption: false,
 			default: false,
@@ -337,7 +678,7 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 		.options('vendor', {
 			demandOption: false,
 			default: '',
-			describe: 'transform amplitude, heap, ga4, june, posthog, mparticle, mixpanel data',
+			describe: 'transform amplitude, heap, ga4, june, posthog, mparticle, adobe, pendo, segment, rudderstack, mixpanel data',
 			type: 'string'
 		})
 		.options('vendor-opts', {
@@ -419,6 +760,74 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			describe: 'start the web UI for interactive imports',
 			type: 'boolean'
 		})
+		.option('job', {
+			demandOption: false,
+			describe: 'run a YAML/JSON job file: creds (with ${ENV} interpolation), data, options, transform module and named steps',
+			type: 'string'
+		})
+		.option('profile-schema', {
+			demandOption: false,
+			alias: 'profileSchema',
+			default: false,
+			describe: 'scan the input and report its events, property types, null rates and cardinality (nothing is imported)',
+			type: 'boolean'
+		})
+		.option('previous-schema', {
+			demandOption: false,
+			alias: 'previousSchema',
+			describe: 'with --profile-schema: an earlier report to flag new, missing and retyped properties against',
+			type: 'string'
+		})
+		.option('schema-out', {
+			demandOption: false,
+			alias: 'schemaOut',
+			describe: 'with --profile-schema: where to write the JSON report (default ./logs/schema-<time>.json)',
+			type: 'string'
+		})
+		.option('mock-server', {
+			demandOption: false,
+			alias: 'mockServer',
+			default: false,
+			describe: 'start a local Mixpanel-compatible ingestion server for offline testing (point imports at it with --endpoints)',
+			type: 'boolean'
+		})
+		.option('mock-port', {
+			demandOption: false,
+			alias: 'mockPort',
+			default: 8765,
+			describe: 'mock server: port to listen on',
+			type: 'number'
+		})
+		.option('mock-rate-limit', {
+			demandOption: false,
+			alias: 'mockRateLimit',
+			describe: 'mock server: fraction of requests (0-1) answered with a 429',
+			type: 'number'
+		})
+		.option('mock-server-errors', {
+			demandOption: false,
+			alias: 'mockServerErrors',
+			describe: 'mock server: fraction of requests (0-1) answered with a 5xx',
+			type: 'number'
+		})
+		.option('mock-partial-failures', {
+			demandOption: false,
+			alias: 'mockPartialFailures',
+			describe: 'mock server: fraction of valid events (0-1) rejected in failed_records',
+			type: 'number'
+		})
+		.option('mock-latency', {
+			demandOption: false,
+			alias: 'mockLatency',
+			describe: 'mock server: delay per request in ms, or a min-max range (e.g. 50-500)',
+			type: 'string'
+		})
+		.option('mock-retry-after', {
+			demandOption: false,
+			alias: 'mockRetryAfter',
+			describe: 'mock server: seconds to send in a Retry-After header on 429s',
+			type: 'number'
+		})
 		.check((argv) => {
 			if (argv.identityReplay && !argv.irUserIdRegex) {
 				throw new Error('--identity-replay requires --ir-user-id-regex (the CLI cannot pass an isUserId function; use the module API for predicates)');
@@ -427,6 +836,12 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 			if (!argv.identityReplay && (argv.irUserIdRegex || argv.irGraphPath || argv.irOnAmbiguous)) {
 				throw new Error('--ir-* flags require --identity-replay (they are ignored without it)');
 			}
+			if (argv.resume && !argv.checkpointPath) {
+				throw new Error('--resume requires --checkpoint-path');
+			}
+			if (argv.replayDeadLetter && argv._.length) {
+				throw new Error('--replay-dead-letter reads its own file; drop the file/folder argument');
+			}
 			return true;
 		})
 		.help()
@@ -446,7 +861,7 @@ DOCS: https://github.com/ak--47/mixpanel-import`)
 		args.identityReplay = identityReplay;
 	}
 	// @ts-ignore
-	if (args._.length === 0 && !args.type?.toLowerCase()?.includes('export') && !args.type?.toLowerCase()?.includes('delete') && !args.ui) {
+	if (args._.length === 0 && !args.type?.toLowerCase()?.includes('export') && !args.type?.toLowerCase()?.includes('delete') && !args.ui && !args.mockServer && !args.replayDeadLetter && !args.job && !args.watch) {
 		// @ts-ignore
 		yargs.showHelp();
 		process.exit();
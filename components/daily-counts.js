@@ -0,0 +1,34 @@
+/*
+----
+DAILY EVENT COUNTS
+----
+events per UTC day per event name, keyed "YYYY-MM-DD\tevent". migrate's
+parity report and verify's read-back both count this way, so the two sides
+of either comparison always land on the same keys. an event without a
+usable time counts under the day "unknown".
+*/
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const { toMillis } = require('./values.js');
+dayjs.extend(utc);
+
+/** @typedef {Map<string, number>} DailyCounts - "YYYY-MM-DD\tevent" → count */
+
+/**
+ * count one event
+ * @param {DailyCounts} counts
+ * @param {Object} record - { event, properties } as sent, or flat from the export
+ * @returns {string} the key it was counted under
+ */
+function tally(counts, record) {
+	const time = toMillis(record?.properties?.time ?? record?.time);
+	const day = time === null ? 'unknown' : dayjs.utc(time).format('YYYY-MM-DD');
+	const key = `${day}\t${record?.event}`;
+	counts.set(key, (counts.get(key) || 0) + 1);
+	return key;
+}
+
+module.exports = {
+	tally
+};
@@ -0,0 +1,142 @@
+/*
+----
+DEAD LETTER
+----
+Records Mixpanel rejects are streamed to a JSONL destination (local path,
+gs:// or s3://, via destination-writer.js) instead of piling up in memory on
+the summary. Each line is one rejected record:
+
+  { "error": "...", "status": 400, "batch": 12, "index": 3, "record": { ... } }
+
+- error: the API's per-record message (failed_records), or the request-level
+  error when the whole batch was refused
+- status: the HTTP status of the final attempt (null for network failures)
+- batch: the 1-based batch number within the run; index: position in that batch
+- record: the record exactly as it was sent
+
+A dead-letter file is itself valid input: `replayDeadLetter` unwraps each line
+back to its `record` so the rejects can be re-imported once the transform is
+fixed.
+*/
+
+const { Transform } = require('stream');
+const { finished } = require('stream/promises');
+const { createNdjsonStream } = require('./destination-writer.js');
+const { carryCheckpoint } = require('./checkpoint.js');
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * @typedef {Object} DeadLetterEntry
+ * @property {string} error - API error message for this record
+ * @property {number | null} status - HTTP status of the request
+ * @property {number | null} batch - batch number within the run
+ * @property {number} index - position of the record within its batch
+ * @property {Object} record - the rejected record, as sent
+ */
+
+/**
+ * open the job's dead-letter stream (noop when `deadLetter` is unset or on dry runs)
+ * @param {JobConfig} job
+ * @returns {Promise<void>}
+ */
+async function openDeadLetter(job) {
+	if (!job.deadLetter || job.dryRun || job.deadLetterStream) return;
+	try {
+		// always JSONL, so replayDeadLetter can read it back: outputFormat and partitionBy are for the destination
+		job.deadLetterStream = await createNdjsonStream(job.deadLetter, job);
+	} catch (error) {
+		throw new Error(`Failed to create dead-letter stream: ${error.message}`);
+	}
+	// a failing dead-letter write must not take the import down with it
+	job.deadLetterStream.on('error', (err) => {
+		if (job.verbose) console.error(`❌ dead-letter write error: ${err.message}`);
+	});
+}
+
+/**
+ * end the job's dead-letter stream and wait for it to flush
+ * @param {JobConfig} job
+ * @returns {Promise<void>}
+ */
+async function closeDeadLetter(job) {
+	const stream = job.deadLetterStream;
+	if (!stream) return;
+	job.deadLetterStream = null;
+	stream.end();
+	try {
+		await finished(stream);
+	} catch (e) {
+		// already reported by the 'error' listener
+	}
+}
+
+/**
+ * write the rejected records of one API response to the dead-letter stream.
+ *
+ * per-record failures (`failed_records`) are written individually; a request that failed as a
+ * whole (non-2xx, network error, or an engage-style `{error, status: 0}` body) dead-letters the
+ * entire batch under the request-level error.
+ * @param {JobConfig} job
+ * @param {Object[] | string} batch - the batch that was sent
+ * @param {Object} res - parsed API response (or error)
+ * @param {boolean} success - whether the request itself succeeded
+ * @param {number | null} status - HTTP status of the final attempt
+ * @param {number | null} batchNumber - batch number within the run
+ */
+function writeDeadLetters(job, batch, res, success, status, batchNumber) {
+	if (!job.deadLetterStream || !Array.isArray(batch)) return;
+	const httpStatus = status ?? (typeof res?.code === 'number' ? res.code : null);
+
+	const failures = res?.failed_records;
+	if (Array.isArray(failures) && failures.length) {
+		for (const { index, message } of failures) {
+			write(job, { error: message || 'unknown error', status: httpStatus, batch: batchNumber, index, record: batch[index] });
+		}
+		return;
+	}
+
+	if (success && !res?.error && res?.status !== 0) return;
+	const error = res?.error || res?.message || 'unknown error';
+	batch.forEach((record, index) => {
+		write(job, { error: String(error), status: httpStatus, batch: batchNumber, index, record });
+	});
+}
+
+/**
+ * @param {JobConfig} job
+ * @param {DeadLetterEntry} entry
+ */
+function write(job, entry) {
+	if (!entry.record) return;
+	job.deadLettered++;
+	job.deadLetterStream.write(entry);
+}
+
+/**
+ * replay stage: turns dead-letter lines back into the records they hold
+ * (lines without a `record` are counted as empty and dropped)
+ * @param {JobConfig} job
+ * @returns {Transform}
+ */
+function createDeadLetterUnwrapper(job) {
+	return new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		transform(entry, encoding, callback) {
+			const record = entry?.record;
+			if (!record || typeof record !== 'object') {
+				job.empty++;
+				return callback();
+			}
+			callback(null, carryCheckpoint(entry, record));
+		}
+	});
+}
+
+module.exports = {
+	openDeadLetter,
+	closeDeadLetter,
+	writeDeadLetters,
+	createDeadLetterUnwrapper
+};
@@ -1,16 +1,23 @@
 /**
  * Destination Writer for outputting transformed data to files or cloud storage
- * Supports local files, Google Cloud Storage (gs://), and Amazon S3 (s3://)
+ * Supports local files, Google Cloud Storage (gs://), Amazon S3 (s3://) and Azure Blob Storage (az://)
  */
 
 const { Transform, Writable } = require('stream');
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const { createPartWriter, partBase } = require('./output-format.js');
+const { createPartitionedWriter, partitionRoot, runPrefix } = require('./partitions.js');
+const { s3ClientConfig } = require('./s3-client.js');
+const { createAzureWriteStream } = require('./azure-blob.js');
+dayjs.extend(utc);
 
 /**
  * Creates a writable stream for the specified destination
- * @param {string} destination - Path to write (local file, gs://, or s3://)
+ * @param {string} destination - Path to write (local file, gs://, s3:// or az://)
  * @param {object} job - Job configuration with cloud credentials
  * @returns {Promise<import('stream').Writable>} Writable stream for the destination
  */
@@ -19,18 +26,42 @@ async function createDestinationStream(destination, job) {
 		throw new Error('Destination path is required');
 	}
 
+	// partitionBy: hive-style dt=.../event=... folders under the destination
+	if (job.partitionBy && job.partitionBy.length) {
+		if (job.verbose) {
+			console.log(`📝 Destination partitions (${job.partitionBy.join(', ')}): ${partitionRoot(destination)}/`);
+		}
+		// parts are named for this run, so imports into the same partitions add to them
+		return createPartitionedWriter(partitionRoot(destination), job, { prefix: runPrefix() });
+	}
+
+	// csv / parquet: rolling part files, named after the destination file or {recordType}-{dateTime} inside a folder
+	if (job.outputFormat && job.outputFormat !== 'ndjson') {
+		const base = partBase(destination, `${job.recordType}-${dayjs.utc().format('YYYY-MM-DDTHH-mm-ss-SSS[Z]')}`);
+		if (job.verbose) {
+			console.log(`📝 Destination parts (${job.outputFormat}): ${base}-part-*`);
+		}
+		return createPartWriter(base, job);
+	}
+
+	return createNdjsonStream(destination, job);
+}
+
+/**
+ * Creates a plain NDJSON writable stream, whatever the job's outputFormat and partitionBy say
+ * @param {string} destination - Path to write (local file or folder, gs://, s3:// or az://)
+ * @param {object} job - Job configuration with cloud credentials
+ * @returns {Promise<import('stream').Writable>} Writable stream for the destination
+ */
+async function createNdjsonStream(destination, job) {
 	// Handle auto-generated filenames for directories
 	let finalDestination = destination;
 
 	// Check if destination is a local directory (not a cloud path)
-	if (!destination.startsWith('gs://') && !destination.startsWith('s3://')) {
+	if (!destination.startsWith('gs://') && !destination.startsWith('s3://') && !destination.startsWith('az://')) {
 		// Check if it's a directory
 		if (fs.existsSync(destination) && fs.lstatSync(destination).isDirectory()) {
 			// Generate filename: {recordType}-{dateTime}.ndjson
-			const dayjs = require('dayjs');
-			const utc = require('dayjs/plugin/utc');
-			dayjs.extend(utc);
-
 			const timestamp = dayjs.utc().format('YYYY-MM-DDTHH-mm-ss-SSS[Z]');
 			const filename = `${job.recordType}-${timestamp}.ndjson`;
 			finalDestination = path.join(destination, filename);
@@ -51,6 +82,11 @@ async function createDestinationStream(destination, job) {
 		return createS3DestinationStream(finalDestination, job);
 	}
 
+	// Azure Blob Storage
+	if (finalDestination.startsWith('az://')) {
+		return createAzureDestinationStream(finalDestination, job);
+	}
+
 	// Local file
 	return createLocalDestinationStream(finalDestination, job);
 }
@@ -255,17 +291,7 @@ async function createS3DestinationStream(s3Path, job) {
 	const bucketName = matches[1];
 	const key = matches[2];
 
-	// Configure S3 client
-	const s3Config = {
-		region: job.s3Region || 'us-east-1'
-	};
-	if (job.s3Key && job.s3Secret) {
-		s3Config.credentials = {
-			accessKeyId: job.s3Key,
-			secretAccessKey: job.s3Secret
-		};
-	}
-	const s3Client = new S3Client(s3Config);
+	const s3Client = new S3Client(s3ClientConfig(job));
 
 	// Create a PassThrough stream to collect all data
 	const dataStream = new PassThrough();
@@ -334,6 +360,60 @@ async function createS3DestinationStream(s3Path, job) {
 	return jsonLineWriter;
 }
 
+/**
+ * Creates an Azure Blob Storage writable stream (block upload as records arrive)
+ * @param {string} azPath - Azure path (az://container/path/to/file)
+ * @param {object} job - Job configuration with Azure credentials
+ * @returns {Promise<import('stream').Writable>} Writable stream for Azure
+ */
+async function createAzureDestinationStream(azPath, job) {
+	const isGzipped = azPath.endsWith('.gz');
+	const blobStream = createAzureWriteStream(azPath, job, {
+		contentType: isGzipped ? 'application/gzip' : 'application/x-ndjson'
+	});
+
+	let finalStream = blobStream;
+	if (isGzipped) {
+		const gzip = zlib.createGzip({
+			level: 6, // Balanced compression
+		});
+		gzip.pipe(blobStream);
+		finalStream = gzip;
+	}
+
+	// Create a transform stream that converts objects to NDJSON
+	const jsonLineWriter = new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater || 16,
+		transform(chunk, encoding, callback) {
+			try {
+				callback(null, JSON.stringify(chunk) + '\n');
+			} catch (error) {
+				callback(error);
+			}
+		}
+	});
+
+	jsonLineWriter.pipe(finalStream);
+
+	blobStream.on('error', (error) => {
+		console.error(`❌ Azure write error: ${error.message}`);
+		jsonLineWriter.destroy(error);
+	});
+
+	blobStream.on('finish', () => {
+		if (job.verbose) {
+			console.log(`✅ Successfully wrote to Azure: ${azPath}`);
+		}
+	});
+
+	if (job.verbose) {
+		console.log(`☁️ Azure destination stream created: ${azPath}`);
+	}
+
+	return jsonLineWriter;
+}
+
 /**
  * Creates a tee stream that duplicates data to both Mixpanel and a destination
  * @param {import('stream').Writable} destinationStream - Stream to write to destination
@@ -369,16 +449,18 @@ function createTeeStream(destinationStream) {
 			callback(null, batch);
 		},
 		flush(callback) {
-			// End the destination stream when we're done
+			// End the destination stream when we're done; wait for it so buffered output (e.g. a last part file) is written
 			if (destinationStream && typeof destinationStream.end === 'function') {
-				destinationStream.end();
+				destinationStream.end(() => callback());
+			} else {
+				callback();
 			}
-			callback();
 		}
 	});
 }
 
 module.exports = {
 	createDestinationStream,
+	createNdjsonStream,
 	createTeeStream
 };
\ No newline at end of file
@@ -0,0 +1,296 @@
+/*
+----
+WINDOWED EXPORTS
+----
+`exportWindow: "day" | "hour"` splits an event export's start..end into
+windows that are fetched side by side (up to `workers` at once) instead of as
+one long /export request:
+
+- every window is its own request and its own output: events-2024-01-01.json,
+  events-2024-01-01-part-00000.parquet, or part-2024-01-01-0000.ndjson.gz
+  inside each hive partition
+- a window that fails (429, 5xx, a dropped connection) is retried on its own,
+  waiting for Retry-After when the API sends one and backing off otherwise;
+  the others carry on
+- with `exportManifest`, each finished window is recorded in a JSON file; a
+  rerun with the same manifest only fetches the windows that are missing
+- the export API only takes whole days, so hour windows ask for their day and
+  narrow it with a `properties["$time"]` where clause (ANDed with whereClause)
+
+streamEvents (export-import-event) gets the same windows and retries, merged
+into one stream. it keeps no manifest: a window isn't done until its events
+are imported, and a retried window is re-read from the start ($insert_id
+dedupe absorbs the overlap).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const { retryAfterMs } = require('./rate-control.js');
+dayjs.extend(utc);
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * @typedef {Object} ExportWindow
+ * @property {string} label - 2024-01-01 or 2024-01-01T05
+ * @property {string} from - from_date
+ * @property {string} to - to_date
+ * @property {string} [where] - the window's where clause, with the job's whereClause
+ * @property {string} [file] - where a non-partitioned export writes this window
+ * @property {number} [records] - filled in by exportEvents
+ * @property {string[]} [files] - filled in by exportEvents
+ */
+
+const WINDOW_SIZES = ['day', 'hour'];
+
+/**
+ * the windows covering start..end (inclusive days)
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @param {string} size - day or hour
+ * @param {string} [whereClause]
+ * @returns {ExportWindow[]}
+ */
+function exportWindows(start, end, size, whereClause) {
+	/** @type {ExportWindow[]} */
+	const windows = [];
+	const last = dayjs.utc(end);
+	for (let day = dayjs.utc(start); !day.isAfter(last); day = day.add(1, 'day')) {
+		const date = day.format('YYYY-MM-DD');
+		if (size === 'day') {
+			windows.push({ label: date, from: date, to: date, ...(whereClause ? { where: whereClause } : {}) });
+			continue;
+		}
+		for (let hour = 0; hour < 24; hour++) {
+			const from = day.add(hour, 'hour');
+			const range = `properties["$time"] >= datetime("${from.format('YYYY-MM-DDTHH:mm:ss')}") and properties["$time"] < datetime("${from.add(1, 'hour').format('YYYY-MM-DDTHH:mm:ss')}")`;
+			windows.push({ label: from.format('YYYY-MM-DDTHH'), from: date, to: date, where: whereClause ? `(${whereClause}) and ${range}` : range });
+		}
+	}
+	return windows;
+}
+
+/**
+ * an export target with a window's label before its extension
+ * @param {string} filename - the export's target
+ * @param {string} label
+ * @param {JobConfig} job
+ * @returns {string}
+ */
+function windowFile(filename, label, job) {
+	const isCloud = filename.startsWith('gs://') || filename.startsWith('s3://') || filename.startsWith('az://');
+	if (isCloud) {
+		// same conventions as a one-request cloud export: a folder gets events-..., compressed is .json.gz
+		const extension = job.compress !== false ? '.json.gz' : '.ndjson';
+		const name = path.posix.basename(filename);
+		const base = filename.endsWith('/') || !name.includes('.') ? `${filename.replace(/\/?$/, '/')}events` : filename.replace(/\.(json|ndjson|jsonl)(\.gz)?$|\.gz$/i, '');
+		return `${base}-${label}${extension}`;
+	}
+	const extension = path.extname(filename);
+	return `${filename.slice(0, filename.length - extension.length)}-${label}${extension}`;
+}
+
+/**
+ * run an event export one window at a time, up to `workers` at once
+ * @param {string} filename - the export's target
+ * @param {JobConfig} job
+ * @param {(filename: string, job: JobConfig, window: ExportWindow) => Promise<any>} exportWindow - exportEvents
+ * @returns {Promise<string[] | Object[]>} every window's files (or records, when skipWriteToDisk)
+ */
+async function exportEventWindows(filename, job, exportWindow) {
+	const windows = exportWindows(job.start, job.end, job.exportWindow, job.whereClause);
+	const manifest = job.exportManifest ? readManifest(job.exportManifest, job) : null;
+	const pending = windows.filter(window => !manifest?.windows[window.label]);
+	if (manifest && job.verbose) console.log(`export manifest: ${windows.length - pending.length} of ${windows.length} windows already done`);
+
+	/** @type {string[]} */
+	const failed = [];
+	/** @type {Object[]} */
+	const records = [];
+	let saving = Promise.resolve();
+
+	await pool(pending, Math.max(1, job.workers), async window => {
+		window.file = windowFile(filename, window.label, job);
+		try {
+			const result = await withRetries(() => exportWindow(filename, job, window), job, window.label);
+			if (job.skipWriteToDisk && Array.isArray(result)) records.push(...result);
+		}
+		catch (e) {
+			failed.push(window.label);
+			if (job.verbose) console.error(`export window ${window.label} failed: ${e.message}`);
+			return;
+		}
+		if (manifest) {
+			manifest.windows[window.label] = { records: window.records || 0, files: window.files || [], at: new Date().toISOString() };
+			saving = saving.then(() => writeManifest(job.exportManifest, manifest));
+			await saving;
+		}
+	});
+
+	if (job.skipWriteToDisk) return records;
+	const files = windows.flatMap(window => window.files || manifest?.windows[window.label]?.files || []);
+	job.file = files;
+	if (failed.length) {
+		const rerun = manifest ? '; rerun with the same exportManifest to fetch only these' : '';
+		throw new Error(`${failed.length} of ${windows.length} export windows failed: ${failed.sort().join(', ')}${rerun}`);
+	}
+	return files;
+}
+
+/**
+ * windowed streamEvents: every window's events, merged into one object stream
+ * @param {JobConfig} job
+ * @param {(window: ExportWindow) => Readable} streamWindow - one window's events
+ * @returns {Readable}
+ */
+function streamEventWindows(job, streamWindow) {
+	const queue = exportWindows(job.start, job.end, job.exportWindow, job.whereClause);
+	const concurrency = Math.max(1, job.workers);
+	/** @type {Set<Readable>} */
+	const sources = new Set();
+	let active = 0;
+
+	const merged = new Readable({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		read() {
+			for (const source of sources) source.resume();
+		},
+		destroy(err, callback) {
+			for (const source of sources) source.destroy();
+			callback(err);
+		}
+	});
+
+	function next() {
+		while (active < concurrency && queue.length) {
+			active++;
+			start(/** @type {ExportWindow} */ (queue.shift()), 0);
+		}
+		if (!active && !queue.length) merged.push(null);
+	}
+
+	/**
+	 * @param {ExportWindow} window
+	 * @param {number} attempt
+	 */
+	function start(window, attempt) {
+		const source = streamWindow(window);
+		sources.add(source);
+		source.on('data', record => {
+			if (!merged.push(record)) source.pause();
+		});
+		source.on('end', () => {
+			sources.delete(source);
+			active--;
+			next();
+		});
+		source.on('error', err => {
+			sources.delete(source);
+			if (merged.destroyed) return;
+			const wait = retryDelay(err, attempt, job);
+			if (wait === null) return merged.destroy(new Error(`export window ${window.label} failed: ${err.message}`));
+			if (job.verbose) console.warn(`export window ${window.label} failed (${err.message}); retrying in ${Math.round(wait / 1000)}s`);
+			setTimeout(() => start(window, attempt + 1), wait);
+		});
+	}
+
+	process.nextTick(next);
+	return merged;
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * @template T
+ * @param {() => Promise<T>} attempt
+ * @param {JobConfig} job
+ * @param {string} label
+ * @returns {Promise<T>}
+ */
+async function withRetries(attempt, job, label) {
+	for (let tries = 0; ; tries++) {
+		try {
+			return await attempt();
+		}
+		catch (e) {
+			const wait = retryDelay(e, tries, job);
+			if (wait === null) throw e;
+			if (job.verbose) console.warn(`export window ${label} failed (${e.message}); retrying in ${Math.round(wait / 1000)}s`);
+			await new Promise(resolve => setTimeout(resolve, wait));
+		}
+	}
+}
+
+/**
+ * how long to wait before retrying a window, or null to give up
+ * @param {any} err
+ * @param {number} attempt - retries so far
+ * @param {JobConfig} job
+ * @returns {number | null}
+ */
+function retryDelay(err, attempt, job) {
+	if (attempt >= job.maxRetries) return null;
+	const status = err?.response?.statusCode || err?.statusCode;
+	// 4xx other than 429 won't get better by asking again
+	if (status && status !== 429 && status < 500) return null;
+	if (status === 429) job.rateLimited++;
+	const headers = err?.response?.headers || err?.headers || {};
+	return retryAfterMs(headers['retry-after']) || Math.min(30000 * Math.pow(2, attempt), 300000);
+}
+
+/**
+ * run `work` over `items`, at most `limit` at a time
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<void>} work
+ */
+async function pool(items, limit, work) {
+	const queue = [...items];
+	const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+		while (queue.length) await work(/** @type {T} */ (queue.shift()));
+	});
+	await Promise.all(runners);
+}
+
+/**
+ * @param {string} manifestPath
+ * @param {JobConfig} job
+ * @returns {{ window: string, windows: Object<string, { records: number, files: string[], at: string }> }}
+ */
+function readManifest(manifestPath, job) {
+	if (!fs.existsSync(manifestPath)) return { window: job.exportWindow, windows: {} };
+	const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+	if (manifest.window !== job.exportWindow) {
+		throw new Error(`export manifest ${manifestPath} is for ${manifest.window} windows, not ${job.exportWindow}`);
+	}
+	return { window: manifest.window, windows: manifest.windows || {} };
+}
+
+/**
+ * write to a temp file and rename, so a crash never leaves half a manifest
+ * @param {string} manifestPath
+ * @param {Object} manifest
+ */
+async function writeManifest(manifestPath, manifest) {
+	await fs.promises.mkdir(path.dirname(path.resolve(manifestPath)), { recursive: true });
+	const temp = `${manifestPath}.${process.pid}.tmp`;
+	await fs.promises.writeFile(temp, JSON.stringify(manifest, null, 2));
+	await fs.promises.rename(temp, manifestPath);
+}
+
+module.exports = {
+	exportEventWindows,
+	exportWindows,
+	streamEventWindows,
+	windowFile,
+	WINDOW_SIZES
+};
@@ -10,6 +10,12 @@ const u = require('ak-tools');
 const showProgress = require('./cli').showProgress;
 const { Transform, Readable } = require('stream');
 const { COMPRESSION_CONFIG } = require('./constants');
+const { proxyAgents } = require('./proxy.js');
+const { s3ClientConfig, requireS3Region } = require('./s3-client.js');
+const { createAzureWriteStream, uploadAzureBlob } = require('./azure-blob.js');
+const { createPartWriter, partBase } = require('./output-format.js');
+const { createPartitionedWriter, partitionRoot } = require('./partitions.js');
+const { exportEventWindows, streamEventWindows } = require('./export-windows.js');
 
 const { Storage } = require('@google-cloud/storage');
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
@@ -28,17 +34,20 @@ function getMain() {
 /**
  * @param  {string} filename
  * @param  {jobConfig} job
+ * @param  {import('./export-windows').ExportWindow} [window] - one window of a windowed export; errors are thrown for its runner to retry
  */
-async function exportEvents(filename, job) {
+async function exportEvents(filename, job, window) {
+	if (job.exportWindow && !window) return exportEventWindows(filename, job, exportEvents);
 	const pipeline = promisify(stream.pipeline);
-	const { skipWriteToDisk = false, limit, whereClause } = job;
+	const { skipWriteToDisk = false, limit } = job;
+	const whereClause = window ? window.where : job.whereClause;
 
 	/** @type {got.Options} */
 	const options = {
 		url: job.url,
 		searchParams: {
-			from_date: job.start,
-			to_date: job.end,
+			from_date: window ? window.from : job.start,
+			to_date: window ? window.to : job.end,
 			// Merge in arbitrary params from job.params
 			...job.params
 		},
@@ -47,7 +56,7 @@ async function exportEvents(filename, job) {
 		headers: {
 			"Authorization": `${job.auth}`
 		},
-		agent: {
+		agent: proxyAgents(job.url, job) || {
 			https: new https.Agent({ keepAlive: true })
 		},
 
@@ -67,8 +76,17 @@ async function exportEvents(filename, job) {
 	// Auto-generate filename if cloud path ends with / or is a bucket/directory without a filename
 	const cloudInfo = detectCloudDestination(filename);
 	const shouldCompress = job.compress !== false; // Default true for cloud exports
+	// partitionBy, csv and parquet: rolling part files under / named after the target instead of one NDJSON file
+	const partitioned = job.partitionBy.length > 0;
+	const toParts = partitioned || job.outputFormat !== 'ndjson';
+	let base = partitioned ? partitionRoot(filename) : toParts ? partBase(filename, `events-${job.start || 'unknown'}--${job.end || 'unknown'}`) : '';
+	if (window && !partitioned) {
+		// a window's output is already named (export-windows.js windowFile)
+		filename = /** @type {string} */ (window.file);
+		if (toParts) base = partBase(filename, `events-${window.label}`);
+	}
 
-	if (cloudInfo.isCloud) {
+	if (cloudInfo.isCloud && !toParts && !window) {
 		// Check if this appears to be a directory (no file extension after the last /)
 		const lastSlashIndex = filename.lastIndexOf('/');
 		const afterLastSlash = filename.substring(lastSlashIndex + 1);
@@ -126,16 +144,25 @@ async function exportEvents(filename, job) {
 	function createOutputStreams() {
 		let fileStr;
 
-		if (cloudInfo.isCloud) {
+		if (partitioned) {
+			fileStr = createPartitionedWriter(base, job, { prefix: window?.label, replace: true });
+		} else if (toParts) {
+			fileStr = createPartWriter(base, job);
+		} else if (cloudInfo.isCloud) {
 			if (cloudInfo.provider === 'gcs') {
 				fileStr = createGCSWriteStream(filename, job);
 			} else if (cloudInfo.provider === 's3') {
 				fileStr = createS3WriteStream(filename, job);
+			} else if (cloudInfo.provider === 'azure') {
+				fileStr = createAzureExportStream(filename, job);
 			}
 		} else {
 			fileStr = fs.createWriteStream(filename);
 		}
 
+		// the part writers take objects; everything else takes NDJSON lines
+		const writeRow = (row) => fileStr.write(toParts ? row : JSON.stringify(row) + '\n');
+
 		let buf = "";
 		const processingStr = new stream.Writable({
 			write(chunk, encoding, callback) {
@@ -155,7 +182,7 @@ async function exportEvents(filename, job) {
 										if (skipWriteToDisk) {
 											allResults.push(item);
 										} else {
-											fileStr.write(JSON.stringify(item) + '\n');
+											writeRow(item);
 											recordCount++;
 										}
 									});
@@ -170,7 +197,7 @@ async function exportEvents(filename, job) {
 						if (skipWriteToDisk) {
 							allResults.push(row);
 						} else {
-							fileStr.write(JSON.stringify(row) + '\n');
+							writeRow(row);
 							recordCount++;
 						}
 					} catch (parseError) {
@@ -192,7 +219,7 @@ async function exportEvents(filename, job) {
 										if (skipWriteToDisk) {
 											allResults.push(item);
 										} else {
-											fileStr.write(JSON.stringify(item) + '\n');
+											writeRow(item);
 											recordCount++;
 										}
 									});
@@ -208,7 +235,7 @@ async function exportEvents(filename, job) {
 						if (skipWriteToDisk) {
 							allResults.push(row);
 						} else {
-							fileStr.write(JSON.stringify(row) + '\n');
+							writeRow(row);
 							recordCount++;
 						}
 					} catch (parseError) {
@@ -220,7 +247,7 @@ async function exportEvents(filename, job) {
 		});
 
 		let outStream;
-		if (skipWriteToDisk || (job.transformFunc && typeof job.transformFunc === 'function') || cloudInfo.isCloud) {
+		if (skipWriteToDisk || (job.transformFunc && typeof job.transformFunc === 'function') || cloudInfo.isCloud || toParts) {
 			outStream = processingStr;
 		} else {
 			outStream = fileStr;
@@ -274,6 +301,7 @@ async function exportEvents(filename, job) {
 		}
 		catch (e) {
 			lastError = e;
+			if (window) throw e;
 			const statusCode = e?.response?.statusCode || e?.statusCode;
 			const isRateLimit = statusCode === 429;
 
@@ -310,15 +338,29 @@ async function exportEvents(filename, job) {
 		job.recordsProcessed += allResults.length;
 		job.success += allResults.length;
 		job.dryRunResults.push(...allResults);
+		if (window) window.records = allResults.length;
 		return allResults;
 	}
 
+	if (toParts) {
+		// the last parts are written when the part writer finishes
+		const partWriter = /** @type {ReturnType<typeof createPartWriter>} */ (fileStream);
+		if (!partWriter.writableEnded) partWriter.end();
+		await stream.promises.finished(partWriter);
+		job.recordsProcessed += partWriter.rows();
+		job.success += partWriter.rows();
+		job.file = partWriter.parts;
+		if (window) Object.assign(window, { records: partWriter.rows(), files: partWriter.parts });
+		if (job.verbose) console.log(`Exported ${partWriter.rows()} records to ${partWriter.parts.length} ${job.outputFormat} part(s) ${partitioned ? 'under' : 'at'} ${base}`);
+		return partWriter.parts;
+	}
+
 	if (cloudInfo.isCloud) {
 		// Wait for the cloud stream to finish uploading
 		// The fileStream may be a gzip stream piped to a GCS/S3 stream
 		await new Promise((resolve, reject) => {
 			// Get the actual cloud path (may have .gz appended)
-			const actualPath = fileStream._gcsPath || fileStream._s3Path || filename;
+			const actualPath = fileStream._gcsPath || fileStream._s3Path || fileStream._azPath || filename;
 
 			// For GCS with compression, we have a gzip stream piped to a GCS stream
 			// We need to wait for the underlying GCS stream to finish, not just the gzip stream
@@ -349,13 +391,14 @@ async function exportEvents(filename, job) {
 			}
 		});
 
-		// Get the actual cloud path (may have .gz appended by createGCSWriteStream/createS3WriteStream)
-		const actualCloudPath = fileStream._gcsPath || fileStream._s3Path || filename;
+		// Get the actual cloud path (may have .gz appended by createGCSWriteStream/createS3WriteStream/createAzureExportStream)
+		const actualCloudPath = fileStream._gcsPath || fileStream._s3Path || fileStream._azPath || filename;
 
 		// For cloud storage, use the record count we tracked during streaming
 		job.recordsProcessed += recordCount;
 		job.success += recordCount;
 		job.file = actualCloudPath;
+		if (window) Object.assign(window, { records: recordCount, files: [actualCloudPath] });
 		if (job.verbose) console.log(`Exported ${recordCount} records to cloud storage: ${actualCloudPath}`);
 		return actualCloudPath;
 	} else {
@@ -375,6 +418,7 @@ async function exportEvents(filename, job) {
 		job.recordsProcessed += lines;
 		job.success += lines;
 		job.file = filename;
+		if (window) Object.assign(window, { records: lines, files: [filename] });
 		return filename;
 	}
 
@@ -423,6 +467,9 @@ async function exportProfiles(folder, job) {
 		file = path.resolve(`${folder}/${fileName}`);
 	}
 
+	// csv / parquet: every page goes through one part writer (next to where the page files would go), rolling by row count
+	const partWriter = job.outputFormat !== 'ndjson' && !skipWriteToDisk ? createPartWriter(file.slice(0, -fileName.length) + entityName, job) : null;
+
 	/** @type {got.Options} */
 	const options = {
 		method: 'POST',
@@ -435,7 +482,8 @@ async function exportProfiles(folder, job) {
 			...job.params || {}
 		},
 		responseType: 'json',
-		retry: { limit: 0 } // we handle retries manually for proper 429 handling
+		retry: { limit: 0 }, // we handle retries manually for proper 429 handling
+		agent: proxyAgents(job.url, job)
 	};
 	// Add project_id when using service account auth (acct + pass + project)
 	// Secret-based auth doesn't need project_id in the URL
@@ -544,7 +592,10 @@ async function exportProfiles(folder, job) {
 	if (skipWriteToDisk) {
 		allResults.push(...profiles);
 	}
-	if (!skipWriteToDisk) {
+	else if (partWriter) {
+		await writeParts(partWriter, profiles);
+	}
+	else {
 		if (cloudInfo.isCloud) {
 			firstFile = await writeCloudJSON(file, profiles, job);
 		} else {
@@ -673,7 +724,10 @@ async function exportProfiles(folder, job) {
 		if (skipWriteToDisk) {
 			allResults.push(...profiles);
 		}
-		if (!skipWriteToDisk) {
+		else if (partWriter) {
+			await writeParts(partWriter, profiles);
+		}
+		else {
 			if (cloudInfo.isCloud) {
 				nextFile = await writeCloudJSON(file, profiles, job);
 			} else {
@@ -689,6 +743,12 @@ async function exportProfiles(folder, job) {
 
 	if (job.verbose) console.log('\n\ndownload finished\n\n');
 
+	if (partWriter) {
+		partWriter.end();
+		await stream.promises.finished(partWriter);
+		allResults.push(...partWriter.parts);
+	}
+
 	// @ts-ignore
 	if (skipWriteToDisk) {
 		job.dryRunResults.push(...allResults);
@@ -714,7 +774,9 @@ async function deleteProfiles(job) {
 	const { token } = job.creds;
 	let recordType = "user";
 	let deleteIdentityKey = "$distinct_id";
-	const exportOptions = { skipWriteToDisk: true, recordType: "profile-export", verbose: false };
+	// the export and the deletes go wherever this job's API calls go
+	const { region, apiHost, endpointOverrides, proxy } = job;
+	const exportOptions = { skipWriteToDisk: true, recordType: "profile-export", verbose: false, region, apiHost, endpointOverrides, proxy };
 	if (job.dataGroupId) {
 		recordType = "group";
 		exportOptions.dataGroupId = job.dataGroupId;
@@ -741,7 +803,7 @@ async function deleteProfiles(job) {
 		return deleteObj;
 	});
 	getMain();
-	const deleteOpts = { recordType };
+	const deleteOpts = { recordType, region, apiHost, endpointOverrides, proxy };
 	if (job.groupKey) deleteOpts.groupKey = job.groupKey;
 	const deleteJob = await mainFunc({ token }, deleteObjects, deleteOpts);
 	job.dryRunResults = deleteJob;
@@ -795,7 +857,7 @@ async function countFileLines(filePath) {
 /**
  * Detect if a path is a cloud storage path
  * @param {string} destination 
- * @returns {{isCloud: boolean, provider: 'gcs'|'s3'|null}}
+ * @returns {{isCloud: boolean, provider: 'gcs'|'s3'|'azure'|null}}
  */
 function detectCloudDestination(destination) {
 	if (destination.startsWith('gs://')) {
@@ -804,6 +866,9 @@ function detectCloudDestination(destination) {
 	if (destination.startsWith('s3://')) {
 		return { isCloud: true, provider: 's3' };
 	}
+	if (destination.startsWith('az://')) {
+		return { isCloud: true, provider: 'azure' };
+	}
 	return { isCloud: false, provider: null };
 }
 
@@ -892,22 +957,8 @@ function createS3WriteStream(s3Path, job) {
 	// Note: Extension normalization is handled in exportEvents, so we use the path as-is
 	const shouldCompress = job.compress !== false;
 
-	const s3ClientConfig = {
-		region: job.s3Region
-	};
-
-	if (job.s3Key && job.s3Secret) {
-		s3ClientConfig.credentials = {
-			accessKeyId: job.s3Key,
-			secretAccessKey: job.s3Secret
-		};
-	}
-
-	if (!job.s3Region) {
-		throw new Error('S3 region is required. Please specify s3Region in job config.');
-	}
-
-	const s3Client = new S3Client(s3ClientConfig);
+	requireS3Region(job);
+	const s3Client = new S3Client(s3ClientConfig(job));
 
 	// Create a custom writable stream that buffers data and uploads on end
 	const chunks = [];
@@ -954,6 +1005,32 @@ function createS3WriteStream(s3Path, job) {
 	return writeStream;
 }
 
+/**
+ * Create a writable stream to Azure Blob Storage with optional gzip compression
+ * @param {string} azPath - az://container/blob path
+ * @param {jobConfig} job - Job configuration
+ * @returns {stream.Writable}
+ */
+function createAzureExportStream(azPath, job) {
+	// Handle compression - default true for cloud exports
+	const shouldCompress = job.compress !== false;
+	const blobStream = createAzureWriteStream(azPath, job, {
+		contentType: 'application/x-ndjson',
+		contentEncoding: shouldCompress ? 'gzip' : undefined
+	});
+	if (!shouldCompress) return blobStream;
+
+	const gzipStream = zlib.createGzip({
+		level: job.compressionLevel || COMPRESSION_CONFIG.GZIP_LEVEL,
+		memLevel: COMPRESSION_CONFIG.GZIP_MEM_LEVEL
+	});
+	gzipStream.pipe(blobStream);
+	gzipStream._azPath = azPath;
+	// the upload completes on the blob stream's finish, not the gzip stream's
+	gzipStream._underlyingStream = blobStream;
+	return gzipStream;
+}
+
 /**
  * Apply transform function to an array of records with error handling
  * @param {Array} records - array of records to transform
@@ -990,6 +1067,17 @@ function applyTransformToRecords(records, job) {
 	return transformedRecords;
 }
 
+/**
+ * Feed a page of records to a part writer, waiting out backpressure
+ * @param {ReturnType<typeof createPartWriter>} partWriter
+ * @param {Array} records
+ */
+async function writeParts(partWriter, records) {
+	for (const record of records) {
+		if (!partWriter.write(record)) await new Promise(resolve => partWriter.once('drain', resolve));
+	}
+}
+
 /**
  * Write data to local file as JSONL (newline-delimited JSON)
  * @param {string} filePath - local file path
@@ -1090,22 +1178,8 @@ async function writeCloudJSON(cloudPath, data, job) {
 		const bucketName = matches[1];
 		const key = matches[2];
 
-		const s3ClientConfig = {
-			region: job.s3Region
-		};
-
-		if (job.s3Key && job.s3Secret) {
-			s3ClientConfig.credentials = {
-				accessKeyId: job.s3Key,
-				secretAccessKey: job.s3Secret
-			};
-		}
-
-		if (!job.s3Region) {
-			throw new Error('S3 region is required. Please specify s3Region in job config.');
-		}
-
-		const s3Client = new S3Client(s3ClientConfig);
+		requireS3Region(job);
+		const s3Client = new S3Client(s3ClientConfig(job));
 
 		const putParams = {
 			Bucket: bucketName,
@@ -1120,6 +1194,14 @@ async function writeCloudJSON(cloudPath, data, job) {
 
 		await s3Client.send(new PutObjectCommand(putParams));
 
+		return finalPath;
+
+	} else if (cloudInfo.provider === 'azure') {
+		await uploadAzureBlob(finalPath, bodyData, job, {
+			contentType: 'application/x-ndjson',
+			contentEncoding: shouldCompress ? 'gzip' : undefined
+		});
+
 		return finalPath;
 	}
 
@@ -1154,9 +1236,26 @@ function streamEvents(job) {
 		searchParams,
 		retry: { limit: 50 },
 		headers: { Authorization: job.auth },
-		agent: { https: new https.Agent({ keepAlive: true }) }
+		agent: proxyAgents(job.url, job) || { https: new https.Agent({ keepAlive: true }) }
 	};
 
+	// windows are requested later, after the job has been pointed at the import side, so they reuse these options
+	if (job.exportWindow) {
+		return streamEventWindows(job, window => requestEvents({
+			...options,
+			searchParams: { ...searchParams, from_date: window.from, to_date: window.to, where: window.where },
+			retry: { limit: 0 } // the window runner retries (export-windows.js)
+		}));
+	}
+	return requestEvents(options);
+}
+
+/**
+ * one /export request as a stream of flattened events
+ * @param {got.Options} options
+ * @returns {Readable} object-mode stream
+ */
+function requestEvents(options) {
 	const request = got.stream(options);
 
 	// ------- NDJSON → objects -------------------------------------------------
@@ -1240,7 +1339,7 @@ function streamProfiles(job) {
 							job.dataGroupId ? { data_group_id: job.dataGroupId } :
 								{}
 					).toString(),
-					agent: { https: new https.Agent({ keepAlive: true }) },
+					agent: proxyAgents(url, job) || { https: new https.Agent({ keepAlive: true }) },
 					retry: { limit: 50 },
 					responseType: 'json'
 				}).json();
@@ -1271,4 +1370,4 @@ function streamProfiles(job) {
 }
 
 
-module.exports = { exportEvents, exportProfiles, deleteProfiles, streamEvents, streamProfiles, detectCloudDestination };
\ No newline at end of file
+module.exports = { exportEvents, exportProfiles, deleteProfiles, streamEvents, streamProfiles, detectCloudDestination, getMain };
\ No newline at end of file
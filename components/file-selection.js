@@ -0,0 +1,266 @@
+/*
+----
+FILE SELECTION
+----
+which files a folder, a cloud prefix or a pattern stands for:
+
+- date templates: {YYYY}, {MM}, {DD} and {HH} in a path are expanded for
+  every day (every hour, with {HH}) from `start` to `end`, so
+  gs://b/events/{YYYY}/{MM}/{DD}/ becomes one prefix per day
+- a glob in a path (`s3://lake/2024/dt=2024-0[1-3]-*.parquet`) lists
+  everything under the part before the first wildcard and keeps what
+  matches the rest
+- `include` / `exclude` globs match a listed file's path relative to the
+  folder or prefix it was listed from; a file must match some include (when
+  there are any) and no exclude
+- `modifiedAfter` (inclusive) / `modifiedBefore` (exclusive) compare against
+  the file's mtime or the object's last-modified time
+
+only folders, prefixes (paths ending in /) and patterns are listed and
+filtered; a file named outright is always read, unless a date template
+named it and it isn't there. local folders are read recursively when
+there's an `include` or a pattern, top level otherwise.
+
+providers plug in a lister: (prefix) => [{ path, relative, modified }].
+*/
+
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * @typedef {Object} ListedFile
+ * @property {string} path - full path or url, as the readers take it
+ * @property {string} relative - path below the listed folder / prefix, with / separators
+ * @property {number} [modified] - last modified, epoch ms
+ */
+
+/** @typedef {(prefix: string) => Promise<ListedFile[]>} Lister */
+
+const DATE_TOKENS = /\{(YYYY|MM|DD|HH)\}/g;
+const GLOB_CHARS = /[*?[\]{}]/;
+
+/**
+ * @param {string} source
+ * @returns {boolean}
+ */
+function hasDateTemplate(source) {
+	return new RegExp(DATE_TOKENS.source).test(source);
+}
+
+/**
+ * one path per day (or hour) from job.start to job.end, duplicates removed; throws when either isn't a date
+ * @param {string} source
+ * @param {Partial<JobConfig>} job
+ * @returns {string[]}
+ */
+function expandDateTemplate(source, job) {
+	if (!hasDateTemplate(source)) return [source];
+	const hourly = source.includes('{HH}');
+	const first = dayjs.utc(job.start).startOf('day');
+	const last = dayjs.utc(job.end).endOf('day');
+	if (!first.isValid()) throw new Error(`${source} expands over start..end, so start must be a date; got "${job.start}"`);
+	if (!last.isValid()) throw new Error(`${source} expands over start..end, so end must be a date; got "${job.end}"`);
+	const out = new Set();
+	for (let at = first; !at.isAfter(last); at = at.add(1, hourly ? 'hour' : 'day')) {
+		out.add(source.replace(DATE_TOKENS, (_, token) => at.format(token)));
+	}
+	return [...out];
+}
+
+/**
+ * @param {string} source
+ * @returns {boolean} true for a path with wildcards in it
+ */
+function isPattern(source) {
+	return GLOB_CHARS.test(source.replace(DATE_TOKENS, ''));
+}
+
+/**
+ * @param {string} source
+ * @returns {boolean} true for a path that names a folder or prefix rather than a file
+ */
+function isPrefix(source) {
+	return source.endsWith('/') || /^az:\/\/[^/]+$/.test(source);
+}
+
+/**
+ * true when a source has to be listed rather than read as named
+ * @param {string} source
+ * @returns {boolean}
+ */
+function needsListing(source) {
+	return hasDateTemplate(source) || isPattern(source) || isPrefix(source);
+}
+
+/**
+ * @param {string | string[] | undefined | null} globs
+ * @returns {((relative: string) => boolean) | null}
+ */
+function matcher(globs) {
+	const list = [].concat(globs || []).filter(Boolean);
+	if (!list.length) return null;
+	return picomatch(list, { dot: true });
+}
+
+/**
+ * @param {Partial<JobConfig>} job
+ * @returns {(file: ListedFile) => boolean}
+ */
+function createFileFilter(job) {
+	const include = matcher(job.include);
+	const exclude = matcher(job.exclude);
+	const after = job.modifiedAfter ? dayjs.utc(job.modifiedAfter).valueOf() : null;
+	const before = job.modifiedBefore ? dayjs.utc(job.modifiedBefore).valueOf() : null;
+	return (file) => {
+		if (include && !include(file.relative)) return false;
+		if (exclude && exclude(file.relative)) return false;
+		if (after !== null && !(file.modified >= after)) return false;
+		if (before !== null && !(file.modified < before)) return false;
+		return true;
+	};
+}
+
+/**
+ * the files a list of sources stands for, in order: each source's date template
+ * expanded, then each folder / prefix / pattern listed and filtered
+ * @param {string[]} sources
+ * @param {Partial<JobConfig>} job
+ * @param {Object} provider
+ * @param {Lister} provider.list - lists everything under a prefix (prefixes end in /)
+ * @param {(file: string) => boolean} [provider.readable] - file types a folder or prefix contributes
+ * @param {(file: string) => boolean} [provider.exists] - whether a file a date template named is there
+ * @returns {Promise<string[]>}
+ */
+async function selectFiles(sources, job, { list, readable = () => true, exists = () => true }) {
+	const keep = createFileFilter(job);
+	const out = [];
+	for (const source of sources) {
+		for (const expanded of expandDateTemplate(source, job)) {
+			if (!isPattern(expanded) && !isPrefix(expanded)) {
+				if (expanded === source || exists(expanded)) out.push(expanded);
+				continue;
+			}
+			let prefix = expanded;
+			/** @type {((relative: string) => boolean) | null} */
+			let pattern = null;
+			if (isPattern(expanded)) {
+				const firstWildcard = expanded.search(GLOB_CHARS);
+				prefix = expanded.slice(0, expanded.lastIndexOf('/', firstWildcard) + 1);
+				pattern = picomatch(expanded.slice(prefix.length), { dot: true });
+			}
+			const listed = await list(prefix);
+			listed.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+			for (const file of listed) {
+				if (pattern ? !pattern(file.relative) : !readable(file.path)) continue;
+				if (keep(file)) out.push(file.path);
+			}
+		}
+	}
+	return [...new Set(out)];
+}
+
+/**
+ * a local folder's files; a folder that doesn't exist (e.g. a day with no data) lists nothing
+ * @param {boolean} recursive
+ * @returns {Lister}
+ */
+function localLister(recursive) {
+	return async (folder) => {
+		const root = path.resolve(folder);
+		/** @type {ListedFile[]} */
+		const out = [];
+		const walk = async (dir) => {
+			let entries;
+			try {
+				entries = await fs.promises.readdir(dir, { withFileTypes: true });
+			}
+			catch (error) {
+				if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+				throw error;
+			}
+			for (const entry of entries) {
+				const full = path.join(dir, entry.name);
+				if (entry.isDirectory()) {
+					if (recursive) await walk(full);
+					continue;
+				}
+				if (!entry.isFile()) continue;
+				const { mtimeMs } = await fs.promises.stat(full);
+				out.push({ path: full, relative: path.relative(root, full).split(path.sep).join('/'), modified: mtimeMs });
+			}
+		};
+		await walk(root);
+		return out;
+	};
+}
+
+/**
+ * local files for a list of files, folders, patterns and date templates
+ * @param {string[]} sources
+ * @param {Partial<JobConfig>} job
+ * @param {(file: string) => boolean} readable
+ * @returns {Promise<string[]>}
+ */
+async function selectLocalFiles(sources, job, readable) {
+	const asFolders = sources.map((source) => {
+		if (isPrefix(source) || isPattern(source) || hasDateTemplate(source)) return source;
+		const isFolder = fs.existsSync(source) && fs.statSync(source).isDirectory();
+		return isFolder ? `${source.replace(/[\\/]+$/, '')}/` : source;
+	});
+	const recursive = Boolean([].concat(job.include || []).length) || asFolders.some(isPattern);
+	const files = await selectFiles(asFolders, job, { list: localLister(recursive), readable, exists: fs.existsSync });
+	return files.map((file) => path.resolve(file));
+}
+
+/**
+ * the folder or prefix a source's files are listed under: a folder itself, else
+ * everything before the last / ahead of the first wildcard or date template
+ * @param {string} source
+ * @returns {string | null} with a trailing separator; local ones absolute
+ */
+function selectionRoot(source) {
+	const isCloud = /^[a-z0-9]+:\/\//.test(source);
+	if (!isCloud && fs.existsSync(source) && fs.statSync(source).isDirectory()) return `${path.resolve(source)}${path.sep}`;
+	const wildcard = source.search(GLOB_CHARS);
+	const head = wildcard < 0 ? source : source.slice(0, wildcard);
+	const root = head.slice(0, head.lastIndexOf('/') + 1);
+	if (!root) return null;
+	return isCloud ? root : `${path.resolve(root)}${path.sep}`;
+}
+
+/**
+ * check include / exclude / modifiedAfter / modifiedBefore
+ * @param {Object<string, any>} opts
+ */
+function validateSelection(opts) {
+	for (const key of ['include', 'exclude']) {
+		const value = opts[key];
+		if (value === undefined || value === null) continue;
+		const globs = [].concat(value);
+		if (!globs.every((glob) => typeof glob === 'string' && glob)) throw new Error(`${key} must be a glob or a list of globs`);
+	}
+	for (const key of ['modifiedAfter', 'modifiedBefore']) {
+		if (opts[key] && !dayjs.utc(opts[key]).isValid()) throw new Error(`${key} must be a date; got "${opts[key]}"`);
+	}
+	if (opts.modifiedAfter && opts.modifiedBefore && !dayjs.utc(opts.modifiedAfter).isBefore(dayjs.utc(opts.modifiedBefore))) {
+		throw new Error('modifiedAfter must be before modifiedBefore');
+	}
+}
+
+module.exports = {
+	createFileFilter,
+	expandDateTemplate,
+	hasDateTemplate,
+	isPattern,
+	needsListing,
+	selectFiles,
+	selectLocalFiles,
+	selectionRoot,
+	validateSelection
+};
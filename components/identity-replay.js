@@ -11,6 +11,7 @@ const path = require('path');
 const md5 = require('md5');
 const { IdentityGraph, stripDevicePrefix } = require('./identity-graph.js');
 const { logger } = require('./logs.js');
+const { carryCheckpoint } = require('./checkpoint.js');
 
 /** @typedef {import('./job')} JobConfig */
 
@@ -642,7 +643,7 @@ function createIdentityReplay(job) {
 				const source = getProps(rewritten).$id_replay_source;
 				if (source === 'bare-user') stats.bare.user++;
 				else if (source === 'bare-device' || source === 'fallback-prop') stats.bare.device++;
-				callback(null, rewritten);
+				callback(null, carryCheckpoint(record, rewritten));
 			}
 			catch (err) {
 				callback(err);
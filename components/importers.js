@@ -2,10 +2,13 @@ const got = require('got');
 const https = require('https');
 const { gzip } = require('node-gzip');
 const u = require('ak-tools');
+const { writeDeadLetters } = require('./dead-letter.js');
+const { resolveProxy, proxyAgents, destroyProxyAgents } = require('./proxy.js');
+const { retryAfterMs } = require('./rate-control.js');
 const HTTP_AGENT = new https.Agent({ keepAlive: true, maxSockets: 100 });
 
 // Undici imports for high-performance HTTP
-const { Pool } = require('undici');
+const { Pool, ProxyAgent } = require('undici');
 
 // NOTE: this module registers NO process-global handlers (uncaughtException,
 // unhandledRejection, exit, SIGINT, SIGTERM). It is a library; process-level policy belongs to
@@ -23,9 +26,10 @@ const poolConfig = {
 	connectTimeout: 10000
 };
 
-// Shared undici pools, keyed by origin; created lazily on first use so that requiring this
-// module allocates nothing, and so destroy() can be followed by further imports.
-/** @type {Map<string, Pool>} */
+// Shared undici pools, keyed by origin (or by proxy url when proxied); created lazily on first
+// use so that requiring this module allocates nothing, and so destroy() can be followed by
+// further imports.
+/** @type {Map<string, Pool | ProxyAgent>} */
 const UNDICI_POOLS = new Map();
 
 /**
@@ -51,11 +55,22 @@ function originFor(url) {
 }
 
 /**
- * get (or lazily create) the shared undici pool for a given mixpanel API url
+ * get (or lazily create) the shared undici pool for a given mixpanel API url; requests through
+ * a proxy share one ProxyAgent per proxy url instead (they must then name their origin)
  * @param  {string} url
- * @returns {Pool}
+ * @param  {string} [proxy] - proxy url from resolveProxy()
+ * @returns {Pool | ProxyAgent}
  */
-function getPool(url) {
+function getPool(url, proxy = '') {
+	if (proxy) {
+		const key = `proxy:${proxy}`;
+		let agent = UNDICI_POOLS.get(key);
+		if (!agent) {
+			agent = new ProxyAgent({ uri: proxy, ...poolConfig });
+			UNDICI_POOLS.set(key, agent);
+		}
+		return agent;
+	}
 	const origin = originFor(url);
 	let pool = UNDICI_POOLS.get(origin);
 	if (!pool) {
@@ -86,6 +101,7 @@ function getPool(url) {
 async function destroy() {
 	const pools = [...UNDICI_POOLS.values()];
 	UNDICI_POOLS.clear();
+	destroyProxyAgents();
 	await Promise.all(pools.map(pool => pool.close()));
 }
 
@@ -95,11 +111,15 @@ async function destroy() {
 
 
 /**
- * @param  {Object[]} batch
+ * @param  {Object[] | string} batch - records, or a lookup table's CSV
  * @param  {JobConfig} job
+ * @param  {number} [batchNumber] - position of this batch in the run (for dead-letter output)
+ * @param  {import('./routes.js').Route} [route] - with routeBy: the project this batch belongs to
  */
-async function flushToMixpanel(batch, job) {
+async function flushToMixpanel(batch, job, batchNumber = null, route = null) {
 	try {
+		// a routed batch (routeBy) goes to its own project; everything else stays on the job
+		const target = route?.job || job;
 		/** @type {Buffer | string} */
 		let body = typeof batch === 'string' ? batch : JSON.stringify(batch);
 		if (job.recordType === 'event' && job.compress) {
@@ -109,7 +129,7 @@ async function flushToMixpanel(batch, job) {
 
 		/** @type {got.Options} */
 		const options = {
-			url: job.url,
+			url: target.url,
 			searchParams: {
 				ip: 0,
 				verbose: 1,
@@ -134,17 +154,18 @@ async function flushToMixpanel(batch, job) {
 					`EPROTO`,
 					`ETLSHANDSHAKE`
 				],
-				methods: ['POST']
+				// PUT is a lookup table upload, which replaces the table and is safe to repeat
+				methods: ['POST', 'PUT']
 			},
 			headers: {
-				"Authorization": `${job.auth}`,
+				"Authorization": `${target.auth}`,
 				"Content-Type": job.contentType,
 				"Content-Encoding": job.encoding,
 				'Connection': 'keep-alive',
 				'Accept': 'application/json'
 			},
 			//consider timeout + agent timeout
-			agent: {
+			agent: proxyAgents(target.url, job) || {
 				https: HTTP_AGENT
 			},
 			http2: false,
@@ -153,6 +174,14 @@ async function flushToMixpanel(batch, job) {
 				response: 10000,  // 10 second to start receiving response
 			},
 			hooks: {
+				// every attempt (retries included) feeds adaptive concurrency; got itself waits out Retry-After
+				afterResponse: [(response) => {
+					if (job.rateControl) {
+						const latency = response.timings?.phases?.total ?? (Date.now() - (response.timings?.start || Date.now()));
+						job.rateControl.observe(response.statusCode, latency, response.headers['retry-after']);
+					}
+					return response;
+				}],
 				// @ts-ignore
 				beforeRetry: [(req, error, count) => {
 					try {
@@ -188,17 +217,19 @@ async function flushToMixpanel(batch, job) {
 		// Only add project_id if using service account auth (not secret auth)
 		// Secret-based auth doesn't want project_id in the URL
 		// @ts-ignore
-		if (job.project && !job.secret) options.searchParams.project_id = job.project;
+		if (target.project && !target.secret) options.searchParams.project_id = target.project;
 
-		let res, success;
+		let res, success, status = null;
 		try {
 			// @ts-ignore
-			const { body } = await got(options);
+			const { body, statusCode } = await got(options);
 			res = JSON.parse(body);
 			success = true;
+			status = statusCode;
 		}
 
 		catch (e) {
+			status = e?.response?.statusCode || null;
 			if (u.isJSONStr(e?.response?.body)) {
 				res = JSON.parse(e.response.body);
 			}
@@ -218,6 +249,8 @@ async function flushToMixpanel(batch, job) {
 
 		}
 
+		// counted synchronously, so the difference is this batch's alone
+		const counted = [job.success, job.failed];
 		if (job.recordType === 'event' || job.recordType === "scd") {
 			job.success += res.num_records_imported || 0;
 			job.failed += res?.failed_records?.length || 0;
@@ -240,6 +273,13 @@ async function flushToMixpanel(batch, job) {
 			if (res.error || !res.status) job.failed += job.lastBatchLength;
 		}
 
+		if (route) {
+			route.success += job.success - counted[0];
+			route.failed += job.failed - counted[1];
+		}
+
+		writeDeadLetters(job, batch, res, success, status, batchNumber);
+
 		// MEMORY FIX: Store abbreviated responses to prevent memory issues
 		// Even in unabridged mode, we store only essential fields for monitoring
 		if (!job.abridged) {
@@ -265,7 +305,8 @@ async function flushToMixpanel(batch, job) {
 		const minimalResponse = {
 			num_records_imported: res.num_records_imported || 0,
 			num_good_events: res.num_good_events || 0,
-			failed_records: res?.failed_records ? [] : undefined,  // Empty array to prevent iteration errors
+			// Empty array to prevent iteration errors; verify keeps just the indexes, to leave them out of its counts
+			failed_records: res?.failed_records ? (job.ledger ? res.failed_records.map(({ index }) => ({ index })) : []) : undefined,
 			error: res.error || null,
 			status: res.status !== undefined ? res.status : success,
 			code: res.code || (success ? 200 : 400)
@@ -296,9 +337,13 @@ async function flushToMixpanel(batch, job) {
  * Drop-in replacement for flushToMixpanel with better performance
  * @param  {Object[]} batch
  * @param  {JobConfig} job
+ * @param  {number} [batchNumber] - position of this batch in the run (for dead-letter output)
+ * @param  {import('./routes.js').Route} [route] - with routeBy: the project this batch belongs to
  */
-async function flushToMixpanelWithUndici(batch, job) {
+async function flushToMixpanelWithUndici(batch, job, batchNumber = null, route = null) {
 	try {
+		// a routed batch (routeBy) goes to its own project; everything else stays on the job
+		const target = route?.job || job;
 
 		/** @type {Buffer | string} */
 		let body = typeof batch === 'string' ? batch : JSON.stringify(batch);
@@ -314,20 +359,20 @@ async function flushToMixpanelWithUndici(batch, job) {
 			strict: Number(job.strict).toString()
 		});
 		// Only add project_id if using service account auth (not secret auth)
-		if (job.project && !job.secret) {
-			searchParams.set('project_id', String(job.project));
+		if (target.project && !target.secret) {
+			searchParams.set('project_id', String(target.project));
 		}
 
-		if (job.project && job.acct && job.secret) {
-			if (atob(job.auth.split("Basic ")?.pop())?.split(":")?.pop().length > 2) {
+		if (target.project && target.acct && target.secret) {
+			if (atob(target.auth.split("Basic ")?.pop())?.split(":")?.pop().length > 2) {
 				//probably service account auth; need project_id
-				searchParams.set('project_id', String(job.project));
+				searchParams.set('project_id', String(target.project));
 			}
 		}
 
 		// Build headers
 		const headers = {
-			"Authorization": `${job.auth}`,
+			"Authorization": `${target.auth}`,
 			"Content-Type": job.contentType,
 			"Accept": "application/json"
 		};
@@ -342,11 +387,12 @@ async function flushToMixpanelWithUndici(batch, job) {
 			headers["Connection"] = "keep-alive";
 		}
 
-		// Select appropriate pool based on job URL (lazily created, keyed by origin)
-		const pool = getPool(job.url);
+		// Select appropriate pool based on job URL (lazily created, keyed by origin or proxy)
+		const proxy = resolveProxy(target.url, job);
+		const pool = getPool(target.url, proxy);
 
 		// Get pathname from job URL efficiently
-		const url = new URL(job.url);
+		const url = new URL(target.url);
 		const pathname = url.pathname + '?' + searchParams.toString();
 
 		// Retry configuration matching original
@@ -365,12 +411,15 @@ async function flushToMixpanelWithUndici(batch, job) {
 		let retryCount = 0;
 		let lastError;
 		let res, success = false;
+		let status = null;
 
 		// Retry loop
 		while (retryCount <= retryConfig.maxRetries) {
 			try {
 				// Make request directly on pool for maximum performance
+				const sentAt = Date.now();
 				const response = await pool.request({
+					...(proxy && { origin: url.origin }),
 					path: pathname,
 					method: job.reqMethod || 'POST',
 					headers,
@@ -381,6 +430,9 @@ async function flushToMixpanelWithUndici(batch, job) {
 
 				// Read response body
 				const responseBody = await response.body.text();
+				status = response.statusCode;
+				const retryAfter = response.headers['retry-after'];
+				if (job.rateControl) job.rateControl.observe(status, Date.now() - sentAt, retryAfter);
 
 				// Parse JSON response
 				if (u.isJSONStr(responseBody)) {
@@ -410,6 +462,10 @@ async function flushToMixpanelWithUndici(batch, job) {
 						job.clientErrors++;
 					}
 
+					// honor Retry-After before trying this batch again
+					const wait = retryAfterMs(retryAfter);
+					if (wait) await new Promise(resolve => setTimeout(resolve, wait));
+
 					retryCount++;
 					continue;
 				}
@@ -419,6 +475,7 @@ async function flushToMixpanelWithUndici(batch, job) {
 
 			} catch (error) {
 				lastError = error;
+				status = null;
 
 				// Enhanced error logging for debugging
 				console.error(`[UNDICI ERROR] ${error.message}`, {
@@ -471,6 +528,8 @@ async function flushToMixpanelWithUndici(batch, job) {
 		}
 
 		// Update job stats based on record type (same logic as original)
+		// counted synchronously, so the difference is this batch's alone
+		const counted = [job.success, job.failed];
 		if (job.recordType === 'event' || job.recordType === "scd") {
 			job.success += res.num_records_imported || 0;
 			job.failed += res?.failed_records?.length || 0;
@@ -500,6 +559,13 @@ async function flushToMixpanelWithUndici(batch, job) {
 			if (res.error || !res.status) job.failed += job.lastBatchLength;
 		}
 
+		if (route) {
+			route.success += job.success - counted[0];
+			route.failed += job.failed - counted[1];
+		}
+
+		writeDeadLetters(job, batch, res, success, status, batchNumber);
+
 		// MEMORY FIX: Store abbreviated responses to prevent memory issues
 		// Even in unabridged mode, we store only essential fields for monitoring
 		if (!job.abridged) {
@@ -525,7 +591,8 @@ async function flushToMixpanelWithUndici(batch, job) {
 		const minimalResponse = {
 			num_records_imported: res.num_records_imported || 0,
 			num_good_events: res.num_good_events || 0,
-			failed_records: res?.failed_records ? [] : undefined,  // Empty array to prevent iteration errors
+			// Empty array to prevent iteration errors; verify keeps just the indexes, to leave them out of its counts
+			failed_records: res?.failed_records ? (job.ledger ? res.failed_records.map(({ index }) => ({ index })) : []) : undefined,
 			error: res.error || null,
 			status: res.status !== undefined ? res.status : success,
 			code: res.code || (success ? 200 : 400)
@@ -551,13 +618,19 @@ async function flushToMixpanelWithUndici(batch, job) {
 
 
 /**
- * @param  {any} csvString
+ * PUT a whole lookup table; every row succeeds or fails together
+ * @param  {string} csvString - header + rows, as built by lookup-table.js
  * @param  {JobConfig} config
+ * @param  {number} rows - data rows in csvString
  */
-async function flushLookupTable(csvString, config) {
-	const res = await flushToMixpanel(csvString, config);
-	config.recordsProcessed = csvString.split('\n').length - 1;
-	config.success = config.recordsProcessed;
+async function flushLookupTable(csvString, config, rows) {
+	config.requests++;
+	config.batches++;
+	config.addBatchLength(rows);
+	config.bytesProcessed += Buffer.byteLength(csvString);
+	const [res] = await flushToMixpanel(csvString, config) || [];
+	if (res?.code === 200 && !res.error) config.success += rows;
+	else config.failed += rows;
 	return res;
 }
 
@@ -0,0 +1,405 @@
+/*
+----
+JOB FILES
+----
+A repeatable import as a YAML (or JSON) file instead of a shell script of flags:
+
+    name: nightly
+    creds:
+      token: ${MP_TOKEN}
+      secret: ${MP_SECRET:-}
+    options:                  # any Options from index.d.ts; shared by every step
+      region: EU
+      workers: 20
+    transform: ./transforms.js#fixEvents
+    steps:
+      - name: events
+        data: ./exports/events/
+        options: { recordType: event }
+      - name: users
+        data: gs://bucket/users.ndjson
+        options: { recordType: user }
+        transform: ./transforms.js#fixUsers
+
+- `${VAR}` is replaced from the environment anywhere in the file; `${VAR:-x}`
+  falls back to x; an unset variable without a default is an error, and `$${`
+  is a literal `${`
+- without `steps`, the top-level `data` / `options` / `transform` are one step
+- a step's creds and options are merged over the top-level ones
+- `transform` names a module (relative to the job file) whose export is the
+  transformFunc; `#name` picks a named export
+- `data` paths are relative to the job file; other paths in options (deadLetter,
+  checkpointPath, where, ...) stay relative to the working directory, as on the CLI
+- options and creds are checked against the `Options` / `Creds` types in
+  index.d.ts: unknown keys, wrong primitive types and values outside a string
+  union are all reported at once, before anything runs
+*/
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getMain } = require('./exporters.js');
+
+/** keys allowed at the top of a job file */
+const FILE_KEYS = ['name', 'description', 'creds', 'data', 'options', 'transform', 'steps'];
+
+/** keys allowed on a step */
+const STEP_KEYS = ['name', 'creds', 'data', 'options', 'transform'];
+
+/**
+ * @typedef {Object} JobStep
+ * @property {string} name
+ * @property {import('../index.d.ts').Creds} creds
+ * @property {import('../index.d.ts').Data} data
+ * @property {import('../index.d.ts').Options} options - transformFunc already loaded
+ */
+
+/**
+ * read, interpolate, validate and resolve a job file into the steps it describes
+ * @param {string} file - .yaml / .yml / .json
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ name: string, file: string, steps: JobStep[] }}
+ */
+function loadJobFile(file, env = process.env) {
+	const filePath = path.resolve(file);
+	const text = fs.readFileSync(filePath, 'utf8');
+	let doc;
+	try {
+		doc = /\.json$/i.test(filePath) ? JSON.parse(text) : yaml.load(text);
+	}
+	catch (e) {
+		throw new Error(`job file ${file} could not be parsed: ${e.message}`);
+	}
+	if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new Error(`job file ${file} must hold an object`);
+
+	doc = interpolate(doc, env, '');
+	const baseDir = path.dirname(filePath);
+	const problems = [];
+
+	unknownKeys(doc, FILE_KEYS, '', problems);
+	const rawSteps = doc.steps === undefined ? [{}] : doc.steps;
+	if (!Array.isArray(rawSteps) || !rawSteps.length) problems.push('steps: must be a non-empty list');
+
+	const steps = (Array.isArray(rawSteps) ? rawSteps : []).map((step, i) => {
+		const at = doc.steps === undefined ? '' : `steps[${i}].`;
+		if (!step || typeof step !== 'object') {
+			problems.push(`steps[${i}]: must be an object`);
+			return null;
+		}
+		if (at) unknownKeys(step, STEP_KEYS, at, problems);
+
+		const creds = { ...(doc.creds || {}), ...(step.creds || {}) };
+		const options = { ...(doc.options || {}), ...(step.options || {}) };
+		const data = step.data !== undefined ? step.data : doc.data;
+		const transform = step.transform !== undefined ? step.transform : doc.transform;
+
+		problems.push(...validateAgainst(creds, 'Creds', `${at}creds`));
+		problems.push(...validateAgainst(options, 'Options', `${at}options`));
+		if ('transformFunc' in options) problems.push(`${at}options.transformFunc: functions can't live in a job file; use \`transform: ./module.js\``);
+
+		return {
+			name: String(step.name || (doc.steps === undefined ? doc.name : '') || `step ${i + 1}`),
+			creds,
+			data: resolveData(data, baseDir),
+			options,
+			transform
+		};
+	});
+
+	if (problems.length) throw new Error(`job file ${file} is invalid:\n  - ${problems.join('\n  - ')}`);
+
+	return {
+		name: String(doc.name || path.basename(filePath)),
+		file: filePath,
+		steps: steps.map(({ transform, ...step }) => {
+			if (transform) step.options.transformFunc = loadTransform(transform, baseDir);
+			return step;
+		})
+	};
+}
+
+/**
+ * run every step of a job file in order; a failing step stops the run
+ * @param {string} file
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Promise<{ name: string, file: string, steps: Array<import('../index.d.ts').ImportResults & { step: string }> }>}
+ */
+async function runJobFile(file, env = process.env) {
+	const job = loadJobFile(file, env);
+	const main = getMain();
+	const results = [];
+	for (const step of job.steps) {
+		if (step.options.verbose) console.log(`\n▶ ${job.name}: ${step.name}\n`);
+		const summary = await main(step.creds, step.data, step.options);
+		results.push({ step: step.name, ...summary });
+	}
+	return { name: job.name, file: job.file, steps: results };
+}
+
+/*
+----
+INTERPOLATION
+----
+*/
+
+/**
+ * replace ${VAR} / ${VAR:-default} in every string of a parsed document
+ * @param {any} value
+ * @param {NodeJS.ProcessEnv} env
+ * @param {string} at - where we are, for errors
+ * @returns {any}
+ */
+function interpolate(value, env, at) {
+	if (typeof value === 'string') {
+		return value.replace(/\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+			if (match.startsWith('$$')) return match.slice(1);
+			if (env[name] !== undefined) return env[name];
+			if (fallback !== undefined) return fallback;
+			throw new Error(`job file: ${at || 'value'} uses \${${name}}, which is not set`);
+		});
+	}
+	if (Array.isArray(value)) return value.map((item, i) => interpolate(item, env, `${at}[${i}]`));
+	if (value && typeof value === 'object') {
+		const out = {};
+		for (const key in value) out[key] = interpolate(value[key], env, at ? `${at}.${key}` : key);
+		return out;
+	}
+	return value;
+}
+
+/*
+----
+VALIDATION
+----
+*/
+
+/** @type {Map<string, Map<string, string>>} type name -> member -> declared type */
+const DECLARED = new Map();
+
+/**
+ * problems with `value` as an instance of a `type X = { ... }` from index.d.ts
+ * @param {Object} value
+ * @param {string} typeName - e.g. Options, Creds
+ * @param {string} at
+ * @returns {string[]}
+ */
+function validateAgainst(value, typeName, at) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${at}: must be an object`];
+	const members = declaredMembers(typeName);
+	const problems = [];
+	for (const key in value) {
+		const declared = members.get(key);
+		if (!declared) {
+			const close = closest(key, [...members.keys()]);
+			problems.push(`${at}.${key}: not a known ${typeName} key${close ? ` (did you mean ${close}?)` : ''}`);
+			continue;
+		}
+		if (key === 'transformFunc') continue;
+		const problem = checkType(value[key], declared);
+		if (problem) problems.push(`${at}.${key}: ${problem}`);
+	}
+	return problems;
+}
+
+/**
+ * why `value` doesn't fit a declared type, or '' when it does (or when the type is too rich to check)
+ * @param {any} value
+ * @param {string} declared - the type text from index.d.ts
+ * @returns {string}
+ */
+function checkType(value, declared) {
+	if (value === null || value === undefined) return '';
+	// `string | ((record) => ...)` still takes the string
+	const alternatives = splitUnion(declared).filter(alt => !(/^\(/.test(alt) && /=>/.test(alt)));
+	if (!alternatives.length) return 'functions can\'t live in a job file';
+	const literals = [];
+	const kinds = new Set();
+	for (const alt of alternatives) {
+		const aliased = aliasLiterals(alt);
+		if (/^(".*"|'.*')$/.test(alt)) literals.push(...stringLiterals(alt));
+		if (/^(string|".*"|'.*')$/.test(alt)) kinds.add('string');
+		else if (/^(number|-?\d+(\.\d+)?)$/.test(alt)) kinds.add('number');
+		else if (/^(boolean|true|false)$/.test(alt)) kinds.add('boolean');
+		else if (/\[\]$|^Array</.test(alt)) kinds.add('array');
+		else if (/^(any|unknown|Any)$/.test(alt)) return '';
+		else if (aliased.length) {
+			literals.push(...aliased);
+			kinds.add('string');
+		}
+		else kinds.add('object');
+	}
+
+	const kind = Array.isArray(value) ? 'array' : typeof value;
+	if (!kinds.has(kind)) return `expected ${[...kinds].join(' or ')}, got ${kind}`;
+	// strings restricted to a union of literals (RecordType, Regions, ...) must be one of them
+	if (kind === 'string' && literals.length && !alternatives.includes('string')) {
+		if (!literals.some(l => l.toLowerCase() === value.toLowerCase())) return `expected one of ${literals.join(', ')}; got "${value}"`;
+	}
+	return '';
+}
+
+/**
+ * member name -> type text for a `type Name = { ... }` in index.d.ts (top-level members only)
+ * @param {string} typeName
+ * @returns {Map<string, string>}
+ */
+function declaredMembers(typeName) {
+	if (DECLARED.has(typeName)) return DECLARED.get(typeName);
+	const source = declarations();
+	const start = source.search(new RegExp(`\\btype ${typeName} = \\{`));
+	const members = new Map();
+	if (start >= 0) {
+		let depth = 0;
+		for (const line of source.slice(start).split('\n')) {
+			const trimmed = line.trim();
+			const isComment = /^(\/\/|\/\*|\*)/.test(trimmed);
+			const member = depth === 1 && !isComment && trimmed.match(/^["']?([\w$]+)["']?\??\s*:\s*(.*?);?$/);
+			if (member) members.set(member[1], member[2]);
+			if (!isComment) depth += (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+			if (depth <= 0 && line.includes('}')) break;
+		}
+	}
+	DECLARED.set(typeName, members);
+	return members;
+}
+
+/**
+ * string literals of a `type Alias = | "a" | "b";` declared in index.d.ts
+ * @param {string} alias
+ * @returns {string[]}
+ */
+function aliasLiterals(alias) {
+	if (!/^[A-Za-z_]\w*$/.test(alias)) return [];
+	const match = declarations().match(new RegExp(`\\btype ${alias} =([^;{]*);`));
+	if (!match) return [];
+	const alternatives = splitUnion(match[1].replace(/\s+/g, ' '));
+	return alternatives.every(alt => /^".*"$|^'.*'$/.test(alt)) ? stringLiterals(match[1]) : [];
+}
+
+/** @type {string} */
+let SOURCE;
+function declarations() {
+	if (SOURCE === undefined) SOURCE = fs.readFileSync(path.resolve(__dirname, '../index.d.ts'), 'utf8');
+	return SOURCE;
+}
+
+/**
+ * @param {string} type
+ * @returns {string[]}
+ */
+function splitUnion(type) {
+	const parts = [];
+	let depth = 0;
+	let current = '';
+	// past a top-level =>, the rest is the function's return type
+	let arrow = false;
+	for (const char of type) {
+		if ('<({['.includes(char)) depth++;
+		if (char === '>' && current.endsWith('=')) {
+			if (depth === 0) arrow = true;
+		}
+		else if ('>)}]'.includes(char)) depth--;
+		if (char === '|' && depth === 0 && !arrow) {
+			parts.push(current);
+			current = '';
+		}
+		else current += char;
+	}
+	parts.push(current);
+	return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} type
+ * @returns {string[]}
+ */
+function stringLiterals(type) {
+	return [...type.matchAll(/"([^"]*)"|'([^']*)'/g)].map(m => m[1] ?? m[2]);
+}
+
+/**
+ * @param {Object} value
+ * @param {string[]} allowed
+ * @param {string} at
+ * @param {string[]} problems
+ */
+function unknownKeys(value, allowed, at, problems) {
+	for (const key in value) {
+		if (!allowed.includes(key)) {
+			const close = closest(key, allowed);
+			problems.push(`${at}${key}: not a job file key${close ? ` (did you mean ${close}?)` : ` (expected ${allowed.join(', ')})`}`);
+		}
+	}
+}
+
+/**
+ * the nearest candidate by edit distance, if it's near enough to be a typo
+ * @param {string} word
+ * @param {string[]} candidates
+ */
+function closest(word, candidates) {
+	let best = '';
+	let bestDistance = Infinity;
+	for (const candidate of candidates) {
+		const distance = editDistance(word.toLowerCase(), candidate.toLowerCase());
+		if (distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+	return bestDistance <= Math.max(2, Math.floor(word.length / 4)) ? best : '';
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ */
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * local data paths are relative to the job file; cloud urls and inline records pass through
+ * @param {any} data
+ * @param {string} baseDir
+ */
+function resolveData(data, baseDir) {
+	const resolveOne = (item) => typeof item === 'string' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(item) ? path.resolve(baseDir, item) : item;
+	if (typeof data === 'string') return resolveOne(data);
+	if (Array.isArray(data) && data.every(item => typeof item === 'string')) return data.map(resolveOne);
+	return data;
+}
+
+/**
+ * require a transform module: `./file.js` (its export, or its `transform` / `default`) or `./file.js#name`
+ * @param {string} spec
+ * @param {string} baseDir
+ * @returns {Function}
+ */
+function loadTransform(spec, baseDir) {
+	const [modulePath, exportName] = String(spec).split('#');
+	const loaded = require(path.resolve(baseDir, modulePath));
+	const transform = exportName ? loaded?.[exportName] : typeof loaded === 'function' ? loaded : loaded?.transform || loaded?.default;
+	if (typeof transform !== 'function') throw new Error(`job file: transform ${spec} does not export a function`);
+	return transform;
+}
+
+module.exports = {
+	loadJobFile,
+	runJobFile,
+	validateAgainst
+};
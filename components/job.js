@@ -10,6 +10,17 @@ const { mParticleEventsToMixpanel, mParticleUserToMixpanel, mParticleGroupToMixp
 const { postHogEventsToMp, postHogPersonToMpProfile } = require('../vendor/posthog.js');
 const { mixpanelEventsToMixpanel } = require('../vendor/mixpanel.js');
 const { juneEventsToMp, juneUserToMp, juneGroupToMp } = require('../vendor/june.js');
+const { adobeEventsToMp, adobeLookupMaps } = require('../vendor/adobe.js');
+const { pendoEventsToMp, pendoUserToMp, pendoGroupToMp } = require('../vendor/pendo.js');
+const { segmentEventsToMp, segmentUserToMp, segmentGroupToMp } = require('../vendor/segment.js');
+const { CheckpointLedger } = require('./checkpoint.js');
+const { scdColumnSpecs } = require('./scd.js');
+const { OUTPUT_FORMATS } = require('./output-format.js');
+const { WINDOW_SIZES } = require('./export-windows.js');
+const { ImportLedger } = require('./verify.js');
+const { loadPlugins } = require('./plugins.js');
+const { validateSelection } = require('./file-selection.js');
+const { FILE_COMPLETE_ACTIONS, FileArchiver } = require('./archive.js');
 
 // Lazy load to avoid circular dependency: parsers.js → validators.js → job.js → parsers.js
 let _buildMapFromPath = null;
@@ -131,6 +142,8 @@ class Job {
 
 		/** @type {string} lookup table id */
 		this.lookupTableId = safeCreds.lookupTableId || ``;
+		/** @type {string} lookup table column that must be present and unique; defaults to the first column */
+		this.lookupKey = opts.lookupKey || '';
 
 		/** @type {string} group key id */
 		this.groupKey = safeCreds.groupKey || (opts.groupKey ? String(opts.groupKey) : '') || ``;
@@ -173,6 +186,20 @@ class Job {
 
 		/** @type {string} scd prop id */
 		this.scdPropId = opts.scdPropId || '';
+
+		/** @type {import('./scd.js').SCDColumn[]} tracked columns for snapshot / history SCD (empty = one scdKey per record) */
+		this.scdColumns = scdColumnSpecs(parse(opts.scdColumns, opts.scdColumns), this.scdType);
+		/** @type {"snapshot" | "history"} */
+		this.scdSource = opts.scdSource === 'history' ? 'history' : 'snapshot';
+		this.scdTimeKey = opts.scdTimeKey || 'snapshot_date'; // snapshot rows: when the snapshot was taken
+		this.scdValidFrom = opts.scdValidFrom || 'valid_from'; // history rows: when the version started
+		this.scdValidTo = opts.scdValidTo || 'valid_to'; // history rows: when it ended (empty = current)
+		this.scdUserKey = opts.scdUserKey || ''; // '' = distinct_id, $distinct_id or user_id
+		/** @type {string[]} columns that make a row a group; defaults to groupKey */
+		/** @type {string[] | string} */
+		const scdGroupKeys = parse(opts.scdGroupKeys, opts.scdGroupKeys);
+		if (typeof scdGroupKeys === 'string') this.scdGroupKeys = scdGroupKeys.split(',').map(key => key.trim()).filter(Boolean);
+		else this.scdGroupKeys = scdGroupKeys || (opts.groupKey ? [String(opts.groupKey)] : []);
 		/** @type {string} transport mechanism to use for sending data (default: undici for better performance) */
 		this.transport = opts.transport || 'undici';
 
@@ -191,6 +218,33 @@ class Job {
 		/** @type {string} AWS S3 region for S3 operations */
 		this.s3Region = opts.s3Region || safeCreds.s3Region || '';
 
+		/** @type {string} S3-compatible endpoint (MinIO, R2, Ceph, ...); see components/s3-client.js */
+		this.s3Endpoint = opts.s3Endpoint || safeCreds.s3Endpoint || '';
+
+		/** @type {boolean | undefined} path-style bucket addressing; defaults on when s3Endpoint is set */
+		this.s3ForcePathStyle = u.isNil(opts.s3ForcePathStyle) ? undefined : parse(opts.s3ForcePathStyle, opts.s3ForcePathStyle);
+
+		/** @type {string} session token for temporary S3 credentials (with s3Key / s3Secret) */
+		this.s3SessionToken = opts.s3SessionToken || safeCreds.s3SessionToken || '';
+
+		/** @type {string} named profile from the shared AWS config files, used when s3Key / s3Secret aren't set */
+		this.s3Profile = opts.s3Profile || safeCreds.s3Profile || '';
+
+		/** @type {string} Azure Storage connection string (falls back to AZURE_STORAGE_CONNECTION_STRING); see components/azure-blob.js */
+		this.azureConnectionString = opts.azureConnectionString || safeCreds.azureConnectionString || '';
+
+		/** @type {string} Azure storage account name, used with azureKey or azureSasToken */
+		this.azureAccount = opts.azureAccount || safeCreds.azureAccount || '';
+
+		/** @type {string} Azure storage account key */
+		this.azureKey = opts.azureKey || safeCreds.azureKey || '';
+
+		/** @type {string} Azure SAS token (with or without the leading ?) */
+		this.azureSasToken = opts.azureSasToken || safeCreds.azureSasToken || '';
+
+		/** @type {string} blob service url when it isn't https://<account>.blob.core.windows.net (e.g. Azurite) */
+		this.azureEndpoint = opts.azureEndpoint || safeCreds.azureEndpoint || '';
+
 		this.dimensionMaps = opts.dimensionMaps || []; //dimension map for scd
 		this.maxRecords = opts.maxRecords !== undefined ? opts.maxRecords : null; //maximum records to process before stopping stream
 		this.heavyObjects = opts.heavyObjects || {}; //used to store heavy objects
@@ -214,6 +268,10 @@ class Job {
 		if (opts.whereClause) {
 			this.whereClause = opts.whereClause;
 		}
+		// day or hour windows fetched in parallel (see components/export-windows.js); unset is one request
+		this.exportWindow = opts.exportWindow || null;
+		if (this.exportWindow && !WINDOW_SIZES.includes(this.exportWindow)) throw new Error(`exportWindow must be one of ${WINDOW_SIZES.join(', ')}; got "${this.exportWindow}"`);
+		this.exportManifest = opts.exportManifest || null; //JSON file of finished windows; a rerun only fetches the rest
 
 		// ? arbitrary export params
 		this.params = opts.params || {};
@@ -234,6 +292,19 @@ class Job {
 			this.end = dayjs().format(dateFormat);
 		}
 
+		// ? which files a folder, prefix or pattern reads (see components/file-selection.js); {YYYY}/{MM}/{DD}/{HH} in a path expand from start to end
+		validateSelection(opts);
+		/** @type {string | string[] | null} */
+		this.include = parse(opts.include, opts.include) || null; //globs a listed file's relative path must match
+		/** @type {string | string[] | null} */
+		this.exclude = parse(opts.exclude, opts.exclude) || null; //globs that drop a listed file
+		this.modifiedAfter = opts.modifiedAfter || null; //only files last modified at or after this
+		this.modifiedBefore = opts.modifiedBefore || null; //only files last modified before this
+		/** @type {string[] | null} */
+		this.selectedFiles = null; //the files a folder / prefix / pattern resolved to, set by the parsers
+		/** @type {Array<string | null> | null} */
+		this.selectionRoots = null; //the folder / prefix each source was listed under, set with selectedFiles
+
 		if (opts.cohortId) {
 			try {
 				if (typeof opts.cohortId === 'string') this.cohort_id = parseInt(opts.cohortId);
@@ -265,6 +336,18 @@ class Job {
 		this.secondRegion = opts.secondRegion || ''; // US or EU or IN; used for exports => import
 		/** @type {import('../index.d.ts').Vendors} */
 		this.vendor = opts.vendor || ''; // heap or amplitude
+		// ? where API calls go: a custom host (reverse proxy, --mock-server) and/or per-recordType urls;
+		// `endpoints` is shorthand for either (a base url string, or { [recordType]: url })
+		const endpoints = opts.endpoints ? parse(opts.endpoints, opts.endpoints) : null;
+		/** @type {string} base url every API call is re-rooted on (paths are kept) */
+		this.apiHost = opts.apiHost || (typeof endpoints === 'string' ? endpoints : '');
+		/** @type {Object<string, string>} full urls by recordType; win over apiHost */
+		this.endpointOverrides = parse(opts.endpointOverrides, {}) || (endpoints && typeof endpoints === 'object' ? endpoints : {});
+		if (this.apiHost || Object.keys(this.endpointOverrides).length) {
+			this.endpoints = overrideEndpoints(this.endpoints, this.apiHost, this.endpointOverrides);
+		}
+		/** @type {string | boolean} outbound proxy url; unset = HTTPS_PROXY / HTTP_PROXY, false = never */
+		this.proxy = u.isNil(opts.proxy) ? '' : opts.proxy;
 
 		// ? number options
 		this.recordsPerBatch = opts.recordsPerBatch || 2000; // records in each req; max 2000 (200 for groups)
@@ -316,6 +399,20 @@ class Job {
 		this.createProfiles = u.isNil(opts.createProfiles) ? false : opts.createProfiles; //remove duplicate records
 		this.dryRun = u.isNil(opts.dryRun) ? false : opts.dryRun; //don't actually send data
 
+		// ? fan-out: one stream, several projects (see components/routes.js); read by resolveProjInfo, so set before auth
+		/** @type {string | ((record: Object) => any) | null} */
+		this.routeBy = opts.routeBy || null; //a property holding the tenant, or a function returning creds (or a key of routes)
+		/** @type {Object<string, import('../index.d.ts').RouteCreds>} */
+		this.routes = parse(opts.routes, opts.routes) || {}; //tenant → creds
+		/** @type {import('./routes.js').Router | null} */
+		this.router = null; //created by the batcher
+		if (this.routeBy) {
+			if (!['event', 'user', 'group'].includes(this.recordType)) throw new Error(`routeBy works for event, user and group imports; got ${this.recordType}`);
+			if (typeof this.routeBy === 'string' && !Object.keys(this.routes).length) throw new Error('routeBy needs routes: { [tenant]: creds }');
+			if (opts.checkpointPath) throw new Error('routeBy is incompatible with checkpointPath (each route batches on its own, so acks no longer follow file order)');
+			if (opts.verify) throw new Error('verify reads back a single project; it can\'t be combined with routeBy');
+		}
+
 		/** @type {string} resolved authentication info - MUST be set after dryRun to allow empty auth for previews */
 		this.auth = this.resolveProjInfo();
 
@@ -345,18 +442,88 @@ class Job {
 		this.cloudReadIdleTimeout = u.isNil(opts.cloudReadIdleTimeout) ? 120000 : opts.cloudReadIdleTimeout; //abort a cloud read after N ms with zero bytes (0 = disable)
 		this.cloudReadRequestTimeout = u.isNil(opts.cloudReadRequestTimeout) ? 0 : opts.cloudReadRequestTimeout; //GCS createReadStream request timeout (0 = client default)
 
-		// Best-effort stall resume for GCS reads (see components/resilient-source.js):
+		// Best-effort stall resume for GCS and Azure reads (see components/resilient-source.js):
 		// reopen the object at the last-received compressed byte offset via a range
 		// read; on any uncertainty, fall back to failing the job exactly as today.
-		this.resumeOnStall = u.isNil(opts.resumeOnStall) ? false : opts.resumeOnStall; //attempt GCS range-read resume on stalled/reset reads (JSON/JSONL only)
+		this.resumeOnStall = u.isNil(opts.resumeOnStall) ? false : opts.resumeOnStall; //attempt range-read resume on stalled/reset reads (GCS: JSON/JSONL only; Azure: any format)
 		this.cloudResumeAttempts = u.isNil(opts.cloudResumeAttempts) ? 3 : opts.cloudResumeAttempts; //max consecutive no-progress resume attempts per file
 		this.cloudRetryBackoffMs = u.isNil(opts.cloudRetryBackoffMs) ? 1000 : opts.cloudRetryBackoffMs; //base backoff for cloud open-retry + resume attempts
 		this.cloudStreamCallback = opts.cloudStreamCallback || null; //optional callback for cloud stream lifecycle events (stall/resume-attempt/resume-success/resume-fail/file-skip-missing/open-retry)
 
+		// Durable checkpoint ledger for file sources (see components/checkpoint.js):
+		// per-file acknowledged records + byte offsets, so a later run can resume.
+		this.checkpointPath = opts.checkpointPath || null; //where to persist the ledger (local JSON file)
+		this.resume = u.isNil(opts.resume) ? false : opts.resume; //skip completed files + seek past acknowledged offsets
+		/** @type {CheckpointLedger | null} */
+		this.checkpoint = null; //created in init()
+		if (this.resume && !this.checkpointPath) throw new Error('resume requires checkpointPath');
+		if (this.resume && opts.identityReplay) throw new Error('resume is incompatible with identityReplay (the identity graph needs the whole stream)');
+
+		// ? move / delete / tag each source file once all its batches are acknowledged (see components/archive.js)
+		this.onFileComplete = opts.onFileComplete || null; //"move", "delete" or "tag"
+		this.archivePrefix = opts.archivePrefix || null; //where "move" puts files: a folder, or a url / key prefix for cloud files
+		/** @type {FileArchiver | null} */
+		this.archiver = null; //created in init()
+		if (this.onFileComplete) {
+			if (!FILE_COMPLETE_ACTIONS.includes(this.onFileComplete)) throw new Error(`onFileComplete must be one of ${FILE_COMPLETE_ACTIONS.join(', ')}; got "${this.onFileComplete}"`);
+			if (this.onFileComplete === 'move' && !this.archivePrefix) throw new Error('onFileComplete "move" needs archivePrefix');
+			if (opts.routeBy) throw new Error('onFileComplete is incompatible with routeBy (each route batches on its own, so batches no longer map back to files)');
+			if (opts.sessionize) throw new Error('onFileComplete is incompatible with sessionize (events are reordered, so batches no longer map back to files)');
+			if (opts.destinationOnly || opts.writeToFile) throw new Error('onFileComplete waits for Mixpanel to acknowledge each batch; it can\'t be combined with destinationOnly or writeToFile');
+		}
+
 		// ? destination options for writing output
-		this.destination = opts.destination || null; //path to write output (local file or gs://bucket/path or s3://bucket/path)
+		this.destination = opts.destination || null; //path to write output (local file or gs://bucket/path, s3://bucket/path or az://container/path)
 		this.destinationOnly = u.isNil(opts.destinationOnly) ? false : opts.destinationOnly; //skip Mixpanel, only write to destination
 		this.fastMode = u.isNil(opts.fastMode) ? false : opts.fastMode; //skip all transformations for pre-processed data
+		this.outputFormat = opts.outputFormat || 'ndjson'; //ndjson, csv or parquet for exports and destination (see components/output-format.js)
+		this.rowsPerPart = opts.rowsPerPart || 100_000; //csv / parquet: rows per part file
+		if (!OUTPUT_FORMATS.includes(this.outputFormat)) throw new Error(`outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}; got "${this.outputFormat}"`);
+		// hive partitions for exports and destination: "date", "event" or a property (see components/partitions.js)
+		const partitionBy = parse(opts.partitionBy, opts.partitionBy);
+		if (typeof partitionBy === 'string') this.partitionBy = partitionBy.split(',').map(key => key.trim()).filter(Boolean);
+		else this.partitionBy = partitionBy || [];
+		this.partitionFileBytes = opts.partitionFileBytes || 128 * 1024 * 1024; //roll a partition's part file after this much NDJSON
+
+		// ? dead letter: rejected records streamed to JSONL (see components/dead-letter.js)
+		this.deadLetter = opts.deadLetter || null; //where to write rejected records (local path, gs://, or s3://)
+		this.replayDeadLetter = opts.replayDeadLetter || null; //a dead-letter file to re-import (its records are unwrapped first)
+		/** @type {import('stream').Writable | null} */
+		this.deadLetterStream = null; //opened by the pipeline
+		if (this.deadLetter && this.deadLetter === this.replayDeadLetter) throw new Error('deadLetter and replayDeadLetter must be different paths');
+
+		// ? rate control: AIMD concurrency under `workers` + a records/sec ceiling (see components/rate-control.js)
+		this.adaptiveConcurrency = u.isNil(opts.adaptiveConcurrency) ? false : opts.adaptiveConcurrency; //back off on 429/5xx, ramp up while latency is healthy
+		this.maxEventsPerSecond = Number(opts.maxEventsPerSecond) || null; //never send faster than this many records per second
+		this.latencyTarget = Number(opts.latencyTarget) || 2500; //p95 request latency (ms) under which concurrency may grow
+		/** @type {import('./rate-control.js').RateController | null} */
+		this.rateControl = null; //created by the http sender
+
+		// ? verify: read an event import back through the export API (see components/verify.js)
+		this.verify = u.isNil(opts.verify) ? false : opts.verify; //compare per-day, per-event counts and sampled $insert_ids with the destination
+		this.verifyLagMs = u.isNil(opts.verifyLagMs) ? 120000 : Number(opts.verifyLagMs); //keep re-reading this long while events are missing; 0 checks once
+		this.verifySample = u.isNil(opts.verifySample) ? 100 : Number(opts.verifySample); //$insert_ids to look up
+		/** @type {ImportLedger | null} */
+		this.ledger = null; //created in init()
+		/** @type {import('../index.d.ts').VerificationReport | null} */
+		this.verification = null; //set once the import is done
+
+		// ? sessionize: $session_id + Session Start / Session End events per distinct_id (see components/sessionize.js)
+		this.sessionize = u.isNil(opts.sessionize) ? false : opts.sessionize;
+		this.sessionTimeoutMs = u.isNil(opts.sessionTimeoutMs) ? 30 * 60 * 1000 : Number(opts.sessionTimeoutMs); //inactivity that ends a session
+		this.sessionWindowMs = u.isNil(opts.sessionWindowMs) ? 10 * 60 * 1000 : Number(opts.sessionWindowMs); //how far out of order events may arrive and still be put back in order
+		this.sessionBufferSize = u.isNil(opts.sessionBufferSize) ? 100000 : Number(opts.sessionBufferSize); //events held in memory (window) or per sorted run (spill)
+		this.sessionSpill = u.isNil(opts.sessionSpill) ? false : opts.sessionSpill; //sort the whole input on disk instead of windowing
+		this.sessionSpillDir = opts.sessionSpillDir || null; //where sorted runs go; default os.tmpdir()
+		/** @type {import('../index.d.ts').SessionStats | null} */
+		this.sessionStats = null; //set by the sessionize stage
+		if (this.sessionize) {
+			if (this.recordType !== 'event') throw new Error(`sessionize works for event imports; got ${this.recordType}`);
+			if (this.fastMode) throw new Error('sessionize is incompatible with fastMode');
+			if (opts.checkpointPath) throw new Error('sessionize is incompatible with checkpointPath (events are reordered, so acks no longer follow file order)');
+			if (!(this.sessionTimeoutMs > 0)) throw new Error('sessionTimeoutMs must be a positive number of milliseconds');
+			if (!(this.sessionBufferSize > 0)) throw new Error('sessionBufferSize must be a positive number');
+		}
 
 		this.v2_compat = u.isNil(opts.v2_compat) ? false : opts.v2_compat; //automatically set distinct_id from $user_id or $device_id (events only)
 
@@ -405,6 +572,15 @@ class Job {
 
 		// ? transform options
 		this.transformFunc = opts.transformFunc || null;
+		// plugin modules chained after transformFunc (see components/plugins.js): paths, package names or plugin objects
+		/** @type {Array<string | import('../index.d.ts').TransformPlugin>} */
+		this.plugins = [opts.plugins || []].flat().filter(Boolean);
+		/** @type {import('./plugins.js').LoadedPlugin[]} */
+		this.loadedPlugins = []; //resolved and init()ed in init()
+		if (this.plugins.length) {
+			if (opts.checkpointPath) throw new Error('plugins are incompatible with checkpointPath (a plugin can hold records and emit them later, so acks no longer follow file order)');
+			if (opts.onFileComplete) throw new Error('plugins are incompatible with onFileComplete (a plugin can hold records and emit them later, so batches no longer map back to files)');
+		}
 		this.vendorTransform = null;
 		this.ezTransform = noop;
 		this.nullRemover = noop;
@@ -435,7 +611,7 @@ class Job {
 		if (this.flattenData) this.flattener = transforms.flattenProperties(".");
 		if (this.addToken) this.tokenAdder = transforms.addToken(this);
 		if (this.v2_compat && this.recordType === 'event') this.v2CompatTransform = transforms.setDistinctIdFromV2Props();
-		if (this.recordType === 'scd') this.scdTransform = transforms.scdTransform(this);
+		if (this.recordType === 'scd' && !this.scdColumns.length) this.scdTransform = transforms.scdTransform(this);
 		if (this.recordType === 'event' && this.fixTime) this.timeTransform = transforms.fixTime();
 		if (this.matchMixpanelDefaults) this.mixpanelDefaultsMatcher = transforms.matchMixpanelDefaults(this);
 
@@ -485,7 +661,7 @@ class Job {
 		// Pre-compute active transforms for performance
 		this.activeTransforms = [];
 		if (this.shouldApplyAliases) this.activeTransforms.push({ name: 'applyAliases', fn: this.applyAliases });
-		if (this.recordType === "scd") this.activeTransforms.push({ name: 'scdTransform', fn: this.scdTransform, mutates: false });
+		if (this.recordType === "scd" && !this.scdColumns.length) this.activeTransforms.push({ name: 'scdTransform', fn: this.scdTransform, mutates: false });
 		if (this.fixData) this.activeTransforms.push({ name: 'ezTransform', fn: this.ezTransform, mutates: false });
 		if (this.matchMixpanelDefaults) this.activeTransforms.push({ name: 'matchMixpanelDefaults', fn: this.mixpanelDefaultsMatcher, mutates: false });
 		if (this.v2_compat) this.activeTransforms.push({ name: 'v2CompatTransform', fn: this.v2CompatTransform, mutates: false });
@@ -524,6 +700,7 @@ class Job {
 		this.batchLengths = [];
 		this.lastBatchLength = 0;
 		this.unparsable = 0;
+		this.deadLettered = 0;
 
 		// Cloud read resilience telemetry (mutated by components/resilient-source.js
 		// and the multi-file cloud loops in components/parsers.js).
@@ -586,13 +763,16 @@ class Job {
 			this.reqMethod = 'PUT';
 			this.contentType = 'text/csv';
 			this.fixData = false;
+			// rows are flat: keep only the transforms that don't assume an event / profile shape
+			this.activeTransforms = this.activeTransforms.filter(t => ['applyAliases', 'propertyScrubber', 'columnDropper'].includes(t.name));
 		}
 
 		// ? headers for exports
 		if (this.recordType === "export") {
 			this.reqMethod = 'GET';
 		}
-		this.file = "";
+		/** @type {string | string[]} */
+		this.file = ""; //export output: a file, or the part files for csv / parquet
 		this.folder = "";
 
 
@@ -621,7 +801,8 @@ class Job {
 			"profile-export": `https://mixpanel.com/api/2.0/engage`,
 			"export-import-event": `https://data.mixpanel.com/api/2.0/export`,
 			"export-import-profile": `https://mixpanel.com/api/2.0/engage`,
-			"export-import-group": `https://mixpanel.com/api/2.0/engage`
+			"export-import-group": `https://mixpanel.com/api/2.0/engage`,
+			annotations: `https://mixpanel.com/api/app/projects`
 		},
 		eu: {
 			event: `https://api-eu.mixpanel.com/import`,
@@ -633,7 +814,8 @@ class Job {
 			"profile-export": `https://eu.mixpanel.com/api/2.0/engage`,
 			"export-import-event": `https://data-eu.mixpanel.com/api/2.0/export`,
 			"export-import-profile": `https://eu.mixpanel.com/api/2.0/engage`,
-			"export-import-group": `https://eu.mixpanel.com/api/2.0/engage`
+			"export-import-group": `https://eu.mixpanel.com/api/2.0/engage`,
+			annotations: `https://mixpanel.com/api/app/projects`
 		},
 		in: {
 			event: `https://api-in.mixpanel.com/import`,
@@ -645,7 +827,8 @@ class Job {
 			"profile-export": `https://in.mixpanel.com/api/2.0/engage`,
 			"export-import-event": `https://data-in.mixpanel.com/api/2.0/export`,
 			"export-import-profile": `https://in.mixpanel.com/api/2.0/engage`,
-			"export-import-group": `https://in.mixpanel.com/api/2.0/engage`
+			"export-import-group": `https://in.mixpanel.com/api/2.0/engage`,
+			annotations: `https://mixpanel.com/api/app/projects`
 		}
 
 	};
@@ -693,9 +876,34 @@ class Job {
 	// ? methods
 
 	async init() {
+		// adobe data feeds ship their lookup files (browser.tsv, event.tsv, ...) in one folder
+		if (this.vendor?.toLowerCase() === 'adobe' && this.vendorOpts.lookup_dir) {
+			this.dimensionMaps = [...this.dimensionMaps, ...adobeLookupMaps(this.vendorOpts.lookup_dir)];
+		}
+
 		// await job.insertHeavyObjects(job.dimensionMaps)
 		await this.insertHeavyObjects();
 
+		// plugins get heavyObjects, so they load after them
+		if (this.plugins.length) this.loadedPlugins = await loadPlugins(this.plugins, this);
+
+		// dry runs never touch the ledger: nothing is acknowledged.
+		// archival needs the ledger too; without checkpointPath it stays in memory
+		if (this.onFileComplete && !this.dryRun) this.archiver = new FileArchiver(this);
+		if ((this.checkpointPath || this.archiver) && !this.dryRun) {
+			const { archiver } = this;
+			this.checkpoint = new CheckpointLedger(this.checkpointPath, {
+				resume: this.resume,
+				recordType: this.recordType,
+				onSettled: archiver ? (file, outcome) => archiver.settled(file, outcome) : undefined
+			});
+		}
+
+		// nothing to read back when nothing is sent
+		if (this.verify && !this.dryRun && !this.writeToFile && ['event', 'export-import-event'].includes(this.recordType)) {
+			this.ledger = new ImportLedger(this.verifySample);
+		}
+
 		//setup the vendor transforms
 		if (this.vendor) {
 			let vendorTransformFunc = noop;
@@ -822,6 +1030,57 @@ class Job {
 							break;
 					}
 					break;
+				case 'adobe':
+					switch (recordType) {
+						case 'event':
+							vendorTransformFunc = adobeEventsToMp(this.vendorOpts, this.heavyObjects);
+							break;
+						case 'user':
+						case 'group':
+							throw new Error(`adobe data feeds only contain events (got recordType '${recordType}')`);
+						default:
+							vendorTransformFunc = adobeEventsToMp(this.vendorOpts, this.heavyObjects);
+							break;
+					}
+					break;
+				case 'pendo':
+					switch (recordType) {
+						case 'event':
+							vendorTransformFunc = pendoEventsToMp(this.vendorOpts);
+							break;
+						case 'user':
+							//ALWAYS dedupe visitors for pendo
+							this.dedupe = true;
+							this.deduper = transforms.dedupeRecords(this);
+							vendorTransformFunc = pendoUserToMp(this.vendorOpts);
+							break;
+						case 'group':
+							vendorTransformFunc = pendoGroupToMp(this.vendorOpts);
+							break;
+						default:
+							vendorTransformFunc = pendoEventsToMp(this.vendorOpts);
+							break;
+					}
+					break;
+				case 'segment':
+				case 'rudderstack':
+					switch (recordType) {
+						case 'event':
+							vendorTransformFunc = segmentEventsToMp(this.vendorOpts);
+							break;
+						case 'user':
+							this.dedupe = true;
+							this.deduper = transforms.dedupeRecords(this);
+							vendorTransformFunc = segmentUserToMp(this.vendorOpts);
+							break;
+						case 'group':
+							vendorTransformFunc = segmentGroupToMp(this.vendorOpts);
+							break;
+						default:
+							vendorTransformFunc = segmentEventsToMp(this.vendorOpts);
+							break;
+					}
+					break;
 				default:
 					vendorTransformFunc = noop;
 					break;
@@ -970,6 +1229,9 @@ class Job {
 			return '';
 		}
 
+		// routed imports authenticate per route; the job's own creds are optional
+		if (this.routeBy) return '';
+
 		// For exports, we need either secret or service account
 		const isExport = this.type && this.type.includes('export');
 		if (isExport) {
@@ -1167,6 +1429,25 @@ class Job {
 		// identityReplay telemetry (set by the identity-replay stage at _flush)
 		if (this.identityReplayStats) summary.identityReplay = this.identityReplayStats;
 
+		if (this.checkpoint && this.checkpointPath) summary.checkpoint = this.checkpoint.summary();
+
+		if (this.archiver) summary.archive = this.archiver.summary();
+
+		if (this.deadLetter) summary.deadLetter = { path: this.deadLetter, records: this.deadLettered || 0 };
+
+		if (this.rateControl) summary.rateControl = this.rateControl.summary();
+
+		if (this.verification) summary.verification = this.verification;
+
+		if (this.sessionStats) summary.sessions = this.sessionStats;
+
+		if (this.selectedFiles) summary.files = this.selectedFiles;
+
+		if (this.router) {
+			summary.routes = this.router.summary();
+			summary.unrouted = this.router.unrouted;
+		}
+
 		// stats
 		if (summary.total && summary.duration && summary.requests && summary.bytes) {
 			summary.eps = Math.floor(summary.total / summary.duration * 1000);
@@ -1214,7 +1495,16 @@ class Job {
 				"filesSkippedMissing",
 				"bytesResumed",
 				// identityReplay telemetry
-				"identityReplay"
+				"identityReplay",
+				"checkpoint",
+				"deadLetter",
+				"rateControl",
+				"verification",
+				"routes",
+				"unrouted",
+				"sessions",
+				"files",
+				"archive"
 			];
 			for (const key in summary) {
 				if (!includeOnly.includes(key)) delete summary[key];
@@ -1253,6 +1543,25 @@ function parse(val, defaultVal = []) {
 }
 
 
+/**
+ * re-root every endpoint on a base url (keeping its path), then swap in per-recordType urls
+ * @param {Object<string, Object<string, string>>} endpoints - region -> recordType -> url
+ * @param {string} apiHost - e.g. https://mp-proxy.corp.example (https:// is assumed when omitted)
+ * @param {Object<string, string>} overrides - recordType -> url
+ */
+function overrideEndpoints(endpoints, apiHost, overrides) {
+	const base = apiHost && !/^https?:\/\//i.test(apiHost) ? `https://${apiHost}` : apiHost;
+	const overridden = JSON.parse(JSON.stringify(endpoints));
+	for (const region in endpoints) {
+		for (const recordType in endpoints[region]) {
+			const url = endpoints[region][recordType];
+			if (base) overridden[region][recordType] = base.replace(/\/+$/, '') + new URL(url).pathname;
+			if (overrides[recordType]) overridden[region][recordType] = overrides[recordType];
+		}
+	}
+	return overridden;
+}
+
 // a noop function
 function noop(a) { return a; }
 
@@ -0,0 +1,165 @@
+/*
+----
+LOOKUP TABLES
+----
+recordType: "table" reads its input like any other import (local or cloud CSV,
+JSONL, Parquet, folders, streams, arrays, inline CSV text), runs the usual
+transforms, then uploads one CSV:
+
+- rows are spooled to a temp file as they arrive, so the source is never held
+  in memory; the header is the union of every row's columns, primary key first
+- the primary key is `lookupKey`, or else the first column of the first row;
+  rows with an empty or repeated key are dropped and counted as failed
+- cells are CSV-escaped (quotes, commas, newlines, padding); objects and
+  arrays are written as JSON
+- each PUT replaces the whole table, so a table can't be split across
+  requests: anything over the API's 100MB limit fails before it is sent
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const u = require('ak-tools');
+
+const { flushLookupTable } = require('./importers.js');
+const { reject } = require('./values.js');
+
+/** the lookup table API rejects bodies over 100MB */
+const MAX_TABLE_BYTES = 100 * 1024 * 1024;
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * a sink that validates keys, tracks columns and spools rows to disk
+ * @param {JobConfig} job
+ */
+function createLookupTableWriter(job) {
+	const spoolPath = path.join(os.tmpdir(), `mp-lookup-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.ndjson`);
+	const spool = fs.createWriteStream(spoolPath);
+	/** @type {Set<string>} */
+	const keys = new Set();
+	/** @type {Set<string>} */
+	const columns = new Set();
+	let key = job.lookupKey || '';
+	let rows = 0;
+
+	const writer = new Writable({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		write(row, _encoding, callback) {
+			if (!key) key = Object.keys(row)[0] || '';
+			const value = row[key];
+			const id = value === null || value === undefined ? '' : String(value).trim();
+			if (!id) return reject(job, `missing primary key "${key}"`, row, callback);
+			if (keys.has(id)) return reject(job, `duplicate primary key "${key}": ${id}`, row, callback);
+			keys.add(id);
+			for (const column in row) columns.add(column);
+			rows++;
+			if (spool.write(JSON.stringify(row) + '\n')) callback();
+			else spool.once('drain', () => callback());
+		},
+		final(callback) {
+			spool.end(callback);
+		},
+		destroy(err, callback) {
+			spool.destroy();
+			// a failed pipeline never reaches uploadLookupTable, which cleans up otherwise
+			if (err) fs.rm(spoolPath, { force: true }, () => callback(err));
+			else callback(null);
+		}
+	});
+
+	return Object.assign(writer, {
+		spoolPath,
+		/** rows accepted so far */
+		rows: () => rows,
+		/** header row: the key column, then the rest in order of first appearance */
+		columns: () => (key ? [key, ...[...columns].filter(column => column !== key)] : [...columns]),
+		key: () => key
+	});
+}
+
+/**
+ * serialize the spooled rows and PUT them as the table
+ * @param {ReturnType<typeof createLookupTableWriter>} writer - finished
+ * @param {JobConfig} job
+ * @param {number} [maxBytes]
+ */
+async function uploadLookupTable(writer, job, maxBytes = MAX_TABLE_BYTES) {
+	try {
+		if (!writer.rows()) throw new Error(`lookup table has no rows with a primary key "${writer.key()}"`);
+		const csv = await toCsv(writer.spoolPath, writer.columns(), maxBytes);
+
+		if (job.dryRun) {
+			job.dryRunResults.push(...await readSpool(writer.spoolPath));
+			return null;
+		}
+		if (!job.lookupTableId) throw new Error('lookupTableId is required to import a lookup table');
+		return await flushLookupTable(csv, job, writer.rows());
+	}
+	finally {
+		await fs.promises.rm(writer.spoolPath, { force: true });
+	}
+}
+
+/**
+ * @param {string} spoolPath
+ * @param {string[]} columns
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+async function toCsv(spoolPath, columns, maxBytes) {
+	const lines = [columns.map(csvCell).join(',')];
+	let bytes = Buffer.byteLength(lines[0]) + 1;
+	for await (const row of spoolReader(spoolPath)) {
+		const line = columns.map(column => csvCell(row[column])).join(',');
+		bytes += Buffer.byteLength(line) + 1;
+		if (bytes > maxBytes) {
+			throw new Error(`lookup table is over ${u.bytesHuman(maxBytes)} as CSV; each upload replaces the whole table, so it can't be split across requests`);
+		}
+		lines.push(line);
+	}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * one CSV cell: quoted when it holds quotes, commas, newlines or edge whitespace
+ * @param {any} value
+ * @returns {string}
+ */
+function csvCell(value) {
+	if (value === null || value === undefined) return '';
+	let text;
+	if (value instanceof Date) text = value.toISOString();
+	else if (typeof value === 'object') text = JSON.stringify(value);
+	else text = String(value);
+	return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string} spoolPath
+ */
+async function* spoolReader(spoolPath) {
+	const lines = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+	for await (const line of lines) {
+		if (line) yield JSON.parse(line);
+	}
+}
+
+/**
+ * @param {string} spoolPath
+ */
+async function readSpool(spoolPath) {
+	const rows = [];
+	for await (const row of spoolReader(spoolPath)) rows.push(row);
+	return rows;
+}
+
+module.exports = {
+	createLookupTableWriter,
+	uploadLookupTable,
+	csvCell,
+	MAX_TABLE_BYTES
+};
@@ -9,6 +9,7 @@ const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
 const got = require('got');
 const u = require('ak-tools');
+const { proxyAgents } = require('./proxy.js');
 
 
 
@@ -58,11 +59,11 @@ async function replaceAnnotations(annotations, job) {
 async function getAnnotations(job) {
 	const { project = "", bearer = "" } = job.creds;
 	if (!project || !bearer) throw new Error("missing project or bearer");
-	const url = `https://mixpanel.com/api/app/projects/${project}/annotations`;
+	const url = `${annotationsUrl(job)}/${project}/annotations`;
 	let req, res;
 	try {
 		// @ts-ignore
-		req = await got(url, { ...common, headers: { "Authorization": `Bearer ${bearer}`, method: "GET" } });
+		req = await got(url, { ...common, headers: { "Authorization": `Bearer ${bearer}`, method: "GET" }, agent: proxyAgents(url, job) });
 		res = JSON.parse(req.body);
 		job.dryRunResults = res?.results || [];
 		return res;
@@ -80,11 +81,11 @@ async function getAnnotations(job) {
 async function createAnnotation(payload, job) {
 	const { project = "", bearer = "" } = job.creds;
 	if (!project || !bearer) throw new Error("missing project or bearer");
-	const url = `https://mixpanel.com/api/app/projects/${project}/annotations`;
+	const url = `${annotationsUrl(job)}/${project}/annotations`;
 	let req, res;
 	try {
 		// @ts-ignore
-		req = await got.post(url, { headers: { ...common, "Authorization": `Bearer ${bearer}`, "Content-Type": "application/json" }, body: JSON.stringify(payload) });
+		req = await got.post(url, { headers: { ...common, "Authorization": `Bearer ${bearer}`, "Content-Type": "application/json" }, body: JSON.stringify(payload), agent: proxyAgents(url, job) });
 		res = JSON.parse(req.body);
 		return res;
 
@@ -105,12 +106,12 @@ async function deleteAnnotations(job) {
 	const { results = [] } = annotations;
 	const responses = [];
 	for (const annotation of results) {
-		const url = `https://mixpanel.com/api/app/projects/${project}/annotations/${annotation.id}`;
+		const url = `${annotationsUrl(job)}/${project}/annotations/${annotation.id}`;
 
 		try {
 			// @ts-ignore
 			// const auth = `Basic ${Buffer.from(acct + ':' + secret, 'binary').toString('base64')}`;
-			const req = await got.delete(url, { headers: { ...common, "Authorization": `Bearer ${bearer}`, method: "DELETE" } });
+			const req = await got.delete(url, { headers: { ...common, "Authorization": `Bearer ${bearer}`, method: "DELETE" }, agent: proxyAgents(url, job) });
 			const res = JSON.parse(req.body);
 			responses.push(res);
 
@@ -123,6 +124,14 @@ async function deleteAnnotations(job) {
 	return responses;
 }
 
+/**
+ * the projects api base for the job's region, after any apiHost / endpointOverrides
+ * @param  {Job} job
+ */
+function annotationsUrl(job) {
+	return job.endpoints?.[job.region?.toLowerCase()]?.annotations || 'https://mixpanel.com/api/app/projects';
+}
+
 function handleError(e) {
 	if (u.isJSONStr(e?.response?.body)) {
 		return JSON.parse(e.response.body);
@@ -137,5 +146,6 @@ function handleError(e) {
 module.exports = {
 	replaceAnnotations,
 	getAnnotations,
+	createAnnotation,
 	deleteAnnotations
 };
\ No newline at end of file
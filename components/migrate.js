@@ -0,0 +1,441 @@
+/*
+----
+PROJECT MIGRATION
+----
+`mixpanel-import migrate` (or `mp.migrate(creds, opts)`) copies one project
+into another in a single run, one step after the other:
+
+  events       raw export → /import; `eventRenames` ({ old: new }) and
+               eventWhitelist / eventBlacklist apply to the source's names
+  users        user profiles, engage query → /engage
+  groups       group profiles, one pass per { groupKey, dataGroupId } in
+               `migrateGroups` (no public API lists a project's group keys)
+  tables       lookup tables, downloaded by source id and uploaded to the
+               destination id `lookupTables` maps it to (the API can only
+               replace tables, so each destination table must already exist)
+  annotations  copied unless the destination already has one with the same
+               date and description; needs a bearer token and both project ids
+  parity       events per event per day, source vs destination
+
+The source is the usual creds. The destination imports with secondToken; the
+steps that read from it (tables, annotations, parity) use secondSecret, or the
+same service account with secondProject, and secondBearer (else bearer).
+secondRegion and secondEndpoints point it somewhere else.
+
+A step that fails is recorded in the report and the others still run. Source
+counts for parity are taken as events are copied (after renames and filters);
+destination counts come from a raw export once the copy is done. Mixpanel can
+take a while to make freshly imported events exportable, so a gap right after
+a large copy may close on its own: `migrateSteps: ["parity"]` re-counts both.
+*/
+
+const { Transform, pipeline } = require('stream');
+const got = require('got');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const Job = require('./job.js');
+const { tally } = require('./daily-counts.js');
+const { streamEvents, streamProfiles, getMain } = require('./exporters.js');
+const { getAnnotations, createAnnotation } = require('./meta.js');
+const { proxyAgents } = require('./proxy.js');
+dayjs.extend(utc);
+
+/** every step, in the order they run */
+const MIGRATE_STEPS = ['events', 'users', 'groups', 'tables', 'annotations', 'parity'];
+
+/** @typedef {import('../index.d.ts').Creds} Creds */
+/** @typedef {import('../index.d.ts').Options} Options */
+/** @typedef {import('../index.d.ts').MigrationReport} MigrationReport */
+/** @typedef {import('../index.d.ts').MigrationStep} MigrationStep */
+/** @typedef {{ creds: Creds, opts: Options }} Side */
+/** @typedef {{ renames: Object<string, string>, whitelist: string[], blacklist: string[] }} EventRules */
+/** @typedef {import('./daily-counts.js').DailyCounts} DailyCounts */
+
+/**
+ * copy a project's events, profiles, lookup tables and annotations into another and compare event counts
+ * @param {Creds} creds - the source, plus secondToken / secondProject / secondSecret / secondBearer for the destination
+ * @param {Options} [opts]
+ * @returns {Promise<MigrationReport>}
+ */
+async function migrate(creds, opts = {}) {
+	const steps = list(opts.migrateSteps, MIGRATE_STEPS);
+	const unknown = steps.filter(step => !MIGRATE_STEPS.includes(step));
+	if (unknown.length) throw new Error(`migrateSteps must be from ${MIGRATE_STEPS.join(', ')}; got ${unknown.join(', ')}`);
+
+	const source = { creds: sourceCreds(creds), opts };
+	const destination = { creds: destinationCreds(creds), opts: destinationOpts(opts) };
+	if (!destination.creds.token && steps.some(step => ['events', 'users', 'groups'].includes(step))) {
+		throw new Error('migrate needs secondToken (the destination project\'s token) to import events and profiles');
+	}
+	/** @type {EventRules} */
+	const rules = { renames: object(opts.eventRenames), whitelist: list(opts.eventWhitelist), blacklist: list(opts.eventBlacklist) };
+	/** @type {DailyCounts | null} */
+	const counts = steps.includes('events') ? new Map() : null;
+
+	/** @type {MigrationReport} */
+	const report = {
+		source: String(creds.project || ''),
+		destination: String(creds.secondProject || ''),
+		start: opts.start || null,
+		end: opts.end || null,
+		steps: {},
+		parity: null
+	};
+
+	/** @type {Object<string, () => Promise<MigrationStep>>} */
+	const run = {
+		events: () => copyEvents(source, destination, rules, /** @type {DailyCounts} */ (counts)),
+		users: () => copyProfiles(source, destination),
+		groups: () => copyGroups(source, destination, list(opts.migrateGroups)),
+		tables: () => copyTables(source, destination, object(opts.lookupTables)),
+		annotations: () => copyAnnotations(source, destination)
+	};
+	for (const step of steps) {
+		if (step === 'parity') continue;
+		if (opts.verbose) console.log(`\nmigrate: ${step}`);
+		try {
+			report.steps[step] = await run[step]();
+		}
+		catch (e) {
+			report.steps[step] = { error: e.message };
+		}
+	}
+
+	if (steps.includes('parity')) {
+		if (opts.verbose) console.log('\nmigrate: parity');
+		try {
+			report.parity = await parity(source, destination, rules, counts);
+		}
+		catch (e) {
+			report.parity = { error: e.message };
+		}
+	}
+	return report;
+}
+
+/*
+----
+STEPS
+----
+*/
+
+/**
+ * @param {Side} source
+ * @param {Side} destination
+ * @param {EventRules} rules
+ * @param {DailyCounts} counts - filled with what was sent
+ * @returns {Promise<MigrationStep>}
+ */
+async function copyEvents(source, destination, rules, counts) {
+	const job = new Job(source.creds, { ...source.opts, recordType: 'export' });
+	const renamer = new Transform({
+		objectMode: true,
+		transform(record, _encoding, callback) {
+			const name = renameEvent(record.event, rules);
+			if (name === null) return callback();
+			record.event = name;
+			tally(counts, record);
+			callback(null, record);
+		}
+	});
+	// exported events arrive flat; fixData puts them back in shape
+	const events = pipeline(streamEvents(job), renamer, () => { });
+	const result = await getMain()(destination.creds, events, { ...destination.opts, recordType: 'event', fixData: true });
+	return summarize(result);
+}
+
+/**
+ * @param {Side} source
+ * @param {Side} destination
+ * @param {{ groupKey: string, dataGroupId: string }} [group] - group profiles instead of users
+ * @returns {Promise<MigrationStep>}
+ */
+async function copyProfiles(source, destination, group) {
+	const job = new Job(source.creds, { ...source.opts, recordType: 'export-import-profile', ...(group ? { dataGroupId: group.dataGroupId } : {}) });
+	const creds = group ? { ...destination.creds, groupKey: group.groupKey } : destination.creds;
+	const result = await getMain()(creds, streamProfiles(job), { ...destination.opts, recordType: group ? 'group' : 'user', fixData: true });
+	return summarize(result);
+}
+
+/**
+ * @param {Side} source
+ * @param {Side} destination
+ * @param {Array<{ groupKey: string, dataGroupId: string | number }>} groups
+ * @returns {Promise<MigrationStep>}
+ */
+async function copyGroups(source, destination, groups) {
+	if (!groups.length) return { skipped: 'no migrateGroups ({ groupKey, dataGroupId } per group type)' };
+	const step = { success: 0, failed: 0, groups: [] };
+	for (const { groupKey, dataGroupId } of groups) {
+		if (!groupKey || !dataGroupId) throw new Error('each migrateGroups entry needs a groupKey and a dataGroupId');
+		const result = await copyProfiles(source, destination, { groupKey, dataGroupId: String(dataGroupId) });
+		step.success += result.success || 0;
+		step.failed += result.failed || 0;
+		step.groups.push({ groupKey, dataGroupId: String(dataGroupId), ...result });
+	}
+	return step;
+}
+
+/**
+ * @param {Side} source
+ * @param {Side} destination
+ * @param {Object<string, string>} tables - source table id → destination table id
+ * @returns {Promise<MigrationStep>}
+ */
+async function copyTables(source, destination, tables) {
+	if (!Object.keys(tables).length) return { skipped: 'no lookupTables ({ sourceId: destinationId })' };
+	if (!canRead(destination.creds)) return { skipped: 'replacing lookup tables needs secondSecret, or a service account with secondProject' };
+	const step = { success: 0, failed: 0, tables: [] };
+	for (const [from, to] of Object.entries(tables)) {
+		const job = new Job({ ...source.creds, lookupTableId: from }, { ...source.opts, recordType: 'table' });
+		const url = `${job.url}/download`;
+		/** @type {Object<string, string>} */
+		const searchParams = job.project && job.acct ? { project_id: job.project } : {};
+		const { body: csv } = await got(url, { headers: { Authorization: job.auth }, searchParams, agent: proxyAgents(url, job) });
+		const result = await getMain()({ ...readCreds(destination.creds), lookupTableId: to }, csv, { ...destination.opts, recordType: 'table' });
+		step.success += result.success || 0;
+		step.failed += result.failed || 0;
+		step.tables.push({ source: from, destination: to, rows: result.success || 0 });
+	}
+	return step;
+}
+
+/**
+ * @param {Side} source
+ * @param {Side} destination
+ * @returns {Promise<MigrationStep>}
+ */
+async function copyAnnotations(source, destination) {
+	const { bearer, project } = source.creds;
+	const { bearer: secondBearer, project: secondProject } = destination.creds;
+	if (!bearer || !secondBearer || !project || !secondProject) return { skipped: 'annotations need a bearer token and both project ids' };
+	const from = new Job({ project, bearer }, { ...source.opts, recordType: 'export' });
+	const to = new Job({ project: secondProject, bearer: secondBearer }, { ...destination.opts, recordType: 'export' });
+
+	const key = (annotation) => `${annotation.date}\t${annotation.description}`;
+	const existing = new Set((await readAnnotations(to)).map(key));
+	const step = { success: 0, failed: 0, existing: 0 };
+	for (const annotation of await readAnnotations(from)) {
+		if (existing.has(key(annotation))) {
+			step.existing++;
+			continue;
+		}
+		const res = await createAnnotation({ date: annotation.date, description: annotation.description }, to);
+		if (res instanceof Error || res?.error) step.failed++;
+		else step.success++;
+	}
+	return step;
+}
+
+/**
+ * events per event per day, source vs destination
+ * @param {Side} source
+ * @param {Side} destination
+ * @param {EventRules} rules
+ * @param {DailyCounts | null} copied - source counts from this run's events step
+ * @returns {Promise<import('../index.d.ts').MigrationParity>}
+ */
+async function parity(source, destination, rules, copied) {
+	if (!canRead(destination.creds)) throw new Error('exporting the destination needs secondSecret, or a service account with secondProject');
+	const sourceCounts = copied || await countEvents(new Job(source.creds, { ...source.opts, recordType: 'export' }), rules);
+	const destinationCounts = await countEvents(new Job(readCreds(destination.creds), { ...destination.opts, recordType: 'export' }), null);
+
+	const keys = [...new Set([...sourceCounts.keys(), ...destinationCounts.keys()])].sort();
+	const rows = keys.map(key => {
+		const [date, event] = key.split('\t');
+		const from = sourceCounts.get(key) || 0;
+		const to = destinationCounts.get(key) || 0;
+		return { date, event, source: from, destination: to, difference: to - from };
+	});
+	const total = (counts) => [...counts.values()].reduce((sum, n) => sum + n, 0);
+	return {
+		source: total(sourceCounts),
+		destination: total(destinationCounts),
+		matched: rows.filter(row => row.difference === 0).length,
+		mismatched: rows.filter(row => row.difference !== 0).length,
+		rows
+	};
+}
+
+/**
+ * the report as text: one line per step, then the parity rows that differ
+ * @param {MigrationReport} report
+ * @returns {string}
+ */
+function formatMigrationReport(report) {
+	const range = report.start || report.end ? ` (${report.start || '…'} → ${report.end || '…'})` : '';
+	const lines = [`migrate ${report.source || 'source'} → ${report.destination || 'destination'}${range}`];
+	for (const [name, step] of Object.entries(report.steps)) {
+		if (step.error) lines.push(`  ${name}: FAILED: ${step.error}`);
+		else if (step.skipped) lines.push(`  ${name}: skipped: ${step.skipped}`);
+		else {
+			const existing = step.existing ? `, ${step.existing.toLocaleString()} already there` : '';
+			const duration = step.duration ? ` in ${step.duration}` : '';
+			lines.push(`  ${name}: ${(step.success || 0).toLocaleString()} ok, ${(step.failed || 0).toLocaleString()} failed${existing}${duration}`);
+		}
+	}
+
+	const { parity } = report;
+	if (!parity) return lines.join('\n');
+	if ('error' in parity) {
+		lines.push('', `parity: FAILED: ${parity.error}`);
+		return lines.join('\n');
+	}
+	lines.push('', `parity: ${parity.source.toLocaleString()} events in the source, ${parity.destination.toLocaleString()} in the destination`);
+	if (!parity.mismatched) {
+		lines.push(`  all ${parity.matched.toLocaleString()} event-days match`);
+		return lines.join('\n');
+	}
+	lines.push(`  ${parity.mismatched.toLocaleString()} of ${parity.rows.length.toLocaleString()} event-days differ:`);
+	const rows = parity.rows.filter(row => row.difference !== 0);
+	const width = Math.max(5, ...rows.map(row => row.event.length));
+	lines.push(`  ${'date'.padEnd(10)}  ${'event'.padEnd(width)}  ${'source'.padStart(10)}  ${'destination'.padStart(11)}  ${'diff'.padStart(8)}`);
+	for (const row of rows) {
+		const difference = row.difference > 0 ? `+${row.difference}` : String(row.difference);
+		lines.push(`  ${row.date.padEnd(10)}  ${row.event.padEnd(width)}  ${row.source.toLocaleString().padStart(10)}  ${row.destination.toLocaleString().padStart(11)}  ${difference.padStart(8)}`);
+	}
+	return lines.join('\n');
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * @param {Creds} creds
+ * @returns {Creds}
+ */
+function sourceCreds(creds) {
+	// no token: exports and downloads authenticate as the service account (or secret)
+	const { acct, pass, project, secret, bearer } = creds;
+	return { acct, pass, project, secret, bearer };
+}
+
+/**
+ * @param {Creds} creds
+ * @returns {Creds}
+ */
+function destinationCreds(creds) {
+	return {
+		token: creds.secondToken,
+		secret: creds.secondSecret || '',
+		// a service account usually has access to both projects
+		acct: creds.secondSecret ? '' : creds.acct,
+		pass: creds.secondSecret ? '' : creds.pass,
+		project: creds.secondProject,
+		bearer: creds.secondBearer || creds.bearer
+	};
+}
+
+/**
+ * the destination's creds without its token, for reading from it
+ * @param {Creds} creds
+ * @returns {Creds}
+ */
+function readCreds(creds) {
+	const { token, ...rest } = creds;
+	return rest;
+}
+
+/** @param {Creds} creds */
+function canRead(creds) {
+	return Boolean(creds.secret || (creds.acct && creds.pass && creds.project));
+}
+
+/**
+ * @param {Options} opts
+ * @returns {Options}
+ */
+function destinationOpts(opts) {
+	// renames and filters already happened against the source's names
+	const { secondRegion, secondEndpoints, eventWhitelist, eventBlacklist, ...rest } = opts;
+	/** @type {Options} */
+	const destination = { ...rest, region: secondRegion || opts.region || 'US' };
+	if (secondEndpoints) {
+		delete destination.apiHost;
+		delete destination.endpointOverrides;
+		destination.endpoints = secondEndpoints;
+	}
+	return destination;
+}
+
+/**
+ * an event's name in the destination, or null when it isn't copied
+ * @param {string} name
+ * @param {EventRules} rules
+ * @returns {string | null}
+ */
+function renameEvent(name, rules) {
+	if (rules.whitelist.length && !rules.whitelist.includes(name)) return null;
+	if (rules.blacklist.includes(name)) return null;
+	return rules.renames[name] ?? name;
+}
+
+/**
+ * @param {Job} job - an export job
+ * @param {EventRules | null} rules - renames and filters for source counts
+ * @returns {Promise<DailyCounts>}
+ */
+async function countEvents(job, rules) {
+	/** @type {DailyCounts} */
+	const counts = new Map();
+	for await (const record of streamEvents(job)) {
+		const name = rules ? renameEvent(record.event, rules) : record.event;
+		if (name !== null) tally(counts, { ...record, event: name });
+	}
+	return counts;
+}
+
+/**
+ * @param {Job} job
+ * @returns {Promise<Array<{ date: string, description: string }>>}
+ */
+async function readAnnotations(job) {
+	const res = await getAnnotations(job);
+	if (!Array.isArray(res?.results)) throw new Error(`couldn't list annotations in project ${job.project}: ${res?.message || res?.error || 'no results'}`);
+	return res.results;
+}
+
+/**
+ * @param {import('../index.d.ts').ImportResults} result
+ * @returns {MigrationStep}
+ */
+function summarize(result) {
+	return { success: result.success, failed: result.failed, duration: result.durationHuman };
+}
+
+/**
+ * a list option: an array, JSON text or comma-separated text
+ * @param {any} value
+ * @param {any[]} [fallback]
+ * @returns {any[]}
+ */
+function list(value, fallback = []) {
+	if (Array.isArray(value)) return value;
+	if (typeof value !== 'string' || !value.trim()) return fallback;
+	try {
+		const parsed = JSON.parse(value);
+		return Array.isArray(parsed) ? parsed : [parsed];
+	}
+	catch (e) {
+		return value.split(',').map(item => item.trim()).filter(Boolean);
+	}
+}
+
+/**
+ * an object option: an object or JSON text
+ * @param {any} value
+ * @returns {Object}
+ */
+function object(value) {
+	if (typeof value === 'string') return value.trim() ? JSON.parse(value) : {};
+	return value || {};
+}
+
+module.exports = {
+	formatMigrationReport,
+	migrate,
+	MIGRATE_STEPS
+};
@@ -0,0 +1,570 @@
+/*
+----
+MOCK SERVER
+----
+A local, Mixpanel-compatible ingestion server for offline testing. It speaks
+the same wire protocol the importers and exporters use, so a job pointed at it
+(via `endpoints`) exercises retries, 429 handling and failed_records parsing
+without real credentials:
+
+  POST /import                 events (gzip or plain JSON); strict=1 answers 400 + failed_records
+  POST /engage                 user profile updates (JSON or form `data=`)
+  POST /groups                 group profile updates (JSON or form `data=`)
+  PUT  /lookup-tables/:id      CSV lookup tables
+  GET  /api/2.0/export         JSONL of the events this server has accepted (the
+                               only `where` it understands is the $time range
+                               hour windows send)
+  POST /api/2.0/engage         the accepted profile updates, folded into profiles
+                               (data_group_id returns the group profiles; the
+                               mock doesn't track which group key is which id)
+  GET  /lookup-tables/:id/download
+  GET | POST | DELETE /api/app/projects/:id/annotations[/:id]
+
+Validation follows Mixpanel's documented limits (2000 records / 10MB per
+request, required event fields, one profile operation per update). Faults are
+injected per request, before validation:
+
+- statusOnRequest: { [n]: status } answers the nth request (1-based) with that status
+- rateLimitRate / serverErrorRate: fraction of requests answered 429 / 5xx
+- partialFailureRate: fraction of otherwise-valid events rejected in failed_records
+- latency: fixed ms, or [min, max]
+- retryAfter: seconds to send in a Retry-After header with every 429
+
+Accepted records are kept in memory (up to maxStored per kind) on `store`;
+counters live on `stats` (`stats.credentials` counts requests by the token,
+secret or service account they authenticated as). Start it with `mixpanel-import --mock-server`.
+*/
+
+const http = require('http');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const u = require('ak-tools');
+const { toMillis } = require('./values.js');
+const gunzip = promisify(zlib.gunzip);
+
+/** Mixpanel's documented per-request limits */
+const MAX_RECORDS = 2000;
+const MAX_BYTES = 10 * 1024 * 1024;
+const MAX_PROPERTIES = 255;
+const MAX_NAME_LENGTH = 255;
+const INSERT_ID_PATTERN = /^[a-zA-Z0-9-]{1,36}$/;
+/** profiles per /engage query page (Mixpanel's default) */
+const PROFILE_PAGE_SIZE = 1000;
+
+const USER_OPERATIONS = ['$set', '$set_once', '$add', '$union', '$append', '$remove', '$unset', '$delete'];
+const GROUP_OPERATIONS = ['$set', '$set_once', '$union', '$remove', '$unset', '$delete'];
+
+/**
+ * @typedef {Object} MockServerOptions
+ * @property {number} [port] - port to listen on (0 = any free port)
+ * @property {string} [host] - interface to bind
+ * @property {Object<string, number>} [statusOnRequest] - answer the nth request (1-based) with this status
+ * @property {number} [rateLimitRate] - fraction of requests answered 429
+ * @property {number} [serverErrorRate] - fraction of requests answered 500 / 502 / 503
+ * @property {number} [partialFailureRate] - fraction of valid events rejected in failed_records
+ * @property {number | number[]} [latency] - delay per request in ms, or [min, max]
+ * @property {number} [retryAfter] - seconds for a Retry-After header on 429s
+ * @property {number} [seed] - seed for fault injection (deterministic runs)
+ * @property {number} [maxStored] - records kept in memory per kind
+ * @property {boolean} [verbose] - log each request
+ */
+
+/**
+ * @typedef {Object} MockServer
+ * @property {string} url - base url to pass as `endpoints`
+ * @property {number} port
+ * @property {http.Server} server
+ * @property {{requests: number, rateLimited: number, serverErrors: number, received: number, accepted: number, rejected: number, paths: Object<string, number>, credentials: Object<string, number>}} stats
+ * @property {{events: Object[], profiles: Object[], groups: Object[], tables: Map<string, string>, annotations: Object[]}} store
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * start a mock Mixpanel ingestion server
+ * @param {MockServerOptions} [options]
+ * @returns {Promise<MockServer>}
+ */
+async function startMockServer(options = {}) {
+	const {
+		port = 0,
+		host = '127.0.0.1',
+		statusOnRequest = {},
+		rateLimitRate = 0,
+		serverErrorRate = 0,
+		partialFailureRate = 0,
+		latency = 0,
+		retryAfter = null,
+		seed = null,
+		maxStored = 100000,
+		verbose = false
+	} = options;
+
+	const random = seed === null || seed === undefined ? Math.random : seededRandom(seed);
+	const stats = { requests: 0, rateLimited: 0, serverErrors: 0, received: 0, accepted: 0, rejected: 0, paths: {}, credentials: {} };
+	const store = { events: [], profiles: [], groups: [], tables: new Map(), annotations: [] };
+	const keep = (list, records) => {
+		for (const record of records) {
+			if (list.length >= maxStored) break;
+			list.push(record);
+		}
+	};
+
+	const server = http.createServer(async (req, res) => {
+		const requestNumber = ++stats.requests;
+		const url = new URL(req.url || '/', 'http://mock');
+		const route = routeFor(req.method, url.pathname);
+		stats.paths[route] = (stats.paths[route] || 0) + 1;
+		const user = basicUser(req.headers.authorization);
+		if (user) stats.credentials[user] = (stats.credentials[user] || 0) + 1;
+		if (verbose) console.log(`mock: #${requestNumber} ${req.method} ${url.pathname}`);
+
+		try {
+			const body = await readBody(req);
+			const delay = pickLatency(latency, random);
+			if (delay > 0) await u.sleep(delay);
+
+			// ? injected faults
+			const scripted = statusOnRequest[requestNumber];
+			if (scripted && scripted !== 200) return sendFault(res, scripted, stats, retryAfter);
+			if (rateLimitRate && random() < rateLimitRate) return sendFault(res, 429, stats, retryAfter);
+			if (serverErrorRate && random() < serverErrorRate) return sendFault(res, [500, 502, 503][Math.floor(random() * 3)], stats, retryAfter);
+
+			if (!['not-found', 'engage', 'groups', 'annotations'].includes(route) && !req.headers.authorization) {
+				return send(res, 401, { code: 401, error: 'Unauthorized, invalid project secret or token', status: 'Unauthorized' });
+			}
+
+			switch (route) {
+				case 'import':
+					return handleImport(res, body, url, { stats, store, keep, random, partialFailureRate });
+				case 'engage':
+					return handleProfiles(res, body, { stats, list: store.profiles, keep, idKey: '$distinct_id', operations: USER_OPERATIONS });
+				case 'groups':
+					return handleProfiles(res, body, { stats, list: store.groups, keep, idKey: '$group_id', operations: GROUP_OPERATIONS });
+				case 'lookup-tables':
+					return handleLookupTable(res, body, url, { stats, store });
+				case 'export':
+					return handleExport(res, url, store);
+				case 'engage-query':
+					return handleProfileQuery(res, body, url, store);
+				case 'lookup-download':
+					return handleLookupDownload(res, url, store);
+				case 'annotations':
+					return handleAnnotations(res, req.method, body, url, store);
+				default:
+					return send(res, 404, { error: `mock server does not implement ${req.method} ${url.pathname}`, status: 0 });
+			}
+		}
+		catch (e) {
+			return send(res, e.statusCode || 400, { code: e.statusCode || 400, error: e.message, status: 0 });
+		}
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once('error', reject);
+		server.listen(port, host, () => resolve(undefined));
+	});
+	const address = /** @type {import('net').AddressInfo} */ (server.address());
+
+	return {
+		url: `http://${host}:${address.port}`,
+		port: address.port,
+		server,
+		stats,
+		store,
+		close: () => new Promise((resolve) => {
+			server.close(() => resolve(undefined));
+			server.closeAllConnections();
+		})
+	};
+}
+
+/*
+----
+HANDLERS
+----
+*/
+
+/**
+ * POST /import
+ * @param {http.ServerResponse} res
+ * @param {Buffer} body
+ * @param {URL} url
+ * @param {Object} ctx
+ */
+function handleImport(res, body, url, { stats, store, keep, random, partialFailureRate }) {
+	const events = parseRecords(body);
+	stats.received += events.length;
+	if (events.length > MAX_RECORDS) {
+		return send(res, 413, { code: 413, error: `request exceeds max limit of ${MAX_RECORDS} records`, status: 'Payload Too Large' });
+	}
+
+	const strict = url.searchParams.get('strict') === '1';
+	const failed_records = [];
+	const accepted = [];
+	events.forEach((event, index) => {
+		let failure = validateEvent(event, strict);
+		if (!failure && partialFailureRate && random() < partialFailureRate) {
+			failure = { field: 'properties', message: 'mock server: injected partial failure' };
+		}
+		if (failure) failed_records.push({ index, $insert_id: event?.properties?.$insert_id, ...failure });
+		else accepted.push(event);
+	});
+
+	stats.accepted += accepted.length;
+	stats.rejected += failed_records.length;
+	keep(store.events, accepted);
+
+	if (strict && failed_records.length) {
+		return send(res, 400, {
+			code: 400,
+			error: 'some data points in the request failed validation',
+			failed_records,
+			num_records_imported: accepted.length,
+			status: 'Bad Request'
+		});
+	}
+	return send(res, 200, { code: 200, num_records_imported: accepted.length, status: 'OK' });
+}
+
+/**
+ * POST /engage and POST /groups; a bad update fails the whole request, as it does upstream
+ * @param {http.ServerResponse} res
+ * @param {Buffer} body
+ * @param {Object} ctx
+ */
+function handleProfiles(res, body, { stats, list, keep, idKey, operations }) {
+	const updates = parseRecords(body);
+	stats.received += updates.length;
+	if (updates.length > MAX_RECORDS) {
+		return send(res, 413, { error: `request exceeds max limit of ${MAX_RECORDS} records`, status: 0 });
+	}
+
+	for (const update of updates) {
+		const error = validateProfile(update, idKey, operations);
+		if (error) {
+			stats.rejected += updates.length;
+			return send(res, 400, { error, status: 0 });
+		}
+	}
+
+	stats.accepted += updates.length;
+	keep(list, updates);
+	return send(res, 200, { error: null, status: 1 });
+}
+
+/**
+ * PUT /lookup-tables/:id
+ * @param {http.ServerResponse} res
+ * @param {Buffer} body
+ * @param {URL} url
+ * @param {Object} ctx
+ */
+function handleLookupTable(res, body, url, { stats, store }) {
+	const id = decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+	if (!id || id === 'lookup-tables') return send(res, 400, { code: 400, error: 'missing lookup table id', status: 'Bad Request' });
+	if (body.length > MAX_BYTES * 10) return send(res, 413, { code: 413, error: 'lookup tables are limited to 100MB', status: 'Payload Too Large' });
+
+	const lines = body.toString('utf-8').split(/\r?\n/).filter(line => line.trim());
+	if (lines.length < 2) return send(res, 400, { code: 400, error: 'lookup table must have a header row and at least one row', status: 'Bad Request' });
+	const columns = lines[0].split(',').length;
+	// quoted cells may hold commas; only unquoted rows are checked
+	const ragged = lines.findIndex((line, i) => i > 0 && !line.includes('"') && line.split(',').length !== columns);
+	if (ragged > 0) {
+		return send(res, 400, { code: 400, error: `row ${ragged} has a different number of columns than the header`, status: 'Bad Request' });
+	}
+
+	stats.received += lines.length - 1;
+	stats.accepted += lines.length - 1;
+	store.tables.set(id, body.toString('utf-8'));
+	return send(res, 200, { code: 200, status: 'OK' });
+}
+
+/**
+ * GET /api/2.0/export: the accepted events in [from_date, to_date], as the raw export API returns them
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @param {Object} store
+ */
+function handleExport(res, url, store) {
+	const from = url.searchParams.get('from_date');
+	const to = url.searchParams.get('to_date');
+	if (!from || !to) return send(res, 400, { request: url.pathname, error: "'from_date' and 'to_date' are required parameters" });
+
+	let start = Date.parse(`${from}T00:00:00Z`);
+	let end = Date.parse(`${to}T23:59:59.999Z`);
+	// export-windows.js: properties["$time"] >= datetime("...") and properties["$time"] < datetime("...")
+	const range = /properties\["\$time"\] >= datetime\("([^"]+)"\) and properties\["\$time"\] < datetime\("([^"]+)"\)/.exec(url.searchParams.get('where') || '');
+	if (range) {
+		start = Math.max(start, Date.parse(`${range[1]}Z`));
+		end = Math.min(end, Date.parse(`${range[2]}Z`) - 1);
+	}
+	let names = null;
+	try {
+		if (url.searchParams.get('event')) names = new Set(JSON.parse(url.searchParams.get('event')));
+	}
+	catch (e) {
+		return send(res, 400, { request: url.pathname, error: "'event' must be a JSON array of event names" });
+	}
+	const limit = Number(url.searchParams.get('limit')) || Infinity;
+
+	const lines = [];
+	for (const { event, properties } of store.events) {
+		if (lines.length >= limit) break;
+		const ms = toMillis(properties.time);
+		if (ms < start || ms > end) continue;
+		if (names && !names.has(event)) continue;
+		lines.push(JSON.stringify({ event, properties: { ...properties, time: Math.floor(ms / 1000) } }));
+	}
+
+	res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+	res.end(lines.length ? lines.join('\n') + '\n' : '');
+}
+
+/**
+ * POST /api/2.0/engage: stored profile updates folded into profiles, a page at a time
+ * @param {http.ServerResponse} res
+ * @param {Buffer} body - form-encoded; data_group_id asks for group profiles
+ * @param {URL} url
+ * @param {Object} store
+ */
+function handleProfileQuery(res, body, url, store) {
+	const form = new URLSearchParams(body.toString('utf-8'));
+	const groups = Boolean(form.get('data_group_id'));
+	const idKey = groups ? '$group_id' : '$distinct_id';
+	/** @type {Map<string, Object>} */
+	const profiles = new Map();
+	for (const update of groups ? store.groups : store.profiles) {
+		const id = String(update[idKey]);
+		if ('$delete' in update) {
+			profiles.delete(id);
+			continue;
+		}
+		const properties = profiles.get(id) || {};
+		Object.assign(properties, update.$set || {});
+		for (const [key, value] of Object.entries(update.$set_once || {})) if (!(key in properties)) properties[key] = value;
+		for (const key of [].concat(update.$unset || [])) delete properties[key];
+		profiles.set(id, properties);
+	}
+
+	const page = Number(url.searchParams.get('page')) || 0;
+	const results = [...profiles].slice(page * PROFILE_PAGE_SIZE, (page + 1) * PROFILE_PAGE_SIZE)
+		.map(([id, properties]) => ({ $distinct_id: id, $properties: properties }));
+	return send(res, 200, { page, page_size: PROFILE_PAGE_SIZE, session_id: 'mock-session', status: 'ok', total: profiles.size, results });
+}
+
+/**
+ * GET /lookup-tables/:id/download: the CSV last PUT there
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ * @param {Object} store
+ */
+function handleLookupDownload(res, url, store) {
+	const id = decodeURIComponent(url.pathname.split('/').filter(Boolean).slice(-2)[0]);
+	if (!store.tables.has(id)) return send(res, 404, { code: 404, error: `no lookup table ${id}`, status: 'Not Found' });
+	res.writeHead(200, { 'Content-Type': 'text/csv' });
+	res.end(store.tables.get(id));
+}
+
+/**
+ * GET lists, POST creates { date, description }, DELETE .../annotations/:id removes
+ * @param {http.ServerResponse} res
+ * @param {string | undefined} method
+ * @param {Buffer} body
+ * @param {URL} url
+ * @param {Object} store
+ */
+function handleAnnotations(res, method, body, url, store) {
+	const [, project, , id] = url.pathname.replace(/.*\/api\/app\/projects\//, '/').split('/');
+	if (method === 'GET') return send(res, 200, { status: 'ok', results: store.annotations });
+	if (method === 'POST') {
+		const { date, description } = parseRecords(body)[0] || {};
+		if (!date || !description) return send(res, 400, { status: 'error', error: 'date and description are required' });
+		const annotation = { id: store.annotations.length + 1, project_id: Number(project), date, description };
+		store.annotations.push(annotation);
+		return send(res, 200, { status: 'ok', results: annotation });
+	}
+	if (method === 'DELETE' && id) {
+		store.annotations = store.annotations.filter(annotation => String(annotation.id) !== id);
+		return send(res, 200, { status: 'ok', results: { id: Number(id) } });
+	}
+	return send(res, 405, { status: 'error', error: `mock server does not implement ${method} on annotations` });
+}
+
+/*
+----
+VALIDATION
+----
+*/
+
+/**
+ * @param {any} event
+ * @param {boolean} strict - $insert_id is only required in strict mode
+ * @returns {{field: string, message: string} | null}
+ */
+function validateEvent(event, strict) {
+	if (!event || typeof event !== 'object' || Array.isArray(event)) return { field: 'event', message: 'event must be a JSON object' };
+	if (typeof event.event !== 'string' || !event.event) return { field: 'event', message: "'event' must be a non-empty string" };
+	if (event.event.length > MAX_NAME_LENGTH) return { field: 'event', message: `'event' must not exceed ${MAX_NAME_LENGTH} characters` };
+
+	const { properties } = event;
+	if (!properties || typeof properties !== 'object' || Array.isArray(properties)) return { field: 'properties', message: "'properties' must be a JSON object" };
+
+	if (properties.time === undefined || properties.time === null) return { field: 'properties.time', message: "'properties.time' must be specified" };
+	// mixpanel accepts seconds or milliseconds, not date strings
+	const ms = toMillis(Number(properties.time));
+	if (ms === null || ms <= 0) return { field: 'properties.time', message: "'properties.time' is invalid: must be specified as seconds or milliseconds since epoch" };
+	if (ms > Date.now() + 60 * 60 * 1000) return { field: 'properties.time', message: "'properties.time' cannot be more than 1 hour in the future" };
+
+	const hasIdentity = ['distinct_id', '$user_id', '$device_id'].some(key => properties[key] !== undefined && properties[key] !== null);
+	if (!hasIdentity) return { field: 'properties.distinct_id', message: "'properties.distinct_id' must be specified" };
+	if (String(properties.distinct_id ?? '').length > MAX_NAME_LENGTH) return { field: 'properties.distinct_id', message: `'properties.distinct_id' must not exceed ${MAX_NAME_LENGTH} characters` };
+
+	if (strict && properties.$insert_id === undefined) return { field: 'properties.$insert_id', message: "'properties.$insert_id' must be specified" };
+	if (properties.$insert_id !== undefined && !INSERT_ID_PATTERN.test(String(properties.$insert_id))) {
+		return { field: 'properties.$insert_id', message: "'properties.$insert_id' must be 1-36 alphanumeric or '-' characters" };
+	}
+
+	if (Object.keys(properties).length > MAX_PROPERTIES) return { field: 'properties', message: `events may have at most ${MAX_PROPERTIES} properties` };
+	return null;
+}
+
+/**
+ * @param {any} update
+ * @param {string} idKey - $distinct_id or $group_id
+ * @param {string[]} operations
+ * @returns {string | null} error message
+ */
+function validateProfile(update, idKey, operations) {
+	if (!update || typeof update !== 'object' || Array.isArray(update)) return 'profile update must be a JSON object';
+	if (!update.$token) return "'$token' is required";
+	if (update[idKey] === undefined || update[idKey] === null || update[idKey] === '') return `'${idKey}' is required`;
+	if (idKey === '$group_id' && !update.$group_key) return "'$group_key' is required";
+	const ops = operations.filter(op => op in update);
+	if (ops.length !== 1) return `exactly one of ${operations.join(', ')} is required (got ${ops.length})`;
+	return null;
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * @param {string | undefined} method
+ * @param {string} pathname
+ * @returns {string}
+ */
+function routeFor(method, pathname) {
+	if (method === 'POST' && /\/import\/?$/.test(pathname)) return 'import';
+	if (method === 'POST' && /\/api\/2\.0\/engage\/?$/.test(pathname)) return 'engage-query';
+	if (method === 'POST' && /\/engage\/?$/.test(pathname)) return 'engage';
+	if (method === 'POST' && /\/groups\/?$/.test(pathname)) return 'groups';
+	if (method === 'PUT' && /\/lookup-tables(\/|$)/.test(pathname)) return 'lookup-tables';
+	if (method === 'GET' && /\/api\/2\.0\/export\/?$/.test(pathname)) return 'export';
+	if (method === 'GET' && /\/lookup-tables\/[^/]+\/download\/?$/.test(pathname)) return 'lookup-download';
+	if (/\/api\/app\/projects\/[^/]+\/annotations(\/[^/]+)?\/?$/.test(pathname)) return 'annotations';
+	return 'not-found';
+}
+
+/**
+ * the user half of a Basic authorization header: a token, secret or service account
+ * @param {string | undefined} header
+ * @returns {string | null}
+ */
+function basicUser(header) {
+	const match = /^Basic (.+)$/.exec(header || '');
+	return match ? Buffer.from(match[1], 'base64').toString('utf-8').split(':')[0] || null : null;
+}
+
+/**
+ * read (and gunzip) a request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+	const chunks = [];
+	let size = 0;
+	for await (const chunk of req) {
+		size += chunk.length;
+		chunks.push(chunk);
+	}
+	let body = Buffer.concat(chunks, size);
+	if (req.headers['content-encoding'] === 'gzip' && body.length) body = await gunzip(body);
+	if (body.length > MAX_BYTES && !/lookup-tables/.test(req.url || '')) {
+		throw Object.assign(new Error(`request body exceeds ${MAX_BYTES} bytes`), { statusCode: 413 });
+	}
+	return body;
+}
+
+/**
+ * JSON array (or one object) in the body, or a form-encoded `data=` field
+ * @param {Buffer} body
+ * @returns {any[]}
+ */
+function parseRecords(body) {
+	let text = body.toString('utf-8').trim();
+	if (text.startsWith('data=')) text = new URLSearchParams(text).get('data') || '';
+	if (!text) return [];
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	}
+	catch (e) {
+		throw Object.assign(new Error('request body is not valid JSON'), { statusCode: 400 });
+	}
+	return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} payload
+ * @param {Object} [headers]
+ */
+function send(res, status, payload, headers = {}) {
+	res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+	res.end(JSON.stringify(payload));
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} stats
+ * @param {number | null} retryAfter
+ */
+function sendFault(res, status, stats, retryAfter) {
+	if (status === 429) {
+		stats.rateLimited++;
+		const headers = retryAfter !== null && retryAfter !== undefined ? { 'Retry-After': String(retryAfter) } : {};
+		return send(res, 429, { code: 429, error: 'mock server: rate limited', status: 0 }, headers);
+	}
+	if (status >= 500) stats.serverErrors++;
+	return send(res, status, { code: status, error: `mock server: injected ${status}`, status: 0 });
+}
+
+function pickLatency(latency, random) {
+	if (Array.isArray(latency)) {
+		const [min = 0, max = min] = latency;
+		return min + Math.floor(random() * (max - min + 1));
+	}
+	return Number(latency) || 0;
+}
+
+/** mulberry32: tiny deterministic PRNG for repeatable fault injection */
+function seededRandom(seed) {
+	let state = Number(seed) >>> 0;
+	return function () {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+module.exports = {
+	startMockServer,
+	validateEvent,
+	validateProfile
+};
@@ -0,0 +1,281 @@
+/*
+----
+COLUMNAR OUTPUT
+----
+exports (events and profiles) and `destination` write NDJSON by default;
+outputFormat "csv" or "parquet" writes rolling part files instead, for
+loading into DuckDB, BigQuery and the like:
+
+- records are flattened: an event's properties (or a profile's $properties)
+  become columns beside `event` (or `distinct_id`); nested objects and arrays
+  are written as JSON text
+- a part holds up to `rowsPerPart` rows, so only one part is in memory at a
+  time; parts are named <base>-part-00000.parquet, <base>-part-00001.parquet...
+- each part's schema is inferred from its values: all booleans is BOOLEAN,
+  all numbers is DOUBLE (an event's `time` is a TIMESTAMP), anything else is
+  STRING. columns and types carry over from earlier parts and a type only
+  widens to STRING, so a later part never narrows a column
+- CSV parts follow the same column rules; on gs://, s3:// and az:// they're gzipped
+  unless compress is false. parquet parts are snappy-compressed internally
+*/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const { COMPRESSION_CONFIG } = require('./constants');
+const { s3ClientConfig } = require('./s3-client.js');
+const { present, toMillis } = require('./values.js');
+
+/** @typedef {import('./job')} JobConfig */
+/** @typedef {'BOOLEAN' | 'DOUBLE' | 'TIMESTAMP' | 'STRING'} ColumnType */
+
+const OUTPUT_FORMATS = ['ndjson', 'csv', 'parquet'];
+
+/** extensions stripped from a target path to get the parts' base name */
+const KNOWN_EXTENSIONS = ['.json.gz', '.ndjson.gz', '.jsonl.gz', '.csv.gz', '.json', '.ndjson', '.jsonl', '.csv', '.parquet', '.gz'];
+
+/**
+ * an event or profile as one flat row
+ * @param {Object} record
+ * @returns {Object<string, any>}
+ */
+function flattenRecord(record) {
+	if (!record || typeof record !== 'object') return {};
+	const { properties, $properties, ...rest } = record;
+	/** @type {Object<string, any>} */
+	let row = { ...rest };
+	if ($properties && typeof $properties === 'object') {
+		const { $distinct_id, ...others } = row;
+		row = { ...(present($distinct_id) ? { distinct_id: $distinct_id } : {}), ...others, ...$properties };
+	}
+	if (properties && typeof properties === 'object') row = { ...row, ...properties };
+	for (const key in row) {
+		const value = row[key];
+		if (value !== null && typeof value === 'object' && !(value instanceof Date)) row[key] = JSON.stringify(value);
+	}
+	return row;
+}
+
+/**
+ * where the parts go: a target file's path minus its extension, or `name` inside a target folder
+ * @param {string} target - local path, gs://, s3:// or az://
+ * @param {string} name - base name when the target is a folder
+ * @returns {string}
+ */
+function partBase(target, name) {
+	const isCloud = target.startsWith('gs://') || target.startsWith('s3://') || target.startsWith('az://');
+	const isFolder = target.endsWith('/') ||
+		(isCloud ? !path.posix.basename(target).includes('.') : fs.existsSync(target) && fs.statSync(target).isDirectory());
+	if (isFolder) return isCloud ? `${target.replace(/\/?$/, '/')}${name}` : path.join(target, name);
+	const lower = target.toLowerCase();
+	const extension = KNOWN_EXTENSIONS.find(ext => lower.endsWith(ext));
+	return extension ? target.slice(0, -extension.length) : target;
+}
+
+/**
+ * a sink that takes records and writes them as rolling csv / parquet parts
+ * @param {string} base - from partBase()
+ * @param {JobConfig} job
+ */
+function createPartWriter(base, job) {
+	const format = job.outputFormat;
+	const rowsPerPart = job.rowsPerPart;
+	const isCloud = base.startsWith('gs://') || base.startsWith('s3://') || base.startsWith('az://');
+	const gzip = format === 'csv' && isCloud && job.compress !== false;
+	/** @type {Map<string, ColumnType>} */
+	const columns = new Map();
+	/** @type {string[]} */
+	const parts = [];
+	/** @type {Object<string, any>[]} */
+	let buffer = [];
+	let rows = 0;
+
+	async function flushPart() {
+		if (!buffer.length) return;
+		const batch = buffer;
+		buffer = [];
+		const file = `${base}-part-${String(parts.length).padStart(5, '0')}.${format}${gzip ? '.gz' : ''}`;
+		await writeColumnarFile(file, batch, columns, gzip, job);
+		parts.push(file);
+		if (job.verbose) console.log(`📝 wrote ${batch.length} rows to ${file}`);
+	}
+
+	const writer = new Writable({
+		objectMode: true,
+		highWaterMark: job.highWater || 16,
+		write(record, _encoding, callback) {
+			buffer.push(flattenRecord(record));
+			rows++;
+			if (buffer.length < rowsPerPart) return callback();
+			flushPart().then(() => callback(), callback);
+		},
+		final(callback) {
+			flushPart().then(() => callback(), callback);
+		}
+	});
+
+	return Object.assign(writer, {
+		/** files written so far, in order */
+		parts,
+		/** rows accepted so far */
+		rows: () => rows
+	});
+}
+
+/**
+ * render flattened rows as one csv / parquet file (job.outputFormat) and write it
+ * @param {string} file
+ * @param {Object<string, any>[]} batch - flattened rows
+ * @param {Map<string, ColumnType>} columns - running column types; updated from this batch
+ * @param {boolean} gzip - csv only
+ * @param {JobConfig} job
+ */
+async function writeColumnarFile(file, batch, columns, gzip, job) {
+	const format = job.outputFormat;
+	inferColumns(batch, columns);
+	let body = format === 'parquet' ? await toParquet(batch, columns) : Buffer.from(toCsv(batch, columns));
+	if (gzip) body = zlib.gzipSync(body, { level: job.compressionLevel || COMPRESSION_CONFIG.GZIP_LEVEL, memLevel: COMPRESSION_CONFIG.GZIP_MEM_LEVEL });
+	await writeOutputFile(file, body, format === 'parquet' ? 'application/vnd.apache.parquet' : 'text/csv', gzip, job);
+}
+
+/**
+ * fold a part's values into the running column types
+ * @param {Object<string, any>[]} batch
+ * @param {Map<string, ColumnType>} columns - updated in place
+ */
+function inferColumns(batch, columns) {
+	/** @type {Map<string, ColumnType | null>} */
+	const seen = new Map();
+	for (const row of batch) {
+		for (const key in row) {
+			const value = row[key];
+			if (!seen.has(key)) seen.set(key, null);
+			if (value === null || value === undefined || value === '') continue;
+			seen.set(key, widen(seen.get(key), typeOf(key, value)));
+		}
+	}
+	for (const [key, type] of seen) {
+		if (!columns.has(key)) columns.set(key, type || 'STRING');
+		else if (type) columns.set(key, widen(columns.get(key), type));
+	}
+}
+
+/**
+ * @param {string} key
+ * @param {any} value
+ * @returns {ColumnType}
+ */
+function typeOf(key, value) {
+	if (typeof value === 'boolean') return 'BOOLEAN';
+	if (typeof value === 'number' && Number.isFinite(value)) return key === 'time' ? 'TIMESTAMP' : 'DOUBLE';
+	return 'STRING';
+}
+
+/**
+ * @param {ColumnType | null | undefined} a
+ * @param {ColumnType} b
+ * @returns {ColumnType}
+ */
+function widen(a, b) {
+	if (!a || a === b) return b;
+	// a time column that's sometimes another number is just a number
+	if ((a === 'TIMESTAMP' && b === 'DOUBLE') || (a === 'DOUBLE' && b === 'TIMESTAMP')) return 'DOUBLE';
+	return 'STRING';
+}
+
+/**
+ * @param {any} value
+ * @param {ColumnType} type
+ */
+function cellValue(value, type) {
+	if (!present(value)) return null;
+	if (type === 'TIMESTAMP') {
+		const ms = toMillis(value);
+		return ms === null ? null : new Date(ms);
+	}
+	if (type === 'STRING') return value instanceof Date ? value.toISOString() : String(value);
+	return value;
+}
+
+/**
+ * @param {Object<string, any>[]} batch
+ * @param {Map<string, ColumnType>} columns
+ * @returns {Promise<Buffer>}
+ */
+async function toParquet(batch, columns) {
+	const { parquetWriteBuffer } = await import('hyparquet-writer');
+	const columnData = [...columns].map(([name, type]) => ({
+		name,
+		type,
+		nullable: true,
+		data: batch.map(row => cellValue(row[name], type))
+	}));
+	return Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+/**
+ * @param {Object<string, any>[]} batch
+ * @param {Map<string, ColumnType>} columns
+ * @returns {string}
+ */
+function toCsv(batch, columns) {
+	// lazy: lookup-table.js → importers.js → dead-letter.js → destination-writer.js → here
+	const { csvCell } = require('./lookup-table.js');
+	const names = [...columns.keys()];
+	const lines = [names.map(csvCell).join(',')];
+	for (const row of batch) {
+		lines.push(names.map(name => csvCell(cellValue(row[name], /** @type {ColumnType} */ (columns.get(name))))).join(','));
+	}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * write one finished file locally or to gs:// / s3:// / az://
+ * @param {string} file
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @param {boolean} gzipped
+ * @param {JobConfig} job
+ */
+async function writeOutputFile(file, body, contentType, gzipped, job) {
+	if (file.startsWith('gs://')) {
+		const matches = file.match(/^gs:\/\/([^/]+)\/(.+)$/);
+		if (!matches) throw new Error(`Invalid GCS path: ${file}`);
+		const { Storage } = require('@google-cloud/storage');
+		const storageConfig = { projectId: job.gcpProjectId };
+		if (job.gcsCredentials) storageConfig.keyFilename = job.gcsCredentials;
+		const metadata = { contentType, ...(gzipped ? { contentEncoding: 'gzip' } : {}) };
+		await new Storage(storageConfig).bucket(matches[1]).file(matches[2]).save(body, { metadata, resumable: false });
+		return;
+	}
+	if (file.startsWith('s3://')) {
+		const matches = file.match(/^s3:\/\/([^/]+)\/(.+)$/);
+		if (!matches) throw new Error(`Invalid S3 path: ${file}`);
+		const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+		await new S3Client(s3ClientConfig(job)).send(new PutObjectCommand({
+			Bucket: matches[1],
+			Key: matches[2],
+			Body: body,
+			ContentType: contentType,
+			...(gzipped ? { ContentEncoding: 'gzip' } : {})
+		}));
+		return;
+	}
+	if (file.startsWith('az://')) {
+		const { uploadAzureBlob } = require('./azure-blob.js');
+		await uploadAzureBlob(file, body, job, { contentType, contentEncoding: gzipped ? 'gzip' : undefined });
+		return;
+	}
+	await fs.promises.mkdir(path.dirname(file), { recursive: true });
+	await fs.promises.writeFile(file, body);
+}
+
+module.exports = {
+	createPartWriter,
+	flattenRecord,
+	partBase,
+	writeColumnarFile,
+	writeOutputFile,
+	OUTPUT_FORMATS
+};
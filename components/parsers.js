@@ -21,6 +21,8 @@ const { streamEvents, streamProfiles } = require('../components/exporters.js');
 const zlib = require('zlib');
 const { COMPRESSION_CONFIG } = require('./constants');
 const { armIdleTimeout, retryCloudOp, classifyCloudError, emitCloudEvent, createResilientGCSSource } = require('./resilient-source');
+const { CHECKPOINT } = require('./checkpoint');
+const { StringDecoder } = require('string_decoder');
 // const { logger } = require('../components/logs.js');
 const { NODE_ENV = "unknown" } = process.env;
 
@@ -58,7 +60,7 @@ function checkPath(filePath) {
  */
 function looksLikeFilePath(data, job) {
 	// Handle cloud storage URLs
-	if (data.startsWith('gs://') || data.startsWith('s3://')) {
+	if (data.startsWith('gs://') || data.startsWith('s3://') || data.startsWith('az://')) {
 		return true;
 	}
 
@@ -85,6 +87,20 @@ function looksLikeFilePath(data, job) {
 	return hasPathSeparator && (hasFileExtension || looksLikeAbsolutePath);
 }
 
+/**
+ * true for a string that's a local pattern or date template rather than data or a path that exists
+ * @param {string} data
+ * @param {JobConfig} job
+ * @returns {boolean}
+ */
+function isLocalSelection(data, job) {
+	if (!needsListing(data) || /[\r\n]/.test(data)) return false;
+	// JSON, not a path that starts with a date template
+	if (/^\s*(\[|\{(?!(YYYY|MM|DD|HH)\}))/.test(data)) return false;
+	if (checkPath(data).exists) return false;
+	return data.includes('/') || data.includes('\\') || looksLikeFilePath(data, job);
+}
+
 /**
  * Check if a file has a supported extension (including compound extensions like .json.gz)
  * @param {string} filePath - Path to file
@@ -139,6 +155,10 @@ function analyzeFileFormat(filePath, job) {
 	if (filePath.endsWith('.parquet.gz')) {
 		return { isGzipped: true, baseFormat: '.parquet', parsingCase: 'parquet' };
 	}
+	// bare .gz (segment / rudderstack archives) is gzipped JSONL, same as the cloud readers assume
+	if (COMPRESSION_CONFIG.GZIP_EXTENSIONS.some(ext => filePath.endsWith(ext))) {
+		return { isGzipped: true, baseFormat: '', parsingCase: 'jsonl' };
+	}
 
 	// Check for regular extensions
 	let parsingCase = '';
@@ -151,7 +171,10 @@ function analyzeFileFormat(filePath, job) {
 }
 
 const { Storage } = require('@google-cloud/storage');
-const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { s3ClientConfig, requireS3Region } = require('./s3-client.js');
+const azure = require('./azure-blob.js');
+const { needsListing, selectFiles, selectLocalFiles, selectionRoot } = require('./file-selection.js');
 
 // Lazy load hyparquet since it's an ES module
 let parquetRead = null;
@@ -227,10 +250,7 @@ const S3_STREAMING_CONFIG = {
 	PART_SIZE: 5 * 1024 * 1024,      // 5MB part size for streaming
 
 	// Read failure handling (prevents indefinite hangs on stalled/half-open sockets)
-	READ_IDLE_TIMEOUT_MS: 120000,    // 2 min with zero bytes => treat as dead, abort + reject
-
-	// Default region (can be overridden)
-	DEFAULT_REGION: 'us-east-1'      // Default AWS region if none specified
+	READ_IDLE_TIMEOUT_MS: 120000     // 2 min with zero bytes => treat as dead, abort + reject
 };
 
 /**
@@ -369,6 +389,18 @@ async function determineDataType(data, job) {
 			return stream.Readable.from(data, { objectMode: true, highWaterMark: job.highWater });
 		}
 		const { supportedFileExt, streamFormat, forceStream, highWater } = job;
+		const readable = (/** @type {string} */ file) => hasSupportedExtension(file, [...supportedFileExt, ...COMPRESSION_CONFIG.GZIP_EXTENSIONS]);
+
+		// patterns and date templates become the files they select
+		const sources = typeof data === 'string' ? [data] : data;
+		if (Array.isArray(sources) && sources.every(item => typeof item === 'string') && sources.some(item => isLocalSelection(item, job))) {
+			const selected = await selectLocalFiles(sources, job, readable);
+			job.selectedFiles = selected;
+			job.selectionRoots = sources.map(selectionRoot);
+			if (!selected.length) throw new Error(`No files found at ${sources.join(', ')}`);
+			data = selected;
+		}
+
 		let isArrayOfFileNames = false; // !ugh ... so disorganized 
 		//data might be an array of filenames
 		if (Array.isArray(data) && data.every(item => typeof item === 'string')) {
@@ -389,6 +421,11 @@ async function determineDataType(data, job) {
 					// Allow streamFormat to override detected format
 					if (['jsonl', 'strict_json', 'csv', 'parquet'].includes(streamFormat)) parsingCase = streamFormat;
 
+					if (job.checkpoint) {
+						job.wasStream = true;
+						return checkpointedFileStream([pathInfo.path], parsingCase, job, isGzipped);
+					}
+
 					let loadIntoMemory = false;
 					if (fileInfo.size < os.freemem() * MEMORY_CONFIG.FREE_MEMORY_THRESHOLD) loadIntoMemory = true;
 					if (forceStream) loadIntoMemory = false;
@@ -435,7 +472,7 @@ async function determineDataType(data, job) {
 
 					//csv case
 					if (parsingCase === 'csv') {
-						if (loadIntoMemory) {
+						if (loadIntoMemory && !isAdobeFeed(job)) {
 							try {
 								job.wasStream = false;
 								return await csvMemory(pathInfo.path, job);
@@ -478,8 +515,9 @@ async function determineDataType(data, job) {
 			}
 			else {
 				//directory case
-				const enumDir = await u.ls(dataPathInfo.path);
-				files = Array.isArray(enumDir) ? enumDir.filter(filePath => hasSupportedExtension(filePath, supportedFileExt)) : [];
+				files = await selectLocalFiles([dataPathInfo.path], job, readable);
+				job.selectedFiles = files;
+				job.selectionRoots = [selectionRoot(dataPathInfo.path)];
 				exampleFile = files[0] || '';
 			}
 
@@ -503,6 +541,8 @@ async function determineDataType(data, job) {
 
 			if (['jsonl', 'strict_json', 'csv', 'parquet'].includes(streamFormat)) parsingCase = streamFormat;
 
+			if (job.checkpoint) return checkpointedFileStream(files, parsingCase || 'jsonl', job, isGzipped);
+
 			switch (parsingCase) {
 				case 'jsonl':
 					return itemStream(files, "jsonl", job, isGzipped);
@@ -586,47 +626,124 @@ async function determineDataType(data, job) {
 
 
 /**
- * Handle cloud storage data sources (GCS and S3)
- * @param {any} data
+ * @param {any} item
+ * @returns {'gs://' | 's3://' | 'az://' | undefined} the cloud scheme of a path, if it is one
+ */
+function cloudScheme(item) {
+	if (typeof item !== 'string') return undefined;
+	return /** @type {const} */ (['gs://', 's3://', 'az://']).find(scheme => item.startsWith(scheme));
+}
+
+/**
+ * every object under a gs:// prefix
+ * @param {string} gcsPath gs://bucket/ or gs://bucket/some/prefix/
  * @param {JobConfig} job
- * @returns {Promise<any|undefined>} Returns stream if handled, undefined if should continue to local file parsing
+ * @returns {Promise<import('./file-selection').ListedFile[]>}
  */
-async function handleCloudStorage(data, job) {
-	// Handle Google Cloud Storage URLs (gs://)
-	if (typeof data === 'string' && data.startsWith('gs://')) {
-		job.wasStream = true;
-		return await createGCSStream(data, job);
-	}
+async function listGCSPrefix(gcsPath, job) {
+	const matches = gcsPath.match(/^gs:\/\/([^\/]+)\/(.*)$/);
+	if (!matches) throw new Error(`Invalid GCS path: ${gcsPath}`);
+	const [, bucketName, prefix] = matches;
+	const storageConfig = { projectId: job.gcpProjectId };
+	if (job.gcsCredentials) storageConfig.keyFilename = job.gcsCredentials;
+	const [files] = await retryCloudOp(
+		() => new Storage(storageConfig).bucket(bucketName).getFiles({ prefix: prefix || undefined }),
+		{ label: `GCS list ${gcsPath}` }
+	);
+	return files
+		.filter(file => !file.name.endsWith('/'))
+		.map(file => ({
+			path: `gs://${bucketName}/${file.name}`,
+			relative: file.name.slice(prefix.length),
+			modified: file.metadata?.updated ? Date.parse(String(file.metadata.updated)) : undefined
+		}));
+}
 
-	// Handle array of Google Cloud Storage URLs
-	if (Array.isArray(data) && data.every(item => typeof item === 'string' && item.startsWith('gs://'))) {
-		job.wasStream = true;
-		// A 1-element array is a single-file read: skip the multi-file wrapper's
-		// object-mode PassThrough re-copy and duplicate existence probe.
-		// Note: a missing file therefore fails loudly (single-file semantics)
-		// instead of resolving as an empty success.
-		if (data.length === 1) {
-			return await createGCSStream(data[0], job);
+/**
+ * every object under an s3:// prefix
+ * @param {string} s3Path s3://bucket/ or s3://bucket/some/prefix/
+ * @param {JobConfig} job
+ * @returns {Promise<import('./file-selection').ListedFile[]>}
+ */
+async function listS3Prefix(s3Path, job) {
+	const matches = s3Path.match(/^s3:\/\/([^\/]+)\/(.*)$/);
+	if (!matches) throw new Error(`Invalid S3 path: ${s3Path}`);
+	const [, bucketName, prefix] = matches;
+	requireS3Region(job);
+	const s3Client = new S3Client(s3ClientConfig(job, { maxAttempts: S3_STREAMING_CONFIG.MAX_RETRY_ATTEMPTS }));
+	const out = [];
+	let ContinuationToken;
+	do {
+		const page = await s3Client.send(new ListObjectsV2Command({ Bucket: bucketName, Prefix: prefix || undefined, ContinuationToken }));
+		for (const object of page.Contents || []) {
+			if (object.Key.endsWith('/')) continue;
+			out.push({ path: `s3://${bucketName}/${object.Key}`, relative: object.Key.slice(prefix.length), modified: object.LastModified ? object.LastModified.getTime() : undefined });
 		}
-		return await createMultiGCSStream(data, job);
-	}
+		ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+	} while (ContinuationToken);
+	return out;
+}
 
-	// Handle Amazon S3 URLs (s3://)
-	if (typeof data === 'string' && data.startsWith('s3://')) {
-		job.wasStream = true;
-		return await createS3Stream(data, job);
-	}
+/** @type {Record<string, (prefix: string, job: JobConfig) => Promise<import('./file-selection').ListedFile[]>>} */
+const CLOUD_LISTERS = {
+	'gs://': listGCSPrefix,
+	's3://': listS3Prefix,
+	'az://': azure.listAzurePrefix
+};
 
-	// Handle array of Amazon S3 URLs
-	if (Array.isArray(data) && data.every(item => typeof item === 'string' && item.startsWith('s3://'))) {
-		job.wasStream = true;
-		return await createMultiS3Stream(data, job);
-	}
+/**
+ * Handle cloud storage data sources (GCS, S3 and Azure)
+ * @param {any} data
+ * @param {JobConfig} job
+ * @returns {Promise<any|undefined>} Returns stream if handled, undefined if should continue to local file parsing
+ */
+async function handleCloudStorage(data, job) {
+	const scheme = cloudScheme(Array.isArray(data) ? data[0] : data);
+	if (!scheme) return undefined;
+	if (Array.isArray(data) && !data.every(item => cloudScheme(item) === scheme)) return undefined;
+	job.wasStream = true;
+
+	// folders, patterns and date templates become the files they select
+	let paths = Array.isArray(data) ? data : [data];
+	if (paths.some(needsListing)) {
+		const readable = (file) => hasSupportedExtension(file, [...job.supportedFileExt, ...COMPRESSION_CONFIG.GZIP_EXTENSIONS]);
+		job.selectionRoots = paths.map(selectionRoot);
+		paths = await selectFiles(paths, job, { list: (prefix) => CLOUD_LISTERS[scheme](prefix, job), readable });
+		job.selectedFiles = paths;
+		if (!paths.length) throw new Error(`No files found at ${[].concat(data).join(', ')}`);
+	}
+
+	// Checkpointed runs always take the multi-file loops: that's where the
+	// ledger skips finished files and tags records with their source file.
+	// Otherwise one file is a single-file read: no object-mode PassThrough
+	// re-copy or duplicate existence probe, and a missing file fails loudly
+	// (single-file semantics) instead of resolving as an empty success.
+	// An s3:// array always takes the multi-file loop.
+	const single = paths.length === 1 && !job.checkpoint && (scheme !== 's3://' || typeof data === 'string');
+	if (scheme === 'gs://') return single ? await createGCSStream(paths[0], job) : await createMultiGCSStream(paths, job);
+	if (scheme === 's3://') return single ? await createS3Stream(paths[0], job) : await createMultiS3Stream(paths, job);
+	if (scheme === 'az://') return single ? await createAzureStream(paths[0], job) : await createMultiAzureStream(paths, job);
 
 	// Not cloud storage - continue to local file parsing
 	return undefined;
 }
 
+/**
+ * the files a folder, bucket prefix or pattern holds right now, without reading any of them;
+ * a gs:// / s3:// / az:// path that isn't a pattern is taken as a prefix. sets job.selectionRoots
+ * @param {string} source
+ * @param {JobConfig} job
+ * @returns {Promise<string[]>}
+ */
+async function listSourceFiles(source, job) {
+	const readable = (file) => hasSupportedExtension(file, [...job.supportedFileExt, ...COMPRESSION_CONFIG.GZIP_EXTENSIONS]);
+	const scheme = cloudScheme(source);
+	const sources = [scheme && !needsListing(source) ? `${source}/` : source];
+	job.selectionRoots = sources.map(selectionRoot);
+	if (scheme) return selectFiles(sources, job, { list: (prefix) => CLOUD_LISTERS[scheme](prefix, job), readable });
+	return selectLocalFiles(sources, job, readable);
+}
+
 
 
 
@@ -641,19 +758,21 @@ async function handleSpecialRecordTypes(data, job) {
 	if (job.recordType === 'export') {
 		if (job.where) {
 			// Don't resolve cloud paths - return them as-is
-			if (job.where.startsWith('gs://') || job.where.startsWith('s3://')) {
+			if (job.where.startsWith('gs://') || job.where.startsWith('s3://') || job.where.startsWith('az://')) {
 				return job.where;
 			}
 
-			// if "where" is a folder, return a file path to events.json
+			// if "where" is a folder, return a file path to events.json (partitions go straight under it)
 			if (checkPath(job.where).isDirectory) {
+				if (job.partitionBy.length) return path.resolve(job.where);
 				return path.join(job.where, 'events.json');
 			}
 			return path.resolve(job.where);
 		}
 		const folder = u.mkdir('./mixpanel-exports');
 		const filename = path.resolve(`${folder}/export-${dayjs().format(dateFormat)}-${u.rand()}.ndjson`);
-		await u.touch(filename);
+		// partitioned, csv, parquet and windowed exports write files under / named after this one instead
+		if (job.outputFormat === 'ndjson' && !job.partitionBy.length && !job.exportWindow) await u.touch(filename);
 		return filename;
 	}
 
@@ -699,7 +818,7 @@ async function handleSpecialRecordTypes(data, job) {
 	if (job.recordType === 'profile-export') {
 		if (job.where) {
 			// Don't resolve cloud paths - return them as-is
-			if (job.where.startsWith('gs://') || job.where.startsWith('s3://')) {
+			if (job.where.startsWith('gs://') || job.where.startsWith('s3://') || job.where.startsWith('az://')) {
 				return job.where;
 			}
 			return path.resolve(job.where);
@@ -713,12 +832,10 @@ async function handleSpecialRecordTypes(data, job) {
 	if (job.recordType === 'get-annotations') return null;
 	if (job.recordType === 'delete-annotations') return null;
 
-	// Lookup tables are not streamed
-	if (job.recordType === 'table') {
-		job.wasStream = false;
-		const pathInfo = checkPath(data);
-		if (pathInfo.exists) return await u.load(pathInfo.path);
-		return data;
+	// lookup tables stream like any other input (lookup-table.js writes the CSV); only inline CSV text is read here
+	if (job.recordType === 'table' && typeof data === 'string' && data.includes('\n') && !/^\s*[[{]/.test(data)) {
+		job.wasStream = true;
+		return stream.Readable.from(Papa.parse(data.trim(), CSV_CONFIG).data, { objectMode: true, highWaterMark: job.highWater });
 	}
 
 	// SCD props need a whole crazy slew of things
@@ -729,8 +846,7 @@ async function handleSpecialRecordTypes(data, job) {
 		catch (e) {
 			throw new Error(`SCD preparation failed: ${e.message}`);
 		}
-		// Continue to file parsing after SCD preparation
-		return undefined;
+		// rows are read like any other input below
 	}
 
 	// Data is already a stream
@@ -1070,6 +1186,8 @@ function csvStreamer(filePath, jobConfig, isGzipped = false) {
 		fileStream = fileStream.pipe(gunzip);
 	}
 
+	if (isAdobeFeed(jobConfig)) return fileStream.pipe(new AdobeFeedParser(jobConfig));
+
 	const mappings = Object.entries(jobConfig.aliases);
 	const csvParser = Papa.parse(Papa.NODE_STREAM_INPUT, {
 		header: true,
@@ -1106,6 +1224,62 @@ function csvStreamer(filePath, jobConfig, isGzipped = false) {
 	return outStream;
 }
 
+/**
+ * reads local files one at a time under the checkpoint ledger: files a prior
+ * run finished are skipped, partial uncompressed JSONL reopens at its byte
+ * offset, and every other format skips the records already delivered
+ * @param  {string[]} filePaths
+ * @param  {string} parsingCase jsonl | strict_json | csv | parquet
+ * @param {JobConfig} job
+ * @param {boolean} isGzipped
+ * @returns {stream.PassThrough}
+ */
+function checkpointedFileStream(filePaths, parsingCase, job, isGzipped = false) {
+	const ledger = job.checkpoint;
+	const output = new stream.PassThrough({ objectMode: true, highWaterMark: job.highWater });
+	const seekable = parsingCase === 'jsonl' && !isGzipped;
+
+	const openFile = async (file, startOffset) => {
+		if (parsingCase === 'csv') return csvStreamer(file, job, isGzipped);
+		if (parsingCase === 'parquet') return parquetStream(file, job, isGzipped);
+		if (parsingCase === 'strict_json') return itemStream(file, 'strict_json', job, isGzipped);
+		if (!seekable) return itemStream(file, 'jsonl', job, isGzipped);
+		return wireCloudPipeline([
+			fs.createReadStream(file, { start: startOffset, highWaterMark: job.highWater }),
+			new JsonlObjectStream(job, {}, startOffset)
+		]);
+	};
+
+	const consumeAll = async () => {
+		for (const filePath of filePaths) {
+			if (output.destroyed) return;
+			const file = path.resolve(filePath);
+			const { size } = fs.statSync(file);
+			const { skip, startOffset } = ledger.beginFile(file, { size, seekable });
+			if (skip) {
+				if (job.verbose) console.log(`⏭️  Skipping checkpointed ${file}`);
+				continue;
+			}
+			const fileStream = await openFile(file, startOffset);
+			for await (const record of fileStream) {
+				if (output.destroyed) return;
+				if (!ledger.admit(file, record)) continue;
+				if (!output.write(record)) {
+					const stillOpen = await waitForDrain(output);
+					if (!stillOpen) return;
+				}
+			}
+		}
+		output.end();
+	};
+
+	consumeAll().catch((error) => {
+		if (!output.destroyed) output.destroy(error);
+	});
+
+	return output;
+}
+
 /**
  * streamer for csv files
  * @param  {string} filePath
@@ -1219,7 +1393,7 @@ function chunkForSize(jobConfig) {
 }
 
 function getEnvVars() {
-	const envVars = pick(process.env, `MP_PROJECT`, `MP_ACCT`, `MP_PASS`, `MP_SECRET`, `MP_TOKEN`, `MP_TYPE`, `MP_TABLE_ID`, `MP_GROUP_KEY`, `MP_START`, `MP_END`);
+	const envVars = pick(process.env, `MP_PROJECT`, `MP_ACCT`, `MP_PASS`, `MP_SECRET`, `MP_TOKEN`, `MP_TYPE`, `MP_TABLE_ID`, `MP_GROUP_KEY`, `MP_START`, `MP_END`, `MP_API_HOST`);
 	const envKeyNames = {
 		MP_PROJECT: "project",
 		MP_ACCT: "acct",
@@ -1230,7 +1404,8 @@ function getEnvVars() {
 		MP_TABLE_ID: "lookupTableId",
 		MP_GROUP_KEY: "groupKey",
 		MP_START: "start",
-		MP_END: "end"
+		MP_END: "end",
+		MP_API_HOST: "apiHost"
 	};
 	const envCreds = u.rnKeys(envVars, envKeyNames);
 
@@ -1242,7 +1417,9 @@ function getEnvVars() {
  * a general purpose function that can fetch data 
  * @param {string} filePath  Path to either:
  *   • a JSON file containing an array of {id, distinct_id} objects, OR
- *   • an NDJSON file (one JSON object per line)
+ *   • an NDJSON file (one JSON object per line), OR
+ *   • a TSV file (e.g. an Adobe data feed lookup like browser.tsv); numeric keys
+ *     are column positions for header-less files, otherwise the first row is the header
  * @param {string} keyOne    The key for the id (e.g., "person_id")
  * @param {string} keyTwo    The key for the distinct_id (e.g., "distinct_id")
  * @param {object} [job={}]  Job object containing GCS credentials and project info
@@ -1252,14 +1429,14 @@ async function buildMapFromPath(filePath, keyOne, keyTwo, job = {}) {
 	if (!keyOne || !keyTwo || !filePath) throw new Error("keyOne and keyTwo are required");
 
 	// Local file validation only
-	if (!filePath.startsWith('gs://') && !filePath.startsWith('s3://')) {
+	if (!filePath.startsWith('gs://') && !filePath.startsWith('s3://') && !filePath.startsWith('az://')) {
 		if (!fs.existsSync(path.resolve(filePath))) {
 			throw new Error(`buildMapFromPath: File not found: ${filePath}`);
 		}
 	}
 
 	//check if file has a valid extension
-	const validExtensions = ['.json', '.jsonl', '.ndjson']; //todo: add csv + parquet
+	const validExtensions = ['.json', '.jsonl', '.ndjson', '.tsv']; //todo: add csv + parquet
 	const fileExtension = path.extname(filePath);
 	if (!validExtensions.includes(fileExtension)) {
 		throw new Error(`buildMapFromPath: Invalid file extension: ${fileExtension}`);
@@ -1270,7 +1447,9 @@ async function buildMapFromPath(filePath, keyOne, keyTwo, job = {}) {
 	//a gcp bucket
 	if (filePath?.startsWith('gs://')) fileContents = await fetchFromGCS(filePath, job.gcpProjectId || 'mixpanel-gtm-training', job.gcsCredentials);
 	//an s3 bucket
-	else if (filePath?.startsWith('s3://')) fileContents = await fetchFromS3(filePath);
+	else if (filePath?.startsWith('s3://')) fileContents = await fetchFromS3(filePath, job);
+	//an azure container
+	else if (filePath?.startsWith('az://')) fileContents = (await azure.downloadAzureBlob(filePath, job)).toString('utf-8');
 	//a local file
 	else {
 		fileContents = fs.readFileSync(path.resolve(filePath), "utf-8");
@@ -1278,26 +1457,32 @@ async function buildMapFromPath(filePath, keyOne, keyTwo, job = {}) {
 
 	let records;
 
-	// Try parsing as a JSON array first…
-	try {
-		if (!fileContents.startsWith('[')) throw new Error("probably not a json array");
-		const parsed = JSON.parse(fileContents);
-		if (!Array.isArray(parsed)) {
-			throw new Error("Not an array");
-		}
-		records = parsed;
-	} catch {
-		// Fallback to NDJSON: one JSON object per line
-		records = fileContents
-			.split(/\r?\n/)
-			.filter(line => line.trim().length > 0)
-			.map((line, idx) => {
-				try {
-					return JSON.parse(line);
-				} catch (e) {
-					throw new Error(`Invalid JSON on line ${idx + 1}: ${e.message}`);
-				}
-			});
+	// tab-separated lookups (e.g. Adobe data feed lookup files)
+	if (fileExtension === '.tsv') {
+		records = parseLookupTSV(fileContents, keyOne, keyTwo);
+	}
+	else {
+		// Try parsing as a JSON array first…
+		try {
+			if (!fileContents.startsWith('[')) throw new Error("probably not a json array");
+			const parsed = JSON.parse(fileContents);
+			if (!Array.isArray(parsed)) {
+				throw new Error("Not an array");
+			}
+			records = parsed;
+		} catch {
+			// Fallback to NDJSON: one JSON object per line
+			records = fileContents
+				.split(/\r?\n/)
+				.filter(line => line.trim().length > 0)
+				.map((line, idx) => {
+					try {
+						return JSON.parse(line);
+					} catch (e) {
+						throw new Error(`Invalid JSON on line ${idx + 1}: ${e.message}`);
+					}
+				});
+		}
 	}
 
 	// Build the Map<keyOne, keyTwo>
@@ -1315,6 +1500,26 @@ async function buildMapFromPath(filePath, keyOne, keyTwo, job = {}) {
 	return idMap;
 }
 
+/**
+ * parse a tab-separated lookup file into records keyed by keyOne/keyTwo
+ * @param {string} fileContents
+ * @param {string} keyOne - column name, or a column position ("0") for header-less files
+ * @param {string} keyTwo - column name, or a column position ("1") for header-less files
+ * @returns {Object[]}
+ */
+function parseLookupTSV(fileContents, keyOne, keyTwo) {
+	const rows = fileContents
+		.split(/\r?\n/)
+		.filter(line => line.length > 0)
+		.map(line => line.split('\t'));
+	const positional = /^\d+$/.test(String(keyOne)) && /^\d+$/.test(String(keyTwo));
+	const header = positional ? null : rows.shift() || [];
+	const first = positional ? Number(keyOne) : header.indexOf(keyOne);
+	const second = positional ? Number(keyTwo) : header.indexOf(keyTwo);
+	if (first < 0 || second < 0) throw new Error(`buildMapFromPath: ${keyOne} / ${keyTwo} not found in TSV header`);
+	return rows.map(row => ({ [keyOne]: row[first], [keyTwo]: row[second] }));
+}
+
 /**
  * Fetch a file from Google Cloud Storage
  * @param {string} gcsPath Path in format gs://bucket-name/path/to/file.json
@@ -1381,9 +1586,10 @@ function detectGCSFormat(gcsPath) {
  * Main GCS stream factory - detects format and routes to appropriate parser
  * @param {string} gcsPath 
  * @param {JobConfig} job 
+ * @param {number} [startOffset] raw byte offset to resume from (uncompressed JSON/JSONL only)
  * @returns {Promise<stream.Readable>}
  */
-async function createGCSStream(gcsPath, job) {
+async function createGCSStream(gcsPath, job, startOffset = 0) {
 	const format = detectGCSFormat(gcsPath);
 
 	switch (format) {
@@ -1393,7 +1599,7 @@ async function createGCSStream(gcsPath, job) {
 			return createGCSParquetStream(gcsPath, job);
 		case 'json':
 		default:
-			return createGCSJSONStream(gcsPath, job);
+			return createGCSJSONStream(gcsPath, job, startOffset);
 	}
 }
 
@@ -1401,9 +1607,10 @@ async function createGCSStream(gcsPath, job) {
  * Create JSON/JSONL stream from GCS (original implementation)
  * @param {string} gcsPath 
  * @param {JobConfig} job 
+ * @param {number} [startOffset] raw byte offset to resume from (checkpoint ledger; ignored for gzipped objects)
  * @returns {Promise<stream.Readable>}
  */
-async function createGCSJSONStream(gcsPath, job) {
+async function createGCSJSONStream(gcsPath, job, startOffset = 0) {
 	// Create a storage client using either custom credentials or application default credentials
 	const storageConfig = {
 		projectId: job.gcpProjectId
@@ -1425,6 +1632,9 @@ async function createGCSJSONStream(gcsPath, job) {
 	const bucketName = matches[1];
 	const filePath = matches[2];
 	const isGzipped = COMPRESSION_CONFIG.GZIP_EXTENSIONS.some(ext => filePath.endsWith(ext));
+	// compressed offsets don't map to line boundaries; gzipped objects resume by record count instead
+	if (isGzipped) startOffset = 0;
+	const trackOffsets = Boolean(job.checkpoint) && !isGzipped;
 
 	try {
 		// Create read stream with tunable settings for high throughput
@@ -1441,13 +1651,14 @@ async function createGCSJSONStream(gcsPath, job) {
 		const idleTimeout = job.cloudReadIdleTimeout ?? GCS_STREAMING_CONFIG.READ_IDLE_TIMEOUT_MS;
 
 		let gcsReadStream;
-		if (job.resumeOnStall) {
+		if (job.resumeOnStall || startOffset > 0) {
 			// Resilient source: reconnects on stalls/resets via range reads at the
 			// last-received compressed byte offset. Drop-in replacement for the raw
 			// stream (includes its own probe, generation pinning, and watchdog).
+			// Also the only path that can open at a checkpointed offset.
 			gcsReadStream = await createResilientGCSSource({
 				storage, bucketName, filePath, gcsPath, readOpts,
-				idleMs: idleTimeout, job
+				idleMs: idleTimeout, job, initialOffset: startOffset
 			});
 		}
 		else {
@@ -1472,15 +1683,8 @@ async function createGCSJSONStream(gcsPath, job) {
 			armIdleTimeout(gcsReadStream, idleTimeout, gcsPath, job);
 		}
 
-		const makeGunzip = () => zlib.createGunzip({
-			chunkSize: GCS_STREAMING_CONFIG.GZIP_CHUNK_SIZE,
-			windowBits: GCS_STREAMING_CONFIG.GZIP_WINDOW_BITS,
-			level: zlib.constants.Z_DEFAULT_COMPRESSION,
-			memLevel: GCS_STREAMING_CONFIG.GZIP_MEM_LEVEL
-		});
-
 		const makeJsonlStream = () => {
-			const jsonlStream = new JsonlObjectStream(job);
+			const jsonlStream = new JsonlObjectStream(job, {}, trackOffsets ? startOffset : null);
 			// Surface parse warnings (non-fatal) in verbose mode
 			jsonlStream.on('warning', (msg) => {
 				if (job.verbose) console.warn(`⚠️  ${msg}`);
@@ -1512,7 +1716,7 @@ async function createGCSJSONStream(gcsPath, job) {
 			// pipeline() cannot span the custom BufferQueue; wire the post-queue
 			// chain with the helper so gunzip/parse errors propagate to the consumer.
 			const postQueueStages = [queueOutput];
-			if (isGzipped) postQueueStages.push(makeGunzip());
+			if (isGzipped) postQueueStages.push(createCloudGunzip());
 			postQueueStages.push(makeJsonlStream());
 			const out = wireCloudPipeline(postQueueStages);
 
@@ -1533,7 +1737,7 @@ async function createGCSJSONStream(gcsPath, job) {
 
 		// No throttling - compose with stream.pipeline so source errors propagate
 		const stages = [gcsReadStream];
-		if (isGzipped) stages.push(makeGunzip());
+		if (isGzipped) stages.push(createCloudGunzip());
 		stages.push(makeJsonlStream());
 		return wireCloudPipeline(stages);
 
@@ -1606,13 +1810,6 @@ async function createGCSCSVStream(gcsPath, job) {
 		const idleTimeout = job.cloudReadIdleTimeout ?? GCS_STREAMING_CONFIG.READ_IDLE_TIMEOUT_MS;
 		armIdleTimeout(gcsReadStream, idleTimeout, gcsPath, job);
 
-		const makeGunzip = () => zlib.createGunzip({
-			chunkSize: GCS_STREAMING_CONFIG.GZIP_CHUNK_SIZE,
-			windowBits: GCS_STREAMING_CONFIG.GZIP_WINDOW_BITS,
-			level: zlib.constants.Z_DEFAULT_COMPRESSION,
-			memLevel: GCS_STREAMING_CONFIG.GZIP_MEM_LEVEL
-		});
-
 		// Byte-level stages feeding the CSV parser. When throttling, route bytes
 		// through the BufferQueue (which pipeline() cannot span) and apply gunzip
 		// after the queue; otherwise gunzip directly after the GCS stream.
@@ -1636,55 +1833,15 @@ async function createGCSCSVStream(gcsPath, job) {
 			gcsReadStream.pipe(queueInput);
 
 			leadingStages.push(queueOutput);
-			if (isGzipped) leadingStages.push(makeGunzip());
+			if (isGzipped) leadingStages.push(createCloudGunzip());
 		} else {
 			leadingStages.push(gcsReadStream);
-			if (isGzipped) leadingStages.push(makeGunzip());
+			if (isGzipped) leadingStages.push(createCloudGunzip());
 		}
 
-		// Parse CSV using Papa Parse
-		const mappings = Object.entries(job.aliases);
-		const csvParser = Papa.parse(Papa.NODE_STREAM_INPUT, {
-			header: true,
-			skipEmptyLines: true,
-
-			//rename's header keys to match aliases
-			transformHeader: (header) => {
-				const mapping = mappings.filter(pair => pair[0] === header).pop();
-				if (mapping) header = mapping[1];
-				return header;
-			}
-		});
-
-		// Transform to Mixpanel event format (same as local csvStreamer)
-		const transformer = new stream.Transform({
-			objectMode: true,
-			highWaterMark: job.highWater,
-			transform: (chunk, _encoding, callback) => {
-				try {
-					const { distinct_id = "", $insert_id = "", time = 0, event, ...props } = chunk;
-					const mixpanelEvent = {
-						event,
-						properties: {
-							distinct_id,
-							$insert_id,
-							time: dayjs.utc(time).valueOf(),
-							...props
-						}
-					};
-					if (!distinct_id) delete mixpanelEvent.properties.distinct_id;
-					if (!$insert_id) delete mixpanelEvent.properties.$insert_id;
-					if (!time) delete mixpanelEvent.properties.time;
-
-					callback(null, mixpanelEvent);
-				} catch (error) {
-					callback(error);
-				}
-			}
-		});
-
 		// Compose Source -> CSV Parser -> Transform with error propagation + cleanup
-		const out = wireCloudPipeline([...leadingStages, csvParser, transformer]);
+		const parseStages = cloudCSVStages(job);
+		const out = wireCloudPipeline([...leadingStages, ...parseStages]);
 
 		// In throttled mode the GCS source sits outside the pipeline; forward its
 		// failures so a reset/stall fails the returned stream instead of hanging,
@@ -1708,6 +1865,129 @@ async function createGCSCSVStream(gcsPath, job) {
 	}
 }
 
+/**
+ * Byte-to-record stages for CSV from cloud storage: Papa Parse (headers renamed
+ * by `aliases`) then the same event shaping as the local csvStreamer; Adobe
+ * data feeds get their own parser instead.
+ * @param {JobConfig} job
+ * @returns {stream.Transform[]}
+ */
+function cloudCSVStages(job) {
+	if (isAdobeFeed(job)) return [new AdobeFeedParser(job)];
+
+	const mappings = Object.entries(job.aliases);
+	const csvParser = Papa.parse(Papa.NODE_STREAM_INPUT, {
+		header: true,
+		skipEmptyLines: true,
+
+		//rename's header keys to match aliases
+		transformHeader: (header) => {
+			const mapping = mappings.filter(pair => pair[0] === header).pop();
+			if (mapping) header = mapping[1];
+			return header;
+		}
+	});
+
+	const transformer = new stream.Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		transform: (chunk, _encoding, callback) => {
+			try {
+				const { distinct_id = "", $insert_id = "", time = 0, event, ...props } = chunk;
+				const mixpanelEvent = {
+					event,
+					properties: {
+						distinct_id,
+						$insert_id,
+						time: dayjs.utc(time).valueOf(),
+						...props
+					}
+				};
+				if (!distinct_id) delete mixpanelEvent.properties.distinct_id;
+				if (!$insert_id) delete mixpanelEvent.properties.$insert_id;
+				if (!time) delete mixpanelEvent.properties.time;
+
+				callback(null, mixpanelEvent);
+			} catch (error) {
+				callback(error);
+			}
+		}
+	});
+	return [csvParser, transformer];
+}
+
+/**
+ * Gunzip tuned for cloud downloads
+ * @returns {zlib.Gunzip}
+ */
+function createCloudGunzip() {
+	return zlib.createGunzip({
+		chunkSize: GCS_STREAMING_CONFIG.GZIP_CHUNK_SIZE,
+		windowBits: GCS_STREAMING_CONFIG.GZIP_WINDOW_BITS,
+		level: zlib.constants.Z_DEFAULT_COMPRESSION,
+		memLevel: GCS_STREAMING_CONFIG.GZIP_MEM_LEVEL
+	});
+}
+
+/**
+ * Parse a downloaded parquet file into an object-mode stream of rows
+ * (dates → ISO strings, bigints → numbers when safe, buffers → utf-8)
+ * @param {Buffer} buffer whole (decompressed) parquet file
+ * @param {JobConfig} job
+ * @returns {Promise<stream.Readable>}
+ */
+async function parquetBufferToStream(buffer, job) {
+	// Create async buffer interface for hyparquet (convert Buffer to ArrayBuffer)
+	const asyncBuffer = {
+		byteLength: buffer.length,
+		slice: (start, end) => {
+			const subBuffer = buffer.subarray(start, end);
+			// Convert Buffer to ArrayBuffer
+			const arrayBuffer = subBuffer.buffer.slice(
+				subBuffer.byteOffset,
+				subBuffer.byteOffset + subBuffer.byteLength
+			);
+			return Promise.resolve(arrayBuffer);
+		}
+	};
+
+	// Use hyparquet's streaming interface (dynamically loaded)
+	const parquetReadFn = await getParquetRead();
+
+	// Read parquet data first, then create stream
+	const parquetData = await new Promise((resolve, reject) => {
+		parquetReadFn({
+			file: asyncBuffer,
+			rowFormat: 'object',
+			onComplete: (data) => {
+				// Sanitize each row in-place before resolving
+				if (data && data.length > 0) {
+					for (const row of data) {
+						// sanitize in-place
+						for (const k of Object.keys(row)) {
+							const v = row[k];
+							if (v?.toISOString) row[k] = dayjs.utc(v).toISOString();
+							else if (typeof v === 'bigint') row[k] =
+								(v <= Number.MAX_SAFE_INTEGER && v >= Number.MIN_SAFE_INTEGER)
+									? Number(v)
+									: v.toString();
+							else if (Buffer.isBuffer(v)) row[k] = v.toString('utf-8');
+							else if (v === undefined) row[k] = null;
+						}
+					}
+				}
+				resolve(data || []);
+			}
+		}).catch(reject);
+	});
+
+	// Create readable stream from the parsed data
+	return stream.Readable.from(parquetData, {
+		objectMode: true,
+		highWaterMark: job.highWater
+	});
+}
+
 /**
  * Create Parquet stream from GCS using hyparquet with native GCS streaming
  * @param {string} gcsPath 
@@ -1772,13 +2052,7 @@ async function createGCSParquetStream(gcsPath, job) {
 		// reaches the iterated stream (a raw .pipe() would strand the for-await).
 		let parquetSource = gcsReadStream;
 		if (isGzipped) {
-			const gunzip = zlib.createGunzip({
-				chunkSize: GCS_STREAMING_CONFIG.GZIP_CHUNK_SIZE,
-				windowBits: GCS_STREAMING_CONFIG.GZIP_WINDOW_BITS,
-				level: zlib.constants.Z_DEFAULT_COMPRESSION,
-				memLevel: GCS_STREAMING_CONFIG.GZIP_MEM_LEVEL
-			});
-			parquetSource = wireCloudPipeline([gcsReadStream, gunzip, new stream.PassThrough()]);
+			parquetSource = wireCloudPipeline([gcsReadStream, createCloudGunzip(), new stream.PassThrough()]);
 		}
 
 		// Collect stream data into buffer for hyparquet
@@ -1786,57 +2060,7 @@ async function createGCSParquetStream(gcsPath, job) {
 		for await (const chunk of parquetSource) {
 			chunks.push(chunk);
 		}
-		const buffer = Buffer.concat(chunks);
-
-		// Create async buffer interface for hyparquet (convert Buffer to ArrayBuffer)
-		const asyncBuffer = {
-			byteLength: buffer.length,
-			slice: (start, end) => {
-				const subBuffer = buffer.subarray(start, end);
-				// Convert Buffer to ArrayBuffer
-				const arrayBuffer = subBuffer.buffer.slice(
-					subBuffer.byteOffset,
-					subBuffer.byteOffset + subBuffer.byteLength
-				);
-				return Promise.resolve(arrayBuffer);
-			}
-		};
-
-		// Use hyparquet's streaming interface (dynamically loaded)
-		const parquetReadFn = await getParquetRead();
-
-		// Read parquet data first, then create stream
-		const parquetData = await new Promise((resolve, reject) => {
-			parquetReadFn({
-				file: asyncBuffer,
-				rowFormat: 'object',
-				onComplete: (data) => {
-					// Sanitize each row in-place before resolving
-					if (data && data.length > 0) {
-						for (const row of data) {
-							// sanitize in-place
-							for (const k of Object.keys(row)) {
-								const v = row[k];
-								if (v?.toISOString) row[k] = dayjs.utc(v).toISOString();
-								else if (typeof v === 'bigint') row[k] =
-									(v <= Number.MAX_SAFE_INTEGER && v >= Number.MIN_SAFE_INTEGER)
-										? Number(v)
-										: v.toString();
-								else if (Buffer.isBuffer(v)) row[k] = v.toString('utf-8');
-								else if (v === undefined) row[k] = null;
-							}
-						}
-					}
-					resolve(data || []);
-				}
-			}).catch(reject);
-		});
-
-		// Create readable stream from the parsed data
-		return stream.Readable.from(parquetData, {
-			objectMode: true,
-			highWaterMark: job.highWater
-		});
+		return await parquetBufferToStream(Buffer.concat(chunks), job);
 
 	} catch (error) {
 		const wrapped = new Error(`Error creating GCS Parquet stream: ${error.message}`);
@@ -1849,9 +2073,12 @@ async function createGCSParquetStream(gcsPath, job) {
 /**
  * High-performance JSONL to Object transform stream
  * Optimized for processing large GCS files quickly
+ * When `startOffset` is a number, each object is tagged with the raw byte
+ * range of its line (for the checkpoint ledger); the stream must then be fed
+ * uncompressed bytes starting at exactly that offset.
  */
 class JsonlObjectStream extends Transform {
-	constructor(job, options = {}) {
+	constructor(job, options = {}, startOffset = null) {
 		super({
 			objectMode: true,
 			highWaterMark: job.highWater * GCS_STREAMING_CONFIG.OBJECT_STREAM_MULTIPLIER,
@@ -1861,11 +2088,14 @@ class JsonlObjectStream extends Transform {
 		this.lineCount = 0;
 		this.parseErrors = 0;
 		this.maxParseErrors = JSON_CONFIG.PARSE_ERROR_LIMIT;
+		// byte tracking needs multi-byte characters split across chunks decoded intact
+		this.offset = typeof startOffset === 'number' ? startOffset : null;
+		this.decoder = this.offset !== null ? new StringDecoder('utf8') : null;
 	}
 
 	_transform(chunk, _encoding, callback) {
 		// Add chunk to buffer
-		this.buffer += chunk.toString();
+		this.buffer += this.decoder ? this.decoder.write(chunk) : chunk.toString();
 
 		// Process complete lines
 		const lines = this.buffer.split('\n');
@@ -1875,9 +2105,12 @@ class JsonlObjectStream extends Transform {
 
 		// Process each complete line
 		for (const line of lines) {
+			const start = this.offset;
+			if (this.offset !== null) this.offset += Buffer.byteLength(line, 'utf8') + 1;
 			if (line.trim()) {
 				try {
 					const obj = JSON.parse(line.trim());
+					if (start !== null && obj && typeof obj === 'object') obj[CHECKPOINT] = { start, end: this.offset };
 					this.push(obj);
 					this.lineCount++;
 				} catch (error) {
@@ -1895,9 +2128,13 @@ class JsonlObjectStream extends Transform {
 
 	_flush(callback) {
 		// Process any remaining data in buffer
+		if (this.decoder) this.buffer += this.decoder.end();
 		if (this.buffer.trim()) {
 			try {
 				const obj = JSON.parse(this.buffer.trim());
+				if (this.offset !== null && obj && typeof obj === 'object') {
+					obj[CHECKPOINT] = { start: this.offset, end: this.offset + Buffer.byteLength(this.buffer, 'utf8') };
+				}
 				this.push(obj);
 				this.lineCount++;
 			} catch (error) {
@@ -1915,21 +2152,115 @@ class JsonlObjectStream extends Transform {
 	}
 }
 
+/**
+ * Adobe Analytics data feed parser (hit_data.tsv)
+ * Data feeds have no header row (names live in column_headers.tsv) and escape
+ * tabs, newlines and backslashes inside values with a backslash, which Papa
+ * would split on; each hit is emitted as an array of column values for the
+ * adobe vendor transform to zip with the headers.
+ */
+class AdobeFeedParser extends Transform {
+	constructor(job) {
+		super({ readableObjectMode: true, readableHighWaterMark: job.highWater });
+		this.decoder = new StringDecoder('utf8');
+		this.row = [];
+		this.field = '';
+		this.escaped = false;
+	}
+
+	_transform(chunk, _encoding, callback) {
+		this.consume(this.decoder.write(chunk));
+		callback();
+	}
+
+	_flush(callback) {
+		this.consume(this.decoder.end());
+		if (this.field || this.row.length) this.endRow();
+		callback();
+	}
+
+	consume(text) {
+		let from = 0;
+		for (let i = 0; i < text.length; i++) {
+			// the character after a backslash is data, even a tab or newline
+			// (the flag survives chunk boundaries)
+			if (this.escaped) {
+				this.escaped = false;
+				continue;
+			}
+			const char = text[i];
+			if (char !== '\\' && char !== '\t' && char !== '\n' && char !== '\r') continue;
+			this.field += text.slice(from, i);
+			from = i + 1;
+			if (char === '\\') this.escaped = true;
+			else if (char === '\t') {
+				this.row.push(this.field);
+				this.field = '';
+			}
+			else if (char === '\n') this.endRow();
+		}
+		this.field += text.slice(from);
+	}
+
+	endRow() {
+		this.row.push(this.field);
+		const row = this.row;
+		this.row = [];
+		this.field = '';
+		if (row.length === 1 && row[0] === '') return;
+		this.push(row);
+	}
+}
+
+/**
+ * Adobe data feeds (vendor: adobe) bypass Papa for tabular files
+ * @param {JobConfig} job
+ * @returns {boolean}
+ */
+function isAdobeFeed(job) {
+	return String(job.vendor || '').toLowerCase() === 'adobe';
+}
+
 /**
  * Create a stream that handles multiple GCS files
+ * @param {string[]} gcsPaths Array of GCS paths (gs://bucket/file)
+ * @param {JobConfig} job Job configuration
+ * @returns {Promise<stream.PassThrough>} Combined object stream from all files
+ */
+async function createMultiGCSStream(gcsPaths, job) {
+	return concatCloudFiles(gcsPaths, job, { provider: 'GCS', pathPattern: /^gs:\/\/[^/]+\/.+$/, open: createGCSStream });
+}
+
+/**
+ * Create a stream that handles multiple Azure blobs
+ * @param {string[]} azPaths Array of Azure paths (az://container/blob)
+ * @param {JobConfig} job Job configuration
+ * @returns {Promise<stream.PassThrough>} Combined object stream from all blobs
+ */
+async function createMultiAzureStream(azPaths, job) {
+	return concatCloudFiles(azPaths, job, { provider: 'Azure', pathPattern: /^az:\/\/[^/]+\/.+$/, open: createAzureStream });
+}
+
+/**
+ * Read several cloud objects one after another into a single object stream.
  * Skips files that cleanly don't exist (counted in job.filesSkippedMissing);
  * any other creation-time failure is retried with bounded backoff and then
  * FAILS the whole job — a partial import must never resolve as success.
  * Validates that all files have the same format
- * @param {string[]} gcsPaths Array of GCS paths (gs://bucket/file)
+ * @param {string[]} paths
  * @param {JobConfig} job Job configuration
- * @returns {Promise<PassThrough>} Combined object stream from all files
+ * @param {object} provider
+ * @param {string} provider.provider name for logs and errors ('GCS', 'Azure')
+ * @param {RegExp} provider.pathPattern a path naming one object
+ * @param {(path: string, job: JobConfig, startOffset: number) => Promise<stream.Readable>} provider.open
+ *   single-file reader; retries its own creation-time probes
+ * @returns {Promise<stream.PassThrough>} Combined object stream from all files
  */
-async function createMultiGCSStream(gcsPaths, job) {
+async function concatCloudFiles(paths, job, { provider, pathPattern, open }) {
 	const { PassThrough } = require('stream');
 
 	// Validate that all files have the same format
-	const formats = gcsPaths.map(detectGCSFormat);
+	const formats = paths.map(detectGCSFormat);
 	const uniqueFormats = [...new Set(formats)];
 
 	if (uniqueFormats.length > 1) {
@@ -1937,18 +2268,18 @@ async function createMultiGCSStream(gcsPaths, job) {
 	}
 
 	const format = uniqueFormats[0];
-	console.log(`Processing ${gcsPaths.length} ${format} files from GCS...`);
+	console.log(`Processing ${paths.length} ${format} files from ${provider}...`);
 
 	// Create a passthrough stream that will be our final output
 	const output = new PassThrough({ objectMode: true });
 
-	const wrapFatal = (gcsPath, error) => {
+	const wrapFatal = (filePath, error) => {
 		// A failure once a file is in play is FATAL. Skipping would silently
 		// drop data = loss reported as success. Fail the whole job so the
 		// caller can retry the entire (idempotent) task.
 		// @ts-ignore - Node.js errors often have a code property
 		const code = error.code ? ` (${error.code})` : '';
-		const fatal = new Error(`Multi-file GCS read failed for ${gcsPath}${code}: ${error.message}`);
+		const fatal = new Error(`Multi-file ${provider} read failed for ${filePath}${code}: ${error.message}`);
 		// Preserve the transport error code (ECONNRESET etc.) so callers'
 		// retry logic can recognize the failure as transient.
 		// @ts-ignore
@@ -1956,35 +2287,48 @@ async function createMultiGCSStream(gcsPaths, job) {
 		return fatal;
 	};
 
-	// Process files sequentially to avoid overwhelming GCS
+	// Process files sequentially to avoid overwhelming the store
 	const consumeAll = async () => {
 		let processedCount = 0;
 
-		for (const gcsPath of gcsPaths) {
+		for (const filePath of paths) {
 			if (output.destroyed) return;
 
-			if (!/^gs:\/\/[^/]+\/.+$/.test(gcsPath)) {
-				console.warn(`Skipping invalid GCS path: ${gcsPath}`);
+			if (!pathPattern.test(filePath)) {
+				console.warn(`Skipping invalid ${provider} path: ${filePath}`);
 				continue;
 			}
 
+			// Checkpointed runs skip files a previous run finished and resume
+			// partial ones (byte offset for uncompressed JSONL, record count otherwise)
+			let startOffset = 0;
+			if (job.checkpoint) {
+				const seekable = format === 'json' && !COMPRESSION_CONFIG.GZIP_EXTENSIONS.some(ext => filePath.endsWith(ext));
+				const resumeAt = job.checkpoint.beginFile(filePath, { seekable });
+				if (resumeAt.skip) {
+					if (job.verbose) console.log(`⏭️  Skipping checkpointed ${filePath}`);
+					continue;
+				}
+				startOffset = resumeAt.startOffset;
+			}
+
 			// Creation-time probes are retried with bounded backoff INSIDE
-			// createGCSStream (exists/getMetadata for every format) — no outer
+			// open() (exists/getMetadata for every format) — no outer
 			// retry here, or the layers would multiply into attempts² probes
 			// and duplicate open-retry telemetry.
 			let fileStream;
 			try {
-				fileStream = await createGCSStream(gcsPath, job);
+				fileStream = await open(filePath, job, startOffset);
 			} catch (error) {
 				if (classifyCloudError(error) === 'not-found') {
 					// The one legitimate skip: the object cleanly does not exist.
 					// Surfaced in results (filesSkippedMissing), not just console.
-					console.warn(`Skipping non-existent file: ${gcsPath}`);
+					console.warn(`Skipping non-existent file: ${filePath}`);
 					job.filesSkippedMissing++;
-					emitCloudEvent(job, { type: 'file-skip-missing', file: gcsPath, byteOffset: 0, attempt: 0 });
+					emitCloudEvent(job, { type: 'file-skip-missing', file: filePath, byteOffset: 0, attempt: 0 });
 					continue;
 				}
-				throw wrapFatal(gcsPath, error);
+				throw wrapFatal(filePath, error);
 			}
 
 			// Concatenate with real backpressure; exiting this loop early (throw or
@@ -1993,18 +2337,19 @@ async function createMultiGCSStream(gcsPaths, job) {
 				for await (const chunk of fileStream) {
 					// exiting via return invokes the iterator's return() → fileStream destroyed
 					if (output.destroyed) return;
+					if (job.checkpoint && !job.checkpoint.admit(filePath, chunk)) continue;
 					if (!output.write(chunk)) {
 						const stillOpen = await waitForDrain(output);
 						if (!stillOpen) return;
 					}
 				}
 			} catch (error) {
-				throw wrapFatal(gcsPath, error);
+				throw wrapFatal(filePath, error);
 			}
 
 			processedCount++;
 			if (job.verbose) {
-				console.log(`✅ Completed ${gcsPath} (${processedCount}/${gcsPaths.length})`);
+				console.log(`✅ Completed ${filePath} (${processedCount}/${paths.length})`);
 			}
 		}
 
@@ -2018,6 +2363,51 @@ async function createMultiGCSStream(gcsPaths, job) {
 	return output;
 }
 
+/**
+ * Azure blob stream factory: the blob's bytes (always through the resilient
+ * source, so every format gets the stall watchdog and, with resumeOnStall,
+ * ranged resume), gunzipped by extension, then parsed by format
+ * @param {string} azPath az://container/path/to/blob
+ * @param {JobConfig} job
+ * @param {number} [startOffset] raw byte offset to resume from (uncompressed JSON/JSONL only)
+ * @returns {Promise<stream.Readable>}
+ */
+async function createAzureStream(azPath, job, startOffset = 0) {
+	const format = detectGCSFormat(azPath);
+	const isGzipped = COMPRESSION_CONFIG.GZIP_EXTENSIONS.some(ext => azPath.endsWith(ext));
+	// compressed offsets don't map to line boundaries; gzipped blobs resume by record count instead
+	if (isGzipped || format !== 'json') startOffset = 0;
+	const trackOffsets = Boolean(job.checkpoint) && format === 'json' && !isGzipped;
+
+	try {
+		const source = await azure.openAzureSource(azPath, job, startOffset);
+		const stages = [source];
+		if (isGzipped) stages.push(createCloudGunzip());
+
+		if (format === 'parquet') {
+			const chunks = [];
+			for await (const chunk of wireCloudPipeline([...stages, new stream.PassThrough()])) chunks.push(chunk);
+			return await parquetBufferToStream(Buffer.concat(chunks), job);
+		}
+
+		if (format === 'csv') stages.push(...cloudCSVStages(job));
+		else {
+			const jsonlStream = new JsonlObjectStream(job, {}, trackOffsets ? startOffset : null);
+			jsonlStream.on('warning', (msg) => {
+				if (job.verbose) console.warn(`⚠️  ${msg}`);
+			});
+			stages.push(jsonlStream);
+		}
+		return wireCloudPipeline(stages);
+
+	} catch (error) {
+		const wrapped = new Error(`Error creating Azure ${format.toUpperCase()} stream: ${error.message}`);
+		// @ts-ignore - preserve transport error code for caller classification
+		if (error.code) wrapped.code = error.code;
+		throw wrapped;
+	}
+}
+
 /**
  * Detect file format from S3 path
  * @param {string} s3Path 
@@ -2038,9 +2428,10 @@ function detectS3Format(s3Path) {
  * Main S3 stream factory - detects format and routes to appropriate parser
  * @param {string} s3Path 
  * @param {JobConfig} job 
+ * @param {number} [startOffset] raw byte offset to resume from (uncompressed JSON/JSONL only)
  * @returns {Promise<stream.Readable>}
  */
-async function createS3Stream(s3Path, job) {
+async function createS3Stream(s3Path, job, startOffset = 0) {
 	const format = detectS3Format(s3Path);
 
 	switch (format) {
@@ -2050,7 +2441,7 @@ async function createS3Stream(s3Path, job) {
 			return createS3ParquetStream(s3Path, job);
 		case 'json':
 		default:
-			return createS3JSONStream(s3Path, job);
+			return createS3JSONStream(s3Path, job, startOffset);
 	}
 }
 
@@ -2058,9 +2449,10 @@ async function createS3Stream(s3Path, job) {
  * Create JSON/JSONL stream from S3
  * @param {string} s3Path 
  * @param {JobConfig} job 
+ * @param {number} [startOffset] raw byte offset to resume from (checkpoint ledger; ignored for gzipped objects)
  * @returns {Promise<stream.Readable>}
  */
-async function createS3JSONStream(s3Path, job) {
+async function createS3JSONStream(s3Path, job, startOffset = 0) {
 	// Extract bucket and key from the S3 path
 	const matches = s3Path.match(/^s3:\/\/([^\/]+)\/(.+)$/);
 	if (!matches) {
@@ -2070,37 +2462,36 @@ async function createS3JSONStream(s3Path, job) {
 	const bucketName = matches[1];
 	const key = matches[2];
 	const isGzipped = COMPRESSION_CONFIG.GZIP_EXTENSIONS.some(ext => key.endsWith(ext));
+	// compressed offsets don't map to line boundaries; gzipped objects resume by record count instead
+	if (isGzipped) startOffset = 0;
+	const trackOffsets = Boolean(job.checkpoint) && !isGzipped;
 
-	// Configure S3 client with credentials from job config
-	const s3ClientConfig = {
-		region: job.s3Region || S3_STREAMING_CONFIG.DEFAULT_REGION,
+	// Configure S3 client from the job's S3 settings (endpoint, credentials, region)
+	requireS3Region(job);
+	const s3Client = new S3Client(s3ClientConfig(job, {
 		requestTimeout: S3_STREAMING_CONFIG.REQUEST_TIMEOUT,
 		maxAttempts: S3_STREAMING_CONFIG.MAX_RETRY_ATTEMPTS
-	};
-
-	// Add credentials if provided
-	if (job.s3Key && job.s3Secret) {
-		s3ClientConfig.credentials = {
-			accessKeyId: job.s3Key,
-			secretAccessKey: job.s3Secret
-		};
-	}
-
-	// Throw error if no region specified
-	if (!job.s3Region) {
-		throw new Error('S3 region is required. Please specify s3Region in job config or use environment variable S3_REGION');
-	}
-
-	const s3Client = new S3Client(s3ClientConfig);
+	}));
 
 	try {
-		// Create read stream
+		// Create read stream (ranged when resuming from a checkpointed offset)
 		const command = new GetObjectCommand({
 			Bucket: bucketName,
-			Key: key
+			Key: key,
+			...(startOffset > 0 && { Range: `bytes=${startOffset}-` })
 		});
 
-		const response = await s3Client.send(command);
+		let response;
+		try {
+			response = await s3Client.send(command);
+		} catch (error) {
+			// a checkpoint sitting exactly at end-of-object: nothing left to read
+			const status = error?.$metadata?.httpStatusCode;
+			if (startOffset > 0 && (error?.name === 'InvalidRange' || status === 416)) {
+				return stream.Readable.from([], { objectMode: true });
+			}
+			throw error;
+		}
 
 		// Convert AWS SDK stream to Node.js stream
 		// @ts-ignore - AWS SDK stream conversion
@@ -2121,7 +2512,7 @@ async function createS3JSONStream(s3Path, job) {
 				memLevel: S3_STREAMING_CONFIG.GZIP_MEM_LEVEL
 			}));
 		}
-		stages.push(new JsonlObjectStream(job));
+		stages.push(new JsonlObjectStream(job, {}, trackOffsets ? startOffset : null));
 		return wireCloudPipeline(stages);
 
 	} catch (error) {
@@ -2149,27 +2540,12 @@ async function createS3CSVStream(s3Path, job) {
 	const key = matches[2];
 	const isGzipped = key.endsWith('.csv.gz');
 
-	// Configure S3 client with credentials from job config
-	const s3ClientConfig = {
-		region: job.s3Region || S3_STREAMING_CONFIG.DEFAULT_REGION,
+	// Configure S3 client from the job's S3 settings (endpoint, credentials, region)
+	requireS3Region(job);
+	const s3Client = new S3Client(s3ClientConfig(job, {
 		requestTimeout: S3_STREAMING_CONFIG.REQUEST_TIMEOUT,
 		maxAttempts: S3_STREAMING_CONFIG.MAX_RETRY_ATTEMPTS
-	};
-
-	// Add credentials if provided
-	if (job.s3Key && job.s3Secret) {
-		s3ClientConfig.credentials = {
-			accessKeyId: job.s3Key,
-			secretAccessKey: job.s3Secret
-		};
-	}
-
-	// Throw error if no region specified
-	if (!job.s3Region) {
-		throw new Error('S3 region is required. Please specify s3Region in job config or use environment variable S3_REGION');
-	}
-
-	const s3Client = new S3Client(s3ClientConfig);
+	}));
 
 	try {
 		// Create read stream
@@ -2237,7 +2613,8 @@ async function createS3CSVStream(s3Path, job) {
 		});
 
 		// Compose S3 Stream -> CSV Parser -> Transform with error propagation + cleanup
-		return wireCloudPipeline([...leadingStages, csvParser, transformer]);
+		const parseStages = isAdobeFeed(job) ? [new AdobeFeedParser(job)] : [csvParser, transformer];
+		return wireCloudPipeline([...leadingStages, ...parseStages]);
 
 	} catch (error) {
 		const wrapped = new Error(`Error creating S3 CSV stream: ${error.message}`);
@@ -2264,27 +2641,12 @@ async function createS3ParquetStream(s3Path, job) {
 	const key = matches[2];
 	const isGzipped = key.endsWith('.parquet.gz');
 
-	// Configure S3 client with credentials from job config
-	const s3ClientConfig = {
-		region: job.s3Region || S3_STREAMING_CONFIG.DEFAULT_REGION,
+	// Configure S3 client from the job's S3 settings (endpoint, credentials, region)
+	requireS3Region(job);
+	const s3Client = new S3Client(s3ClientConfig(job, {
 		requestTimeout: S3_STREAMING_CONFIG.REQUEST_TIMEOUT,
 		maxAttempts: S3_STREAMING_CONFIG.MAX_RETRY_ATTEMPTS
-	};
-
-	// Add credentials if provided
-	if (job.s3Key && job.s3Secret) {
-		s3ClientConfig.credentials = {
-			accessKeyId: job.s3Key,
-			secretAccessKey: job.s3Secret
-		};
-	}
-
-	// Throw error if no region specified
-	if (!job.s3Region) {
-		throw new Error('S3 region is required. Please specify s3Region in job config or use environment variable S3_REGION');
-	}
-
-	const s3Client = new S3Client(s3ClientConfig);
+	}));
 
 	try {
 		// Create S3 read stream
@@ -2406,27 +2768,12 @@ async function createMultiS3Stream(s3Paths, job) {
 	// Create a passthrough stream that will be our final output
 	const output = new PassThrough({ objectMode: true });
 
-	// Configure S3 client with credentials from job config
-	const s3ClientConfig = {
-		region: job.s3Region || S3_STREAMING_CONFIG.DEFAULT_REGION,
+	// Configure S3 client from the job's S3 settings (endpoint, credentials, region)
+	requireS3Region(job);
+	const s3Client = new S3Client(s3ClientConfig(job, {
 		requestTimeout: S3_STREAMING_CONFIG.REQUEST_TIMEOUT,
 		maxAttempts: S3_STREAMING_CONFIG.MAX_RETRY_ATTEMPTS
-	};
-
-	// Add credentials if provided
-	if (job.s3Key && job.s3Secret) {
-		s3ClientConfig.credentials = {
-			accessKeyId: job.s3Key,
-			secretAccessKey: job.s3Secret
-		};
-	}
-
-	// Throw error if no region specified
-	if (!job.s3Region) {
-		throw new Error('S3 region is required. Please specify s3Region in job config or use environment variable S3_REGION');
-	}
-
-	const s3Client = new S3Client(s3ClientConfig);
+	}));
 
 	const wrapFatal = (s3Path, error) => {
 		// A failure once a file is in play is FATAL. Skipping would silently
@@ -2476,9 +2823,22 @@ async function createMultiS3Stream(s3Paths, job) {
 				throw wrapFatal(s3Path, error);
 			}
 
+			// Checkpointed runs skip files a previous run finished and resume
+			// partial ones (byte offset for uncompressed JSONL, record count otherwise)
+			let startOffset = 0;
+			if (job.checkpoint) {
+				const seekable = format === 'json' && !COMPRESSION_CONFIG.GZIP_EXTENSIONS.some(ext => key.endsWith(ext));
+				const resumeAt = job.checkpoint.beginFile(s3Path, { seekable });
+				if (resumeAt.skip) {
+					if (job.verbose) console.log(`⏭️  Skipping checkpointed ${s3Path}`);
+					continue;
+				}
+				startOffset = resumeAt.startOffset;
+			}
+
 			let fileStream;
 			try {
-				fileStream = await createS3Stream(s3Path, job);
+				fileStream = await createS3Stream(s3Path, job, startOffset);
 			} catch (error) {
 				throw wrapFatal(s3Path, error);
 			}
@@ -2489,6 +2849,7 @@ async function createMultiS3Stream(s3Paths, job) {
 				for await (const chunk of fileStream) {
 					// exiting via return invokes the iterator's return() → fileStream destroyed
 					if (output.destroyed) return;
+					if (job.checkpoint && !job.checkpoint.admit(s3Path, chunk)) continue;
 					if (!output.write(chunk)) {
 						const stillOpen = await waitForDrain(output);
 						if (!stillOpen) return;
@@ -2571,7 +2932,7 @@ async function testGCSWriteAccess(gcsPath, projectId = 'mixpanel-gtm-training',
 /**
  * Test if we can write to an S3 path by creating and deleting a small test file
  * @param {string} s3Path Path in format s3://bucket-name/path/to/file.json
- * @param {object} s3Config S3 configuration with region, credentials
+ * @param {object} s3Config S3 settings: s3Region, s3Endpoint, s3ForcePathStyle, s3Key, s3Secret, s3SessionToken, s3Profile
  * @returns {Promise<boolean>} True if writable, throws error if not
  */
 async function testS3WriteAccess(s3Path, s3Config = {}) {
@@ -2587,13 +2948,7 @@ async function testS3WriteAccess(s3Path, s3Config = {}) {
 	// Create test key in same directory
 	const testKey = `${path.dirname(key)}/.write-test-${Date.now()}-${Math.random().toString(36).substring(2)}`;
 
-	// Configure S3 client
-	const s3ClientConfig = {
-		region: s3Config.s3Region || S3_STREAMING_CONFIG.DEFAULT_REGION,
-		...s3Config
-	};
-
-	const s3Client = new S3Client(s3ClientConfig);
+	const s3Client = new S3Client(s3ClientConfig(s3Config));
 
 	try {
 		// Try to create a small test file
@@ -2618,7 +2973,7 @@ async function testS3WriteAccess(s3Path, s3Config = {}) {
 
 /**
  * Validate that a cloud path is writable before starting export
- * @param {string} cloudPath GCS or S3 path
+ * @param {string} cloudPath GCS, S3 or Azure path
  * @param {object} config Configuration with credentials
  * @returns {Promise<boolean>} True if writable, throws error if not
  */
@@ -2626,28 +2981,23 @@ async function validateCloudWriteAccess(cloudPath, config = {}) {
 	if (cloudPath.startsWith('gs://')) {
 		return testGCSWriteAccess(cloudPath, config.gcpProjectId, config.gcsCredentials);
 	} else if (cloudPath.startsWith('s3://')) {
-		return testS3WriteAccess(cloudPath, {
-			s3Region: config.s3Region,
-			credentials: config.s3Key && config.s3Secret ? {
-				accessKeyId: config.s3Key,
-				secretAccessKey: config.s3Secret
-			} : undefined
-		});
+		return testS3WriteAccess(cloudPath, config);
+	} else if (cloudPath.startsWith('az://')) {
+		return azure.testAzureWriteAccess(cloudPath, config);
 	} else {
-		throw new Error(`Unsupported cloud path format: ${cloudPath}. Use gs:// for Google Cloud Storage or s3:// for Amazon S3`);
+		throw new Error(`Unsupported cloud path format: ${cloudPath}. Use gs:// for Google Cloud Storage, s3:// for Amazon S3 or az:// for Azure Blob Storage`);
 	}
 }
 
 /**
  * Fetch a file from Amazon S3
  * @param {string} s3Path Path in format s3://bucket-name/path/to/file.json
+ * @param {object} [job={}] Job object containing S3 settings
  * @returns {Promise<string>} File contents as a string
  */
-async function fetchFromS3(s3Path) {
-
-
-	// Create an S3 client using application default credentials
-	const s3Client = new S3Client({});
+async function fetchFromS3(s3Path, job = {}) {
+	// without s3Region (or an endpoint) the SDK finds the region itself (AWS_REGION, shared config)
+	const s3Client = new S3Client(s3ClientConfig(job, job.s3Region || job.s3Endpoint ? {} : { region: undefined }));
 
 	// Extract bucket and key from the S3 path
 	// Parse: s3://bucket-name/path/to/file.json
@@ -2686,12 +3036,15 @@ module.exports = {
 	buildMapFromPath,
 	JsonlParser,
 	determineDataType,
+	listSourceFiles,
 	existingStreamInterface,
 	StreamArray,
 	itemStream,
 	getEnvVars,
 	chunkForSize,
 	analyzeFileFormat,
+	AdobeFeedParser,
 	validateCloudWriteAccess,
+	CLOUD_LISTERS,
 	COMPRESSION_CONFIG
 };
@@ -0,0 +1,395 @@
+/*
+----
+HIVE-PARTITIONED OUTPUT
+----
+`partitionBy` (e.g. ["date", "event"]) turns an event export or a
+`destination` into a folder of hive-style partitions that Spark, BigQuery
+external tables and DuckDB read directly:
+
+  <root>/dt=2024-01-01/event=Sign%20Up/part-0000.ndjson.gz
+
+- "date" is the event's UTC day (dt=YYYY-MM-DD), "event" its name; any other
+  key is read from the event's properties. a missing value goes to
+  __HIVE_DEFAULT_PARTITION__, and characters hive escapes are %XX-escaped
+- each partition rolls to a new part once `partitionFileBytes` of NDJSON has
+  gone into it (csv / parquet parts also roll at `rowsPerPart` rows), and
+  only then
+- at most MAX_OPEN_PARTITIONS parts hold a file handle / gzip stream at once;
+  writing to another partition suspends the least recently used one, and its
+  next record reopens the same part. a resumed NDJSON part is appended to (a
+  gzipped one gains another gzip member, which gunzip, Spark and BigQuery
+  read as one file)
+- nothing waits in memory: gs:// / s3:// / az:// NDJSON parts and csv /
+  parquet rows are staged in temp files (under the OS temp dir) and uploaded
+  or converted as each part closes, so only the part being closed is ever
+  read back in
+- NDJSON parts are gzipped unless compress is false; csv and parquet follow
+  outputFormat's rules (see output-format.js)
+- exports number parts from 0000 every run, so re-exporting a day rewrites
+  that day's partitions and leaves the others alone: once the run finishes,
+  parts a previous run left past the last one written are deleted. windowed
+  exports (see export-windows.js) name their parts part-<window>-0000 so
+  windows sharing a partition don't overwrite each other
+- a `destination` only ever adds: each run names its parts
+  part-<run>-0000, <run> being when it started plus a random suffix, and
+  deletes nothing, so successive imports (or --watch picking up file after
+  file) into the same day keep each other's output
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Writable, pipeline } = require('stream');
+const { once } = require('events');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const { COMPRESSION_CONFIG } = require('./constants');
+const { flattenRecord, writeColumnarFile, writeOutputFile } = require('./output-format.js');
+const { removeFile } = require('./archive.js');
+const { toMillis } = require('./values.js');
+dayjs.extend(utc);
+
+/** @typedef {import('./job')} JobConfig */
+
+/** parts holding a file handle / gzip stream at once */
+const MAX_OPEN_PARTITIONS = 32;
+
+const DEFAULT_PARTITION = '__HIVE_DEFAULT_PARTITION__';
+
+/** extensions stripped from a target to get the root folder */
+const FILE_EXTENSIONS = /\.(ndjson|jsonl|json|csv|parquet)(\.gz)?$|\.gz$/i;
+
+/**
+ * @typedef {Object} PartFile
+ * @property {string} file
+ * @property {number} bytes - NDJSON bytes written so far
+ * @property {number} rows
+ * @property {(record: Object, line: string) => Promise<void>} write - reopens a suspended part
+ * @property {() => Promise<void>} suspend - let go of file handles; the part carries on at its next write
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * the folder partitions go under: the target itself, minus a file extension or trailing slash
+ * @param {string} target - local path, gs://, s3:// or az://
+ * @returns {string}
+ */
+function partitionRoot(target) {
+	return target.replace(/\/+$/, '').replace(FILE_EXTENSIONS, '');
+}
+
+/**
+ * `dt=2024-01-01/event=Foo` for a record
+ * @param {Object} record - { event, properties }
+ * @param {string[]} keys - partitionBy
+ * @returns {string}
+ */
+function partitionPath(record, keys) {
+	const properties = record?.properties || {};
+	return keys.map(key => {
+		let value;
+		if (key === 'date') {
+			const time = toMillis(properties.time ?? record?.time);
+			return `dt=${time === null ? DEFAULT_PARTITION : dayjs.utc(time).format('YYYY-MM-DD')}`;
+		}
+		if (key === 'event') value = record?.event;
+		else value = properties[key] ?? record?.[key];
+		const text = value === null || value === undefined || value === '' ? DEFAULT_PARTITION : hiveEscape(String(value));
+		return `${hiveEscape(key)}=${text}`;
+	}).join('/');
+}
+
+/**
+ * a sink that spreads records over hive partitions and rolls each one's part files
+ * @param {string} root - from partitionRoot()
+ * @param {JobConfig} job
+ * @param {{prefix?: string, replace?: boolean}} [options] - prefix goes between part- and the part number;
+ * replace deletes the higher-numbered parts an earlier run left in each partition written
+ */
+function createPartitionedWriter(root, job, { prefix, replace = false } = {}) {
+	const keys = job.partitionBy;
+	const columnar = job.outputFormat !== 'ndjson';
+	const isCloud = root.startsWith('gs://') || root.startsWith('s3://') || root.startsWith('az://');
+	/** @type {Map<string, PartFile>} the part each partition is writing to */
+	const current = new Map();
+	/** @type {Set<string>} partitions whose part holds handles, least recently written first */
+	const active = new Set();
+	/** @type {Map<string, number>} next part number per partition */
+	const nextPart = new Map();
+	/** @type {Map<string, Map<string, any>>} csv / parquet column types per partition */
+	const schemas = new Map();
+	/** @type {string[]} */
+	const parts = [];
+	let rows = 0;
+
+	/** @type {string | null} temp folder for parts that can't be written in place */
+	let staging = null;
+	let staged = 0;
+
+	function stage() {
+		if (!staging) staging = fs.mkdtempSync(path.join(os.tmpdir(), 'mp-partitions-'));
+		return path.join(staging, `${staged++}.part`);
+	}
+
+	function removeStaging() {
+		if (staging) fs.rmSync(staging, { recursive: true, force: true });
+		staging = null;
+	}
+
+	/** @param {string} partition */
+	function folderOf(partition) {
+		return isCloud ? `${root}/${partition}` : path.join(root, partition);
+	}
+
+	/** @param {string} partition */
+	function openPart(partition) {
+		const index = nextPart.get(partition) || 0;
+		nextPart.set(partition, index + 1);
+		const name = `part-${prefix ? `${prefix}-` : ''}${String(index).padStart(4, '0')}`;
+		const base = isCloud ? `${folderOf(partition)}/${name}` : path.join(folderOf(partition), name);
+		if (!columnar) return openNdjsonPart(base, job, stage);
+		if (!schemas.has(partition)) schemas.set(partition, new Map());
+		return openColumnarPart(base, /** @type {Map<string, any>} */ (schemas.get(partition)), job, stage);
+	}
+
+	/** @param {string} partition */
+	async function closePart(partition) {
+		const part = current.get(partition);
+		if (!part) return;
+		current.delete(partition);
+		active.delete(partition);
+		await part.close();
+		parts.push(part.file);
+		if (job.verbose) console.log(`📝 wrote ${part.rows} rows to ${part.file}`);
+	}
+
+	/** @param {Object} record */
+	async function write(record) {
+		const partition = partitionPath(record, keys);
+		let part = current.get(partition);
+		if (!part) {
+			part = openPart(partition);
+			current.set(partition, part);
+		}
+		if (active.has(partition)) {
+			// most recently written moves to the back
+			active.delete(partition);
+		}
+		else if (active.size >= MAX_OPEN_PARTITIONS) {
+			const oldest = /** @type {string} */ (active.values().next().value);
+			active.delete(oldest);
+			await /** @type {PartFile} */ (current.get(oldest)).suspend();
+		}
+		active.add(partition);
+		const line = JSON.stringify(record) + '\n';
+		part.bytes += Buffer.byteLength(line);
+		part.rows++;
+		rows++;
+		await part.write(record, line);
+		if (part.bytes >= job.partitionFileBytes || (columnar && part.rows >= job.rowsPerPart)) await closePart(partition);
+	}
+
+	/** delete parts an earlier run left past the last one this run wrote, in every partition it touched */
+	async function removeStaleParts() {
+		const pattern = new RegExp(`^part-${prefix ? `${escapeRegExp(prefix)}-` : ''}(\\d+)\\.`);
+		for (const [partition, count] of nextPart) {
+			const folder = folderOf(partition);
+			const stale = (await listFolder(folder, job)).filter(name => {
+				const match = name.match(pattern);
+				return match && Number(match[1]) >= count;
+			});
+			for (const name of stale) {
+				const file = isCloud ? `${folder}/${name}` : path.join(folder, name);
+				await removeFile(file, job);
+				if (job.verbose) console.log(`🧹 removed stale ${file}`);
+			}
+		}
+	}
+
+	const writer = new Writable({
+		objectMode: true,
+		highWaterMark: job.highWater || 16,
+		write(record, _encoding, callback) {
+			write(record).then(() => callback(), callback);
+		},
+		final(callback) {
+			(async () => {
+				for (const partition of [...current.keys()]) await closePart(partition);
+				removeStaging();
+				if (replace) await removeStaleParts();
+			})().then(() => callback(), callback);
+		},
+		destroy(err, callback) {
+			for (const part of current.values()) part.suspend().catch(() => { });
+			removeStaging();
+			callback(err);
+		}
+	});
+
+	return Object.assign(writer, {
+		/** files written so far, in the order they were closed */
+		parts,
+		/** rows accepted so far */
+		rows: () => rows
+	});
+}
+
+/**
+ * one NDJSON part: streamed to disk locally; for gs:// / s3:// / az:// staged in a temp file, then uploaded
+ * @param {string} base - path without extension
+ * @param {JobConfig} job
+ * @param {() => string} stage - a fresh temp file path
+ * @returns {PartFile}
+ */
+function openNdjsonPart(base, job, stage) {
+	const gzip = job.compress !== false;
+	const file = `${base}.ndjson${gzip ? '.gz' : ''}`;
+	const isCloud = file.startsWith('gs://') || file.startsWith('s3://') || file.startsWith('az://');
+	const segments = openSegments(isCloud ? stage() : file, gzip, job);
+	return {
+		file,
+		bytes: 0,
+		rows: 0,
+		async write(_record, line) {
+			await segments.write(line);
+		},
+		suspend: segments.suspend,
+		async close() {
+			await segments.suspend();
+			if (!isCloud) return;
+			await writeOutputFile(file, await fs.promises.readFile(segments.path), 'application/x-ndjson', gzip, job);
+			await fs.promises.rm(segments.path, { force: true });
+		}
+	};
+}
+
+/**
+ * one csv / parquet part: rows are staged in a temp file until the part closes
+ * @param {string} base - path without extension
+ * @param {Map<string, any>} columns - the partition's running column types
+ * @param {JobConfig} job
+ * @param {() => string} stage - a fresh temp file path
+ * @returns {PartFile}
+ */
+function openColumnarPart(base, columns, job, stage) {
+	const isCloud = base.startsWith('gs://') || base.startsWith('s3://') || base.startsWith('az://');
+	const gzip = job.outputFormat === 'csv' && isCloud && job.compress !== false;
+	const file = `${base}.${job.outputFormat}${gzip ? '.gz' : ''}`;
+	const segments = openSegments(stage(), false, job);
+	return {
+		file,
+		bytes: 0,
+		rows: 0,
+		async write(record) {
+			await segments.write(JSON.stringify(flattenRecord(record)) + '\n');
+		},
+		suspend: segments.suspend,
+		async close() {
+			await segments.suspend();
+			const text = await fs.promises.readFile(segments.path, 'utf8');
+			const batch = text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+			await writeColumnarFile(file, batch, columns, gzip, job);
+			await fs.promises.rm(segments.path, { force: true });
+		}
+	};
+}
+
+/**
+ * a local file written in segments: each write after a suspend appends a fresh gzip member (or plain run)
+ * @param {string} file
+ * @param {boolean} gzip
+ * @param {JobConfig} job
+ */
+function openSegments(file, gzip, job) {
+	let started = false;
+	/** @type {import('stream').Writable | null} */
+	let head = null;
+	/** @type {Promise<void>} */
+	let done = Promise.resolve();
+
+	function resume() {
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		const sink = fs.createWriteStream(file, { flags: started ? 'a' : 'w' });
+		started = true;
+		const gz = gzip ? zlib.createGzip({ level: job.compressionLevel || COMPRESSION_CONFIG.GZIP_LEVEL, memLevel: COMPRESSION_CONFIG.GZIP_MEM_LEVEL }) : null;
+		head = gz || sink;
+		done = new Promise((resolve, reject) => {
+			if (gz) pipeline(gz, sink, err => (err ? reject(err) : resolve()));
+			else sink.once('finish', resolve).once('error', reject);
+		});
+		// a failed write surfaces through suspend()
+		done.catch(() => { });
+		return head;
+	}
+
+	return {
+		path: file,
+		/** @param {string} line */
+		async write(line) {
+			const stream = head || resume();
+			if (!stream.write(line)) await Promise.race([once(stream, 'drain'), done]);
+		},
+		async suspend() {
+			if (!head) return;
+			head.end();
+			head = null;
+			await done;
+		}
+	};
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * hive's partition-value escaping: control characters and "#%'*\/:=?\\{[]^ become %XX
+ * @param {string} value
+ */
+function hiveEscape(value) {
+	// eslint-disable-next-line no-control-regex
+	return value.replace(/[\u0000-\u001f"#%'*/:=?\\\u007f{[\]^]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * a part prefix no other run shares: its start time plus a random suffix
+ * @returns {string}
+ */
+function runPrefix() {
+	return `${dayjs.utc().format('YYYYMMDD[T]HHmmssSSS[Z]')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * names of the files directly in a local folder or under a cloud prefix; none when it doesn't exist
+ * @param {string} folder
+ * @param {JobConfig} job
+ * @returns {Promise<string[]>}
+ */
+async function listFolder(folder, job) {
+	const scheme = ['gs://', 's3://', 'az://'].find(candidate => folder.startsWith(candidate));
+	if (!scheme) {
+		const entries = await fs.promises.readdir(folder, { withFileTypes: true }).catch(() => []);
+		return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+	}
+	const { CLOUD_LISTERS } = require('./parsers.js');
+	const listed = await CLOUD_LISTERS[scheme](`${folder}/`, job);
+	return listed.map(file => file.relative).filter(name => !name.includes('/'));
+}
+
+/**
+ * @param {string} value
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+	createPartitionedWriter,
+	partitionPath,
+	partitionRoot,
+	runPrefix
+};
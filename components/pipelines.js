@@ -12,10 +12,14 @@ const v8 = require('v8');
 
 // $ networking + filesystem
 const { exportEvents, exportProfiles, deleteProfiles } = require('./exporters');
-const { flushLookupTable, flushToMixpanel, flushToMixpanelWithUndici } = require('./importers.js');
+const { flushToMixpanel, flushToMixpanelWithUndici } = require('./importers.js');
+const { createLookupTableWriter, uploadLookupTable } = require('./lookup-table.js');
 const { createMemoryMonitor } = require('./smart-config.js');
 const { replaceAnnotations, getAnnotations, deleteAnnotations } = require('./meta.js');
 const { createDestinationStream, createTeeStream } = require('./destination-writer.js');
+const { openDeadLetter, closeDeadLetter, createDeadLetterUnwrapper } = require('./dead-letter.js');
+const { RateController } = require('./rate-control.js');
+const { createSCDStream } = require('./scd.js');
 const fs = require('fs');
 
 // $ env
@@ -25,6 +29,10 @@ const { logger } = require('../components/logs.js');
 
 // $ transforms
 const { isNotEmpty } = require('./transforms.js');
+const { carryCheckpoint } = require('./checkpoint.js');
+const { ROUTE, Router } = require('./routes.js');
+const { createPluginStages } = require('./plugins.js');
+const { createSessionizer } = require('./sessionize.js');
 
 // $ utils
 const dayjs = require('dayjs');
@@ -93,7 +101,7 @@ function createVendorTransform(job) {
 			try {
 				if (job.vendor && job.vendorTransform) {
 					// @ts-ignore - vendor transforms may take heavyObjects as second param
-					data = job.vendorTransform(data, job.heavyObjects);
+					data = carryCheckpoint(data, job.vendorTransform(data, job.heavyObjects));
 				}
 				// Handle null returns from vendor transforms (e.g., PostHog filtering events)
 				if (data === null || data === undefined) {
@@ -121,7 +129,7 @@ function createUserTransform(job) {
 		transform(data, encoding, callback) {
 			try {
 				if (job.transformFunc) {
-					data = job.transformFunc(data, job.heavyObjects);
+					data = carryCheckpoint(data, job.transformFunc(data, job.heavyObjects));
 				}
 				// Handle null returns from user transforms (filtering)
 				if (data === null || data === undefined) {
@@ -149,7 +157,7 @@ function createFlattenStream(job) {
 		transform(data, encoding, callback) {
 			if (Array.isArray(data)) {
 				for (const item of data) {
-					this.push(item);
+					this.push(carryCheckpoint(data, item));
 				}
 				callback();
 			} else {
@@ -220,7 +228,7 @@ function createHelperTransforms(job) {
 				for (const transform of job.activeTransforms) {
 					// Some transforms mutate data, others return new data
 					if (transform.mutates === false) {
-						data = transform.fn(data);
+						data = carryCheckpoint(data, transform.fn(data));
 						// Filters (e.g. epochFilter) return null to drop a record.
 						// Stop processing so later transforms (fixTime, insertIdAdder,
 						// jsonFixer) don't throw on the null. callback(null, null) emits
@@ -276,15 +284,19 @@ function createStringifyCacher(job, jsonCache, bytesCache) {
 /**
  * Creates a smart batching transform that respects BOTH count and size limits
  * Batches by 2000 records OR 9.85MB (whichever comes first)
+ * With a checkpoint ledger, every buffered record is observed and every
+ * emitted batch sealed, so the HTTP sender's acks map back to source files
  * @param {JobConfig} job
  * @param {WeakMap} bytesCache
  * @returns {Transform}
  */
 function createSmartBatcher(job, bytesCache) {
+	if (job.routeBy) return createRoutedBatcher(job, bytesCache);
 	let buffer = [];
 	let currentSize = 0;
 	const maxCount = job.recordsPerBatch;
 	const maxBytes = Math.floor(job.bytesPerBatch * 0.985); // Target 9.85MB to avoid going over 10MB
+	const ledger = job.checkpoint;
 
 	return new Transform({
 		objectMode: true,
@@ -307,24 +319,32 @@ function createSmartBatcher(job, bytesCache) {
 				const batch = buffer;
 				buffer = [];
 				currentSize = 0;
+				if (ledger) ledger.seal(batch);
 				this.push(batch);
 			}
 
 			// Add chunk to buffer
 			buffer.push(chunk);
 			currentSize += chunkSize;
+			if (ledger) ledger.observe(chunk);
 
 			// Check if we've hit the count limit after adding
 			if (buffer.length >= maxCount) {
 				const batch = buffer;
 				buffer = [];
 				currentSize = 0;
+				if (ledger) ledger.seal(batch);
 				callback(null, batch);
 			} else {
 				callback();
 			}
 		},
 		flush(callback) {
+			if (ledger) {
+				if (buffer.length > 0) ledger.seal(buffer);
+				// a maxRecords cut-off leaves the tail of the input unread: those files aren't done
+				if (job.maxRecords === null || job.recordsProcessed < job.maxRecords) ledger.finish();
+			}
 			if (buffer.length > 0) {
 				// Only flush if we haven't exceeded maxRecords
 				if (job.maxRecords === null || job.recordsProcessed <= job.maxRecords) {
@@ -339,6 +359,68 @@ function createSmartBatcher(job, bytesCache) {
 	});
 }
 
+/**
+ * createSmartBatcher for routeBy: the same count and size limits, with one buffer per route;
+ * every batch it emits carries its route under the ROUTE symbol
+ * @param {JobConfig} job
+ * @param {WeakMap} bytesCache
+ * @returns {Transform}
+ */
+function createRoutedBatcher(job, bytesCache) {
+	const router = job.router = new Router(job);
+	/** @type {Map<import('./routes.js').Route, { records: Object[], size: number }>} */
+	const buffers = new Map();
+	const maxCount = job.recordsPerBatch;
+	const maxBytes = Math.floor(job.bytesPerBatch * 0.985);
+
+	/**
+	 * @param {import('./routes.js').Route} route
+	 * @param {{ records: Object[], size: number }} buffer
+	 */
+	const take = (route, buffer) => {
+		const batch = buffer.records;
+		buffer.records = [];
+		buffer.size = 0;
+		batch[ROUTE] = route;
+		return batch;
+	};
+
+	return new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		transform(chunk, encoding, callback) {
+			if (job.maxRecords !== null && job.recordsProcessed > job.maxRecords) {
+				return callback();
+			}
+			let route;
+			try {
+				route = router.resolve(chunk);
+			}
+			catch (e) {
+				return callback(e);
+			}
+			if (!route) return callback();
+
+			let buffer = buffers.get(route);
+			if (!buffer) buffers.set(route, buffer = { records: [], size: 0 });
+			const chunkSize = bytesCache.get(chunk) || Buffer.byteLength(JSON.stringify(chunk), 'utf-8');
+			if (buffer.records.length && buffer.size + chunkSize > maxBytes) this.push(take(route, buffer));
+			buffer.records.push(chunk);
+			buffer.size += chunkSize;
+			if (buffer.records.length >= maxCount) this.push(take(route, buffer));
+			callback();
+		},
+		flush(callback) {
+			if (job.maxRecords === null || job.recordsProcessed <= job.maxRecords) {
+				for (const [route, buffer] of buffers) {
+					if (buffer.records.length) this.push(take(route, buffer));
+				}
+			}
+			callback();
+		}
+	});
+}
+
 /**
  * Creates a transform stream that batches records by count (DEPRECATED - use createSmartBatcher)
  * @param {number} batchSize
@@ -446,6 +528,10 @@ function createHttpSender(job, jsonCache, fileStream) {
 	let batchId = 0;
 	let lastLogTime = Date.now();
 
+	// workers stays the ceiling; the controller decides how many of them may send right now
+	if (job.adaptiveConcurrency || job.maxEventsPerSecond) job.rateControl = new RateController(job);
+	const rateControl = job.rateControl;
+
 	return new ParallelTransform(job.workers, {
 		objectMode: true,
 		ordered: false,  // No need to maintain order - reduces memory overhead
@@ -485,7 +571,22 @@ function createHttpSender(job, jsonCache, fileStream) {
 				return callback(null, [null, batch]);
 			}
 
-			const result = await flush(batch, job);
+			let result;
+			const route = batch[ROUTE] || null;
+			if (route) route.batches++;
+			if (rateControl) await rateControl.acquire(batch.length);
+			try {
+				result = await flush(batch, job, thisBatchId, route);
+			}
+			finally {
+				if (rateControl) rateControl.release();
+			}
+			// only a 200 moves the checkpoint; anything else is re-sent on resume (and keeps its files from being archived)
+			if (job.checkpoint) {
+				if (result?.[0]?.code === 200) job.checkpoint.ack(batch);
+				else job.checkpoint.fail(batch);
+			}
+			if (job.ledger) job.ledger.record(batch, result?.[0]);
 			callback(null, result);
 		} catch (err) {
 			callback(err);
@@ -501,6 +602,12 @@ function createHttpSender(job, jsonCache, fileStream) {
  */
 function createLogger(job, LOG_INTERVAL = 100) {
 	let lastLogUpdate = Date.now();
+	// live concurrency / throughput ride along as a 7th argument only when rate control is on
+	const progress = () => {
+		const { recordType, recordsProcessed, requests, bytesProcessed, rateControl } = job;
+		if (rateControl) job.progressCallback(recordType, recordsProcessed, requests, job.getEps(), bytesProcessed, null, rateControl.snapshot());
+		else job.progressCallback(recordType, recordsProcessed, requests, job.getEps(), bytesProcessed);
+	};
 
 	return new Transform({
 		objectMode: true,
@@ -532,7 +639,7 @@ function createLogger(job, LOG_INTERVAL = 100) {
 					// progress callback (UI/programmatic) — fire whenever provided,
 					// independent of console verbosity
 					if (typeof job.progressCallback === 'function') {
-						job.progressCallback(job.recordType, job.recordsProcessed, job.requests, job.getEps(), job.bytesProcessed);
+						progress();
 					}
 					lastLogUpdate = now;
 				}
@@ -543,7 +650,7 @@ function createLogger(job, LOG_INTERVAL = 100) {
 		flush(callback) {
 			// emit one final progress tick so UI/programmatic consumers can render a terminal 100%
 			if (typeof job.progressCallback === 'function') {
-				job.progressCallback(job.recordType, job.recordsProcessed, job.requests, job.getEps(), job.bytesProcessed);
+				progress();
 			}
 			callback();
 		}
@@ -560,10 +667,24 @@ function createLogger(job, LOG_INTERVAL = 100) {
 async function corePipeline(stream, job, toNodeStream = false) {
 	const l = logger(job);
 
+	// lookup tables take the usual transforms, then go up as one CSV
+	if (job.recordType === 'table') {
+		const table = createLookupTableWriter(job);
+		await pipelinePromise(
+			stream,
+			createExistenceFilter(job),
+			createVendorTransform(job),
+			createUserTransform(job),
+			createFlattenStream(job),
+			createExistenceFilter2(job),
+			createHelperTransforms(job),
+			table
+		);
+		return uploadLookupTable(table, job);
+	}
+
 	// Special handling for non-streaming operations
 	// @ts-ignore
-	if (job.recordType === 'table') return flushLookupTable(stream, job);
-	// @ts-ignore
 	if (job.recordType === 'export' && typeof stream === 'string') return exportEvents(stream, job);
 	// @ts-ignore
 	if (job.recordType === 'profile-export' && typeof stream === 'string') return exportProfiles(stream, job);
@@ -603,9 +724,15 @@ async function corePipeline(stream, job, toNodeStream = false) {
 		}
 	}
 
+	// rejected records are streamed here as they come back from the API
+	await openDeadLetter(job);
+
 	// Create base transform stages
 	const stages = [];
 
+	// replaying a dead-letter file: unwrap each line back to the record it holds
+	if (job.replayDeadLetter) stages.push(createDeadLetterUnwrapper(job));
+
 	// Add memory monitoring if verbose mode is enabled
 	if (job.verbose || job.memoryMonitor) {
 		stages.push(createMemoryMonitor(job)); // Monitor memory usage
@@ -694,8 +821,21 @@ async function corePipeline(stream, job, toNodeStream = false) {
 
 		stages.push(
 			createUserTransform(job),
-			createFlattenStream(job), // User transforms can explode 1 row to multiple
-			createDedupeTransform(job),
+			createFlattenStream(job) // User transforms can explode 1 row to multiple
+		);
+
+		// plugins take single records (after the flatten) and hand theirs on in order
+		if (job.loadedPlugins.length) stages.push(...createPluginStages(job));
+
+		// snapshot / history SCD: warehouse rows become change events before the event helpers run
+		if (job.recordType === 'scd' && job.scdColumns.length) stages.push(createSCDStream(job));
+
+		stages.push(createDedupeTransform(job));
+
+		// sessions are cut after dedupe, so a repeated event can't extend or split one
+		if (job.sessionize) stages.push(createSessionizer(job));
+
+		stages.push(
 			createExistenceFilter2(job),
 			createHelperTransforms(job),
 			createStringifyCacher(job, jsonCache, bytesCache)
@@ -764,6 +904,9 @@ async function corePipeline(stream, job, toNodeStream = false) {
 			return prev.pipe(curr);
 		}, null);
 
+		// no awaited pipeline here; close the dead letter once the last stage has drained
+		if (job.deadLetterStream) stages[stages.length - 1].once('finish', () => closeDeadLetter(job));
+
 		return stages[0]; // Return the first transform in the chain
 	}
 
@@ -788,11 +931,18 @@ async function corePipeline(stream, job, toNodeStream = false) {
 		// });
 
 		// Use the promise-based pipeline for proper error handling and completion
-		// @ts-ignore - TypeScript doesn't understand the spread correctly
-		await pipelinePromise(
-			stream,
-			...stages
-		);
+		try {
+			// @ts-ignore - TypeScript doesn't understand the spread correctly
+			await pipelinePromise(
+				stream,
+				...stages
+			);
+		} finally {
+			// persist whatever was acknowledged, even (especially) when the run dies
+			if (job.checkpoint) job.checkpoint.save();
+			if (job.archiver) await job.archiver.drain();
+			await closeDeadLetter(job);
+		}
 
 		// Clean up file stream if used
 		if (fileStream) {
@@ -0,0 +1,148 @@
+/*
+----
+TRANSFORM PLUGINS
+----
+`plugins` (CLI: `--plugin`, repeatable) chains transform modules after
+transformFunc. A plugin is a module that exports
+
+  {
+    name: 'sessionize',
+    init(job, ctx)       // optional, may be async; runs once before any record
+    transform(record, ctx) // optional; return a record, an array of records, or null to drop
+    flush(ctx)           // optional, may be async; records to emit once the input ends
+  }
+
+and is given as a path ('./my-plugin.js', resolved from the working
+directory), an npm package name, or the plugin object itself.
+
+- plugins run in the order given, each as its own stage: whatever one returns
+  (including what it emits at flush) goes through the ones after it
+- ctx is the plugin's own for the run: { name, job, heavyObjects, state },
+  where state is a Map the plugin can keep anything in across records
+- transform and flush may be async; an error from either fails the import
+- a plugin can hold records back and emit them later, so plugins can't be
+  combined with checkpointPath or onFileComplete (both need batches to follow
+  file order)
+*/
+
+const path = require('path');
+const { Transform } = require('stream');
+const { carryCheckpoint } = require('./checkpoint.js');
+
+/** @typedef {import('./job')} JobConfig */
+/** @typedef {import('../index.d.ts').TransformPlugin} TransformPlugin */
+/** @typedef {import('../index.d.ts').PluginContext} PluginContext */
+
+/**
+ * @typedef {Object} LoadedPlugin
+ * @property {TransformPlugin} plugin
+ * @property {PluginContext} ctx
+ */
+
+/**
+ * resolve, validate and init every plugin, in order
+ * @param {Array<string | TransformPlugin>} specs
+ * @param {JobConfig} job
+ * @returns {Promise<LoadedPlugin[]>}
+ */
+async function loadPlugins(specs, job) {
+	/** @type {LoadedPlugin[]} */
+	const loaded = [];
+	for (const spec of specs) {
+		const plugin = resolvePlugin(spec);
+		/** @type {PluginContext} */
+		const ctx = { name: plugin.name, job, heavyObjects: job.heavyObjects, state: new Map() };
+		if (typeof plugin.init === 'function') await plugin.init(job, ctx);
+		loaded.push({ plugin, ctx });
+	}
+	return loaded;
+}
+
+/**
+ * one pipeline stage per plugin
+ * @param {JobConfig} job
+ * @returns {Transform[]}
+ */
+function createPluginStages(job) {
+	return job.loadedPlugins.map(({ plugin, ctx }) => new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		async transform(record, encoding, callback) {
+			try {
+				if (typeof plugin.transform !== 'function') return callback(null, record);
+				const result = await plugin.transform(record, ctx);
+				if (Array.isArray(result)) {
+					for (const item of result) push(this, job, carryCheckpoint(record, item));
+				}
+				else push(this, job, carryCheckpoint(record, result));
+				callback();
+			}
+			catch (err) {
+				callback(err);
+			}
+		},
+		async flush(callback) {
+			try {
+				const result = typeof plugin.flush === 'function' ? await plugin.flush(ctx) : null;
+				if (Array.isArray(result)) for (const item of result) push(this, job, item);
+				else if (result !== null && result !== undefined) push(this, job, result);
+				callback();
+			}
+			catch (err) {
+				callback(err);
+			}
+		}
+	}));
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * @param {Transform} stage
+ * @param {JobConfig} job
+ * @param {any} record
+ */
+function push(stage, job, record) {
+	if (record === null || record === undefined) {
+		job.empty++;
+		return;
+	}
+	stage.push(record);
+}
+
+/**
+ * @param {string | TransformPlugin} spec
+ * @returns {TransformPlugin}
+ */
+function resolvePlugin(spec) {
+	let plugin = spec;
+	if (typeof spec === 'string') {
+		// ./x and /x are files; anything else is a package, looked up from the working directory
+		const isPath = spec.startsWith('.') || path.isAbsolute(spec);
+		try {
+			const resolved = isPath ? path.resolve(process.cwd(), spec) : require.resolve(spec, { paths: [process.cwd()] });
+			plugin = require(resolved);
+		}
+		catch (e) {
+			throw new Error(`couldn't load plugin "${spec}": ${e.message}`);
+		}
+	}
+	// @ts-ignore - ESM-style default export
+	if (plugin && plugin.default && !plugin.name) plugin = plugin.default;
+	if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+		throw new Error(`plugin ${typeof spec === 'string' ? `"${spec}" ` : ''}must export { name, init?, transform?, flush? }`);
+	}
+	if (typeof plugin.transform !== 'function' && typeof plugin.flush !== 'function') {
+		throw new Error(`plugin "${plugin.name}" needs a transform or a flush function`);
+	}
+	return plugin;
+}
+
+module.exports = {
+	createPluginStages,
+	loadPlugins
+};
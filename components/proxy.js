@@ -0,0 +1,102 @@
+/*
+----
+PROXY
+----
+Outbound HTTP(S) proxy support for every transport that talks to Mixpanel:
+got (importers, exporters, meta) and undici (the high-throughput importer).
+
+The proxy comes from `job.proxy` when set, otherwise from the usual
+environment variables (HTTPS_PROXY / HTTP_PROXY, either case, picked by the
+target's scheme). NO_PROXY is honored for both: a comma-separated list of
+hostnames or domain suffixes (`.corp.example` or `corp.example`), or `*`.
+Set `proxy: false` to ignore the environment entirely.
+
+Agents are cached per proxy url, so keep-alive sockets are shared across
+requests the same way the direct agents are.
+*/
+
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+
+/** @typedef {import('./job')} JobConfig */
+
+/** @type {Map<string, {http: HttpProxyAgent<string>, https: HttpsProxyAgent<string>}>} */
+const GOT_AGENTS = new Map();
+
+/**
+ * the proxy url a request to `url` should go through ('' = connect directly)
+ * @param {string} url - the request's target
+ * @param {JobConfig | {proxy?: string | boolean}} [job]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string}
+ */
+function resolveProxy(url, job = {}, env = process.env) {
+	if (job?.proxy === false) return '';
+	let target;
+	try {
+		target = new URL(url);
+	}
+	catch (e) {
+		return '';
+	}
+	if (bypassProxy(target.hostname, env.NO_PROXY ?? env.no_proxy ?? '')) return '';
+	if (typeof job?.proxy === 'string' && job.proxy) return job.proxy;
+	if (target.protocol === 'https:') return env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || '';
+	return env.HTTP_PROXY || env.http_proxy || '';
+}
+
+/**
+ * got `agent` option routing `url` through the job's proxy; undefined when there is none,
+ * so callers keep their own (keep-alive) agents for direct connections
+ * @param {string} url
+ * @param {JobConfig | {proxy?: string | boolean}} [job]
+ * @returns {{http: HttpProxyAgent<string>, https: HttpsProxyAgent<string>} | undefined}
+ */
+function proxyAgents(url, job) {
+	const proxy = resolveProxy(url, job);
+	if (!proxy) return undefined;
+	let agents = GOT_AGENTS.get(proxy);
+	if (!agents) {
+		agents = {
+			http: new HttpProxyAgent(proxy, { keepAlive: true }),
+			https: new HttpsProxyAgent(proxy, { keepAlive: true })
+		};
+		GOT_AGENTS.set(proxy, agents);
+	}
+	return agents;
+}
+
+/**
+ * release cached proxy agents (see importers.destroy)
+ */
+function destroyProxyAgents() {
+	for (const { http, https } of GOT_AGENTS.values()) {
+		http.destroy();
+		https.destroy();
+	}
+	GOT_AGENTS.clear();
+}
+
+/**
+ * @param {string} hostname
+ * @param {string} noProxy - NO_PROXY value
+ * @returns {boolean}
+ */
+function bypassProxy(hostname, noProxy) {
+	const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+	return noProxy
+		.split(/[\s,]+/)
+		.map(entry => entry.trim().toLowerCase().replace(/:\d+$/, ''))
+		.filter(Boolean)
+		.some(entry => {
+			if (entry === '*') return true;
+			const domain = entry.replace(/^\*?\./, '');
+			return host === domain || host.endsWith(`.${domain}`);
+		});
+}
+
+module.exports = {
+	resolveProxy,
+	proxyAgents,
+	destroyProxyAgents
+};
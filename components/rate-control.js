@@ -0,0 +1,233 @@
+/*
+----
+RATE CONTROL
+----
+Adaptive concurrency for the HTTP sender. `workers` becomes a ceiling; how
+many batches are actually in flight is decided by AIMD:
+
+- additive increase: after a full round of healthy responses (one per slot in
+  use) with p95 latency at or under `latencyTarget`, open one more slot
+- multiplicative decrease: a 429 or 5xx halves the slots, at most once per
+  congestion window (so a burst of 429s from one round only counts once)
+- Retry-After on a 429 / 503 pauses every new send until it expires, on top
+  of the per-request wait in the importers
+
+`maxEventsPerSecond` paces sends independently of AIMD: each batch reserves
+records / rate seconds of send time, so throughput never exceeds the ceiling
+even while slots are opening up.
+
+The importers report every HTTP attempt (retries included) through
+observe(); the sender brackets each flush with acquire() / release().
+*/
+
+const u = require('ak-tools');
+
+/** latency samples kept for p95 */
+const LATENCY_WINDOW = 100;
+
+/** live throughput is measured over this trailing window */
+const THROUGHPUT_WINDOW_MS = 10000;
+
+/** never halve more often than this, whatever the latency */
+const MIN_DECREASE_INTERVAL_MS = 1000;
+
+/** upper bound on a single Retry-After pause */
+const MAX_RETRY_AFTER_MS = 60000;
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * @typedef {Object} RateSnapshot
+ * @property {number} concurrency - batches in flight right now
+ * @property {number} limit - slots currently open
+ * @property {number} maxConcurrency - the ceiling (`workers`)
+ * @property {number} eps - records sent per second over the last 10s
+ * @property {number | null} p95 - p95 request latency in ms (null before any sample)
+ * @property {number | null} maxEventsPerSecond
+ */
+
+class RateController {
+	/**
+	 * @param {JobConfig} job
+	 */
+	constructor(job) {
+		this.adaptive = Boolean(job.adaptiveConcurrency);
+		this.maxConcurrency = Math.max(1, job.workers || 1);
+		this.maxEventsPerSecond = job.maxEventsPerSecond || null;
+		this.latencyTarget = job.latencyTarget || 2500;
+		// adaptive runs start at half the ceiling and earn the rest
+		this.limit = this.adaptive ? Math.max(1, Math.ceil(this.maxConcurrency / 2)) : this.maxConcurrency;
+
+		this.inFlight = 0;
+		/** @type {Array<() => void>} */
+		this.waiting = [];
+		this.pausedUntil = 0;
+		this.nextSendAt = 0;
+		this.lastDecrease = 0;
+		this.healthyInRound = 0;
+
+		/** @type {number[]} */
+		this.latencies = [];
+		/** @type {Array<[number, number]>} [timestamp, records] */
+		this.sent = [];
+
+		this.stats = { increases: 0, decreases: 0, pauses: 0, pausedMs: 0, peakLimit: this.limit, lowLimit: this.limit };
+	}
+
+	/**
+	 * wait for an open slot (and the rate ceiling) before sending a batch
+	 * @param {number} records - records in the batch
+	 */
+	async acquire(records) {
+		for (;;) {
+			const now = Date.now();
+			if (this.pausedUntil > now) {
+				await u.sleep(this.pausedUntil - now);
+				continue;
+			}
+			if (this.inFlight < this.limit) break;
+			await new Promise(resolve => this.waiting.push(() => resolve(undefined)));
+		}
+		this.inFlight++;
+
+		if (this.maxEventsPerSecond) {
+			const now = Date.now();
+			const start = Math.max(now, this.nextSendAt);
+			this.nextSendAt = start + (records / this.maxEventsPerSecond) * 1000;
+			if (start > now) await u.sleep(start - now);
+		}
+
+		const now = Date.now();
+		this.sent.push([now, records]);
+		while (this.sent.length && this.sent[0][0] < now - THROUGHPUT_WINDOW_MS) this.sent.shift();
+	}
+
+	/**
+	 * free the slot taken by acquire()
+	 */
+	release() {
+		this.inFlight = Math.max(0, this.inFlight - 1);
+		this.wake();
+	}
+
+	/**
+	 * feed one HTTP attempt's outcome to the controller
+	 * @param {number | null} status - HTTP status (null for network errors, which are ignored)
+	 * @param {number} latency - ms from send to full response
+	 * @param {string | string[]} [retryAfter] - the Retry-After header, if any
+	 */
+	observe(status, latency, retryAfter) {
+		if (!status) return;
+		const now = Date.now();
+		const congested = status === 429 || status >= 500;
+
+		const wait = retryAfterMs(retryAfter);
+		if (congested && wait > 0) {
+			const until = now + wait;
+			if (until > this.pausedUntil) {
+				this.stats.pauses++;
+				this.stats.pausedMs += until - Math.max(now, this.pausedUntil);
+				this.pausedUntil = until;
+			}
+		}
+
+		if (congested) {
+			this.healthyInRound = 0;
+			if (!this.adaptive) return;
+			const window = Math.max(MIN_DECREASE_INTERVAL_MS, this.p95() || 0);
+			if (now - this.lastDecrease < window) return;
+			this.lastDecrease = now;
+			const next = Math.max(1, Math.floor(this.limit / 2));
+			if (next < this.limit) {
+				this.limit = next;
+				this.stats.decreases++;
+				this.stats.lowLimit = Math.min(this.stats.lowLimit, next);
+			}
+			return;
+		}
+
+		this.latencies.push(latency);
+		if (this.latencies.length > LATENCY_WINDOW) this.latencies.shift();
+		if (!this.adaptive) return;
+
+		this.healthyInRound++;
+		if (this.healthyInRound < this.limit) return;
+		this.healthyInRound = 0;
+		if (this.limit < this.maxConcurrency && this.p95() <= this.latencyTarget) {
+			this.limit++;
+			this.stats.increases++;
+			this.stats.peakLimit = Math.max(this.stats.peakLimit, this.limit);
+			this.wake();
+		}
+	}
+
+	/**
+	 * p95 of the recent latency samples
+	 * @returns {number | null}
+	 */
+	p95() {
+		if (!this.latencies.length) return null;
+		const sorted = [...this.latencies].sort((a, b) => a - b);
+		return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)];
+	}
+
+	/**
+	 * records per second over the trailing window
+	 */
+	eps() {
+		if (!this.sent.length) return 0;
+		const records = this.sent.reduce((sum, [, count]) => sum + count, 0);
+		const elapsed = Math.max(1000, Date.now() - this.sent[0][0]);
+		return Math.round(records / elapsed * 1000);
+	}
+
+	/**
+	 * live numbers for progress ticks
+	 * @returns {RateSnapshot}
+	 */
+	snapshot() {
+		return {
+			concurrency: this.inFlight,
+			limit: this.limit,
+			maxConcurrency: this.maxConcurrency,
+			eps: this.eps(),
+			p95: this.p95(),
+			maxEventsPerSecond: this.maxEventsPerSecond
+		};
+	}
+
+	/**
+	 * end-of-run numbers for job.summary()
+	 */
+	summary() {
+		return { adaptive: this.adaptive, ...this.snapshot(), ...this.stats };
+	}
+
+	/**
+	 * let waiters re-check for a slot
+	 */
+	wake() {
+		const waiting = this.waiting;
+		this.waiting = [];
+		for (const resolve of waiting) resolve();
+	}
+}
+
+/**
+ * a Retry-After header (delta-seconds or an HTTP date) in ms; 0 when absent or unparsable
+ * @param {string | string[] | number} [value]
+ * @returns {number}
+ */
+function retryAfterMs(value) {
+	if (Array.isArray(value)) value = value[0];
+	if (value === undefined || value === null || value === '') return 0;
+	const seconds = Number(value);
+	const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(String(value)) - Date.now();
+	if (!Number.isFinite(ms) || ms <= 0) return 0;
+	return Math.min(ms, MAX_RETRY_AFTER_MS);
+}
+
+module.exports = {
+	RateController,
+	retryAfterMs
+};
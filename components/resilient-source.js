@@ -9,9 +9,11 @@ Primitives for surviving transient network failures on cloud-storage reads:
   (metadata probes, stream opens) — safe because no bytes have entered the
   pipeline yet. Mid-stream failures must NOT be retried this way.
 - armIdleTimeout(): transport idle watchdog (moved from parsers.js)
-- createResilientGCSSource(): a byte-mode PassThrough that is a drop-in
-  replacement for a raw GCS read stream, but reconnects on stalls/resets by
+- createResilientSource(): a byte-mode PassThrough that is a drop-in
+  replacement for a raw object read stream, but reconnects on stalls/resets by
   reopening the object at the last-received byte offset via a range read.
+  Providers plug in a probe (size, version pin) and an opener:
+  createResilientGCSSource() and createResilientAzureSource().
   Because it sits UPSTREAM of gunzip, the decompressor's zlib state survives
   reconnects untouched — it just sees a pause in data. A wrong offset would
   corrupt the gzip framing and error out downstream, which is the safety net:
@@ -54,6 +56,7 @@ function classifyCloudError(err) {
 	else if (typeof err.status === 'number') status = err.status;
 	else if (typeof err?.response?.statusCode === 'number') status = err.response.statusCode;
 	else if (typeof err?.$metadata?.httpStatusCode === 'number') status = err.$metadata.httpStatusCode;
+	else if (typeof err.statusCode === 'number') status = err.statusCode; // Azure RestError
 	if (code === 'ENOENT' || status === 404) return 'not-found';
 	if (err.name === 'NoSuchKey' || err.name === 'NotFound' || err.name === 'NoSuchBucket') return 'not-found'; // AWS SDK v3
 	if (typeof err.message === 'string' && /file not found/i.test(err.message)) return 'not-found';
@@ -142,18 +145,109 @@ function serializeError(err) {
 	return out;
 }
 
+/**
+ * @typedef {Object} ObjectProbe
+ * @property {number} [size] - object size in raw bytes, when known
+ * @property {boolean} rangeSafe - a range read at offset N returns exactly the stored bytes from N,
+ *   of the same object version the probe saw
+ */
+
 /**
  * Create a resilient GCS byte source: drop-in replacement for
- * `gcsFile.createReadStream(readOpts)` + `armIdleTimeout(...)` that reconnects
- * on stalls and retriable transport errors by range-reading from the last
- * byte offset that was handed downstream.
+ * `gcsFile.createReadStream(readOpts)` + `armIdleTimeout(...)`.
+ * The object's generation is pinned on the metadata probe; a reopen can never
+ * read a different version of the object (overwrite mid-read → ranged reopen
+ * 404s → fatal).
+ *
+ * @param {object} params
+ * @param {any} params.storage Storage client (from the google-cloud storage SDK)
+ * @param {string} params.bucketName
+ * @param {string} params.filePath object path within the bucket
+ * @param {string} params.gcsPath full gs:// path (for labels/events)
+ * @param {object} params.readOpts options for createReadStream (decompress/validation/timeout)
+ * @param {number} params.idleMs idle watchdog threshold (<=0 disables)
+ * @param {any} params.job JobConfig (counters + cloudStreamCallback + resume options)
+ * @param {number} [params.initialOffset] resume-from byte offset persisted by a previous run (checkpoint ledger; 0 = start of object).
+ *   Range-read when the object is range-safe; otherwise read from 0 and discard that many bytes.
+ * @returns {Promise<stream.PassThrough>} byte-mode stream of the object's raw contents
+ */
+async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath, readOpts, idleMs, job, initialOffset = 0 }) {
+	let pinnedFile;
+	return createResilientSource({
+		label: gcsPath,
+		idleMs,
+		job,
+		initialOffset,
+		probe: async () => {
+			const [metadata] = await storage.bucket(bucketName).file(filePath).getMetadata();
+			const generation = metadata?.generation;
+			pinnedFile = generation
+				? storage.bucket(bucketName).file(filePath, { generation })
+				: storage.bucket(bucketName).file(filePath);
+			// GCS decompressive transcoding (objects stored with contentEncoding: gzip)
+			// can ignore/transform range requests — stored-object offsets would not map
+			// to received bytes. And without a generation to pin, a reopen could read a
+			// different object version at the old offset — for plain JSONL there is no
+			// integrity net (gzip's trailer CRC only covers .gz). Resume is unsafe in
+			// both cases; stall stays fatal as today.
+			return { size: Number(metadata?.size), rangeSafe: metadata?.contentEncoding !== 'gzip' && Boolean(generation) };
+		},
+		open: (offset) => {
+			const opts = { ...readOpts };
+			// Omit `start` at offset 0 so the first attempt is byte-identical to the
+			// non-resilient path (ranged reads skip the GCS client's checksum validation).
+			if (offset > 0) opts.start = offset;
+			return pinnedFile.createReadStream(opts);
+		}
+	});
+}
+
+/**
+ * Create a resilient Azure Blob Storage byte source. The blob's ETag is pinned
+ * on the properties probe and every download is conditional on it, so a blob
+ * overwritten mid-read fails the reopen (412) instead of splicing versions.
+ * The SDK's own body retries are off: resume is this module's job, with its
+ * counters and events.
+ *
+ * @param {object} params
+ * @param {any} params.blobClient BlobClient (from the azure storage-blob SDK)
+ * @param {string} params.azPath full az:// path (for labels/events)
+ * @param {number} params.idleMs idle watchdog threshold (<=0 disables)
+ * @param {any} params.job JobConfig
+ * @param {number} [params.initialOffset] resume-from byte offset persisted by a previous run
+ * @returns {Promise<stream.PassThrough>}
+ */
+async function createResilientAzureSource({ blobClient, azPath, idleMs, job, initialOffset = 0 }) {
+	let etag;
+	return createResilientSource({
+		label: azPath,
+		idleMs,
+		job,
+		initialOffset,
+		probe: async () => {
+			const properties = await blobClient.getProperties();
+			etag = properties.etag;
+			// blob storage never transcodes, so a range is always the stored bytes
+			return { size: Number(properties.contentLength), rangeSafe: Boolean(etag) };
+		},
+		open: async (offset) => {
+			const response = await blobClient.download(offset, undefined, {
+				conditions: etag ? { ifMatch: etag } : {},
+				maxRetryRequests: 0
+			});
+			return response.readableStreamBody;
+		}
+	});
+}
+
+/**
+ * Resilient byte source over any object store: reconnects on stalls and
+ * retriable transport errors by range-reading from the last byte offset that
+ * was handed downstream.
  *
  * Contract (best-effort, per the change request):
  * - Offsets count RAW (compressed, wire) bytes; the wrapper sits upstream of
  *   any gunzip stage.
- * - The object's generation is pinned on the first metadata probe; a reopen
- *   can never read a different version of the object (overwrite mid-read →
- *   ranged reopen 404s → fatal).
  * - Any uncertainty (more bytes than the object holds, unsafe transcoding)
  *   → fail the job exactly like today. Never guess an offset.
  * - Bounded attempts: `job.cloudResumeAttempts` consecutive no-progress
@@ -163,33 +257,32 @@ function serializeError(err) {
  *   error, pipeline teardown) ABORTS the source — it never triggers resume.
  *
  * @param {object} params
- * @param {any} params.storage Storage client (from the google-cloud storage SDK)
- * @param {string} params.bucketName
- * @param {string} params.filePath object path within the bucket
- * @param {string} params.gcsPath full gs:// path (for labels/events)
- * @param {object} params.readOpts options for createReadStream (decompress/validation/timeout)
+ * @param {string} params.label full object path (for labels/events)
+ * @param {() => Promise<ObjectProbe>} params.probe metadata probe; retried here, a not-found becomes ENOENT
+ * @param {(offset: number) => stream.Readable | Promise<stream.Readable>} params.open open the object at a raw
+ *   byte offset (always 0 unless the probe said rangeSafe)
  * @param {number} params.idleMs idle watchdog threshold (<=0 disables)
  * @param {any} params.job JobConfig (counters + cloudStreamCallback + resume options)
- * @param {number} [params.initialOffset] resume-from byte offset (forward-compat for caller-persisted offsets; 0 = start of object)
+ * @param {number} [params.initialOffset] resume-from byte offset persisted by a previous run (checkpoint ledger; 0 = start of object).
+ *   Range-read when the object is range-safe; otherwise read from 0 and discard that many bytes.
  * @returns {Promise<stream.PassThrough>} byte-mode stream of the object's raw contents
  */
-async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath, readOpts, idleMs, job, initialOffset = 0 }) {
+async function createResilientSource({ label, probe, open, idleMs, job, initialOffset = 0 }) {
 	const maxResumeAttempts = job.cloudResumeAttempts ?? 3;
 	const backoffBaseMs = job.cloudRetryBackoffMs ?? 1000;
 
 	// --- OPENING: one metadata probe (bounded retry) replaces exists() and
-	// yields the generation to pin + the object size for offset sanity checks.
+	// yields the version to pin + the object size for offset sanity checks.
 	let metadata;
 	try {
-		const [meta] = await retryCloudOp(() => storage.bucket(bucketName).file(filePath).getMetadata(), {
+		metadata = await retryCloudOp(probe, {
 			baseMs: backoffBaseMs,
-			label: gcsPath,
-			onRetry: (err, attempt) => emitCloudEvent(job, { type: 'open-retry', file: gcsPath, byteOffset: 0, attempt, error: serializeError(err) })
+			label,
+			onRetry: (err, attempt) => emitCloudEvent(job, { type: 'open-retry', file: label, byteOffset: 0, attempt, error: serializeError(err) })
 		});
-		metadata = meta;
 	} catch (err) {
 		if (classifyCloudError(err) === 'not-found') {
-			const notFound = new Error(`File not found: ${gcsPath}`);
+			const notFound = new Error(`File not found: ${label}`);
 			// @ts-ignore
 			notFound.code = 'ENOENT';
 			throw notFound;
@@ -197,25 +290,26 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 		throw err;
 	}
 
-	const generation = metadata?.generation;
 	const objectSize = Number(metadata?.size);
 	const sizeKnown = Number.isFinite(objectSize);
-	// GCS decompressive transcoding (objects stored with contentEncoding: gzip)
-	// can ignore/transform range requests — stored-object offsets would not map
-	// to received bytes. And without a generation to pin, a reopen could read a
-	// different object version at the old offset — for plain JSONL there is no
-	// integrity net (gzip's trailer CRC only covers .gz). Resume is unsafe in
-	// both cases; stall stays fatal as today.
-	const rangeSafe = metadata?.contentEncoding !== 'gzip' && Boolean(generation);
-	const pinnedFile = generation
-		? storage.bucket(bucketName).file(filePath, { generation })
-		: storage.bucket(bucketName).file(filePath);
+	const rangeSafe = Boolean(metadata?.rangeSafe);
+
+	// A persisted offset beyond the object means it changed since it was
+	// checkpointed — never guess. Exactly at the end: nothing left to read.
+	if (initialOffset > 0 && sizeKnown && rangeSafe && initialOffset > objectSize) {
+		throw new Error(`cannot resume ${label} at byte ${initialOffset}: object is only ${objectSize} bytes`);
+	}
 
 	const out = new stream.PassThrough({ highWaterMark: 2 ** 20 }); // 1MB byte-mode buffer
+	if (initialOffset > 0 && sizeKnown && rangeSafe && initialOffset === objectSize) {
+		out.end();
+		return out;
+	}
 
 	// --- state machine: STREAMING → (RECONNECTING ↔ STREAMING) → ENDED | FAILED | ABORTED
 	let state = 'streaming';
-	let raw = null; // current underlying GCS read stream attempt
+	let raw = null; // current underlying read stream attempt
+	let opening = 0; // bumped per open, so a slow async open that lost a race is discarded
 	let bytesEmitted = initialOffset; // raw bytes counted-then-written downstream, exactly once each
 	let attemptIndex = 0; // total reopen count for this file (event `attempt` field)
 	let attemptsSinceProgress = 0; // consecutive resumes without RESUME_PROGRESS_RESET_BYTES of progress
@@ -223,13 +317,16 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 	let idleTimer = null;
 	let backoffTimer = null;
 	let pausedForBackpressure = false;
+	// an object that can't be range-read still resumes from a persisted
+	// offset: read from 0 and drop the bytes a previous run already consumed
+	let discardBytes = initialOffset > 0 && !rangeSafe ? initialOffset : 0;
 
 	const stopWatchdog = () => { clearTimeout(idleTimer); idleTimer = null; };
 	const kickWatchdog = () => {
 		if (!idleMs || idleMs <= 0) return;
 		clearTimeout(idleTimer);
 		idleTimer = setTimeout(() => {
-			const err = new Error(`cloud read stalled: no data for ${idleMs}ms (${gcsPath})`);
+			const err = new Error(`cloud read stalled: no data for ${idleMs}ms (${label})`);
 			// @ts-ignore
 			err.code = 'ESTALL';
 			if (raw && !raw.destroyed) raw.destroy(err); // surfaces via raw 'error' → handleRawError
@@ -238,6 +335,7 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 	};
 
 	const teardownRaw = () => {
+		opening++; // an open still in flight belongs to the attempt being torn down
 		stopWatchdog();
 		clearTimeout(backoffTimer);
 		backoffTimer = null;
@@ -272,7 +370,7 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 		const isStall = err?.code === 'ESTALL';
 		if (isStall) {
 			job.stallsDetected++;
-			emitCloudEvent(job, { type: 'stall', file: gcsPath, byteOffset: bytesEmitted, attempt: attemptIndex });
+			emitCloudEvent(job, { type: 'stall', file: label, byteOffset: bytesEmitted, attempt: attemptIndex });
 		}
 
 		// All raw bytes arrived but the server never FIN'd — the object is
@@ -285,7 +383,7 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 		// Never resume on uncertainty — a clean whole-job retry beats corruption.
 		if (sizeKnown && bytesEmitted > objectSize) return fail(err);
 		if (attemptsSinceProgress >= maxResumeAttempts) {
-			emitCloudEvent(job, { type: 'resume-fail', file: gcsPath, byteOffset: bytesEmitted, attempt: attemptIndex, error: serializeError(err) });
+			emitCloudEvent(job, { type: 'resume-fail', file: label, byteOffset: bytesEmitted, attempt: attemptIndex, error: serializeError(err) });
 			return fail(err);
 		}
 
@@ -294,7 +392,7 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 		attemptIndex++;
 		progressBytes = 0;
 		job.resumesAttempted++;
-		emitCloudEvent(job, { type: 'resume-attempt', file: gcsPath, byteOffset: bytesEmitted, attempt: attemptIndex, error: serializeError(err) });
+		emitCloudEvent(job, { type: 'resume-attempt', file: label, byteOffset: bytesEmitted, attempt: attemptIndex, error: serializeError(err) });
 		teardownRaw();
 		const delay = backoffBaseMs * 2 ** (attemptsSinceProgress - 1);
 		backoffTimer = setTimeout(() => {
@@ -303,25 +401,47 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 	};
 
 	const openAttempt = (offset) => {
-		const isResume = attemptIndex > 0;
-		const opts = { ...readOpts };
-		// Omit `start` at offset 0 so the first attempt is byte-identical to the
-		// non-resilient path (ranged reads skip the GCS client's checksum validation).
-		if (offset > 0) opts.start = offset;
-		let sawData = false;
-
+		const attempt = ++opening;
+		let opened;
 		try {
-			raw = pinnedFile.createReadStream(opts);
+			opened = open(rangeSafe ? offset : 0);
 		} catch (err) {
 			return handleRawError(err);
 		}
+		if (!(opened instanceof Promise)) return attach(opened, offset);
+		// async open: the watchdog covers the wait; a stream that arrives after
+		// the attempt was given up on (or the source was torn down) is discarded
+		kickWatchdog();
+		opened.then((readable) => {
+			if (attempt !== opening || state !== 'streaming') {
+				readable?.on('error', () => { });
+				readable?.destroy();
+				return;
+			}
+			attach(readable, offset);
+		}, (err) => {
+			if (attempt === opening) handleRawError(err);
+		});
+	};
+
+	const attach = (readable, offset) => {
+		const isResume = attemptIndex > 0;
+		let sawData = false;
+		raw = readable;
 
 		raw.on('data', (chunk) => {
 			if (state !== 'streaming') return;
+			if (discardBytes > 0) {
+				kickWatchdog();
+				const dropped = Math.min(discardBytes, chunk.length);
+				discardBytes -= dropped;
+				if (dropped === chunk.length) return;
+				chunk = chunk.subarray(dropped);
+			}
 			if (isResume && !sawData) {
 				sawData = true;
 				job.resumesSucceeded++;
-				emitCloudEvent(job, { type: 'resume-success', file: gcsPath, byteOffset: offset, attempt: attemptIndex });
+				emitCloudEvent(job, { type: 'resume-success', file: label, byteOffset: offset, attempt: attemptIndex });
 			}
 			// count-then-write, synchronously: bytesEmitted always equals bytes
 			// handed downstream, so a reopen offset is exact by construction.
@@ -346,7 +466,7 @@ async function createResilientGCSSource({ storage, bucketName, filePath, gcsPath
 			if (sizeKnown && bytesEmitted < objectSize) {
 				// Clean FIN before all bytes arrived — a silently-truncated read.
 				// Retriable: resume picks up at the received offset.
-				const err = new Error(`cloud read ended early: received ${bytesEmitted} of ${objectSize} bytes (${gcsPath})`);
+				const err = new Error(`cloud read ended early: received ${bytesEmitted} of ${objectSize} bytes (${label})`);
 				// @ts-ignore
 				err.code = 'EEARLYEOF';
 				return handleRawError(err);
@@ -386,6 +506,8 @@ module.exports = {
 	retryCloudOp,
 	armIdleTimeout,
 	emitCloudEvent,
+	createResilientSource,
 	createResilientGCSSource,
+	createResilientAzureSource,
 	RESUME_PROGRESS_RESET_BYTES
 };
@@ -0,0 +1,172 @@
+/*
+----
+FAN-OUT ROUTING
+----
+`routeBy` sends one input stream to several projects:
+
+  { routeBy: "tenant", routes: { acme: { token: "..." }, globex: { token: "...", region: "EU" } } }
+  { routeBy: (record) => creds | a key of routes | null }
+
+- a property is read off the record as it will be sent: properties[name] for
+  events; the record itself, then $set / $set_once, for profiles
+- the batcher keeps one buffer per route, so a batch never mixes projects; the
+  HTTP sender sends it with its route's auth, project and region
+- a record with no route goes to the job's own creds when there are any, and
+  is otherwise dropped and counted as unrouted
+- the job's totals cover every route; summary().routes breaks them down
+
+profiles get their route's token as $token (the /engage and /groups payloads
+carry it); events get it only where they already have a properties.token.
+*/
+
+const Job = require('./job.js');
+
+/** symbol key for the route a batch belongs to (arrays keep it across stages) */
+const ROUTE = Symbol.for('mixpanel-import.route');
+
+/** @typedef {import('./job')} JobConfig */
+/** @typedef {import('../index.d.ts').RouteCreds} RouteCreds */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} name - the tenant, or the creds' name / token
+ * @property {JobConfig} job - the route's url and auth; the main job when it's the default
+ * @property {number} records
+ * @property {number} batches
+ * @property {number} success
+ * @property {number} failed
+ */
+
+/**
+ * picks each record's project
+ */
+class Router {
+	/**
+	 * @param {JobConfig} job
+	 */
+	constructor(job) {
+		this.job = job;
+		/** @type {Map<string, Route>} */
+		this.routes = new Map();
+		// the job's own creds catch whatever has no route of its own
+		/** @type {Route | null} */
+		this.fallback = job.auth ? newRoute('default', job) : null;
+		this.unrouted = 0;
+	}
+
+	/**
+	 * the record's route, or null when it has nowhere to go
+	 * @param {Object} record
+	 * @returns {Route | null}
+	 */
+	resolve(record) {
+		const { routeBy, routes } = this.job;
+		const picked = typeof routeBy === 'function' ? routeBy(record) : lookup(record, routeBy);
+		let route = null;
+		if (typeof picked === 'string' || typeof picked === 'number') {
+			const creds = routes[picked];
+			if (creds) route = this.route(String(picked), creds);
+		}
+		else if (picked && typeof picked === 'object') {
+			const name = picked.name || picked.token || (picked.project && String(picked.project));
+			if (!name) throw new Error('routeBy returned creds without a token, project or name to tell the route by');
+			route = this.route(String(name), picked);
+		}
+		route = route || this.fallback;
+		if (!route) {
+			this.unrouted++;
+			return null;
+		}
+		route.records++;
+		stampToken(record, route.job.token, this.job.recordType);
+		return route;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {RouteCreds} creds
+	 * @returns {Route}
+	 */
+	route(name, creds) {
+		let route = this.routes.get(name);
+		if (!route) {
+			route = newRoute(name, routeJob(this.job, creds));
+			this.routes.set(name, route);
+		}
+		return route;
+	}
+
+	/**
+	 * @returns {Object<string, { records: number, batches: number, success: number, failed: number }>}
+	 */
+	summary() {
+		/** @type {Object<string, any>} */
+		const summary = {};
+		const all = this.fallback?.records ? [...this.routes.values(), this.fallback] : [...this.routes.values()];
+		for (const { name, records, batches, success, failed } of all) summary[name] = { records, batches, success, failed };
+		return summary;
+	}
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * @param {string} name
+ * @param {JobConfig} job
+ * @returns {Route}
+ */
+function newRoute(name, job) {
+	return { name, job, records: 0, batches: 0, success: 0, failed: 0 };
+}
+
+/**
+ * a job that only knows the route's url and auth
+ * @param {JobConfig} job
+ * @param {RouteCreds} creds
+ * @returns {JobConfig}
+ */
+function routeJob(job, creds) {
+	const { region, name, ...rest } = creds;
+	return new Job(rest, {
+		recordType: job.recordType,
+		region: region || job.region,
+		apiHost: job.apiHost,
+		endpointOverrides: job.endpointOverrides,
+		proxy: /** @type {string | false} */ (job.proxy),
+		verbose: false,
+		showProgress: false,
+		logs: false
+	});
+}
+
+/**
+ * @param {Object} record
+ * @param {string} property
+ * @returns {any}
+ */
+function lookup(record, property) {
+	if (!record) return undefined;
+	return record.properties?.[property] ?? record[property] ?? record.$set?.[property] ?? record.$set_once?.[property];
+}
+
+/**
+ * @param {Object} record
+ * @param {string} token
+ * @param {string} recordType
+ */
+function stampToken(record, token, recordType) {
+	if (!token || !record) return;
+	if (recordType === 'event') {
+		if (record.properties?.token) record.properties.token = token;
+	}
+	else record.$token = token;
+}
+
+module.exports = {
+	ROUTE,
+	Router
+};
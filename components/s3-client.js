@@ -0,0 +1,59 @@
+/*
+----
+S3 CLIENT CONFIG
+----
+Every S3Client (sources, destinations, exports, write checks) is configured
+here, so S3-compatible stores work everywhere AWS does:
+
+- `s3Endpoint` points the client at MinIO, Cloudflare R2, Ceph, ... instead
+  of AWS. with an endpoint, s3Region is optional and requests are path-style
+  (`<endpoint>/<bucket>/<key>`) unless `s3ForcePathStyle: false`
+- credentials: `s3Key` + `s3Secret` (+ `s3SessionToken` for temporary
+  credentials), or a named `s3Profile` from the shared AWS config files;
+  with neither, the SDK's default chain (env vars, instance roles, ...)
+*/
+
+/** @typedef {import('./job')} JobConfig */
+
+const DEFAULT_REGION = 'us-east-1';
+
+/**
+ * S3Client options for a job's S3 settings
+ * @param {Partial<JobConfig>} job
+ * @param {Object<string, any>} [extra] - client options of the caller's own (timeouts, retries)
+ * @returns {import('@aws-sdk/client-s3').S3ClientConfig}
+ */
+function s3ClientConfig(job, extra = {}) {
+	/** @type {import('@aws-sdk/client-s3').S3ClientConfig} */
+	const config = { region: job.s3Region || DEFAULT_REGION, ...extra };
+	if (job.s3Endpoint) {
+		config.endpoint = job.s3Endpoint;
+		config.forcePathStyle = job.s3ForcePathStyle !== false;
+	}
+	else if (job.s3ForcePathStyle) config.forcePathStyle = true;
+
+	if (job.s3Key && job.s3Secret) {
+		config.credentials = {
+			accessKeyId: job.s3Key,
+			secretAccessKey: job.s3Secret,
+			...(job.s3SessionToken && { sessionToken: job.s3SessionToken })
+		};
+	}
+	else if (job.s3Profile) config.profile = job.s3Profile;
+	return config;
+}
+
+/**
+ * AWS needs a region; S3-compatible stores generally don't care
+ * @param {Partial<JobConfig>} job
+ */
+function requireS3Region(job) {
+	if (!job.s3Region && !job.s3Endpoint) {
+		throw new Error('S3 region is required. Please specify s3Region in job config or use environment variable S3_REGION');
+	}
+}
+
+module.exports = {
+	requireS3Region,
+	s3ClientConfig
+};
@@ -0,0 +1,216 @@
+/*
+----
+SCD FROM WAREHOUSE TABLES
+----
+recordType: "scd" with `scdColumns` turns warehouse rows into SCD events: one
+event per tracked column, and only when that column's value changed.
+
+- scdSource "snapshot" (default): every row is an entity as of a snapshot,
+  dated by `scdTimeKey` (default snapshot_date). The first snapshot an entity
+  appears in sets its initial values; after that a column fires when it
+  differs from the entity's previous snapshot. Events carry the snapshot time.
+- scdSource "history": every row is a version with `valid_from` / `valid_to`
+  (scdValidFrom / scdValidTo). A column fires at valid_from when it differs
+  from the previous version; when an entity's last version was closed (a
+  valid_to that isn't in the future) its columns are un-set at valid_to.
+
+A row is a user when it has `scdUserKey` (default distinct_id, then
+$distinct_id / user_id), otherwise a group when it has one of `scdGroupKeys`;
+checking the user key first lets a users table carry company_id as an
+attribute. Users and groups can share one input.
+
+Only the latest values per entity are kept, so each entity's rows must come
+oldest first (files named by date, or a table sorted by snapshot date); a row
+older than one already seen is an error, not a silently wrong history.
+
+Every event gets a $insert_id from entity, column, time and value, so loading
+the same snapshots twice doesn't double up.
+*/
+
+const { Transform } = require('stream');
+const murmurhash = require('murmurhash');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const { present, reject, toMillis } = require('./values.js');
+dayjs.extend(utc);
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * @typedef {Object} SCDColumn
+ * @property {string} column - where the value is read from
+ * @property {string} label - the SCD event's name
+ * @property {string} type - string, number or boolean
+ */
+
+/**
+ * normalize `scdColumns` (a list of columns, or column -> label / { label, type })
+ * @param {import('../index.d.ts').Options['scdColumns'] | string} scdColumns - a comma-separated string from the CLI
+ * @param {string} [defaultType]
+ * @returns {SCDColumn[]}
+ */
+function scdColumnSpecs(scdColumns, defaultType = 'string') {
+	if (!scdColumns) return [];
+	if (typeof scdColumns === 'string') scdColumns = scdColumns.split(',').map(column => column.trim()).filter(Boolean);
+	if (Array.isArray(scdColumns)) return scdColumns.map(column => ({ column, label: column, type: defaultType }));
+	return Object.entries(scdColumns).map(([column, spec]) => {
+		if (typeof spec === 'string') return { column, label: spec || column, type: defaultType };
+		return { column, label: spec?.label || column, type: spec?.type || defaultType };
+	});
+}
+
+/**
+ * the diffing stage: rows in, SCD events out
+ * @param {JobConfig} job
+ * @returns {Transform}
+ */
+function createSCDStream(job) {
+	const history = job.scdSource === 'history';
+	const columns = job.scdColumns;
+	const timeKey = history ? job.scdValidFrom : job.scdTimeKey;
+	const groupKeys = job.scdGroupKeys;
+	const updatedAt = new Date().toISOString();
+
+	/** @type {Map<string, {time: number, until: number | null, entity: Entity, values: Object<string, any>}>} */
+	const entities = new Map();
+
+	/**
+	 * @param {Entity} entity
+	 * @param {SCDColumn} spec
+	 * @param {number} time
+	 * @param {any} value
+	 */
+	const scdEvent = (entity, spec, time, value) => ({
+		event: spec.label,
+		properties: {
+			// /import wants a distinct_id on every event; group events carry an empty one
+			...(entity.key === 'distinct_id' ? {} : { distinct_id: '' }),
+			[entity.key]: entity.id,
+			time,
+			[spec.column]: value,
+			$insert_id: insertId(entity, spec, time, value),
+			$mp_updated_at: updatedAt
+		}
+	});
+
+	return new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		transform(row, _encoding, callback) {
+			const entity = entityOf(row, job.scdUserKey, groupKeys);
+			if (!entity) return reject(job, 'scd row has no user or group key', row, callback);
+			const time = toMillis(row[timeKey]);
+			if (time === null) return reject(job, `scd row has no ${timeKey}`, row, callback);
+
+			const stateKey = `${entity.key}\u0000${entity.id}`;
+			let state = entities.get(stateKey);
+			if (state && time < state.time) {
+				return callback(new Error(`scd rows must be oldest first: ${entity.key} ${entity.id} has ${row[timeKey]} after ${dayjs.utc(state.time).toISOString()}`));
+			}
+			if (!state) {
+				state = { time, until: null, entity, values: {} };
+				entities.set(stateKey, state);
+			}
+
+			for (const spec of columns) {
+				// a column missing from this row says nothing about it; an empty one un-sets it
+				if (!(spec.column in row)) continue;
+				const value = coerce(row[spec.column], spec.type);
+				if (spec.column in state.values && same(state.values[spec.column], value)) continue;
+				if (!(spec.column in state.values) && value === null) {
+					state.values[spec.column] = null;
+					continue;
+				}
+				state.values[spec.column] = value;
+				this.push(scdEvent(entity, spec, time, value));
+			}
+			state.time = time;
+			state.until = history ? toMillis(row[job.scdValidTo]) : null;
+			callback();
+		},
+		flush(callback) {
+			// history: a closed last version means the entity stopped having these values
+			if (history) {
+				const now = Date.now();
+				for (const state of entities.values()) {
+					if (state.until === null || state.until > now) continue;
+					for (const spec of columns) {
+						if (state.values[spec.column] === null || state.values[spec.column] === undefined) continue;
+						this.push(scdEvent(state.entity, spec, state.until, null));
+					}
+				}
+			}
+			entities.clear();
+			callback();
+		}
+	});
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * @typedef {Object} Entity
+ * @property {string} key - distinct_id, or the group key
+ * @property {string} id
+ */
+
+/**
+ * @param {Object} row
+ * @param {string} userKey - '' for distinct_id / $distinct_id / user_id
+ * @param {string[]} groupKeys
+ * @returns {Entity | null}
+ */
+function entityOf(row, userKey, groupKeys) {
+	const userId = userKey ? row[userKey] : (row.distinct_id ?? row.$distinct_id ?? row.user_id);
+	if (present(userId)) return { key: 'distinct_id', id: String(userId) };
+	for (const key of groupKeys) {
+		if (present(row[key])) return { key, id: String(row[key]) };
+	}
+	return null;
+}
+
+/**
+ * @param {any} value
+ * @param {string} type
+ */
+function coerce(value, type) {
+	if (!present(value)) return null;
+	if (type === 'number') {
+		const number = Number(value);
+		return Number.isFinite(number) ? number : null;
+	}
+	if (type === 'boolean') {
+		if (typeof value === 'boolean') return value;
+		return ['true', '1', 'yes', 'y', 't'].includes(String(value).trim().toLowerCase());
+	}
+	return typeof value === 'object' ? value : String(value);
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ */
+function same(a, b) {
+	if (a === b) return true;
+	if (a === null || b === null) return false;
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @param {Entity} entity
+ * @param {SCDColumn} spec
+ * @param {number} time
+ * @param {any} value
+ */
+function insertId(entity, spec, time, value) {
+	return murmurhash.v3([entity.key, entity.id, spec.label, spec.column, time, JSON.stringify(value)].join('|')).toString(36);
+}
+
+module.exports = {
+	createSCDStream,
+	scdColumnSpecs
+};
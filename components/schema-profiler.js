@@ -0,0 +1,376 @@
+/*
+----
+SCHEMA PROFILER
+----
+A full-file pass over an input before anything is imported: every record is
+read through determineDataType (so local files, folders, gs:// and s3://
+behave exactly as they do for an import) and folded into a per-event profile:
+
+- each property's observed JSON types, how often it is missing / null / empty,
+  a few example values and a distinct-count estimate
+- first and last `time` per event and overall
+
+Memory stays flat however big the input is: examples are capped and
+cardinality comes from a KMV (k minimum values) sketch over murmurhash, which
+is exact below K distinct values and within a few percent above.
+
+compareSchemas() diffs two reports: events and properties that appeared or
+disappeared, and properties whose non-null types changed.
+
+Records are profiled as parsed; vendor transforms and fixData do not run.
+*/
+
+const murmurhash = require('murmurhash');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const Job = require('./job.js');
+const { determineDataType } = require('./parsers.js');
+const { toMillis } = require('./values.js');
+
+/** distinct hashes kept per property; exact counts up to this many values */
+const SKETCH_SIZE = 256;
+
+/** distinct example values kept per property */
+const EXAMPLES = 5;
+
+/** examples are cut to this many characters */
+const EXAMPLE_LENGTH = 80;
+
+/** bucket for records without an event name (profiles, tables, raw rows) */
+const NO_EVENT = '(no event)';
+
+/** @typedef {import('../index.d.ts').SchemaReport} SchemaReport */
+/** @typedef {import('../index.d.ts').SchemaDrift} SchemaDrift */
+
+/**
+ * stream `data` and profile every record in it
+ * @param {import('../index.d.ts').Creds} creds - only needed for gs:// / s3:// sources
+ * @param {import('../index.d.ts').Data} data - anything an import accepts
+ * @param {import('../index.d.ts').Options & { previousSchema?: string | SchemaReport }} [opts]
+ * @returns {Promise<SchemaReport>}
+ */
+async function profileSchema(creds = {}, data, opts = {}) {
+	// a dry run as far as the job is concerned: nothing is sent, so no auth is needed
+	const job = new Job(creds, { verbose: false, ...opts, dryRun: true });
+	const stream = await determineDataType(data, job);
+	const profiler = new SchemaProfiler();
+	for await (const record of stream) {
+		profiler.add(record);
+		if (job.maxRecords !== null && profiler.records >= job.maxRecords) break;
+	}
+	if (typeof stream.destroy === 'function') stream.destroy();
+	job.timer.stop(false);
+
+	const report = profiler.report(typeof data === 'string' ? data : Array.isArray(data) && data.every(d => typeof d === 'string') ? data.join(', ') : 'in-memory data');
+	if (opts.previousSchema) report.drift = compareSchemas(await loadReport(opts.previousSchema), report);
+	return report;
+}
+
+class SchemaProfiler {
+	constructor() {
+		this.records = 0;
+		/** @type {Map<string, EventProfile>} */
+		this.events = new Map();
+		/** @type {TimeRange} */
+		this.time = new TimeRange();
+	}
+
+	/**
+	 * @param {Object} record
+	 */
+	add(record) {
+		if (!record || typeof record !== 'object') return;
+		this.records++;
+		const name = typeof record.event === 'string' && record.event ? record.event : NO_EVENT;
+		let event = this.events.get(name);
+		if (!event) {
+			event = new EventProfile();
+			this.events.set(name, event);
+		}
+		const properties = propertiesOf(record);
+		event.add(properties);
+		const time = toMillis(properties.time ?? properties.timestamp ?? properties.$time);
+		if (time !== null) {
+			event.time.add(time);
+			this.time.add(time);
+		}
+	}
+
+	/**
+	 * @param {string} source
+	 * @returns {SchemaReport}
+	 */
+	report(source) {
+		/** @type {SchemaReport['events']} */
+		const events = {};
+		for (const name of [...this.events.keys()].sort()) events[name] = this.events.get(name).report();
+		return {
+			profiledAt: new Date().toISOString(),
+			source,
+			records: this.records,
+			time: this.time.report(),
+			events
+		};
+	}
+}
+
+class EventProfile {
+	constructor() {
+		this.count = 0;
+		/** @type {Map<string, PropertyProfile>} */
+		this.properties = new Map();
+		this.time = new TimeRange();
+	}
+
+	/**
+	 * @param {Object} properties
+	 */
+	add(properties) {
+		this.count++;
+		for (const key in properties) {
+			let property = this.properties.get(key);
+			if (!property) {
+				property = new PropertyProfile();
+				this.properties.set(key, property);
+			}
+			property.add(properties[key]);
+		}
+	}
+
+	report() {
+		/** @type {Object<string, import('../index.d.ts').PropertySchema>} */
+		const properties = {};
+		for (const key of [...this.properties.keys()].sort()) properties[key] = this.properties.get(key).report(this.count);
+		return { count: this.count, time: this.time.report(), properties };
+	}
+}
+
+class PropertyProfile {
+	constructor() {
+		this.present = 0;
+		this.nulls = 0;
+		/** @type {Object<string, number>} */
+		this.types = {};
+		/** @type {Set<string>} */
+		this.examples = new Set();
+		this.sketch = new DistinctSketch();
+	}
+
+	/**
+	 * @param {any} value
+	 */
+	add(value) {
+		this.present++;
+		const type = typeOf(value);
+		this.types[type] = (this.types[type] || 0) + 1;
+		if (type === 'null' || value === '') {
+			this.nulls++;
+			return;
+		}
+		const text = typeof value === 'string' ? value : JSON.stringify(value);
+		this.sketch.add(text);
+		if (this.examples.size < EXAMPLES) this.examples.add(text.length > EXAMPLE_LENGTH ? `${text.slice(0, EXAMPLE_LENGTH)}…` : text);
+	}
+
+	/**
+	 * @param {number} records - records of this event; a missing property counts as null
+	 */
+	report(records) {
+		return {
+			present: this.present,
+			nullRate: round((records - this.present + this.nulls) / records),
+			types: this.types,
+			examples: [...this.examples],
+			cardinality: this.sketch.estimate()
+		};
+	}
+}
+
+class TimeRange {
+	constructor() {
+		this.min = Infinity;
+		this.max = -Infinity;
+	}
+
+	/**
+	 * @param {number} ms
+	 */
+	add(ms) {
+		if (ms < this.min) this.min = ms;
+		if (ms > this.max) this.max = ms;
+	}
+
+	report() {
+		if (this.min === Infinity) return null;
+		return { min: dayjs.utc(this.min).toISOString(), max: dayjs.utc(this.max).toISOString() };
+	}
+}
+
+/**
+ * k-minimum-values distinct count estimator
+ */
+class DistinctSketch {
+	constructor(k = SKETCH_SIZE) {
+		this.k = k;
+		/** @type {number[]} smallest hashes seen, ascending */
+		this.hashes = [];
+	}
+
+	/**
+	 * @param {string} value
+	 */
+	add(value) {
+		const hash = murmurhash.v3(value);
+		const { hashes, k } = this;
+		if (hashes.length === k && hash >= hashes[k - 1]) return;
+		let lo = 0;
+		let hi = hashes.length;
+		while (lo < hi) {
+			const mid = (lo + hi) >>> 1;
+			if (hashes[mid] < hash) lo = mid + 1;
+			else hi = mid;
+		}
+		if (hashes[lo] === hash) return;
+		hashes.splice(lo, 0, hash);
+		if (hashes.length > k) hashes.pop();
+	}
+
+	estimate() {
+		const { hashes, k } = this;
+		if (hashes.length < k) return hashes.length;
+		return Math.round((k - 1) / ((hashes[k - 1] + 1) / 2 ** 32));
+	}
+}
+
+/**
+ * what changed between two reports
+ * @param {SchemaReport} previous
+ * @param {SchemaReport} current
+ * @returns {SchemaDrift}
+ */
+function compareSchemas(previous, current) {
+	/** @type {SchemaDrift} */
+	const drift = { newEvents: [], missingEvents: [], newProperties: [], missingProperties: [], changedTypes: [], hasDrift: false };
+	const before = previous?.events || {};
+	const after = current?.events || {};
+
+	for (const event in after) {
+		if (!before[event]) {
+			drift.newEvents.push(event);
+			continue;
+		}
+		const was = before[event].properties || {};
+		const now = after[event].properties || {};
+		for (const property in now) {
+			if (!was[property]) {
+				drift.newProperties.push({ event, property, types: valueTypes(now[property]) });
+				continue;
+			}
+			const wasTypes = valueTypes(was[property]);
+			const nowTypes = valueTypes(now[property]);
+			if (wasTypes.join() !== nowTypes.join()) drift.changedTypes.push({ event, property, was: wasTypes, now: nowTypes });
+		}
+		for (const property in was) {
+			if (!now[property]) drift.missingProperties.push({ event, property });
+		}
+	}
+	for (const event in before) {
+		if (!after[event]) drift.missingEvents.push(event);
+	}
+
+	drift.hasDrift = Boolean(drift.newEvents.length || drift.missingEvents.length || drift.newProperties.length || drift.missingProperties.length || drift.changedTypes.length);
+	return drift;
+}
+
+/**
+ * readable lines for the CLI
+ * @param {SchemaReport} report
+ * @returns {string}
+ */
+function formatSchemaReport(report) {
+	const lines = [`${report.records.toLocaleString()} records in ${report.source}`];
+	if (report.time) lines.push(`time: ${report.time.min} → ${report.time.max}`);
+	for (const [name, event] of Object.entries(report.events)) {
+		lines.push('', `${name} (${event.count.toLocaleString()})`);
+		for (const [key, property] of Object.entries(event.properties)) {
+			const types = Object.keys(property.types).filter(type => type !== 'null').join('|') || 'null';
+			const example = property.examples.length ? `  e.g. ${property.examples.slice(0, 2).join(', ')}` : '';
+			lines.push(`  ${key}: ${types}  null ${Math.round(property.nullRate * 100)}%  ~${property.cardinality} distinct${example}`);
+		}
+	}
+	const { drift } = report;
+	if (drift) {
+		lines.push('', drift.hasDrift ? 'DRIFT' : 'no drift from the previous report');
+		for (const event of drift.newEvents) lines.push(`  + event ${event}`);
+		for (const event of drift.missingEvents) lines.push(`  - event ${event}`);
+		for (const { event, property, types } of drift.newProperties) lines.push(`  + ${event}.${property} (${types.join('|')})`);
+		for (const { event, property } of drift.missingProperties) lines.push(`  - ${event}.${property}`);
+		for (const { event, property, was, now } of drift.changedTypes) lines.push(`  ~ ${event}.${property}: ${was.join('|') || 'null'} → ${now.join('|') || 'null'}`);
+	}
+	return lines.join('\n');
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * the part of a record that holds its properties
+ * @param {Object} record
+ */
+function propertiesOf(record) {
+	if (record.properties && typeof record.properties === 'object' && !Array.isArray(record.properties)) return record.properties;
+	if (record.$set && typeof record.$set === 'object') {
+		const { $set, $set_once, ...rest } = record;
+		return { ...rest, ...($set_once || {}), ...$set };
+	}
+	const { event, ...rest } = record;
+	return rest;
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+	if (value === null || value === undefined) return 'null';
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+}
+
+/**
+ * non-null types of a property in a report, sorted
+ * @param {{types?: Object<string, number>}} property
+ */
+function valueTypes(property) {
+	return Object.keys(property?.types || {}).filter(type => type !== 'null').sort();
+}
+
+/**
+ * @param {number} n
+ */
+function round(n) {
+	return Math.round(n * 10000) / 10000;
+}
+
+/**
+ * a previous report, given as an object or a path to its JSON
+ * @param {string | SchemaReport} previous
+ * @returns {Promise<SchemaReport>}
+ */
+async function loadReport(previous) {
+	if (typeof previous !== 'string') return previous;
+	const fs = require('fs').promises;
+	return JSON.parse(await fs.readFile(previous, 'utf8'));
+}
+
+module.exports = {
+	profileSchema,
+	compareSchemas,
+	formatSchemaReport,
+	SchemaProfiler
+};
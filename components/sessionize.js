@@ -0,0 +1,454 @@
+/*
+----
+SESSIONIZE
+----
+`sessionize: true` gives every event a $session_id and adds a `Session Start`
+and a `Session End` event around each session. A session is one distinct_id's
+run of events with no gap longer than `sessionTimeoutMs` (default 30 minutes).
+
+Sessions need events in time order per user, and exports / vendor dumps
+rarely are. Two ways to get there:
+
+- window (default): events wait in memory until `sessionWindowMs` (default 10
+  minutes) of newer data has arrived, then go out oldest first. at most
+  `sessionBufferSize` events wait; past that the oldest go out early. an event
+  older than what already went out joins its user's open session when it's
+  within the timeout (the session keeps the start its Session Start went out
+  with), and otherwise gets a session of its own; it's counted as `late`
+- spill (`sessionSpill: true`): for input in no particular order. the whole
+  stream is sorted on disk first, in runs of `sessionBufferSize` under
+  `sessionSpillDir` (default the OS temp dir), then merged; nothing comes out
+  until the input ends
+
+ids are derived from distinct_id + the session's first event time, so a rerun
+over the same data produces the same $session_id and $insert_ids, and
+$insert_id dedupe absorbs the repeat. Session End is stamped with the
+session's last event time and carries session_duration (seconds) and
+session_events. events without a distinct_id or a usable time pass through
+untouched.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { toMillis } = require('./values.js');
+
+/** @typedef {import('./job')} JobConfig */
+/** @typedef {import('../index.d.ts').SessionStats} SessionStats */
+
+const SESSION_START = 'Session Start';
+const SESSION_END = 'Session End';
+
+/** releases between sweeps for sessions that have gone idle */
+const SWEEP_EVERY = 1000;
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {number} start - ms
+ * @property {number} last - ms
+ * @property {number} events
+ */
+
+/**
+ * the sessionize stage
+ * @param {JobConfig} job
+ * @returns {Transform}
+ */
+function createSessionizer(job) {
+	/** @type {SessionStats} */
+	const stats = job.sessionStats = { sessions: 0, events: 0, late: 0, skipped: 0, spilled: 0 };
+	const sessions = new SessionTracker(job.sessionTimeoutMs, stats);
+	return job.sessionSpill ? spillSessionizer(job, sessions, stats) : windowSessionizer(job, sessions, stats);
+}
+
+/**
+ * @param {JobConfig} job
+ * @param {SessionTracker} sessions
+ * @param {SessionStats} stats
+ * @returns {Transform}
+ */
+function windowSessionizer(job, sessions, stats) {
+	const waiting = new TimeHeap();
+	let newest = -Infinity;
+
+	return new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		transform(record, encoding, callback) {
+			const time = eventTime(record);
+			if (time === null || !distinctId(record)) {
+				if (isEvent(record)) stats.skipped++;
+				return callback(null, record);
+			}
+			if (time > newest) newest = time;
+			waiting.push(time, record);
+			const out = [];
+			while (waiting.size && (waiting.peekTime() <= newest - job.sessionWindowMs || waiting.size > job.sessionBufferSize)) {
+				const [oldest, next] = waiting.pop();
+				out.push(...sessions.add(next, oldest));
+			}
+			out.push(...sessions.sweep());
+			for (const item of out) this.push(item);
+			callback();
+		},
+		async flush(callback) {
+			try {
+				while (waiting.size) {
+					const [time, record] = waiting.pop();
+					for (const item of sessions.add(record, time)) await pushDrained(this, item);
+				}
+				for (const item of sessions.endAll()) await pushDrained(this, item);
+				callback();
+			}
+			catch (err) {
+				callback(err);
+			}
+		}
+	});
+}
+
+/**
+ * @param {JobConfig} job
+ * @param {SessionTracker} sessions
+ * @param {SessionStats} stats
+ * @returns {Transform}
+ */
+function spillSessionizer(job, sessions, stats) {
+	const dir = job.sessionSpillDir || os.tmpdir();
+	const prefix = path.join(dir, `mp-sessions-${process.pid}-${Date.now()}`);
+	/** @type {string[]} */
+	const runs = [];
+	/** @type {Array<[number, Object]>} */
+	let run = [];
+
+	const writeRun = async () => {
+		run.sort((a, b) => a[0] - b[0]);
+		const file = `${prefix}-${runs.length}.ndjson`;
+		runs.push(file);
+		await fs.promises.writeFile(file, run.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+		stats.spilled++;
+		run = [];
+	};
+	const removeRuns = () => Promise.all(runs.map(file => fs.promises.rm(file, { force: true })));
+
+	return new Transform({
+		objectMode: true,
+		highWaterMark: job.highWater,
+		async transform(record, encoding, callback) {
+			try {
+				const time = eventTime(record);
+				if (time === null || !distinctId(record)) {
+					if (isEvent(record)) stats.skipped++;
+					return callback(null, record);
+				}
+				run.push([time, record]);
+				if (run.length >= job.sessionBufferSize) await writeRun();
+				callback();
+			}
+			catch (err) {
+				callback(err);
+			}
+		},
+		async flush(callback) {
+			try {
+				if (runs.length && run.length) await writeRun();
+				const sorted = runs.length ? mergeRuns(runs) : inMemory(run.sort((a, b) => a[0] - b[0]));
+				for await (const [time, record] of sorted) {
+					for (const item of sessions.add(record, time)) await pushDrained(this, item);
+				}
+				for (const item of sessions.endAll()) await pushDrained(this, item);
+				await removeRuns();
+				callback();
+			}
+			catch (err) {
+				await removeRuns();
+				callback(err);
+			}
+		}
+	});
+}
+
+/**
+ * open sessions by distinct_id, fed events oldest first
+ */
+class SessionTracker {
+	/**
+	 * @param {number} timeout - ms of inactivity that ends a session
+	 * @param {SessionStats} stats
+	 */
+	constructor(timeout, stats) {
+		this.timeout = timeout;
+		this.stats = stats;
+		/** @type {Map<string, Session>} */
+		this.open = new Map();
+		/** the newest time released so far */
+		this.watermark = -Infinity;
+		this.released = 0;
+	}
+
+	/**
+	 * stamp an event with its session; returns it, plus whatever session events it starts or ends
+	 * @param {Object} record
+	 * @param {number} time - ms
+	 * @returns {Object[]}
+	 */
+	add(record, time) {
+		const user = String(distinctId(record));
+		const out = [];
+		let session = this.open.get(user);
+		if (time < this.watermark) this.stats.late++;
+		else this.watermark = time;
+		this.released++;
+
+		if (session && time < session.start) {
+			// late, and before the open session: it joins if it's close enough, else stands alone.
+			// joining keeps session.start, the time its Session Start already went out with
+			if (session.start - time > this.timeout) {
+				const alone = this.begin(user, time, out);
+				alone.events = 1;
+				this.stats.events++;
+				out.push(stamp(record, alone), ...this.end(user, alone));
+				return out;
+			}
+		}
+		else if (!session || time - session.last > this.timeout) {
+			if (session) out.push(...this.end(user, session));
+			session = this.begin(user, time, out);
+			this.open.set(user, session);
+		}
+		session.last = Math.max(session.last, time);
+		session.events++;
+		out.push(stamp(record, session));
+		this.stats.events++;
+		return out;
+	}
+
+	/**
+	 * end sessions that no event still to come can extend
+	 * @returns {Object[]}
+	 */
+	sweep() {
+		if (this.released < SWEEP_EVERY) return [];
+		this.released = 0;
+		const out = [];
+		for (const [user, session] of this.open) {
+			if (this.watermark - session.last > this.timeout) out.push(...this.end(user, session));
+		}
+		return out;
+	}
+
+	/**
+	 * @returns {Object[]}
+	 */
+	endAll() {
+		const out = [];
+		for (const [user, session] of this.open) out.push(...this.end(user, session));
+		return out;
+	}
+
+	/**
+	 * @param {string} user
+	 * @param {number} time
+	 * @param {Object[]} out - gets the Session Start
+	 * @returns {Session}
+	 */
+	begin(user, time, out) {
+		const session = { id: hash(`${user}:${time}`), start: time, last: time, events: 0 };
+		this.stats.sessions++;
+		out.push(sessionEvent(SESSION_START, user, session, time));
+		return session;
+	}
+
+	/**
+	 * @param {string} user
+	 * @param {Session} session
+	 * @returns {Object[]}
+	 */
+	end(user, session) {
+		if (this.open.get(user) === session) this.open.delete(user);
+		const end = sessionEvent(SESSION_END, user, session, session.last);
+		end.properties.session_duration = Math.round((session.last - session.start) / 1000);
+		end.properties.session_events = session.events;
+		return [end];
+	}
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * a min-heap of [time, record]
+ */
+class TimeHeap {
+	constructor() {
+		/** @type {Array<[number, Object]>} */
+		this.items = [];
+	}
+
+	get size() {
+		return this.items.length;
+	}
+
+	peekTime() {
+		return this.items[0][0];
+	}
+
+	/**
+	 * @param {number} time
+	 * @param {Object} record
+	 */
+	push(time, record) {
+		const items = this.items;
+		items.push([time, record]);
+		for (let i = items.length - 1; i > 0;) {
+			const parent = (i - 1) >> 1;
+			if (items[parent][0] <= items[i][0]) break;
+			[items[parent], items[i]] = [items[i], items[parent]];
+			i = parent;
+		}
+	}
+
+	/**
+	 * @returns {[number, Object]}
+	 */
+	pop() {
+		const items = this.items;
+		const top = items[0];
+		const last = /** @type {[number, Object]} */ (items.pop());
+		if (items.length) {
+			items[0] = last;
+			for (let i = 0; ;) {
+				const left = 2 * i + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+				if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+				if (smallest === i) break;
+				[items[smallest], items[i]] = [items[i], items[smallest]];
+				i = smallest;
+			}
+		}
+		return top;
+	}
+}
+
+/**
+ * k-way merge of sorted NDJSON runs, oldest first
+ * @param {string[]} files
+ * @returns {AsyncGenerator<[number, Object]>}
+ */
+async function* mergeRuns(files) {
+	const readers = files.map(file => readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })[Symbol.asyncIterator]());
+	const heads = new TimeHeap();
+	/** @param {number} index */
+	const advance = async index => {
+		const { value, done } = await readers[index].next();
+		if (done) return;
+		const [time, record] = JSON.parse(value);
+		heads.push(time, { index, record });
+	};
+	await Promise.all(readers.map((_, index) => advance(index)));
+	while (heads.size) {
+		const [time, { index, record }] = /** @type {[number, any]} */ (heads.pop());
+		yield [time, record];
+		await advance(index);
+	}
+}
+
+/**
+ * @param {Array<[number, Object]>} entries
+ * @returns {AsyncGenerator<[number, Object]>}
+ */
+async function* inMemory(entries) {
+	yield* entries;
+}
+
+/**
+ * push, then wait while the stage's output is full
+ * @param {Transform} stage
+ * @param {Object} record
+ */
+async function pushDrained(stage, record) {
+	stage.push(record);
+	while (stage.readableLength >= stage.readableHighWaterMark && !stage.destroyed) await once(stage, 'data');
+}
+
+/**
+ * @param {any} record
+ * @returns {boolean}
+ */
+function isEvent(record) {
+	return Boolean(record && typeof record === 'object' && record.event);
+}
+
+/**
+ * @param {any} record
+ * @returns {any}
+ */
+function distinctId(record) {
+	const properties = record?.properties;
+	if (!properties) return null;
+	const id = properties.distinct_id ?? properties.$user_id ?? properties.$device_id;
+	return id === undefined || id === null || id === '' ? null : id;
+}
+
+/**
+ * an event's time in ms: epoch seconds, epoch ms or a date string
+ * @param {any} record
+ * @returns {number | null}
+ */
+function eventTime(record) {
+	if (!isEvent(record)) return null;
+	return toMillis(record.properties?.time);
+}
+
+/**
+ * @param {Object} record
+ * @param {Session} session
+ * @returns {Object}
+ */
+function stamp(record, session) {
+	record.properties.$session_id = session.id;
+	return record;
+}
+
+/**
+ * @param {string} name
+ * @param {string} user
+ * @param {Session} session
+ * @param {number} time
+ * @returns {{ event: string, properties: Object<string, any> }}
+ */
+function sessionEvent(name, user, session, time) {
+	return {
+		event: name,
+		properties: {
+			distinct_id: user,
+			time,
+			$session_id: session.id,
+			$insert_id: hash(`${session.id}:${name}`)
+		}
+	};
+}
+
+/**
+ * @param {string} value
+ * @returns {string} 32 hex characters
+ */
+function hash(value) {
+	return crypto.createHash('md5').update(value).digest('hex');
+}
+
+module.exports = {
+	createSessionizer,
+	SESSION_END,
+	SESSION_START
+};
@@ -628,6 +628,7 @@ function applyAliases(jobConfig) {
 	const aliases = jobConfig.aliases || {};
 	return function (record) {
 		if (!Object.keys(aliases).length) return record;
+		if (type === "table") return u.rnKeys(record, aliases);
 		if (type === "event") {
 			if (record.properties) {
 				record.properties = u.rnKeys(record.properties, aliases);
@@ -81,28 +81,37 @@ async function validateToken(token) {
 }
 
 /**
- * enriches the jobConfig with SCD specific details
- * 
- * 
+ * enriches the jobConfig with SCD specific details: project metadata, and a hidden SCD event +
+ * `$scd:` property definition for each tracked column (per data group for group keys)
+ *
+ * registering definitions needs a service account; with only a token or secret the events are
+ * imported as-is, for definitions that were set up beforehand
  * @param  {JobConfig} job
  */
 async function prepareSCD(job) {
-	const { acct = '', pass = '', project = '', token = '',
+	const { acct = '', pass = '', token = '', secret = '',
 		scdKey = '', scdLabel = '', scdType = 'string',
 		groupKey = "", dataGroupId = ""
 	} = job;
-	if (!acct || !pass) {
-		throw new Error('Missing Credentials; both `acct` and `pass` are required');
-	}
 
-	if (!scdKey || !scdLabel) {
+	/** @type {Array<{label: string, key: string, type: string}>} */
+	const definitions = job.scdColumns.length
+		? job.scdColumns.map(({ label, column, type }) => ({ label, key: column, type }))
+		: [{ label: scdLabel, key: scdKey, type: scdType }];
+	if (definitions.some(({ label, key }) => !label || !key)) {
 		throw new Error('Missing SCD Key or SCD Label');
 	}
 
+	if (job.dryRun) return job;
+	if (!acct || !pass) {
+		if (token || secret) return job;
+		throw new Error('Missing Credentials; `acct` and `pass` are required to register SCD definitions (or pass a `token` / `secret` if they already exist)');
+	}
+
 	const auth = { username: acct, password: pass };
 
 
-	if (!project) {
+	if (!job.project) {
 		/** @type {got.Options} */
 		const requestData = {
 			url: "https://mixpanel.com/api/app/me/?include_workspace_users=false",
@@ -141,69 +150,83 @@ async function prepareSCD(job) {
 		job.token = token;
 	}
 
-	if (groupKey && !dataGroupId) {
+	// snapshot / history runs can hold users and several group types: each needs its own property definition
+	const groupKeys = job.scdColumns.length ? job.scdGroupKeys : (groupKey ? [groupKey] : []);
+	/** @type {Object<string, string>} */
+	const dataGroupIds = groupKey && dataGroupId ? { [groupKey]: dataGroupId } : {};
+	const unknownGroups = groupKeys.filter(key => !dataGroupIds[key]);
+	if (unknownGroups.length) {
 		/** @type {got.Options} */
 		const requestData = {
 			url: `https://mixpanel.com/api/app/projects/${job.project}/data-groups/`,
 			...auth
 		};
 		const { results: metadata } = await got(requestData).json();
-		const groupEntry = metadata.find((group) => group?.property_name === groupKey);
-		const foundDataGroupId = groupEntry?.data_group_id;
-
-		if (!foundDataGroupId) {
-			debugger;
-			throw new Error(`could not find dataGroupId for ${groupKey}`);
+		for (const key of unknownGroups) {
+			const groupEntry = metadata.find((group) => group?.property_name === key);
+			const foundDataGroupId = groupEntry?.data_group_id;
+			if (!foundDataGroupId) {
+				throw new Error(`could not find dataGroupId for ${key}`);
+			}
+			dataGroupIds[key] = String(foundDataGroupId);
 		}
-		job.dataGroupId = foundDataGroupId;
-
-
+		if (groupKey && dataGroupIds[groupKey]) job.dataGroupId = dataGroupIds[groupKey];
 	}
 
-	// DATA DFNs API
-	//https://mixpanel.com/api/app/projects/{{ _.project_id }}/data-definitions/events
-
-	/** @type {got.Options} */
-	const dataDfnReq = {
-		url: `https://mixpanel.com/api/app/projects/${job.project}/data-definitions/events`,
-		method: "PATCH",
-		json: {
-			"name": scdLabel,
-			"isScd": true,
-			"hidden": true
-		},
-		...auth
-	};
+	// one property definition per entity type: null is users, anything else a data group
+	const dataGroups = job.scdColumns.length
+		? [null, ...groupKeys.map(key => dataGroupIds[key])]
+		: [job.dataGroupId || null];
 
-	const dataDfn = await got(dataDfnReq).json();
-	const { results: dfnResults } = dataDfn;
-	const scdId = dfnResults.id;
-	if (!scdId) {
-		throw new Error('SCD not created');
-	}
-	job.scdId = scdId;
-	/** @type {got.Options} */
-	const propsReq = {
-		url: `https://mixpanel.com/api/app/projects/${job.project}/data-definitions/properties`,
-		method: "PATCH",
-		json: {
-			"name": `$scd:${scdKey}`,
-			"resourceType": "User",
-			"scdEvent": scdId,
-			"type": scdType
-		},
-		...auth
-	};
+	for (const { label, key, type } of definitions) {
+		// DATA DFNs API
+		//https://mixpanel.com/api/app/projects/{{ _.project_id }}/data-definitions/events
 
-	if (job.dataGroupId) propsReq.json.dataGroupId = job.dataGroupId;
+		/** @type {got.Options} */
+		const dataDfnReq = {
+			url: `https://mixpanel.com/api/app/projects/${job.project}/data-definitions/events`,
+			method: "PATCH",
+			json: {
+				"name": label,
+				"isScd": true,
+				"hidden": true
+			},
+			...auth
+		};
 
-	const propDfn = await got(propsReq).json();
-	const { results: propResults } = propDfn;
-	const propId = propResults.id;
-	if (!propId) {
-		throw new Error('Property not created');
+		const dataDfn = await got(dataDfnReq).json();
+		const { results: dfnResults } = dataDfn;
+		const scdId = dfnResults.id;
+		if (!scdId) {
+			throw new Error('SCD not created');
+		}
+		job.scdId = scdId;
+
+		for (const group of dataGroups) {
+			/** @type {got.Options} */
+			const propsReq = {
+				url: `https://mixpanel.com/api/app/projects/${job.project}/data-definitions/properties`,
+				method: "PATCH",
+				json: {
+					"name": `$scd:${key}`,
+					"resourceType": "User",
+					"scdEvent": scdId,
+					"type": type
+				},
+				...auth
+			};
+
+			if (group) propsReq.json.dataGroupId = group;
+
+			const propDfn = await got(propsReq).json();
+			const { results: propResults } = propDfn;
+			const propId = propResults.id;
+			if (!propId) {
+				throw new Error('Property not created');
+			}
+			job.scdPropId = propId;
+		}
 	}
-	job.scdPropId = propId;
 
 
 	return job;
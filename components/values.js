@@ -0,0 +1,70 @@
+/*
+----
+RECORD VALUES
+----
+small checks on the values records carry, shared by the stages that read
+them, and the way those stages turn a record away. no internal requires, so
+any component can use it.
+*/
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+/** @typedef {import('./job')} JobConfig */
+
+/**
+ * anything but null, undefined or ''
+ * @param {any} value
+ * @returns {boolean}
+ */
+function present(value) {
+	return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * the first present value among several spellings of a key (camelCase, snake_case, ...)
+ * @param {Object} record
+ * @param {...string} keys
+ * @returns {any}
+ */
+function firstPresent(record, ...keys) {
+	for (const key of keys) {
+		if (present(record?.[key])) return record[key];
+	}
+	return undefined;
+}
+
+/**
+ * epoch seconds, epoch ms, a Date or a date string to ms; null when it isn't a time
+ * @param {any} value
+ * @returns {number | null}
+ */
+function toMillis(value) {
+	if (!present(value)) return null;
+	if (value instanceof Date) return Number.isFinite(value.getTime()) ? value.getTime() : null;
+	const number = Number(value);
+	if (Number.isFinite(number)) return number < 1e11 ? number * 1000 : number;
+	const parsed = dayjs.utc(value);
+	return parsed.isValid() ? parsed.valueOf() : null;
+}
+
+/**
+ * count a row as failed, keep it among the job's bad records and move on
+ * @param {JobConfig} job
+ * @param {string} message
+ * @param {Object} row
+ * @param {() => void} callback
+ */
+function reject(job, message, row, callback) {
+	job.failed++;
+	job.addBadRecord(message, row);
+	callback();
+}
+
+module.exports = {
+	firstPresent,
+	present,
+	reject,
+	toMillis
+};
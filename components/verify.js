@@ -0,0 +1,242 @@
+/*
+----
+IMPORT VERIFICATION
+----
+`verify: true` reads an event import back through the export API once it's
+done, and reports whatever didn't land:
+
+- as batches come back from /import, the HTTP sender hands each one to an
+  ImportLedger along with Mixpanel's answer; what was accepted (the batch
+  minus its failed_records) is counted per day per event, and up to
+  `verifySample` $insert_ids are kept as a uniform sample (reservoir)
+- once the import is done the destination is exported for those days and
+  those events, counted the same way, and every sampled $insert_id looked up
+- ingestion isn't instantaneous: while anything is short, the export is
+  repeated (5s, 10s, 20s ... apart) until `verifyLagMs` has passed; 0 checks
+  once. more events than were sent isn't a failure (the project may already
+  have data on those days) but the row is still listed
+
+days are UTC. the export's from/to dates are in the project's timezone, so
+one extra day is read on each side and only the imported days are compared.
+
+reading back needs export credentials for the destination: the api secret,
+or a service account with project. a token-only import (which includes
+export-import-event, whose destination has only secondToken) is reported as
+skipped rather than failed.
+*/
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const { tally } = require('./daily-counts.js');
+const { streamEvents } = require('./exporters.js');
+dayjs.extend(utc);
+
+/** @typedef {import('./job')} JobConfig */
+/** @typedef {import('../index.d.ts').VerificationReport} VerificationReport */
+/** @typedef {import('./daily-counts.js').DailyCounts} DailyCounts */
+
+/** first wait between read-backs; doubles up to MAX_POLL_MS */
+const FIRST_POLL_MS = 5000;
+const MAX_POLL_MS = 60000;
+
+/** missing $insert_ids listed in the report (the count is always exact) */
+const MAX_MISSING_LISTED = 25;
+
+/**
+ * what the import reported as accepted, for verifyImport to check against
+ */
+class ImportLedger {
+	/**
+	 * @param {number} sampleSize - how many $insert_ids to keep
+	 */
+	constructor(sampleSize) {
+		this.sampleSize = sampleSize;
+		/** @type {DailyCounts} */
+		this.counts = new Map();
+		/** @type {string[]} */
+		this.sample = [];
+		/** $insert_ids offered to the sample so far */
+		this.seen = 0;
+		this.imported = 0;
+	}
+
+	/**
+	 * count one batch's accepted records
+	 * @param {Object[]} batch - the records as sent
+	 * @param {any} response - flushToMixpanel's response for the batch
+	 */
+	record(batch, response) {
+		if (!Array.isArray(batch) || !response?.num_records_imported) return;
+		const failed = new Set((response.failed_records || []).map((/** @type {any} */ failure) => failure.index));
+		batch.forEach((record, index) => {
+			if (failed.has(index)) return;
+			tally(this.counts, record);
+			this.imported++;
+			const insertId = record?.properties?.$insert_id;
+			if (insertId) this.offer(String(insertId));
+		});
+	}
+
+	/**
+	 * reservoir sampling: every $insert_id ends up in the sample with the same chance
+	 * @param {string} insertId
+	 */
+	offer(insertId) {
+		this.seen++;
+		if (this.sample.length < this.sampleSize) this.sample.push(insertId);
+		else {
+			const slot = Math.floor(Math.random() * this.seen);
+			if (slot < this.sampleSize) this.sample[slot] = insertId;
+		}
+	}
+}
+
+/**
+ * export the destination and compare it with the job's ledger, re-reading until it matches or verifyLagMs runs out
+ * @param {JobConfig} job - a finished event import with a ledger
+ * @returns {Promise<VerificationReport>}
+ */
+async function verifyImport(job) {
+	const ledger = /** @type {ImportLedger} */ (job.ledger);
+	const days = [...ledger.counts.keys()].map(key => key.split('\t')[0]).filter(day => day !== 'unknown').sort();
+	const events = [...new Set([...ledger.counts.keys()].map(key => key.split('\t')[1]))];
+	/** @type {VerificationReport} */
+	const report = {
+		ok: false,
+		start: days[0] || null,
+		end: days[days.length - 1] || null,
+		expected: ledger.imported,
+		found: 0,
+		rows: [],
+		sample: { checked: ledger.sample.length, missing: 0, missingIds: [] },
+		attempts: 0,
+		lagMs: job.verifyLagMs
+	};
+
+	if (!ledger.imported) {
+		report.ok = true;
+		report.skipped = 'nothing was imported';
+		return report;
+	}
+	if (!job.secret && !(job.acct && job.pass && job.project)) {
+		report.skipped = 'reading the project back needs its api secret, or a service account with project';
+		return report;
+	}
+	if (!days.length) {
+		report.skipped = 'no imported event had a usable time';
+		return report;
+	}
+
+	const exportJob = readBackJob(job, days[0], days[days.length - 1], events);
+	const deadline = Date.now() + job.verifyLagMs;
+	for (let wait = FIRST_POLL_MS; ; wait = Math.min(wait * 2, MAX_POLL_MS)) {
+		report.attempts++;
+		try {
+			Object.assign(report, compare(ledger, await readBack(exportJob, ledger)));
+			delete report.error;
+		}
+		catch (e) {
+			report.error = `export failed: ${e.message}`;
+		}
+		const remaining = deadline - Date.now();
+		if (report.ok || remaining <= 0) break;
+		if (job.verbose) console.log(`verify: ${describe(report)}; checking again in ${Math.round(Math.min(wait, remaining) / 1000)}s`);
+		await new Promise(resolve => setTimeout(resolve, Math.min(wait, remaining)));
+	}
+	if (job.verbose) console.log(`verify: ${describe(report)}`);
+	return report;
+}
+
+/*
+----
+RANDOM
+----
+*/
+
+/**
+ * an export job for the destination, a day either side of what was imported
+ * @param {JobConfig} job
+ * @param {string} start
+ * @param {string} end
+ * @param {string[]} events
+ * @returns {JobConfig}
+ */
+function readBackJob(job, start, end, events) {
+	// required here: job.js requires this module for ImportLedger
+	const Job = require('./job.js');
+	const { acct, pass, project, secret } = job;
+	return new Job({ acct, pass, project, secret }, {
+		recordType: 'export',
+		start: dayjs.utc(start).subtract(1, 'day').format('YYYY-MM-DD'),
+		end: dayjs.utc(end).add(1, 'day').format('YYYY-MM-DD'),
+		params: { event: JSON.stringify(events) },
+		region: job.region,
+		apiHost: job.apiHost,
+		endpointOverrides: job.endpointOverrides,
+		proxy: /** @type {string | false} */ (job.proxy),
+		verbose: false,
+		showProgress: false,
+		logs: false
+	});
+}
+
+/**
+ * count the exported events the ledger expects, and find the sampled $insert_ids
+ * @param {JobConfig} exportJob
+ * @param {ImportLedger} ledger
+ * @returns {Promise<{ counts: DailyCounts, seen: Set<string> }>}
+ */
+async function readBack(exportJob, ledger) {
+	const wanted = new Set(ledger.sample);
+	/** @type {DailyCounts} */
+	const counts = new Map();
+	const seen = new Set();
+	for await (const record of streamEvents(exportJob)) {
+		const key = tally(counts, record);
+		if (!ledger.counts.has(key)) counts.delete(key);
+		if (wanted.has(record.$insert_id)) seen.add(record.$insert_id);
+	}
+	return { counts, seen };
+}
+
+/**
+ * @param {ImportLedger} ledger
+ * @param {{ counts: DailyCounts, seen: Set<string> }} found
+ * @returns {Partial<VerificationReport>}
+ */
+function compare(ledger, found) {
+	const rows = [];
+	let total = 0;
+	let short = false;
+	for (const [key, expected] of [...ledger.counts.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+		const [date, event] = key.split('\t');
+		const count = found.counts.get(key) || 0;
+		total += count;
+		if (count === expected) continue;
+		if (count < expected) short = true;
+		rows.push({ date, event, expected, found: count, difference: count - expected });
+	}
+	const missingIds = ledger.sample.filter(insertId => !found.seen.has(insertId));
+	return {
+		ok: !short && !missingIds.length,
+		found: total,
+		rows,
+		sample: { checked: ledger.sample.length, missing: missingIds.length, missingIds: missingIds.slice(0, MAX_MISSING_LISTED) }
+	};
+}
+
+/**
+ * @param {VerificationReport} report
+ * @returns {string}
+ */
+function describe(report) {
+	if (report.error) return report.error;
+	if (report.ok) return `all ${report.expected} imported events found`;
+	const short = report.rows.filter(row => row.difference < 0).length;
+	return `${report.found} of ${report.expected} events found; ${short} event-days short, ${report.sample.missing} of ${report.sample.checked} sampled $insert_ids missing`;
+}
+
+module.exports = {
+	ImportLedger,
+	verifyImport
+};
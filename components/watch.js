@@ -0,0 +1,331 @@
+/*
+----
+WATCH MODE
+----
+`mixpanel-import --watch ./landing` (or `mp.watch(creds, source, opts)`) keeps
+importing whatever lands in a folder or bucket prefix:
+
+  mixpanel-import --watch ./landing --token abc
+  mixpanel-import --watch gs://bucket/landing/ --watch-concurrency 4
+
+- every `watchInterval` ms the source is listed, the same way a folder, prefix
+  or pattern is for a one-off import (include / exclude, modifiedAfter /
+  modifiedBefore and date templates all apply; templates are expanded again
+  on each poll, so `{YYYY}/{MM}/{DD}/` follows the clock). gs:// / s3:// /
+  az:// paths are prefixes whether or not they end in /
+- a file is only picked up once it hasn't been modified for `watchSettle` ms,
+  so one still being written or uploaded is left for a later poll (a
+  modifiedBefore of your own replaces this)
+- each new file is a separate import: main(creds, file, opts), so every other
+  option applies per file. at most `watchConcurrency` run at once; the rest
+  queue in the order they were listed
+- `watchState` (a local JSON file) records each file's outcome. a file that
+  imported is never picked up again, even by a later watcher with the same
+  state; one that threw is retried on later polls, up to 3 attempts
+- "move" archival keeps a file's path below the watched folder, as it would
+  for a one-off import of the whole folder
+
+polling, rather than fs events, so local folders and buckets behave the same
+and files copied in by other machines (NFS, synced folders) are seen too.
+
+stop() stops polling, lets the files already running finish, saves the state
+and resolves with the summary; queued files are left for the next run. the
+library installs no signal handlers: the CLI stops on SIGINT / SIGTERM.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const u = require('ak-tools');
+const Job = require('./job.js');
+const { listSourceFiles } = require('./parsers.js');
+const { getMain } = require('./exporters.js');
+
+/** @typedef {import('../index.d.ts').Creds} Creds */
+/** @typedef {import('../index.d.ts').Options} Options */
+/** @typedef {import('../index.d.ts').WatchSummary} WatchSummary */
+
+/**
+ * @typedef {Object} WatchedFile
+ * @property {'done' | 'error'} status
+ * @property {string} at - when the last attempt finished
+ * @property {number} attempts
+ * @property {number} [success]
+ * @property {number} [failed]
+ * @property {string} [error]
+ */
+
+/** @typedef {{ version: number, source: string, files: Object<string, WatchedFile> }} WatchState */
+
+const DEFAULTS = {
+	watchInterval: 10000,
+	watchConcurrency: 1,
+	watchSettle: 5000,
+	watchState: './mixpanel-import-watch.json'
+};
+
+/** a file that threw this many times is left alone */
+const MAX_ATTEMPTS = 3;
+
+const STATE_VERSION = 1;
+
+/**
+ * imports each new file in a folder or bucket prefix, until stopped
+ */
+class Watcher {
+	/**
+	 * @param {Creds} creds
+	 * @param {string} source - folder, bucket prefix or pattern
+	 * @param {Options} [opts]
+	 */
+	constructor(creds, source, opts = {}) {
+		if (typeof source !== 'string' || !source) throw new Error('watch needs a folder, bucket prefix or pattern to watch');
+		this.interval = Number(opts.watchInterval ?? DEFAULTS.watchInterval);
+		this.concurrency = Number(opts.watchConcurrency ?? DEFAULTS.watchConcurrency);
+		this.settle = Number(opts.watchSettle ?? DEFAULTS.watchSettle);
+		if (!(this.interval > 0)) throw new Error(`watchInterval must be a positive number of milliseconds; got ${opts.watchInterval}`);
+		if (!Number.isInteger(this.concurrency) || this.concurrency < 1) throw new Error(`watchConcurrency must be a whole number of at least 1; got ${opts.watchConcurrency}`);
+		if (!(this.settle >= 0)) throw new Error(`watchSettle must be 0 or more milliseconds; got ${opts.watchSettle}`);
+		if (opts.checkpointPath && this.concurrency > 1) throw new Error('checkpointPath can\'t be combined with watchConcurrency above 1 (every running import would write the same ledger)');
+		// the import options are checked now, not on the first poll
+		new Job(creds, opts);
+
+		this.creds = creds;
+		this.source = source;
+		this.opts = opts;
+		this.statePath = path.resolve(opts.watchState || DEFAULTS.watchState);
+		this.state = loadState(this.statePath, source);
+		this.log = opts.verbose ? (/** @type {string} */ line) => console.log(line) : () => {};
+
+		/** @type {Array<{file: string, relative: string}>} */
+		this.queue = [];
+		/** @type {Map<string, Promise<void>>} */
+		this.running = new Map();
+		this.totals = { files: 0, errors: 0, success: 0, failed: 0 };
+		this.polls = 0;
+		/** @type {Promise<void> | null} */
+		this.polling = null;
+		/** @type {NodeJS.Timeout | null} */
+		this.timer = null;
+		this.stopping = false;
+		this.startTime = new Date().toISOString();
+	}
+
+	/**
+	 * poll now, then every watchInterval until stopped
+	 * @returns {this}
+	 */
+	start() {
+		const tick = () => {
+			this.timer = null;
+			this.poll()
+				.catch((error) => this.log(`watch: couldn't list ${this.source}: ${error.message}`))
+				.finally(() => {
+					if (!this.stopping) this.timer = setTimeout(tick, this.interval);
+				});
+		};
+		this.log(`watch: watching ${this.source} every ${u.comma(this.interval)}ms; state in ${this.statePath}`);
+		tick();
+		return this;
+	}
+
+	/**
+	 * list the source once and queue the files not seen yet; a poll already in flight is shared
+	 * @returns {Promise<void>}
+	 */
+	poll() {
+		if (!this.polling) {
+			this.polling = this.list().finally(() => {
+				this.polling = null;
+			});
+		}
+		return this.polling;
+	}
+
+	/**
+	 * @returns {Promise<void>}
+	 */
+	async list() {
+		this.polls++;
+		const opts = { ...this.opts };
+		if (!opts.modifiedBefore && this.settle) opts.modifiedBefore = new Date(Date.now() - this.settle).toISOString();
+		// a fresh job per poll: date templates expand up to today
+		const job = new Job(this.creds, opts);
+		const files = await listSourceFiles(this.source, job);
+		if (this.stopping) return;
+		const queued = new Set(this.queue.map(item => item.file));
+		let found = 0;
+		for (const file of files) {
+			if (this.running.has(file) || queued.has(file)) continue;
+			const seen = this.state.files[file];
+			if (seen && (seen.status === 'done' || seen.attempts >= MAX_ATTEMPTS)) continue;
+			this.queue.push({ file, relative: below(file, job.selectionRoots) });
+			found++;
+		}
+		if (found) this.log(`watch: ${u.comma(found)} new file${found === 1 ? '' : 's'} in ${this.source}`);
+		this.pump();
+	}
+
+	/**
+	 * start queued files while there's room
+	 */
+	pump() {
+		while (!this.stopping && this.queue.length && this.running.size < this.concurrency) {
+			const { file, relative } = /** @type {{file: string, relative: string}} */ (this.queue.shift());
+			this.running.set(file, this.importFile(file, relative));
+		}
+	}
+
+	/**
+	 * @param {string} file
+	 * @param {string} relative - path below the watched folder / prefix
+	 * @returns {Promise<void>}
+	 */
+	importFile(file, relative) {
+		const attempts = (this.state.files[file]?.attempts || 0) + 1;
+		const opts = { ...this.opts, verbose: false, showProgress: false };
+		if (opts.onFileComplete === 'move' && opts.archivePrefix) opts.archivePrefix = keepFolders(opts.archivePrefix, file, relative);
+		return getMain()(this.creds, file, opts).then(
+			(result) => {
+				this.totals.files++;
+				this.totals.success += result.success || 0;
+				this.totals.failed += result.failed || 0;
+				this.state.files[file] = { status: 'done', at: new Date().toISOString(), attempts, success: result.success || 0, failed: result.failed || 0 };
+				return `✓ ${relative}: ${u.comma(result.success || 0)} ok, ${u.comma(result.failed || 0)} failed`;
+			},
+			(error) => {
+				this.totals.errors++;
+				this.state.files[file] = { status: 'error', at: new Date().toISOString(), attempts, error: error.message };
+				return `✗ ${relative}: ${error.message} (${attempts < MAX_ATTEMPTS ? `attempt ${attempts} of ${MAX_ATTEMPTS}` : 'giving up'})`;
+			}
+		).then((outcome) => {
+			this.running.delete(file);
+			saveState(this.statePath, this.state);
+			this.log(`watch: ${outcome} | ${this.rollingSummary()}`);
+			this.pump();
+		});
+	}
+
+	/**
+	 * wait until the poll in flight, and every file it queued, is done
+	 */
+	async drain() {
+		while (this.polling || this.running.size) {
+			await this.polling?.catch(() => {});
+			await Promise.all([...this.running.values()]);
+		}
+	}
+
+	/**
+	 * stop polling, let the running files finish, save the state
+	 * @returns {Promise<WatchSummary>}
+	 */
+	async stop() {
+		this.stopping = true;
+		if (this.timer) clearTimeout(this.timer);
+		this.timer = null;
+		await this.drain();
+		saveState(this.statePath, this.state);
+		return this.summary();
+	}
+
+	/**
+	 * @returns {WatchSummary}
+	 */
+	summary() {
+		const end = new Date();
+		return {
+			source: this.source,
+			statePath: this.statePath,
+			polls: this.polls,
+			...this.totals,
+			running: this.running.size,
+			queued: this.queue.length,
+			startTime: this.startTime,
+			endTime: end.toISOString(),
+			duration: end.getTime() - new Date(this.startTime).getTime()
+		};
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	rollingSummary() {
+		const { files, errors, success, failed } = this.totals;
+		return `${u.comma(files)} files, ${u.comma(errors)} errors, ${u.comma(success)} ok, ${u.comma(failed)} failed; ${this.running.size} running, ${this.queue.length} queued`;
+	}
+}
+
+/**
+ * a file's path below the longest folder / prefix it was listed under, or its name
+ * @param {string} file
+ * @param {Array<string | null> | null} roots
+ * @returns {string}
+ */
+function below(file, roots) {
+	const root = (roots || [])
+		.filter(candidate => candidate && file.startsWith(candidate))
+		.sort((a, b) => b.length - a.length)[0];
+	return root ? file.slice(root.length) : path.basename(file);
+}
+
+/**
+ * each file is imported on its own, so archival only sees its name; put the
+ * folders it sat in under archivePrefix here instead
+ * @param {string} archivePrefix
+ * @param {string} file
+ * @param {string} relative
+ * @returns {string}
+ */
+function keepFolders(archivePrefix, file, relative) {
+	const isCloud = /^[a-z0-9]+:\/\//.test(file);
+	const folders = (isCloud ? path.posix : path).dirname(relative);
+	if (folders === '.') return archivePrefix;
+	return isCloud ? `${archivePrefix.replace(/\/*$/, '/')}${folders}/` : path.join(archivePrefix, folders);
+}
+
+/**
+ * @param {string} file
+ * @param {string} source
+ * @returns {WatchState}
+ */
+function loadState(file, source) {
+	if (!fs.existsSync(file)) return { version: STATE_VERSION, source, files: {} };
+	let state;
+	try {
+		state = JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+	catch (e) {
+		throw new Error(`watch state ${file} could not be parsed: ${e.message}`);
+	}
+	if (!state || typeof state.files !== 'object') throw new Error(`watch state ${file} isn't a watch state file`);
+	return { version: STATE_VERSION, source, files: state.files };
+}
+
+/**
+ * write to a temporary file and rename it over the old one, so a crash never leaves half a file
+ * @param {string} file
+ * @param {WatchState} state
+ */
+function saveState(file, state) {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const temporary = `${file}.${process.pid}.tmp`;
+	fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+	fs.renameSync(temporary, file);
+}
+
+/**
+ * start watching a folder, bucket prefix or pattern
+ * @param {Creds} creds
+ * @param {string} source
+ * @param {Options} [opts]
+ * @returns {Watcher} call stop() to end it
+ */
+function watch(creds, source, opts = {}) {
+	return new Watcher(creds, source, opts).start();
+}
+
+module.exports = {
+	watch,
+	Watcher,
+	MAX_ATTEMPTS
+};
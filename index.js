@@ -36,6 +36,9 @@ const u = require('ak-tools');
 // $ validators
 const { validateToken } = require('./components/validators.js');
 
+// $ verification
+const { verifyImport } = require('./components/verify.js');
+
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
@@ -117,7 +120,7 @@ async function main(creds = {}, data, opts = {}, isCLI = false) {
 		l(`║   • Compression: ${(job.compress ? 'Enabled' : 'Disabled').padEnd(47)}║`);
 
 		// Data processing options
-		if (job.vendor || job.transformFunc || job.fixData || job.fixTime || job.removeNulls || job.matchMixpanelDefaults) {
+		if (job.vendor || job.transformFunc || job.plugins.length || job.fixData || job.fixTime || job.removeNulls || job.matchMixpanelDefaults) {
 			l(`║                                                                  ║`);
 			l(`║ Data Processing:                                                ║`);
 			if (job.vendor) {
@@ -125,6 +128,7 @@ async function main(creds = {}, data, opts = {}, isCLI = false) {
 				l(`║   • Vendor: ${vendorText.padEnd(51)}║`);
 			}
 			if (job.transformFunc) l(`║   • Custom Transform: Enabled                                   ║`);
+			if (job.plugins.length) l(`║   • Plugins: ${job.plugins.map(plugin => typeof plugin === 'string' ? plugin : plugin.name).join(', ').padEnd(51)}║`);
 			if (job.fixData) l(`║   • Fix Data: Enabled                                           ║`);
 			if (job.fixTime) l(`║   • Fix Time: Enabled                                           ║`);
 			if (job.removeNulls) l(`║   • Remove Nulls: Enabled                                       ║`);
@@ -136,7 +140,7 @@ async function main(creds = {}, data, opts = {}, isCLI = false) {
 		if (job.recordType.includes('export')) {
 			l(`║                                                                  ║`);
 			l(`║ Export Settings:                                                ║`);
-			l(`║   • Export Mode: ${(job.where ? (job.where.startsWith('gs://') ? '☁️  GCS' : job.where.startsWith('s3://') ? '☁️  S3' : '💾 Local') : '💾 Local').padEnd(47)}║`);
+			l(`║   • Export Mode: ${(job.where ? (job.where.startsWith('gs://') ? '☁️  GCS' : job.where.startsWith('s3://') ? '☁️  S3' : job.where.startsWith('az://') ? '☁️  Azure' : '💾 Local') : '💾 Local').padEnd(47)}║`);
 			if (job.params && Object.keys(job.params).length > 0) {
 				const paramCount = Object.keys(job.params).length;
 				l(`║   • Export Params: ${(String(paramCount) + ' parameter' + (paramCount > 1 ? 's' : '')).padEnd(45)}║`);
@@ -168,8 +172,13 @@ async function main(creds = {}, data, opts = {}, isCLI = false) {
 	let stream;
 	try {
 
-		stream = await determineDataType(data || cliData, job); // always stream[]
+		// a dead-letter replay reads the dead-letter file in place of the usual data argument
+		stream = await determineDataType(job.replayDeadLetter || data || cliData, job); // always stream[]
 		l(`\n🌊 STREAM CREATED!\n`);
+		if (job.selectedFiles) {
+			l(`📂 ${u.comma(job.selectedFiles.length)} file${job.selectedFiles.length === 1 ? '' : 's'} selected`);
+			if (job.dryRun) l(job.selectedFiles.map((file) => `\t${file}`).join('\n') + '\n');
+		}
 	}
 	catch (e) {
 		l(`ERROR: Failed to create stream - ${e.message}`);
@@ -199,6 +208,22 @@ async function main(creds = {}, data, opts = {}, isCLI = false) {
 		// For CLI, we continue to show the summary even on error
 	}
 
+	// read the destination back now that every batch has been answered
+	if (job.ledger && job.recordType === 'event') {
+		l(`\n🔍 VERIFYING IMPORT...\n`);
+		job.verification = await verifyImport(job);
+		const { verification } = job;
+		if (verification.skipped) l(`verification skipped: ${verification.skipped}`);
+		else if (verification.ok) l(`✅ verified: all ${u.comma(verification.expected)} imported events found`);
+		else l(`⚠️  verification found discrepancies: ${u.comma(verification.found)} of ${u.comma(verification.expected)} events, ${verification.sample.missing} of ${verification.sample.checked} sampled $insert_ids missing${verification.error ? ` (${verification.error})` : ''}`);
+	}
+
+	if (job.archiver) {
+		const { action, archived, kept } = job.archiver.summary();
+		l(`📦 onFileComplete "${action}": ${u.comma(archived.length)} file${archived.length === 1 ? '' : 's'} done, ${u.comma(kept.length)} left in place`);
+		for (const { file, reason } of kept) l(`\t${file}: ${reason}`);
+	}
+
 	l('\n');
 	if (job.createProfiles)  //job.transform = await createProfiles(job);
 
@@ -230,7 +255,7 @@ async function main(creds = {}, data, opts = {}, isCLI = false) {
 	if (job.verbose && !isCLI) {
 		if (job.recordType && job.recordType.includes('export')) {
 			l(`📊 ${u.comma(summary.success)} records exported in ${summary.durationHuman}`);
-			if (job.where && (job.where.startsWith('gs://') || job.where.startsWith('s3://'))) {
+			if (job.where && (job.where.startsWith('gs://') || job.where.startsWith('s3://') || job.where.startsWith('az://'))) {
 				l(`☁️  Saved to: ${job.where}`);
 			}
 		} else {
@@ -341,6 +366,10 @@ main.validateToken = validateToken;
 const mpImport = module.exports = main;
 mpImport.createMpStream = pipeInterface;
 mpImport.destroy = require('./components/importers.js').destroy;
+mpImport.profileSchema = require('./components/schema-profiler.js').profileSchema;
+mpImport.runJobFile = require('./components/job-file.js').runJobFile;
+mpImport.migrate = require('./components/migrate.js').migrate;
+mpImport.watch = require('./components/watch.js').watch;
 
 // this is for CLI
 if (require.main === module) {
@@ -355,6 +384,109 @@ if (require.main === module) {
 			console.error('Failed to start UI:', error.message);
 			process.exit(1);
 		});
+	} else if (args.job) {
+		// Run a declarative job file: every step in order, one summary per step
+		const { runJobFile } = require('./components/job-file.js');
+		// @ts-ignore
+		runJobFile(args.job).then(({ name, steps }) => {
+			console.log(`\n${name}: ${steps.length} step${steps.length === 1 ? '' : 's'} complete`);
+			for (const step of steps) {
+				console.log(`  ${step.step}: ${u.comma(step.success)} ok, ${u.comma(step.failed)} failed in ${step.durationHuman}`);
+			}
+			process.exit(0);
+		}).catch((error) => {
+			console.error(error.message);
+			process.exit(1);
+		});
+	} else if (args._[0] === 'migrate') {
+		// Copy one project into another, then print the parity report (the JSON version goes to --migrate-report)
+		const { migrate, formatMigrationReport } = require('./components/migrate.js');
+		const fs = require('fs');
+		const path = require('path');
+		// @ts-ignore
+		const { migrateReport } = args;
+		migrate({ ...getEnvVars(), ...args }, { ...getEnvVars(), ...args }).then((report) => {
+			console.log(`\n${formatMigrationReport(report)}`);
+			const dateTime = new Date().toISOString().split('.')[0].replace('T', '--').replace(/:/g, ".");
+			const file = path.resolve(migrateReport || `./logs/migrate-${dateTime}.json`);
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, JSON.stringify(report, null, 2));
+			console.log(`\nmigration report: ${file}`);
+			const failed = Object.values(report.steps).some(step => step.error) || Boolean(report.parity && 'error' in report.parity);
+			process.exit(failed ? 1 : 0);
+		}).catch((error) => {
+			console.error('Failed to migrate:', error.message);
+			process.exit(1);
+		});
+	} else if (args.profileSchema) {
+		// Profile the input's schema (and diff it against --previous-schema); nothing is imported
+		const { profileSchema, formatSchemaReport } = require('./components/schema-profiler.js');
+		const fs = require('fs');
+		const path = require('path');
+		// @ts-ignore
+		const { schemaOut, _: [data] } = args;
+		profileSchema({ ...getEnvVars(), ...args }, data, { ...getEnvVars(), ...args }).then((report) => {
+			console.log(formatSchemaReport(report));
+			const dateTime = new Date().toISOString().split('.')[0].replace('T', '--').replace(/:/g, ".");
+			const file = path.resolve(schemaOut || `./logs/schema-${dateTime}.json`);
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, JSON.stringify(report, null, 2));
+			console.log(`\nschema report: ${file}`);
+			process.exit(0);
+		}).catch((error) => {
+			console.error('Failed to profile schema:', error.message);
+			process.exit(1);
+		});
+	} else if (args.watch) {
+		// Import each new file in a folder / bucket prefix until interrupted: the first signal lets the
+		// files already running finish (and saves the watch state), a second one exits at once
+		const { watch } = require('./components/watch.js');
+		// @ts-ignore
+		const watcher = watch({ ...getEnvVars(), ...args }, args.watch, { ...getEnvVars(), ...args });
+		let stopping = false;
+		for (const signal of ['SIGINT', 'SIGTERM']) {
+			process.on(signal, () => {
+				if (stopping) process.exit(130);
+				stopping = true;
+				console.log(`\nreceived ${signal}; finishing running files (again to abort)...`);
+				watcher.stop().then((summary) => {
+					console.log(`\nwatched ${summary.source}: ${u.comma(summary.files)} files, ${u.comma(summary.errors)} errors, ${u.comma(summary.success)} ok, ${u.comma(summary.failed)} failed in ${u.comma(summary.polls)} polls`);
+					if (summary.queued) console.log(`${u.comma(summary.queued)} queued files left for the next run`);
+					process.exit(0);
+				}).catch((error) => {
+					console.error(error.message);
+					process.exit(1);
+				});
+			});
+		}
+	} else if (args.mockServer) {
+		// Start the mock ingestion server; runs until interrupted
+		const { startMockServer } = require('./components/mock-server.js');
+		// @ts-ignore
+		const { mockPort, mockRateLimit, mockServerErrors, mockPartialFailures, mockLatency, mockRetryAfter, verbose } = args;
+		const latency = String(mockLatency || 0).split('-').map(Number);
+		startMockServer({
+			port: mockPort,
+			rateLimitRate: mockRateLimit || 0,
+			serverErrorRate: mockServerErrors || 0,
+			partialFailureRate: mockPartialFailures || 0,
+			latency: latency.length > 1 ? latency : latency[0],
+			retryAfter: mockRetryAfter ?? null,
+			verbose
+		}).then((mock) => {
+			console.log(`mock mixpanel listening on ${mock.url}`);
+			console.log(`import against it with: npx mixpanel-import ./data.json --token any --endpoints ${mock.url}`);
+			for (const signal of ['SIGINT', 'SIGTERM']) {
+				process.on(signal, () => {
+					console.log(`\nreceived ${signal}; stopping mock server...`);
+					console.log(JSON.stringify(mock.stats, null, 2));
+					mock.close().finally(() => process.exit(0));
+				});
+			}
+		}).catch((error) => {
+			console.error('Failed to start mock server:', error.message);
+			process.exit(1);
+		});
 	} else {
 		// Regular CLI import
 		// process-level policy lives here, in the CLI branch ONLY; the library must never install
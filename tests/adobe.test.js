@@ -0,0 +1,142 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for the Adobe Analytics data feed vendor (vendor/adobe.js): the header-less,
+backslash-escaped hit_data.tsv parser, TSV lookups through buildMapFromPath, the hit -> event
+mapping, and a dry run over a small feed folder. Fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const main = require("../index.js");
+const { AdobeFeedParser, buildMapFromPath } = require("../components/parsers.js");
+const { adobeEventsToMp } = require("../vendor/adobe.js");
+
+jest.setTimeout(30000);
+
+const HEADERS = ["hitid_high", "hitid_low", "hit_time_gmt", "post_visid_high", "post_visid_low", "post_page_event", "post_pagename", "browser", "post_evar1", "post_prop2", "post_event_list", "exclude_hit", "hit_source"];
+
+/** build one hit_data line from a partial row (values are written raw; escape them yourself) */
+const hitLine = (row) => HEADERS.map((h) => row[h] ?? "").join("\t");
+
+let dir;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-adobe-"));
+});
+afterEach(() => {
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function parse(chunks) {
+	const rows = [];
+	const parser = new AdobeFeedParser({ highWater: 16 });
+	for await (const row of Readable.from(chunks.map((c) => Buffer.from(c))).pipe(parser)) rows.push(row);
+	return rows;
+}
+
+describe("hit_data parser", () => {
+	test("splits on bare tabs/newlines and keeps escaped ones as data", async () => {
+		const rows = await parse(["a\tb\\\tc\td\n", "e\\\nf\tg\\\\h\r\n"]);
+		expect(rows).toEqual([
+			["a", "b\tc", "d"],
+			["e\nf", "g\\h"]
+		]);
+	});
+
+	test("an escape split across chunks still applies", async () => {
+		const rows = await parse(["one\\", "\ttwo\tthree"]);
+		expect(rows).toEqual([["one\ttwo", "three"]]);
+	});
+});
+
+describe("tsv lookups", () => {
+	test("header-less files are keyed by column position", async () => {
+		const file = path.join(dir, "browser.tsv");
+		fs.writeFileSync(file, "1\tChrome 120\n2\tSafari 17\n");
+		const map = await buildMapFromPath(file, "0", "1");
+		expect(map.get("1")).toBe("Chrome 120");
+		expect(map.get("2")).toBe("Safari 17");
+	});
+
+	test("named keys read the first row as a header", async () => {
+		const file = path.join(dir, "users.tsv");
+		fs.writeFileSync(file, "id\tname\nu1\tAda\n");
+		const map = await buildMapFromPath(file, "id", "name");
+		expect([...map.entries()]).toEqual([["u1", "Ada"]]);
+	});
+});
+
+describe("adobeEventsToMp", () => {
+	const heavyObjects = {
+		browser: new Map([["7", "Firefox 121"]]),
+		event: new Map([["1", "Purchase"], ["200", "Custom Event 1"], ["201", "Custom Event 2"]])
+	};
+
+	test("maps a hit to one event with eVars, props, lookups and the event list", () => {
+		const transform = adobeEventsToMp({ column_headers: HEADERS, user_id: "post_evar1", evar_names: { 1: "member_id" }, event_names: { "Custom Event 1": "Signup" } }, heavyObjects);
+		const values = hitLine({ hitid_high: "11", hitid_low: "22", hit_time_gmt: "1700000000", post_visid_high: "123", post_visid_low: "456", post_page_event: "0", post_pagename: "home", browser: "7", post_evar1: "user-9", post_prop2: "news", post_event_list: "1,200,201=4.5" }).split("\t");
+		const { event, properties } = transform(values);
+
+		expect(event).toBe("Page View");
+		expect(properties).toMatchObject({
+			time: 1700000000000,
+			$device_id: "123_456",
+			$user_id: "user-9",
+			$source: "adobe-to-mixpanel",
+			page_name: "home",
+			$browser: "Firefox 121",
+			member_id: "user-9",
+			prop2: "news",
+			events: ["Purchase", "Signup", "Custom Event 2"],
+			"Custom Event 2": 4.5
+		});
+		expect(properties.$insert_id).toBeTruthy();
+		expect(properties).not.toHaveProperty("distinct_id");
+	});
+
+	test("excluded hits and data-source hits are dropped", () => {
+		const transform = adobeEventsToMp({ column_headers: HEADERS });
+		const base = { post_visid_high: "1", post_visid_low: "2", hit_time_gmt: "1700000000" };
+		expect(transform(hitLine({ ...base, exclude_hit: "1" }).split("\t"))).toBeNull();
+		expect(transform(hitLine({ ...base, hit_source: "5" }).split("\t"))).toBeNull();
+		expect(transform(hitLine({ ...base, post_page_event: "100" }).split("\t")).event).toBe("Link Click");
+	});
+
+	test("array rows without column headers fail loudly", () => {
+		const transform = adobeEventsToMp({});
+		expect(() => transform(["a", "b"])).toThrow(/column_headers/);
+	});
+});
+
+describe("pipeline", () => {
+	test("a data feed folder imports through lookup_dir", async () => {
+		fs.writeFileSync(path.join(dir, "column_headers.tsv"), HEADERS.join("\t") + "\n");
+		fs.writeFileSync(path.join(dir, "browser.tsv"), "7\tFirefox 121\n");
+		fs.writeFileSync(path.join(dir, "event.tsv"), "1\tPurchase\n");
+		const hits = path.join(dir, "hit_data.tsv");
+		fs.writeFileSync(hits, [
+			hitLine({ hitid_high: "1", hitid_low: "1", hit_time_gmt: "1700000000", post_visid_high: "9", post_visid_low: "9", post_page_event: "0", post_pagename: "tab\\\there", browser: "7" }),
+			hitLine({ hitid_high: "1", hitid_low: "2", hit_time_gmt: "1700000060", post_visid_high: "9", post_visid_low: "9", post_page_event: "101", post_event_list: "1" }),
+			hitLine({ hitid_high: "1", hitid_low: "3", hit_time_gmt: "1700000120", post_visid_high: "9", post_visid_low: "9", exclude_hit: "3" })
+		].join("\n") + "\n");
+
+		const result = await main({ token: "abc" }, hits, {
+			recordType: "event",
+			vendor: "adobe",
+			vendorOpts: { lookup_dir: dir },
+			dryRun: true,
+			verbose: false,
+			logs: false,
+			fixData: false
+		});
+
+		expect(result.dryRun.map((e) => e.event)).toEqual(["Page View", "Download"]);
+		expect(result.dryRun[0].properties).toMatchObject({ page_name: "tab\there", $browser: "Firefox 121", $device_id: "9_9" });
+		expect(result.dryRun[1].properties.events).toEqual(["Purchase"]);
+		expect(result.empty).toBe(1);
+	});
+});
@@ -0,0 +1,231 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for post-import archival (components/archive.js) and the settling it waits on in the
+checkpoint ledger: a file settles once drained and every batch holding it is answered, whatever
+the order, and fails if any of them failed; local files moved (keeping their path below the
+folder read), deleted, or left in place and listed when a batch failed or the action can't
+apply; dry runs and the option checks; and, against a local S3-compatible server, objects moved
+within the bucket and tagged. The HTTP sender is mocked, as in checkpoint.test.js.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+const mockFlush = { impl: null };
+jest.mock("../components/importers.js", () => {
+	const actual = jest.requireActual("../components/importers.js");
+	const flush = async (batch, job) => mockFlush.impl(batch, job);
+	return { ...actual, flushToMixpanel: flush, flushToMixpanelWithUndici: flush };
+});
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { CheckpointLedger } = require("../components/checkpoint.js");
+
+jest.setTimeout(30000);
+
+const ok = (batch) => [{ code: 200, num_records_imported: batch.length, error: null }, null];
+const fail = () => [{ code: 400, error: "bad batch" }, null];
+
+const opts = (extra = {}) => ({
+	recordType: "event",
+	recordsPerBatch: 2,
+	workers: 1,
+	verbose: false,
+	showProgress: false,
+	logs: false,
+	compress: false,
+	fixData: false,
+	strict: false,
+	...extra
+});
+
+/** `count` jsonl events whose distinct_ids start with `prefix` */
+const events = (prefix, count) => Array.from({ length: count }, (_, i) => JSON.stringify({ event: "test", properties: { distinct_id: `${prefix}-${i}`, time: 1700000000 + i, $insert_id: `${prefix}-${i}` } })).join("\n") + "\n";
+
+let dir;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-archive-"));
+	mockFlush.impl = ok;
+	jest.spyOn(console, "log").mockImplementation(() => {});
+});
+afterEach(() => {
+	jest.restoreAllMocks();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const write = (relative, body) => {
+	const file = path.join(dir, relative);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, body);
+	return file;
+};
+
+describe("settling", () => {
+	test("a file settles once drained and every batch holding it is answered, in any order", () => {
+		const settled = [];
+		const ledger = new CheckpointLedger(null, { onSettled: (file, outcome) => settled.push([file, outcome.failed]) });
+		const record = (file) => {
+			const r = { file };
+			ledger.admit(file, r);
+			return r;
+		};
+
+		ledger.beginFile("a");
+		const first = [record("a"), record("a")];
+		first.forEach((r) => ledger.observe(r));
+		ledger.seal(first);
+		ledger.beginFile("b");
+		const second = [record("b")];
+		second.forEach((r) => ledger.observe(r));
+		ledger.seal(second);
+		ledger.finish();
+
+		// b's batch answers first: it settles although a's batch (earlier) hasn't
+		ledger.ack(second);
+		expect(settled).toEqual([["b", false]]);
+		ledger.fail(first);
+		expect(settled).toEqual([["b", false], ["a", true]]);
+		expect(ledger.unsettled()).toEqual([]);
+		// in memory only: nothing written
+		expect(ledger.path).toBeNull();
+	});
+});
+
+describe("local files", () => {
+	test("move keeps each file's path below the folder; a file with a failed batch stays put", async () => {
+		const landing = path.join(dir, "landing");
+		write("landing/2024/01/a.jsonl", events("a", 2));
+		write("landing/2024/02/b.jsonl", events("b", 2));
+		write("landing/2024/03/c.jsonl", events("c", 2));
+		const archive = path.join(dir, "archive");
+
+		mockFlush.impl = (batch) => (batch.some((r) => r.properties.distinct_id.startsWith("b")) ? fail() : ok(batch));
+		const result = await main({ token: "abc" }, landing, opts({ include: "**/*.jsonl", onFileComplete: "move", archivePrefix: archive }));
+
+		expect(result.archive.action).toBe("move");
+		expect(result.archive.archived.sort()).toEqual([path.join(landing, "2024/01/a.jsonl"), path.join(landing, "2024/03/c.jsonl")]);
+		expect(result.archive.kept).toEqual([{ file: path.join(landing, "2024/02/b.jsonl"), reason: "a batch failed" }]);
+		expect(fs.existsSync(path.join(archive, "2024/01/a.jsonl"))).toBe(true);
+		expect(fs.existsSync(path.join(archive, "2024/03/c.jsonl"))).toBe(true);
+		expect(fs.existsSync(path.join(landing, "2024/01/a.jsonl"))).toBe(false);
+		expect(fs.existsSync(path.join(landing, "2024/02/b.jsonl"))).toBe(true);
+		// no checkpointPath: the ledger stays in memory and out of the summary
+		expect(result.checkpoint).toBeUndefined();
+	});
+
+	test("delete removes a named file; tag can't apply to a local file, so it stays listed", async () => {
+		const named = write("one.jsonl", events("x", 3));
+		const deleted = await main({ token: "abc" }, named, opts({ onFileComplete: "delete" }));
+		expect(deleted.archive).toEqual({ action: "delete", archived: [named], kept: [] });
+		expect(fs.existsSync(named)).toBe(false);
+
+		const other = write("two.jsonl", events("y", 3));
+		const tagged = await main({ token: "abc" }, other, opts({ onFileComplete: "tag" }));
+		expect(tagged.archive.archived).toEqual([]);
+		expect(tagged.archive.kept).toEqual([{ file: other, reason: expect.stringMatching(/^tag failed: local files can't be tagged/) }]);
+		expect(fs.existsSync(other)).toBe(true);
+	});
+
+	test("dry runs leave files alone", async () => {
+		const file = write("keep.jsonl", events("d", 2));
+		const result = await main({ token: "abc" }, file, opts({ dryRun: true, onFileComplete: "delete" }));
+		expect(result.archive).toBeUndefined();
+		expect(fs.existsSync(file)).toBe(true);
+	});
+
+	test("option checks", () => {
+		expect(() => new Job({ token: "t" }, { onFileComplete: "archive" })).toThrow(/onFileComplete must be one of move, delete, tag/);
+		expect(() => new Job({ token: "t" }, { onFileComplete: "move" })).toThrow(/needs archivePrefix/);
+		expect(() => new Job({ token: "t" }, { onFileComplete: "delete", routeBy: "tenant", routes: { a: { token: "a" } } })).toThrow(/incompatible with routeBy/);
+		expect(() => new Job({ token: "t" }, { onFileComplete: "tag", sessionize: true })).toThrow(/incompatible with sessionize/);
+		expect(() => new Job({ token: "t" }, { onFileComplete: "delete", destinationOnly: true, destination: "./out.ndjson" })).toThrow(/can't be combined with destinationOnly/);
+	});
+});
+
+describe("S3 objects", () => {
+	/**
+	 * a path-style S3 stand-in: objects keyed "bucket/key" → { body, tags }, plus copy and tagging
+	 */
+	function startS3() {
+		const objects = new Map();
+		const server = http.createServer((req, res) => {
+			const chunks = [];
+			req.on("data", (chunk) => chunks.push(chunk));
+			req.on("end", () => {
+				const url = new URL(req.url, "http://s3");
+				const key = decodeURIComponent(url.pathname.slice(1));
+				const object = objects.get(key);
+				const missing = () => {
+					res.writeHead(404, { "Content-Type": "application/xml" });
+					res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>not found</Message></Error>`);
+				};
+				if (url.searchParams.has("tagging")) {
+					if (!object) return missing();
+					if (req.method === "PUT") {
+						const body = Buffer.concat(chunks).toString();
+						object.tags = Object.fromEntries([...body.matchAll(/<Tag><Key>(.*?)<\/Key><Value>(.*?)<\/Value><\/Tag>/g)].map((m) => [m[1], m[2]]));
+						res.writeHead(200);
+						return res.end();
+					}
+					const tags = Object.entries(object.tags).map(([k, v]) => `<Tag><Key>${k}</Key><Value>${v}</Value></Tag>`).join("");
+					res.writeHead(200, { "Content-Type": "application/xml" });
+					return res.end(`<?xml version="1.0" encoding="UTF-8"?><Tagging><TagSet>${tags}</TagSet></Tagging>`);
+				}
+				if (req.method === "PUT" && req.headers["x-amz-copy-source"]) {
+					const source = objects.get(decodeURIComponent(req.headers["x-amz-copy-source"]).replace(/^\//, ""));
+					if (!source) return missing();
+					objects.set(key, { body: source.body, tags: {} });
+					res.writeHead(200, { "Content-Type": "application/xml" });
+					return res.end(`<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><ETag>"etag"</ETag><LastModified>2024-01-01T00:00:00.000Z</LastModified></CopyObjectResult>`);
+				}
+				if (req.method === "DELETE") {
+					objects.delete(key);
+					res.writeHead(204);
+					return res.end();
+				}
+				if (!object) return missing();
+				res.writeHead(200, { "Content-Length": object.body.length, "Content-Type": "application/octet-stream", ETag: '"etag"' });
+				res.end(req.method === "HEAD" ? undefined : object.body);
+			});
+		});
+		return new Promise((resolve) => {
+			server.listen(0, "127.0.0.1", () => resolve({
+				url: `http://127.0.0.1:${server.address().port}`,
+				objects,
+				close: () => new Promise((done) => server.close(done))
+			}));
+		});
+	}
+
+	let s3;
+	beforeEach(async () => {
+		s3 = await startS3();
+		s3.objects.set("landing/in/a.ndjson", { body: Buffer.from(events("a", 2)), tags: {} });
+		s3.objects.set("landing/in/b.ndjson", { body: Buffer.from(events("b", 2)), tags: { team: "data" } });
+	});
+	afterEach(async () => {
+		await s3.close();
+	});
+
+	const creds = () => ({ s3Endpoint: s3.url, s3Key: "minio", s3Secret: "minio-secret" });
+	const files = ["s3://landing/in/a.ndjson", "s3://landing/in/b.ndjson"];
+
+	test("move to a key prefix in the same bucket", async () => {
+		const result = await main({ token: "abc" }, files, opts({ ...creds(), onFileComplete: "move", archivePrefix: "done/" }));
+		expect(result.archive.kept).toEqual([]);
+		expect(result.archive.archived.sort()).toEqual(files);
+		expect([...s3.objects.keys()].sort()).toEqual(["landing/done/a.ndjson", "landing/done/b.ndjson"]);
+	});
+
+	test("tag keeps the tags an object has", async () => {
+		const result = await main({ token: "abc" }, files, opts({ ...creds(), onFileComplete: "tag" }));
+		expect(result.archive.archived.sort()).toEqual(files);
+		expect(s3.objects.get("landing/in/a.ndjson").tags).toEqual({ "mixpanel-imported-at": expect.stringMatching(/^\d{4}-\d\d-\d\dT/) });
+		expect(s3.objects.get("landing/in/b.ndjson").tags).toEqual({ team: "data", "mixpanel-imported-at": expect.any(String) });
+	});
+});
@@ -0,0 +1,155 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for Azure Blob Storage (components/azure-blob.js) against the Azurite emulator: JSONL,
+gzipped JSONL, CSV and Parquet blobs; a prefix read as every blob under it; a gzipped destination
+write; the write-access check; and onFileComplete moving and tagging blobs. Skipped unless AZURITE is set, e.g.
+
+	npx azurite-blob --inMemoryPersistence &
+	AZURITE=1 npx jest tests/azure.test.js
+
+AZURITE can also be a connection string, for an emulator somewhere other than 127.0.0.1:10000.
+
+A failing upload is checked against a local stub that refuses every request, so it always runs.
+*/
+
+const http = require("http");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const { Readable } = require("stream");
+
+const main = require("../index.js");
+const { FileArchiver } = require("../components/archive.js");
+const { validateCloudWriteAccess } = require("../components/parsers.js");
+const { createAzureWriteStream } = require("../components/azure-blob.js");
+
+const DEV_STORAGE = "UseDevelopmentStorage=true";
+const connectionString = process.env.AZURITE && process.env.AZURITE !== "1" ? process.env.AZURITE : DEV_STORAGE;
+const run = process.env.AZURITE ? describe : describe.skip;
+
+jest.setTimeout(60000);
+
+const event = (id) => ({ event: "page", properties: { distinct_id: id, time: Date.UTC(2024, 0, 1), $insert_id: `insert-${id}` } });
+const ndjson = (events) => events.map((e) => JSON.stringify(e)).join("\n") + "\n";
+const opts = (extra = {}) => ({ dryRun: true, verbose: false, showProgress: false, logs: false, fixData: false, azureConnectionString: connectionString, ...extra });
+
+run("Azurite", () => {
+	let container;
+
+	const put = (name, body) => container.getBlockBlobClient(name).upload(body, body.length);
+	const get = async (name) => container.getBlockBlobClient(name).downloadToBuffer();
+
+	beforeAll(async () => {
+		const { BlobServiceClient } = require("@azure/storage-blob");
+		container = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(`mp-import-${Date.now()}`);
+		await container.create();
+	});
+	afterAll(async () => {
+		await container?.deleteIfExists();
+	});
+
+	test("reads JSONL, gzipped JSONL and CSV blobs", async () => {
+		await put("in/plain.jsonl", Buffer.from(ndjson([event("a1"), event("a2")])));
+		await put("in/packed.jsonl.gz", zlib.gzipSync(ndjson([event("b1")])));
+		await put("in/table.csv", Buffer.from("event,distinct_id,time\npage,c1,2024-01-01T00:00:00Z\n"));
+
+		const plain = await main({}, `az://${container.containerName}/in/plain.jsonl`, opts());
+		expect(plain.dryRun.map((e) => e.properties.distinct_id)).toEqual(["a1", "a2"]);
+
+		const packed = await main({}, `az://${container.containerName}/in/packed.jsonl.gz`, opts());
+		expect(packed.dryRun.map((e) => e.properties.distinct_id)).toEqual(["b1"]);
+
+		const table = await main({}, `az://${container.containerName}/in/table.csv`, opts());
+		expect(table.dryRun[0]).toMatchObject({ event: "page", properties: { distinct_id: "c1", time: Date.UTC(2024, 0, 1) } });
+	});
+
+	test("reads a parquet blob", async () => {
+		const { parquetWriteBuffer } = await import("hyparquet-writer");
+		const buffer = parquetWriteBuffer({
+			columnData: [
+				{ name: "event", data: ["page", "view"], type: "STRING" },
+				{ name: "distinct_id", data: ["p1", "p2"], type: "STRING" },
+				{ name: "time", data: [Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 2)], type: "DOUBLE" }
+			]
+		});
+		await put("in/rows.parquet", Buffer.from(buffer));
+
+		// rows come through as flat records, as they do from gs://
+		const result = await main({}, `az://${container.containerName}/in/rows.parquet`, opts());
+		expect(result.dryRun.map((row) => [row.event, row.distinct_id])).toEqual([["page", "p1"], ["view", "p2"]]);
+	});
+
+	test("a prefix reads every blob under it", async () => {
+		await put("daily/2024-01-01.jsonl", Buffer.from(ndjson([event("d1")])));
+		await put("daily/2024-01-02.jsonl", Buffer.from(ndjson([event("d2"), event("d3")])));
+
+		const result = await main({}, `az://${container.containerName}/daily/`, opts());
+		expect(result.dryRun.map((e) => e.properties.distinct_id)).toEqual(["d1", "d2", "d3"]);
+	});
+
+	test("writes a destination blob", async () => {
+		const destination = `az://${container.containerName}/out/events.ndjson.gz`;
+		const result = await main({ token: "t" }, [event("u1"), event("u2")], opts({ dryRun: false, destination, destinationOnly: true }));
+		expect(result.failed).toBe(0);
+
+		let written;
+		for (let i = 0; i < 50 && !written; i++) {
+			written = await get("out/events.ndjson.gz").catch(() => null);
+			if (!written) await new Promise((r) => setTimeout(r, 50));
+		}
+		const lines = zlib.gunzipSync(written).toString().trim().split("\n").map((line) => JSON.parse(line));
+		expect(lines.map((e) => e.properties.distinct_id)).toEqual(["u1", "u2"]);
+	});
+
+	test("the write-access check puts and removes a probe blob", async () => {
+		await expect(validateCloudWriteAccess(`az://${container.containerName}/exports/events.json`, { azureConnectionString: connectionString })).resolves.toBe(true);
+		const names = [];
+		for await (const blob of container.listBlobsFlat({ prefix: "exports/" })) names.push(blob.name);
+		expect(names).toEqual([]);
+	});
+
+	test("onFileComplete moves and tags blobs", async () => {
+		await put("landing/2024/a.jsonl", Buffer.from(ndjson([event("m1")])));
+		await put("landing/2024/b.jsonl", Buffer.from(ndjson([event("t1")])));
+		const job = { azureConnectionString: connectionString, selectionRoots: [`az://${container.containerName}/landing/`], checkpoint: null };
+
+		const mover = new FileArchiver({ ...job, onFileComplete: "move", archivePrefix: "done/" });
+		mover.settled(`az://${container.containerName}/landing/2024/a.jsonl`, { failed: false });
+		await mover.drain();
+		expect(mover.summary().kept).toEqual([]);
+		expect((await get("done/2024/a.jsonl")).toString()).toContain("m1");
+		await expect(get("landing/2024/a.jsonl")).rejects.toMatchObject({ statusCode: 404 });
+
+		const tagger = new FileArchiver({ ...job, onFileComplete: "tag" });
+		await container.getBlockBlobClient("landing/2024/b.jsonl").setTags({ team: "data" });
+		tagger.settled(`az://${container.containerName}/landing/2024/b.jsonl`, { failed: false });
+		await tagger.drain();
+		expect(tagger.summary().kept).toEqual([]);
+		const { tags } = await container.getBlockBlobClient("landing/2024/b.jsonl").getTags();
+		expect(tags).toEqual({ team: "data", "mixpanel-imported-at": expect.stringMatching(/^\d{4}-/) });
+	});
+});
+
+describe("failing uploads", () => {
+	let server;
+	afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+	test("a refused upload fails the write stream instead of leaving it waiting for drain", async () => {
+		server = http.createServer((req, res) => {
+			req.resume();
+			req.on("end", () => {
+				res.writeHead(403, { "Content-Type": "application/xml", "x-ms-error-code": "AuthorizationFailure" });
+				res.end("<?xml version=\"1.0\" encoding=\"utf-8\"?><Error><Code>AuthorizationFailure</Code><Message>refused</Message></Error>");
+			});
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		const { port } = server.address();
+		const stub = `DefaultEndpointsProtocol=http;AccountName=devstoreaccount1;AccountKey=${Buffer.from("key").toString("base64")};BlobEndpoint=http://127.0.0.1:${port}/devstoreaccount1;`;
+
+		// well past what the stream buffers before the upload has to take it
+		const chunks = Array.from({ length: 64 }, () => Buffer.alloc(1024 * 1024, "a"));
+		const writer = createAzureWriteStream("az://out/events.ndjson", { azureConnectionString: stub });
+		await expect(pipeline(Readable.from(chunks), writer)).rejects.toThrow();
+	});
+});
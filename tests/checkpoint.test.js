@@ -0,0 +1,272 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for the checkpoint ledger (components/checkpoint.js) and the resume path through
+corePipeline. The HTTP sender is mocked so no request leaves the process: each test decides
+which batches "Mixpanel" acknowledges with a 200 and which it fails.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mockFlush = { impl: null, sent: [] };
+jest.mock("../components/importers.js", () => {
+	const actual = jest.requireActual("../components/importers.js");
+	const flush = async (batch, job) => {
+		mockFlush.sent.push(...batch.map((r) => r.properties.distinct_id));
+		return mockFlush.impl(batch, job);
+	};
+	return { ...actual, flushToMixpanel: flush, flushToMixpanelWithUndici: flush };
+});
+
+const main = require("../index.js");
+const { CheckpointLedger, CHECKPOINT, carryCheckpoint } = require("../components/checkpoint.js");
+
+jest.setTimeout(30000);
+
+const ok = (batch) => [{ code: 200, num_records_imported: batch.length, error: null }, null];
+const fail = () => [{ code: 500, error: "server error" }, null];
+
+let dir;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-checkpoint-"));
+	mockFlush.sent = [];
+	mockFlush.impl = ok;
+});
+afterEach(() => {
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** write `count` jsonl events named `${prefix}-${i}` */
+function writeEvents(file, prefix, count) {
+	const lines = [];
+	for (let i = 0; i < count; i++) {
+		lines.push(JSON.stringify({ event: "test", properties: { distinct_id: `${prefix}-${i}`, time: 1700000000 + i, $insert_id: `${prefix}-${i}` } }));
+	}
+	fs.writeFileSync(file, lines.join("\n") + "\n");
+}
+
+/** tag a record the way a source + ledger would */
+function tagged(ledger, file, record, start = null, end = null) {
+	if (start !== null) record[CHECKPOINT] = { start, end };
+	ledger.admit(file, record);
+	return record;
+}
+
+describe("carryCheckpoint", () => {
+	test("copies the tag onto a new object", () => {
+		const from = { a: 1, [CHECKPOINT]: { file: "f", index: 3 } };
+		const to = carryCheckpoint(from, { b: 2 });
+		expect(to[CHECKPOINT]).toEqual({ file: "f", index: 3 });
+	});
+
+	test("the tag never serializes", () => {
+		const rec = { a: 1, [CHECKPOINT]: { file: "f", index: 0 } };
+		expect(JSON.stringify(rec)).toBe('{"a":1}');
+		expect(Object.keys(rec)).toEqual(["a"]);
+	});
+
+	test("untagged inputs and non-objects pass through", () => {
+		expect(carryCheckpoint({}, { b: 2 })[CHECKPOINT]).toBeUndefined();
+		expect(carryCheckpoint({ [CHECKPOINT]: {} }, null)).toBeNull();
+	});
+});
+
+describe("CheckpointLedger", () => {
+	test("out-of-order acks only commit the acknowledged prefix", () => {
+		const ledgerPath = path.join(dir, "ledger.json");
+		const ledger = new CheckpointLedger(ledgerPath, { saveIntervalMs: 0 });
+		ledger.beginFile("a.jsonl", { seekable: true });
+		const recs = [0, 1, 2, 3].map((i) => tagged(ledger, "a.jsonl", { i }, i * 10, i * 10 + 10));
+
+		const b1 = [recs[0], recs[1]];
+		recs.slice(0, 2).forEach((r) => ledger.observe(r));
+		ledger.seal(b1);
+		const b2 = [recs[2], recs[3]];
+		recs.slice(2).forEach((r) => ledger.observe(r));
+		ledger.seal(b2);
+
+		ledger.ack(b2);
+		expect(ledger.files.get("a.jsonl").records).toBe(0);
+
+		ledger.ack(b1);
+		const entry = ledger.files.get("a.jsonl");
+		// record 3 is the last one seen, so it may still be split into a later batch
+		expect(entry.records).toBe(3);
+		expect(entry.byteOffset).toBe(30);
+		expect(entry.status).toBe("partial");
+
+		ledger.finish();
+		expect(entry.status).toBe("complete");
+		expect(entry.records).toBe(4);
+		expect(ledger.summary().batchesAcknowledged).toBe(2);
+	});
+
+	test("a record exploded across two batches is not counted until both are acked", () => {
+		const ledger = new CheckpointLedger(path.join(dir, "ledger.json"));
+		ledger.beginFile("a.jsonl");
+		const parent = tagged(ledger, "a.jsonl", { i: 0 });
+		const next = tagged(ledger, "a.jsonl", { i: 1 });
+		const partA = carryCheckpoint(parent, { part: "a" });
+		const partB = carryCheckpoint(parent, { part: "b" });
+
+		ledger.observe(partA);
+		const b1 = [partA];
+		ledger.seal(b1);
+		ledger.observe(partB);
+		ledger.observe(next);
+		const b2 = [partB, next];
+		ledger.seal(b2);
+
+		ledger.ack(b1);
+		expect(ledger.files.get("a.jsonl").records).toBe(0);
+		ledger.ack(b2);
+		expect(ledger.files.get("a.jsonl").records).toBe(1);
+	});
+
+	test("a file completes once a later file reaches the batcher and its batches commit", () => {
+		const ledger = new CheckpointLedger(path.join(dir, "ledger.json"));
+		ledger.beginFile("a.jsonl");
+		ledger.beginFile("b.jsonl");
+		const a = tagged(ledger, "a.jsonl", { i: 0 });
+		const b = tagged(ledger, "b.jsonl", { i: 0 });
+		ledger.observe(a);
+		const b1 = [a];
+		ledger.seal(b1);
+		ledger.observe(b);
+		expect(ledger.files.get("a.jsonl").status).toBe("partial");
+		ledger.ack(b1);
+		expect(ledger.files.get("a.jsonl").status).toBe("complete");
+		expect(ledger.files.get("b.jsonl").status).toBe("partial");
+	});
+
+	test("resume skips complete files and seeks or skips into partial ones", () => {
+		const ledgerPath = path.join(dir, "ledger.json");
+		fs.writeFileSync(ledgerPath, JSON.stringify({
+			version: 1,
+			recordType: "event",
+			files: {
+				"done.jsonl": { status: "complete", records: 10, byteOffset: 100, size: 100 },
+				"half.jsonl": { status: "partial", records: 4, byteOffset: 40, size: 100 },
+				"half.csv": { status: "partial", records: 4, byteOffset: null, size: 100 }
+			}
+		}));
+		const ledger = new CheckpointLedger(ledgerPath, { resume: true, recordType: "event" });
+		expect(ledger.beginFile("done.jsonl", { size: 100 }).skip).toBe(true);
+		expect(ledger.beginFile("half.jsonl", { size: 100, seekable: true })).toEqual({ skip: false, startOffset: 40, startIndex: 4 });
+		expect(ledger.beginFile("half.csv", { size: 100 })).toEqual({ skip: false, startOffset: 0, startIndex: 0 });
+
+		// record-count resume drops the first 4 rows
+		const admitted = [0, 1, 2, 3, 4, 5].map((i) => ledger.admit("half.csv", { i }));
+		expect(admitted).toEqual([false, false, false, false, true, true]);
+		expect(ledger.summary()).toMatchObject({ filesSkipped: 1, filesResumed: 2, recordsSkipped: 18, bytesSkipped: 40 });
+	});
+
+	test("refuses a file whose size changed and a ledger for another recordType", () => {
+		const ledgerPath = path.join(dir, "ledger.json");
+		fs.writeFileSync(ledgerPath, JSON.stringify({
+			version: 1,
+			recordType: "event",
+			files: { "a.jsonl": { status: "partial", records: 4, byteOffset: 40, size: 100 } }
+		}));
+		const ledger = new CheckpointLedger(ledgerPath, { resume: true, recordType: "event" });
+		expect(() => ledger.beginFile("a.jsonl", { size: 120 })).toThrow(/changed size/);
+		expect(() => new CheckpointLedger(ledgerPath, { resume: true, recordType: "user" })).toThrow(/recordType/);
+	});
+
+	test("save() writes atomically and round-trips", () => {
+		const ledgerPath = path.join(dir, "nested", "ledger.json");
+		const ledger = new CheckpointLedger(ledgerPath);
+		ledger.beginFile("a.jsonl", { size: 50 });
+		ledger.save();
+		expect(fs.existsSync(`${ledgerPath}.tmp`)).toBe(false);
+		const saved = JSON.parse(fs.readFileSync(ledgerPath, "utf-8"));
+		expect(saved.version).toBe(1);
+		expect(saved.files["a.jsonl"]).toMatchObject({ status: "partial", records: 0, size: 50 });
+	});
+});
+
+describe("resume through the pipeline", () => {
+	const opts = (extra = {}) => ({
+		recordType: "event",
+		recordsPerBatch: 2,
+		workers: 1,
+		verbose: false,
+		showProgress: false,
+		logs: false,
+		compress: false,
+		fixData: false,
+		strict: false,
+		checkpointPath: path.join(dir, "ledger.json"),
+		...extra
+	});
+
+	test("a failed run resumes at the acknowledged byte offset and skips finished files", async () => {
+		const data = path.join(dir, "data");
+		fs.mkdirSync(data);
+		writeEvents(path.join(data, "1.jsonl"), "a", 5);
+		writeEvents(path.join(data, "2.jsonl"), "b", 5);
+		writeEvents(path.join(data, "3.jsonl"), "c", 5);
+
+		// first run: Mixpanel acknowledges three batches, then starts failing
+		let calls = 0;
+		mockFlush.impl = (batch) => (++calls <= 3 ? ok(batch) : fail());
+		const first = await main({ token: "abc" }, data, opts());
+		expect(first.checkpoint.batchesAcknowledged).toBe(3);
+
+		const ledger = JSON.parse(fs.readFileSync(path.join(dir, "ledger.json"), "utf-8"));
+		const files = Object.keys(ledger.files).sort();
+		expect(ledger.files[files[0]].status).toBe("complete");
+		// batch 3 = a-4 + b-0, and b-1 was seen afterwards, so b-0 is acknowledged in full
+		expect(ledger.files[files[1]]).toMatchObject({ status: "partial", records: 1 });
+		expect(ledger.files[files[1]].byteOffset).toBe(fs.readFileSync(path.join(data, "2.jsonl"), "utf-8").indexOf("\n") + 1);
+		expect(ledger.files[files[2]]).toMatchObject({ status: "partial", records: 0 });
+
+		// second run resumes: only what was never acknowledged is sent again
+		mockFlush.sent = [];
+		mockFlush.impl = ok;
+		const second = await main({ token: "abc" }, data, opts({ resume: true }));
+		expect(mockFlush.sent).toEqual(["b-1", "b-2", "b-3", "b-4", "c-0", "c-1", "c-2", "c-3", "c-4"]);
+		expect(second.checkpoint).toMatchObject({ filesSkipped: 1, filesResumed: 1, filesCompleted: 2, recordsSkipped: 6 });
+
+		const done = JSON.parse(fs.readFileSync(path.join(dir, "ledger.json"), "utf-8"));
+		expect(Object.values(done.files).every((f) => f.status === "complete")).toBe(true);
+
+		// a third run has nothing left to do
+		mockFlush.sent = [];
+		await main({ token: "abc" }, data, opts({ resume: true }));
+		expect(mockFlush.sent).toEqual([]);
+	});
+
+	test("csv sources resume by record count", async () => {
+		const data = path.join(dir, "data");
+		fs.mkdirSync(data);
+		const rows = ["event,distinct_id,time,$insert_id"];
+		for (let i = 0; i < 6; i++) rows.push(`test,csv-${i},${1700000000 + i},csv-${i}`);
+		fs.writeFileSync(path.join(data, "1.csv"), rows.join("\n") + "\n");
+
+		let calls = 0;
+		mockFlush.sent = [];
+		const flatten = (r) => ({ event: r.event, properties: { distinct_id: r.distinct_id, time: Number(r.time), $insert_id: r.$insert_id } });
+		mockFlush.impl = (batch) => (++calls <= 1 ? ok(batch) : fail());
+		await main({ token: "abc" }, data, opts({ transformFunc: flatten }));
+
+		mockFlush.sent = [];
+		mockFlush.impl = ok;
+		await main({ token: "abc" }, data, opts({ transformFunc: flatten, resume: true }));
+		expect(mockFlush.sent).toEqual(["csv-2", "csv-3", "csv-4", "csv-5"]);
+	});
+
+	test("dry runs never write a ledger", async () => {
+		const file = path.join(dir, "1.jsonl");
+		writeEvents(file, "a", 3);
+		await main({ token: "abc" }, file, opts({ dryRun: true }));
+		expect(fs.existsSync(path.join(dir, "ledger.json"))).toBe(false);
+	});
+
+	test("resume without checkpointPath is rejected", async () => {
+		await expect(main({ token: "abc" }, [], { resume: true, verbose: false })).rejects.toThrow(/checkpointPath/);
+	});
+});
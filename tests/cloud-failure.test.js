@@ -1,10 +1,10 @@
 // @ts-nocheck
 /* eslint-disable no-undef */
 /*
- * Mocked failure-mode tests for cloud (GCS/S3) source readers.
+ * Mocked failure-mode tests for cloud (GCS/S3/Azure) source readers.
  *
- * These DO NOT hit real buckets — @google-cloud/storage and @aws-sdk/client-s3
- * are mocked so we can deterministically simulate mid-stream errors, stalled
+ * These DO NOT hit real buckets — @google-cloud/storage, @aws-sdk/client-s3
+ * and @azure/storage-blob are mocked so we can deterministically simulate mid-stream errors, stalled
  * (half-open) reads, and multi-file behavior. They guard the v3.4.0 fix that
  * makes cloud reads fail fast + propagate instead of hanging forever.
  *
@@ -60,6 +60,49 @@ jest.mock("@aws-sdk/client-s3", () => ({
 	DeleteObjectCommand: jest.fn(),
 }));
 
+// ──────────────────────────────────────────────────────────────────────────
+// Mock @azure/storage-blob. Blobs live in mockAz.blobs ("container/name" →
+// { buf, etag }); download() delegates to a per-test impl.
+// ──────────────────────────────────────────────────────────────────────────
+const mockAz = {
+	blobs: new Map(),
+	download: null,          // (key, offset, options) => Readable (throw = the download request fails)
+	downloads: [],           // { key, offset, ifMatch } per download call
+	streams: [],
+};
+
+jest.mock("@azure/storage-blob", () => {
+	const notFound = () => Object.assign(new Error("The specified blob does not exist."), { statusCode: 404 });
+	const containerClient = (container) => ({
+		listBlobsFlat: async function* ({ prefix = "" } = {}) {
+			for (const key of mockAz.blobs.keys()) {
+				const name = key.slice(container.length + 1);
+				if (key.startsWith(`${container}/`) && name.startsWith(prefix)) yield { name };
+			}
+		},
+		getBlockBlobClient: (name) => {
+			const key = `${container}/${name}`;
+			return {
+				getProperties: async () => {
+					const blob = mockAz.blobs.get(key);
+					if (!blob) throw notFound();
+					return { etag: blob.etag, contentLength: blob.buf.length };
+				},
+				download: async (offset, _count, options) => {
+					mockAz.downloads.push({ key, offset, ifMatch: options?.conditions?.ifMatch });
+					const s = mockAz.download(key, offset, options);
+					mockAz.streams.push(s);
+					return { readableStreamBody: s };
+				},
+			};
+		},
+	});
+	return {
+		BlobServiceClient: { fromConnectionString: () => ({ getContainerClient: containerClient }) },
+		StorageSharedKeyCredential: jest.fn(),
+	};
+});
+
 // Import AFTER mocks are registered.
 const mp = require("../index.js");
 
@@ -158,6 +201,10 @@ beforeEach(() => {
 	mockGcs.openCalls = [];
 	mockGcs.streams = [];
 	mockS3.impl = async () => ({ Body: goodBody() });
+	mockAz.blobs = new Map();
+	mockAz.download = (key, offset) => makeRangeStream(mockAz.blobs.get(key).buf, offset);
+	mockAz.downloads = [];
+	mockAz.streams = [];
 });
 
 // ════════════════════════════════════════════════════════════════════════════
@@ -877,3 +924,99 @@ describe("S3 multi-file R1 parity", () => {
 		expect(retries[0].error.code).toBe("ECONNRESET");
 	});
 });
+
+// ════════════════════════════════════════════════════════════════════════════
+// Azure (parity): every read goes through the resilient source, pinned by ETag
+// ════════════════════════════════════════════════════════════════════════════
+describe("Azure source failures and stall resume", () => {
+	const AZ_OPTS = {
+		...BASE_OPTS,
+		azureConnectionString: "UseDevelopmentStorage=true",
+		cloudReadIdleTimeout: 250,
+		cloudRetryBackoffMs: 10,
+	};
+	const RESUME_OPTS = { ...AZ_OPTS, resumeOnStall: true };
+
+	test("gzip JSONL killed mid-transfer resumes at the exact offset against the same ETag", async () => {
+		const { buf, n } = ndjsonFixture(50);
+		const gzBuf = zlib.gzipSync(buf);
+		const k = Math.floor(gzBuf.length / 2);
+		mockAz.blobs.set("events/data.jsonl.gz", { buf: gzBuf, etag: '"0x1"' });
+		mockAz.download = (key, offset) => (offset ? makeRangeStream(gzBuf, offset) : makeStallAtByteStream(gzBuf, k));
+		const events = [];
+
+		const res = await mp(CREDS, "az://events/data.jsonl.gz", { ...RESUME_OPTS, cloudStreamCallback: (e) => events.push(e) });
+
+		expect(res.dryRun.length).toBe(n);
+		expect(new Set(res.dryRun.map((r) => r.event)).size).toBe(n);
+		expect(mockAz.downloads).toEqual([
+			{ key: "events/data.jsonl.gz", offset: 0, ifMatch: '"0x1"' },
+			{ key: "events/data.jsonl.gz", offset: k, ifMatch: '"0x1"' },
+		]);
+		expect(res.resumesSucceeded).toBe(1);
+		expect(res.bytesResumed).toBe(gzBuf.length - k);
+		expect(events.map((e) => e.type)).toEqual(["stall", "resume-attempt", "resume-success"]);
+	});
+
+	test("CSV resumes too: the range read sits upstream of the parser", async () => {
+		const csv = Buffer.from("event,distinct_id,time\n" + Array.from({ length: 20 }, (_, i) => `evt_${i},u${i},1700000000000`).join("\n") + "\n");
+		const k = 100;
+		mockAz.blobs.set("events/data.csv", { buf: csv, etag: '"0x2"' });
+		mockAz.download = (key, offset) => (offset ? makeRangeStream(csv, offset) : makeStallAtByteStream(csv, k));
+
+		const res = await mp(CREDS, "az://events/data.csv", RESUME_OPTS);
+		expect(res.dryRun.map((r) => r.event)).toEqual(Array.from({ length: 20 }, (_, i) => `evt_${i}`));
+		expect(mockAz.downloads[1].offset).toBe(k);
+	});
+
+	test("without resumeOnStall a stall rejects and the download is destroyed", async () => {
+		const { buf } = ndjsonFixture(10);
+		mockAz.blobs.set("events/data.jsonl", { buf, etag: '"0x3"' });
+		mockAz.download = () => makeStallAtByteStream(buf, 20);
+
+		await expect(mp(CREDS, "az://events/data.jsonl", AZ_OPTS)).rejects.toThrow(/stalled/);
+		expect(mockAz.downloads.length).toBe(1);
+		for (const s of mockAz.streams) expect(s.destroyed).toBe(true);
+	});
+
+	test("blob overwritten mid-read (conditional reopen 412s) fails — never splices versions", async () => {
+		const { buf } = ndjsonFixture(20);
+		const k = Math.floor(buf.length / 2);
+		mockAz.blobs.set("events/data.jsonl", { buf, etag: '"0x4"' });
+		mockAz.download = (key, offset) => {
+			if (!offset) return makeStallAtByteStream(buf, k);
+			// the SDK rejects the download itself on a failed condition
+			throw Object.assign(new Error("The condition specified using HTTP conditional header(s) is not met."), { statusCode: 412 });
+		};
+
+		await expect(mp(CREDS, "az://events/data.jsonl", RESUME_OPTS)).rejects.toThrow(/conditional header/);
+		expect(mockAz.downloads.length).toBe(2);
+	});
+
+	test("a prefix reads every blob under it in name order; a missing blob is skipped and counted", async () => {
+		mockAz.blobs.set("events/2024/02.jsonl", { buf: ndjsonFixture(2, "feb").buf, etag: '"b"' });
+		mockAz.blobs.set("events/2024/01.jsonl", { buf: ndjsonFixture(3, "jan").buf, etag: '"a"' });
+		mockAz.blobs.set("events/other/03.jsonl", { buf: ndjsonFixture(1, "other").buf, etag: '"c"' });
+
+		const res = await mp(CREDS, "az://events/2024/", AZ_OPTS);
+		expect(res.dryRun.map((r) => r.event)).toEqual(["jan_0", "jan_1", "jan_2", "feb_0", "feb_1"]);
+
+		const events = [];
+		const withGap = await mp(CREDS, ["az://events/2024/01.jsonl", "az://events/2024/gone.jsonl"], { ...AZ_OPTS, cloudStreamCallback: (e) => events.push(e) });
+		expect(withGap.total).toBe(3);
+		expect(withGap.filesSkippedMissing).toBe(1);
+		expect(events.filter((e) => e.type === "file-skip-missing").map((e) => e.file)).toEqual(["az://events/2024/gone.jsonl"]);
+	});
+
+	test("multi-file: a mid-stream error fails the job and keeps the error code", async () => {
+		mockAz.blobs.set("events/a.jsonl", { buf: ndjsonFixture(2).buf, etag: '"a"' });
+		mockAz.blobs.set("events/b.jsonl", { buf: ndjsonFixture(2).buf, etag: '"b"' });
+		mockAz.download = () => makeErroringStream(8);
+
+		await expect(mp(CREDS, ["az://events/a.jsonl", "az://events/b.jsonl"], AZ_OPTS)).rejects.toMatchObject({
+			message: expect.stringMatching(/Multi-file Azure read failed for az:\/\/events\/a.jsonl/),
+			code: "ECONNRESET",
+		});
+		expect(mockAz.downloads.map((d) => d.key)).toEqual(["events/a.jsonl"]);
+	});
+});
@@ -0,0 +1,185 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for dead-letter output (components/dead-letter.js): rejected records written by both
+transports, and a full import -> dead letter -> replay round trip through main(). Requests go
+to a LOCAL http server (the job's url getter is pointed at it), so nothing leaves the process.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { flushToMixpanel, flushToMixpanelWithUndici, destroy } = require("../components/importers.js");
+const { openDeadLetter, closeDeadLetter } = require("../components/dead-letter.js");
+
+jest.setTimeout(30000);
+
+/** local ingestion stand-in; `handler(records)` returns [statusCode, body] */
+function startServer(handler) {
+	return new Promise((resolve) => {
+		const received = [];
+		const server = http.createServer((req, res) => {
+			let body = "";
+			req.on("data", (c) => { body += c; });
+			req.on("end", () => {
+				const records = JSON.parse(body);
+				received.push(...records);
+				const [code, payload] = handler(records);
+				res.writeHead(code, { "Content-Type": "application/json" });
+				res.end(JSON.stringify(payload));
+			});
+		});
+		server.listen(0, "127.0.0.1", () => {
+			const { port } = server.address();
+			resolve({ url: `http://127.0.0.1:${port}/import`, received, close: () => new Promise((r) => server.close(() => r())) });
+		});
+	});
+}
+
+/** reject every record whose distinct_id starts with "bad" */
+const strictImport = (records) => {
+	const failed_records = records
+		.map((r, index) => ({ index, bad: String(r.properties.distinct_id).startsWith("bad") }))
+		.filter((r) => r.bad)
+		.map(({ index }) => ({ index, field: "properties.time", message: "'properties.time' is invalid: must be specified" }));
+	if (!failed_records.length) return [200, { code: 200, num_records_imported: records.length, status: "OK" }];
+	return [400, { code: 400, error: "some data points in the request failed validation", failed_records, num_records_imported: records.length - failed_records.length, status: "Bad Request" }];
+};
+
+const readLines = (file) => fs.readFileSync(file, "utf8").trim().split("\n").filter(Boolean).map((l) => JSON.parse(l));
+
+const event = (id) => ({ event: "test", properties: { distinct_id: id, time: 1700000000000, $insert_id: `insert-${id}` } });
+
+let dir, server, urlSpy;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-dead-letter-"));
+});
+afterEach(async () => {
+	if (urlSpy) urlSpy.mockRestore();
+	urlSpy = null;
+	if (server) await server.close();
+	server = null;
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+afterAll(() => destroy());
+
+async function useServer(handler) {
+	server = await startServer(handler);
+	urlSpy = jest.spyOn(Job.prototype, "url", "get").mockReturnValue(server.url);
+}
+
+describe("transports", () => {
+	const makeJob = (opts = {}) => new Job({ token: "abc" }, { recordType: "event", verbose: false, logs: false, compress: false, maxRetries: 0, deadLetter: path.join(dir, "dlq.ndjson"), ...opts });
+
+	test("got: per-record failures carry the API message, status, batch number and index", async () => {
+		await useServer(strictImport);
+		const job = makeJob();
+		await openDeadLetter(job);
+		await flushToMixpanel([event("a"), event("bad-1"), event("b")], job, 7);
+		await closeDeadLetter(job);
+
+		const lines = readLines(job.deadLetter);
+		expect(lines).toEqual([{
+			error: "'properties.time' is invalid: must be specified",
+			status: 400,
+			batch: 7,
+			index: 1,
+			record: event("bad-1")
+		}]);
+		expect(job.deadLettered).toBe(1);
+	});
+
+	test("undici: a batch refused as a whole is dead-lettered record by record", async () => {
+		await useServer(() => [401, { error: "Invalid credentials", status: 0 }]);
+		const job = makeJob({ transport: "undici" });
+		await openDeadLetter(job);
+		await flushToMixpanelWithUndici([event("a"), event("b")], job, 3);
+		await closeDeadLetter(job);
+
+		const lines = readLines(job.deadLetter);
+		expect(lines.map((l) => [l.error, l.status, l.batch, l.index, l.record.properties.distinct_id])).toEqual([
+			["Invalid credentials", 401, 3, 0, "a"],
+			["Invalid credentials", 401, 3, 1, "b"]
+		]);
+	});
+
+	test("a clean response writes nothing", async () => {
+		await useServer(strictImport);
+		const job = makeJob();
+		await openDeadLetter(job);
+		await flushToMixpanel([event("a"), event("b")], job, 1);
+		await closeDeadLetter(job);
+		expect(fs.readFileSync(job.deadLetter, "utf8")).toBe("");
+		expect(job.deadLettered).toBe(0);
+	});
+
+	test("the dead letter stays JSONL whatever outputFormat and partitionBy say", async () => {
+		await useServer(strictImport);
+		for (const opts of [{ outputFormat: "csv" }, { partitionBy: ["date", "event"] }]) {
+			const job = makeJob(opts);
+			await openDeadLetter(job);
+			await flushToMixpanel([event("a"), event("bad-1")], job, 1);
+			await closeDeadLetter(job);
+
+			expect(fs.readdirSync(dir)).toEqual(["dlq.ndjson"]);
+			expect(readLines(job.deadLetter).map((l) => l.record)).toEqual([event("bad-1")]);
+			fs.rmSync(job.deadLetter);
+		}
+	});
+});
+
+describe("pipeline", () => {
+	const opts = (extra = {}) => ({
+		recordType: "event",
+		recordsPerBatch: 2,
+		workers: 1,
+		verbose: false,
+		showProgress: false,
+		logs: false,
+		compress: false,
+		fixData: false,
+		maxRetries: 0,
+		...extra
+	});
+
+	test("rejects land in the dead letter and replay re-imports them", async () => {
+		await useServer(strictImport);
+		const data = path.join(dir, "events.ndjson");
+		const deadLetter = path.join(dir, "rejected.ndjson");
+		fs.writeFileSync(data, ["a", "bad-1", "b", "c", "bad-2"].map((id) => JSON.stringify(event(id))).join("\n") + "\n");
+
+		const first = await main({ token: "abc" }, data, opts({ deadLetter }));
+		expect(first.deadLetter).toEqual({ path: deadLetter, records: 2 });
+		const lines = readLines(deadLetter);
+		expect(lines.map((l) => [l.batch, l.index, l.status, l.record.properties.distinct_id])).toEqual([
+			[1, 1, 400, "bad-1"],
+			[3, 0, 400, "bad-2"]
+		]);
+
+		// the "fixed transform" renames the ids the server objects to
+		server.received.length = 0;
+		const fix = (r) => ({ ...r, properties: { ...r.properties, distinct_id: r.properties.distinct_id.replace("bad", "good") } });
+		const replay = await main({ token: "abc" }, null, opts({ replayDeadLetter: deadLetter, transformFunc: fix }));
+		expect(replay.success).toBe(2);
+		expect(server.received.map((r) => r.properties.distinct_id)).toEqual(["good-1", "good-2"]);
+		expect(server.received[0]).not.toHaveProperty("record");
+	});
+
+	test("dry runs open no dead letter", async () => {
+		const data = path.join(dir, "events.ndjson");
+		const deadLetter = path.join(dir, "rejected.ndjson");
+		fs.writeFileSync(data, JSON.stringify(event("a")) + "\n");
+		await main({ token: "abc" }, data, opts({ deadLetter, dryRun: true }));
+		expect(fs.existsSync(deadLetter)).toBe(false);
+	});
+
+	test("a replay may not write to the file it reads", () => {
+		const file = path.join(dir, "rejected.ndjson");
+		expect(() => new Job({ token: "abc" }, { deadLetter: file, replayDeadLetter: file })).toThrow(/different paths/);
+	});
+});
@@ -0,0 +1,166 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for windowed exports (components/export-windows.js): day and hour windows and their where
+clauses, per-window file names, day-windowed exports from the mock server, a window retried after
+a 429 while the others finish, the manifest letting a rerun fetch only failed windows, hour windows,
+partitioned windows, and windowed export-import-event. Output goes to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { exportWindows, windowFile } = require("../components/export-windows.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const HOUR = 3600 * 1000;
+const JAN_1 = Date.UTC(2024, 0, 1);
+let seq = 0;
+const event = (ms, name = "e") => ({ event: name, properties: { distinct_id: "u1", time: ms, $insert_id: `insert-${seq++}` } });
+
+/** records in an NDJSON file */
+function readNdjson(file) {
+	const text = fs.readFileSync(file, "utf8").trim();
+	return text ? text.split("\n").map((line) => JSON.parse(line)) : [];
+}
+
+let dir;
+let mock;
+const opts = (extra = {}) => ({ endpoints: mock.url, workers: 1, verbose: false, showProgress: false, logs: false, fixData: false, ...extra });
+const exportOpts = (extra = {}) => opts({ recordType: "export", start: "2024-01-01", end: "2024-01-03", where: dir, exportWindow: "day", ...extra });
+
+/** three events a day on Jan 1-3, imported into a fresh mock */
+async function seed(options = {}) {
+	mock = await startMockServer(options);
+	const events = [];
+	for (let day = 0; day < 3; day++) for (let n = 0; n < 3; n++) events.push(event(JAN_1 + day * 24 * HOUR + n * HOUR));
+	await main({ token: "abc" }, events, opts());
+	return events;
+}
+
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-windows-"));
+});
+afterEach(async () => {
+	fs.rmSync(dir, { recursive: true, force: true });
+	if (mock) await mock.close();
+	mock = null;
+});
+afterAll(() => destroy());
+
+describe("windows", () => {
+	test("day windows cover start..end; hour windows narrow their day with a $time where", () => {
+		expect(exportWindows("2024-01-30", "2024-02-01", "day", "properties['$os'] == 'iOS'")).toEqual([
+			{ label: "2024-01-30", from: "2024-01-30", to: "2024-01-30", where: "properties['$os'] == 'iOS'" },
+			{ label: "2024-01-31", from: "2024-01-31", to: "2024-01-31", where: "properties['$os'] == 'iOS'" },
+			{ label: "2024-02-01", from: "2024-02-01", to: "2024-02-01", where: "properties['$os'] == 'iOS'" }
+		]);
+
+		const hours = exportWindows("2024-01-01", "2024-01-01", "hour", "x == 1");
+		expect(hours).toHaveLength(24);
+		expect(hours[23]).toEqual({
+			label: "2024-01-01T23",
+			from: "2024-01-01",
+			to: "2024-01-01",
+			where: '(x == 1) and properties["$time"] >= datetime("2024-01-01T23:00:00") and properties["$time"] < datetime("2024-01-02T00:00:00")'
+		});
+	});
+
+	test("window files put the label before the extension; cloud follows the compress convention", () => {
+		const job = new Job({ token: "abc" }, {});
+		expect(windowFile(path.join(dir, "events.json"), "2024-01-01", job)).toBe(path.join(dir, "events-2024-01-01.json"));
+		expect(windowFile("gs://bucket/exports/", "2024-01-01T05", job)).toBe("gs://bucket/exports/events-2024-01-01T05.json.gz");
+		expect(windowFile("s3://bucket/out.ndjson", "2024-01-01", new Job({ token: "abc" }, { compress: false }))).toBe("s3://bucket/out-2024-01-01.ndjson");
+	});
+
+	test("exportWindow is validated", () => {
+		expect(() => new Job({ token: "abc" }, { exportWindow: "week" })).toThrow(/exportWindow must be one of day, hour/);
+	});
+});
+
+describe("exports", () => {
+	test("day windows each write their own file", async () => {
+		const events = await seed();
+		const exported = await main({ secret: "shh" }, null, exportOpts({ workers: 3 }));
+
+		expect(exported.success).toBe(9);
+		const files = ["2024-01-01", "2024-01-02", "2024-01-03"].map((day) => path.join(dir, `events-${day}.json`));
+		expect(exported.file).toEqual(files);
+		expect(fs.readdirSync(dir).sort()).toEqual(files.map((file) => path.basename(file)));
+		expect(readNdjson(files[1]).map((e) => e.properties.$insert_id)).toEqual(events.slice(3, 6).map((e) => e.properties.$insert_id));
+		expect(mock.stats.paths.export).toBe(3);
+	});
+
+	test("a rate-limited window is retried on its own, after Retry-After", async () => {
+		// request 1 is the seed import; 3 is the second window
+		await seed({ statusOnRequest: { 3: 429 }, retryAfter: 0.01 });
+		const exported = await main({ secret: "shh" }, null, exportOpts());
+
+		expect(exported.success).toBe(9);
+		expect(exported.rateLimit).toBe(1);
+		expect(mock.stats.paths.export).toBe(4);
+		expect(readNdjson(path.join(dir, "events-2024-01-02.json"))).toHaveLength(3);
+	});
+
+	test("with a manifest, a rerun fetches only the windows that failed", async () => {
+		const manifest = path.join(dir, "state", "manifest.json");
+		const out = path.join(dir, "out");
+		fs.mkdirSync(out);
+		// a 400 isn't retried
+		await seed({ statusOnRequest: { 3: 400 } });
+
+		await expect(main({ secret: "shh" }, null, exportOpts({ where: out, exportManifest: manifest })))
+			.rejects.toThrow(/1 of 3 export windows failed: 2024-01-02; rerun with the same exportManifest/);
+		const saved = JSON.parse(fs.readFileSync(manifest, "utf8"));
+		expect(saved.window).toBe("day");
+		expect(Object.keys(saved.windows).sort()).toEqual(["2024-01-01", "2024-01-03"]);
+		expect(saved.windows["2024-01-03"]).toMatchObject({ records: 3, files: [path.join(out, "events-2024-01-03.json")] });
+
+		const rerun = await main({ secret: "shh" }, null, exportOpts({ where: out, exportManifest: manifest }));
+		expect(mock.stats.paths.export).toBe(4);
+		expect(rerun.success).toBe(3);
+		expect(rerun.file).toHaveLength(3);
+		expect(Object.keys(JSON.parse(fs.readFileSync(manifest, "utf8")).windows)).toHaveLength(3);
+
+		await expect(main({ secret: "shh" }, null, exportOpts({ where: out, exportManifest: manifest, exportWindow: "hour" })))
+			.rejects.toThrow(/is for day windows, not hour/);
+	});
+
+	test("hour windows split a day", async () => {
+		await seed();
+		const exported = await main({ secret: "shh" }, null, exportOpts({ end: "2024-01-01", exportWindow: "hour", workers: 4 }));
+
+		expect(exported.success).toBe(3);
+		expect(exported.file).toHaveLength(24);
+		expect(readNdjson(path.join(dir, "events-2024-01-01T01.json"))).toHaveLength(1);
+		expect(readNdjson(path.join(dir, "events-2024-01-01T05.json"))).toHaveLength(0);
+	});
+
+	test("partitioned windows name their parts after the window", async () => {
+		await seed();
+		const exported = await main({ secret: "shh" }, null, exportOpts({ partitionBy: ["date"], compress: false }));
+
+		expect(exported.success).toBe(9);
+		expect(fs.readdirSync(path.join(dir, "dt=2024-01-02"))).toEqual(["part-2024-01-02-0000.ndjson"]);
+	});
+});
+
+describe("export-import-event", () => {
+	test("windows stream into one import", async () => {
+		await seed({ statusOnRequest: { 2: 429 }, retryAfter: 0.01 });
+		const copied = await main({ secret: "shh" }, null, opts({
+			recordType: "export-import-event", start: "2024-01-01", end: "2024-01-03", exportWindow: "day", workers: 2, secondToken: "abc", fixData: true
+		}));
+
+		expect(copied.success).toBe(9);
+		expect(mock.stats.paths.export).toBe(4);
+		expect(mock.store.events).toHaveLength(18);
+	});
+});
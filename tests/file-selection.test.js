@@ -0,0 +1,195 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for file selection (components/file-selection.js): include / exclude globs on a local
+folder (recursive when there's an include), modifiedAfter / modifiedBefore on file mtimes, glob
+paths, date-templated paths expanded from start to end, the resolved list in the summary's
+`files`, "no files" as an error and the option checks; and, against a local S3-compatible
+server, a date-templated prefix listed, filtered by last-modified and read.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { expandDateTemplate, selectFiles } = require("../components/file-selection.js");
+
+jest.setTimeout(30000);
+
+const event = (id) => ({ event: "page", properties: { distinct_id: id, time: Date.UTC(2024, 0, 1), $insert_id: `insert-${id}` } });
+const ndjson = (...ids) => ids.map((id) => JSON.stringify(event(id))).join("\n") + "\n";
+const opts = (extra = {}) => ({ dryRun: true, verbose: false, showProgress: false, logs: false, fixData: false, ...extra });
+const ids = (result) => result.dryRun.map((e) => e.properties.distinct_id);
+
+let root;
+const write = (relative, body, mtime) => {
+	const file = path.join(root, relative);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, body);
+	if (mtime) fs.utimesSync(file, new Date(mtime), new Date(mtime));
+	return file;
+};
+
+beforeEach(() => {
+	root = fs.mkdtempSync(path.join(os.tmpdir(), "mp-select-"));
+	jest.spyOn(console, "log").mockImplementation(() => {});
+});
+afterEach(() => {
+	jest.restoreAllMocks();
+	fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("templates and listing", () => {
+	test("date templates expand per day, or per hour with {HH}", () => {
+		const job = { start: "2024-01-30", end: "2024-02-01" };
+		expect(expandDateTemplate("gs://b/events/{YYYY}/{MM}/{DD}/", job)).toEqual(["gs://b/events/2024/01/30/", "gs://b/events/2024/01/31/", "gs://b/events/2024/02/01/"]);
+		expect(expandDateTemplate("gs://b/{YYYY}-{MM}/", job)).toEqual(["gs://b/2024-01/", "gs://b/2024-02/"]);
+		expect(expandDateTemplate("s3://b/{DD}/{HH}.json", { start: "2024-01-01", end: "2024-01-01" })).toHaveLength(24);
+		expect(expandDateTemplate("s3://b/plain/", job)).toEqual(["s3://b/plain/"]);
+		expect(() => expandDateTemplate("a/{YYYY}/", { start: "garbage", end: "2024-01-01" })).toThrow(/start must be a date; got "garbage"/);
+		expect(() => expandDateTemplate("a/{YYYY}/", { start: "2024-01-01", end: "Invalid Date" })).toThrow(/end must be a date/);
+	});
+
+	test("prefixes and patterns are listed and filtered; named files pass through", async () => {
+		const listed = {
+			"s3://b/in/": [
+				{ path: "s3://b/in/dt=2024-01-02/a.parquet", relative: "dt=2024-01-02/a.parquet", modified: 10 },
+				{ path: "s3://b/in/dt=2024-05-02/b.parquet", relative: "dt=2024-05-02/b.parquet", modified: 10 },
+				{ path: "s3://b/in/dt=2024-02-02/_SUCCESS", relative: "dt=2024-02-02/_SUCCESS", modified: 10 },
+				{ path: "s3://b/in/dt=2024-02-02/c.parquet", relative: "dt=2024-02-02/c.parquet", modified: 1 }
+			]
+		};
+		const list = jest.fn(async (prefix) => listed[prefix] || []);
+		const readable = (file) => file.endsWith(".parquet");
+
+		const included = await selectFiles(["s3://b/in/", "s3://b/named.json"], { include: "**/dt=2024-0[1-3]-*/*.parquet" }, { list, readable });
+		expect(included).toEqual(["s3://b/in/dt=2024-01-02/a.parquet", "s3://b/in/dt=2024-02-02/c.parquet", "s3://b/named.json"]);
+
+		const recent = await selectFiles(["s3://b/in/"], { modifiedAfter: 5 }, { list, readable });
+		expect(recent).toEqual(["s3://b/in/dt=2024-01-02/a.parquet", "s3://b/in/dt=2024-05-02/b.parquet"]);
+
+		// a glob path lists from the part before the first wildcard
+		const matched = await selectFiles(["s3://b/in/dt=2024-02-*/*"], {}, { list, readable });
+		expect(list).toHaveBeenLastCalledWith("s3://b/in/");
+		expect(matched).toEqual(["s3://b/in/dt=2024-02-02/_SUCCESS", "s3://b/in/dt=2024-02-02/c.parquet"]);
+	});
+});
+
+describe("local folders", () => {
+	test("include / exclude read a folder recursively; without them only the top level is read", async () => {
+		write("top.jsonl", ndjson("t1"));
+		write("dt=2024-01-05/part-1.jsonl", ndjson("jan"));
+		write("dt=2024-01-05/_part-2.jsonl", ndjson("hidden"));
+		write("dt=2024-04-01/part-1.jsonl", ndjson("apr"));
+
+		const selected = await main({}, root, opts({ include: "**/dt=2024-0[1-3]-*/*.jsonl", exclude: ["**/_*"] }));
+		expect(ids(selected)).toEqual(["jan"]);
+		expect(selected.files).toEqual([path.join(root, "dt=2024-01-05/part-1.jsonl")]);
+
+		const plain = await main({}, root, opts());
+		expect(ids(plain)).toEqual(["t1"]);
+		expect(plain.files).toEqual([path.join(root, "top.jsonl")]);
+	});
+
+	test("modifiedAfter is inclusive and modifiedBefore exclusive", async () => {
+		write("a.jsonl", ndjson("a"), "2024-06-01T00:00:00Z");
+		write("b.jsonl", ndjson("b"), "2024-06-15T00:00:00Z");
+		write("c.jsonl", ndjson("c"), "2024-07-01T00:00:00Z");
+
+		const result = await main({}, root, opts({ modifiedAfter: "2024-06-01T00:00:00Z", modifiedBefore: "2024-07-01T00:00:00Z" }));
+		expect(ids(result).sort()).toEqual(["a", "b"]);
+	});
+
+	test("glob paths and date templates select files; days without a file are skipped", async () => {
+		write("logs/2024-03-01.jsonl", ndjson("d1"));
+		write("logs/2024-03-03.jsonl", ndjson("d3"));
+		write("logs/2024-03-09.jsonl", ndjson("outside"));
+		write("logs/notes.txt", "not data");
+
+		const templated = await main({}, path.join(root, "logs/{YYYY}-{MM}-{DD}.jsonl"), opts({ start: "2024-03-01", end: "2024-03-04" }));
+		expect(ids(templated)).toEqual(["d1", "d3"]);
+		expect(templated.files).toEqual([path.join(root, "logs/2024-03-01.jsonl"), path.join(root, "logs/2024-03-03.jsonl")]);
+
+		const globbed = await main({}, path.join(root, "logs/2024-03-0[1-3].jsonl"), opts());
+		expect(ids(globbed)).toEqual(["d1", "d3"]);
+	});
+
+	test("nothing selected is an error", async () => {
+		write("a.jsonl", ndjson("a"));
+		await expect(main({}, path.join(root, "*.csv"), opts())).rejects.toThrow(/No files found/);
+	});
+
+	test("option checks", () => {
+		expect(() => new Job({ token: "t" }, { include: 5 })).toThrow(/include must be a glob/);
+		expect(() => new Job({ token: "t" }, { exclude: ["ok", ""] })).toThrow(/exclude must be a glob/);
+		expect(() => new Job({ token: "t" }, { modifiedAfter: "not a date" })).toThrow(/modifiedAfter must be a date/);
+		expect(() => new Job({ token: "t" }, { modifiedAfter: "2024-02-01", modifiedBefore: "2024-01-01" })).toThrow(/modifiedAfter must be before modifiedBefore/);
+		// the CLI hands globs over as JSON
+		expect(new Job({ token: "t" }, { include: '["*.json", "*.csv"]' }).include).toEqual(["*.json", "*.csv"]);
+	});
+});
+
+describe("S3 prefixes", () => {
+	/**
+	 * a path-style S3 stand-in with ListObjectsV2: objects keyed "bucket/key" → { body, modified }
+	 */
+	function startS3() {
+		const objects = new Map();
+		const lists = [];
+		const server = http.createServer((req, res) => {
+			const url = new URL(req.url, "http://s3");
+			const key = decodeURIComponent(url.pathname.slice(1));
+			if (url.searchParams.get("list-type") === "2") {
+				const bucket = key.replace(/\/$/, "");
+				const prefix = url.searchParams.get("prefix") || "";
+				lists.push(`${bucket}/${prefix}`);
+				const contents = [...objects].filter(([k]) => k.startsWith(`${bucket}/${prefix}`)).map(([k, o]) => `<Contents><Key>${k.slice(bucket.length + 1)}</Key><LastModified>${o.modified}</LastModified><Size>${o.body.length}</Size></Contents>`);
+				res.writeHead(200, { "Content-Type": "application/xml" });
+				return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><Prefix>${prefix}</Prefix><KeyCount>${contents.length}</KeyCount><IsTruncated>false</IsTruncated>${contents.join("")}</ListBucketResult>`);
+			}
+			const object = objects.get(key);
+			if (!object) {
+				res.writeHead(404, { "Content-Type": "application/xml" });
+				return res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>not found</Message></Error>`);
+			}
+			res.writeHead(200, { "Content-Length": object.body.length, "Content-Type": "application/octet-stream", ETag: '"etag"' });
+			res.end(req.method === "HEAD" ? undefined : object.body);
+		});
+		return new Promise((resolve) => {
+			server.listen(0, "127.0.0.1", () => resolve({
+				url: `http://127.0.0.1:${server.address().port}`,
+				objects,
+				lists,
+				close: () => new Promise((done) => server.close(done))
+			}));
+		});
+	}
+
+	let s3;
+	beforeEach(async () => {
+		s3 = await startS3();
+	});
+	afterEach(async () => {
+		await s3.close();
+	});
+
+	test("a date-templated prefix is listed per day, filtered and read", async () => {
+		const put = (key, ids, modified) => s3.objects.set(`lake/${key}`, { body: Buffer.from(ndjson(...ids)), modified });
+		put("events/2024/01/01/a.ndjson", ["a1", "a2"], "2024-01-02T00:00:00.000Z");
+		put("events/2024/01/01/_SUCCESS", [], "2024-01-02T00:00:00.000Z");
+		put("events/2024/01/02/b.ndjson", ["b1"], "2024-01-03T00:00:00.000Z");
+		put("events/2024/01/02/late.ndjson", ["late"], "2024-02-01T00:00:00.000Z");
+		put("events/2024/01/05/c.ndjson", ["outside"], "2024-01-06T00:00:00.000Z");
+
+		const creds = { s3Endpoint: s3.url, s3Key: "minio", s3Secret: "minio-secret" };
+		const result = await main({}, "s3://lake/events/{YYYY}/{MM}/{DD}/", opts({ ...creds, start: "2024-01-01", end: "2024-01-02", modifiedBefore: "2024-01-31" }));
+
+		expect(s3.lists).toEqual(["lake/events/2024/01/01/", "lake/events/2024/01/02/"]);
+		expect(result.files).toEqual(["s3://lake/events/2024/01/01/a.ndjson", "s3://lake/events/2024/01/02/b.ndjson"]);
+		expect(ids(result).sort()).toEqual(["a1", "a2", "b1"]);
+	});
+});
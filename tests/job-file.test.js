@@ -0,0 +1,177 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for job files (components/job-file.js): ${ENV} interpolation, steps merging over the
+top-level creds / options, data paths relative to the file, transform modules, validation
+against the Options / Creds types in index.d.ts, and multi-step runs against the mock server.
+Fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const main = require("../index.js");
+const { destroy } = require("../components/importers.js");
+const { loadJobFile, validateAgainst } = require("../components/job-file.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const lines = (rows) => rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+const event = (id) => ({ event: "test", properties: { distinct_id: id, time: 1700000000000, $insert_id: `insert-${id}` } });
+
+let dir;
+const write = (name, text) => {
+	const file = path.join(dir, name);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, text);
+	return file;
+};
+
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-job-"));
+});
+afterEach(() => {
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("loadJobFile", () => {
+	test("interpolates ${VAR}, ${VAR:-default} and keeps $${ literal", () => {
+		const file = write("job.yaml", [
+			"name: nightly",
+			"creds:",
+			"  token: ${MP_TOKEN}",
+			"  secret: ${MP_SECRET:-none}",
+			"data: ./data/events.ndjson",
+			"options:",
+			"  tags: { note: 'cost $${TWO}' }",
+			"  workers: 4"
+		].join("\n"));
+
+		const job = loadJobFile(file, { MP_TOKEN: "abc" });
+		expect(job.name).toBe("nightly");
+		expect(job.steps).toHaveLength(1);
+		const [step] = job.steps;
+		expect(step.name).toBe("nightly");
+		expect(step.creds).toEqual({ token: "abc", secret: "none" });
+		expect(step.options).toEqual({ tags: { note: "cost ${TWO}" }, workers: 4 });
+		expect(step.data).toBe(path.join(dir, "data/events.ndjson"));
+
+		expect(() => loadJobFile(file, {})).toThrow(/creds\.token uses \$\{MP_TOKEN\}, which is not set/);
+	});
+
+	test("steps merge over top-level creds and options; transforms load from the job file's folder", () => {
+		write("lib/transforms.js", "module.exports = { fixEvents: (r) => ({ ...r, fixed: 'events' }), fixUsers: (r) => ({ ...r, fixed: 'users' }) };");
+		write("lib/default.js", "module.exports = (r) => r;");
+		const file = write("jobs/job.yml", [
+			"creds: { token: abc, project: 1 }",
+			"options: { region: EU, workers: 10 }",
+			"transform: ../lib/transforms.js#fixEvents",
+			"steps:",
+			"  - name: events",
+			"    data: [../a.json, gs://bucket/b.json]",
+			"    options: { recordType: event }",
+			"  - name: users",
+			"    data: ../users.ndjson",
+			"    creds: { token: def }",
+			"    options: { recordType: user, workers: 2 }",
+			"    transform: ../lib/transforms.js#fixUsers",
+			"  - data: ../c.json",
+			"    transform: ../lib/default.js"
+		].join("\n"));
+
+		const { steps } = loadJobFile(file, {});
+		expect(steps.map((s) => s.name)).toEqual(["events", "users", "step 3"]);
+		expect(steps[0].data).toEqual([path.join(dir, "a.json"), "gs://bucket/b.json"]);
+		expect(steps[0].creds).toEqual({ token: "abc", project: 1 });
+		expect(steps[0].options).toMatchObject({ region: "EU", workers: 10, recordType: "event" });
+		expect(steps[1].creds).toEqual({ token: "def", project: 1 });
+		expect(steps[1].options).toMatchObject({ region: "EU", workers: 2, recordType: "user" });
+		expect(steps[0].options.transformFunc({})).toEqual({ fixed: "events" });
+		expect(steps[1].options.transformFunc({})).toEqual({ fixed: "users" });
+		expect(steps[2].options.transformFunc({ a: 1 })).toEqual({ a: 1 });
+	});
+
+	test("json job files work the same way", () => {
+		const file = write("job.json", JSON.stringify({ creds: { token: "${T}" }, data: "x.json", options: { recordType: "group", groupKey: "company_id" } }));
+		const [step] = loadJobFile(file, { T: "abc" }).steps;
+		expect(step.creds.token).toBe("abc");
+		expect(step.options.recordType).toBe("group");
+	});
+
+	test("reports every problem at once, checked against index.d.ts", () => {
+		const file = write("bad.yaml", [
+			"creds: { token: abc, secert: x }",
+			"option: {}",
+			"options:",
+			"  recordType: evnts",
+			"  workers: lots",
+			"  region: eu",
+			"  transformFunc: 'r => r'",
+			"steps:",
+			"  - name: one",
+			"    options: { recordsPerBatch: 'many' }"
+		].join("\n"));
+
+		let message = "";
+		try {
+			loadJobFile(file, {});
+		} catch (e) {
+			message = e.message;
+		}
+		expect(message).toMatch(/option: not a job file key \(did you mean options\?\)/);
+		expect(message).toMatch(/steps\[0\]\.creds\.secert: not a known Creds key \(did you mean secret\?\)/);
+		expect(message).toMatch(/steps\[0\]\.options\.recordType: expected one of .*"evnts"/);
+		expect(message).toMatch(/steps\[0\]\.options\.workers: expected number, got string/);
+		expect(message).toMatch(/steps\[0\]\.options\.recordsPerBatch: expected number, got string/);
+		expect(message).toMatch(/transformFunc: .*use `transform: \.\/module\.js`/);
+		// literal unions are matched case-insensitively, as the Job normalizes them
+		expect(message).not.toMatch(/region/);
+	});
+
+	test("validateAgainst accepts well-formed options", () => {
+		expect(validateAgainst({ recordType: "user", workers: 5, compress: true, aliases: { a: "b" }, tags: {} }, "Options", "options")).toEqual([]);
+		expect(validateAgainst({ transport: "fetch" }, "Options", "options")[0]).toMatch(/expected one of got, undici/);
+	});
+
+	test("options that also take a function accept their other types", () => {
+		expect(validateAgainst({ routeBy: "tenant" }, "Options", "options")).toEqual([]);
+		expect(validateAgainst({ routeBy: 5 }, "Options", "options")[0]).toMatch(/options\.routeBy: expected string, got number/);
+		expect(validateAgainst({ cloudStreamCallback: "log" }, "Options", "options")[0]).toMatch(/functions can't live in a job file/);
+	});
+});
+
+describe("runJobFile", () => {
+	let mock;
+	afterEach(async () => {
+		await mock.close();
+		await destroy();
+	});
+
+	test("runs each step in order and returns a summary per step", async () => {
+		mock = await startMockServer();
+		write("events.ndjson", lines([event("a"), event("b"), event("c")]));
+		write("more.ndjson", lines([event("d")]));
+		const file = write("job.yaml", [
+			"name: two steps",
+			"creds: { token: abc }",
+			"options:",
+			"  endpoints: ${MOCK_URL}",
+			"  recordType: event",
+			"  verbose: false",
+			"  showProgress: false",
+			"  logs: false",
+			"steps:",
+			"  - name: first",
+			"    data: ./events.ndjson",
+			"  - name: second",
+			"    data: ./more.ndjson"
+		].join("\n"));
+
+		const result = await main.runJobFile(file, { MOCK_URL: mock.url });
+		expect(result.name).toBe("two steps");
+		expect(result.steps.map((s) => [s.step, s.success])).toEqual([["first", 3], ["second", 1]]);
+	});
+});
@@ -0,0 +1,132 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for lookup tables (components/lookup-table.js): JSONL and CSV sources through the
+usual transforms, CSV escaping, primary-key validation, row counts on success and on failure,
+and the size limit. Uploads go to the mock server; fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Papa = require("papaparse");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { createLookupTableWriter, uploadLookupTable, csvCell } = require("../components/lookup-table.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const lines = (rows) => rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+
+const opts = (extra = {}) => ({
+	endpoints: mock.url,
+	recordType: "table",
+	verbose: false,
+	showProgress: false,
+	logs: false,
+	...extra
+});
+
+let dir;
+let mock;
+beforeEach(async () => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-lookup-"));
+	mock = await startMockServer();
+});
+afterEach(async () => {
+	fs.rmSync(dir, { recursive: true, force: true });
+	await mock.close();
+});
+afterAll(() => destroy());
+
+describe("csvCell", () => {
+	test("quotes what needs quoting and writes objects as JSON", () => {
+		expect(csvCell("plain")).toBe("plain");
+		expect(csvCell('say "hi", ok')).toBe('"say ""hi"", ok"');
+		expect(csvCell("two\nlines")).toBe('"two\nlines"');
+		expect(csvCell(" padded")).toBe('" padded"');
+		expect(csvCell({ a: 1 })).toBe('"{""a"":1}"');
+		expect(csvCell(["x", "y"])).toBe('"[""x"",""y""]"');
+		expect(csvCell(null)).toBe("");
+		expect(csvCell(0)).toBe("0");
+		expect(csvCell(false)).toBe("false");
+	});
+});
+
+describe("imports", () => {
+	test("jsonl rows with ragged columns become one escaped CSV", async () => {
+		const file = path.join(dir, "skus.ndjson");
+		fs.writeFileSync(file, lines([
+			{ sku: "a-1", name: 'The "Big" one, red', price: 10 },
+			{ sku: "b-2", name: "two\nlines", tags: ["x", "y"] },
+			{ sku: "c-3", price: 0 }
+		]));
+
+		const result = await main({ token: "abc", lookupTableId: "skus" }, file, opts());
+		expect(result).toMatchObject({ success: 3, failed: 0, total: 3, requests: 1 });
+
+		const csv = mock.store.tables.get("skus");
+		expect(csv.split("\n")[0]).toBe("sku,name,price,tags");
+		const { data } = Papa.parse(csv, { header: true, skipEmptyLines: true });
+		expect(data).toEqual([
+			{ sku: "a-1", name: 'The "Big" one, red', price: "10", tags: "" },
+			{ sku: "b-2", name: "two\nlines", price: "", tags: '["x","y"]' },
+			{ sku: "c-3", name: "", price: "0", tags: "" }
+		]);
+	});
+
+	test("csv files and inline csv pass through transformFunc and aliases", async () => {
+		const file = path.join(dir, "users.csv");
+		fs.writeFileSync(file, "id,plan\n1,pro\n2,free\n3,skip\n");
+		const result = await main({ token: "abc", lookupTableId: "plans" }, file, opts({
+			aliases: { plan: "tier" },
+			transformFunc: (row) => (row.tier === "skip" ? {} : { ...row, paid: row.tier !== "free" })
+		}));
+		expect(result).toMatchObject({ success: 2, failed: 0, empty: 1 });
+		expect(mock.store.tables.get("plans")).toBe("id,tier,paid\n1,pro,true\n2,free,false\n");
+
+		const inline = await main({ token: "abc", lookupTableId: "inline" }, "id,name\n1,one\n", opts());
+		expect(inline.success).toBe(1);
+		expect(mock.store.tables.get("inline")).toBe("id,name\n1,one\n");
+	});
+
+	test("rows without a key or with a repeated key are dropped and counted as failed", async () => {
+		const rows = [
+			{ name: "first", sku: "a" },
+			{ name: "again", sku: "a" },
+			{ name: "nokey", sku: "" },
+			{ name: "last", sku: "b" }
+		];
+		const result = await main({ token: "abc", lookupTableId: "keys" }, rows, opts({ lookupKey: "sku", keepBadRecords: true }));
+		expect(result).toMatchObject({ success: 2, failed: 2 });
+		expect(mock.store.tables.get("keys")).toBe("sku,name\na,first\nb,last\n");
+		expect(Object.keys(result.badRecords)).toEqual(['duplicate primary key "sku": a', 'missing primary key "sku"']);
+	});
+
+	test("a rejected upload fails every row; dryRun sends nothing", async () => {
+		await mock.close();
+		mock = await startMockServer({ statusOnRequest: { 1: 400 } });
+		const failed = await main({ token: "abc", lookupTableId: "t" }, [{ id: 1 }, { id: 2 }], opts());
+		expect(failed).toMatchObject({ success: 0, failed: 2 });
+
+		const dry = await main({ token: "abc" }, [{ id: 1 }, { id: 2 }], opts({ dryRun: true }));
+		expect(dry.dryRun).toEqual([{ id: 1 }, { id: 2 }]);
+		expect(mock.stats.requests).toBe(1);
+	});
+
+	test("tables over the size limit fail before anything is sent", async () => {
+		const job = new Job({ token: "abc", lookupTableId: "big" }, opts());
+		const writer = createLookupTableWriter(job);
+		for (let i = 0; i < 50; i++) writer.write({ id: i, text: "x".repeat(20) });
+		writer.end();
+		await new Promise((resolve) => writer.on("finish", resolve));
+
+		await expect(uploadLookupTable(writer, job, 500)).rejects.toThrow(/can't be split across requests/);
+		expect(fs.existsSync(writer.spoolPath)).toBe(false);
+		expect(mock.stats.requests).toBe(0);
+	});
+});
@@ -0,0 +1,106 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for project migration (components/migrate.js): one source and one destination mock
+server; events with renames and a blacklist, user and group profiles, lookup tables and
+annotations copied in one run; the parity report matching, then catching a gap on a
+parity-only rerun; a failed step not stopping the rest; and the secondToken requirement.
+*/
+
+const main = require("../index.js");
+const { destroy } = require("../components/importers.js");
+const { migrate, formatMigrationReport } = require("../components/migrate.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const DAY = 86400 * 1000;
+const JAN_1 = Date.UTC(2024, 0, 1);
+let seq = 0;
+const event = (name, day) => ({ event: name, properties: { distinct_id: "u1", time: JAN_1 + day * DAY + 1000, $insert_id: `insert-${seq++}` } });
+
+const quiet = { workers: 1, verbose: false, showProgress: false, logs: false };
+const creds = { secret: "source-secret", project: 1, bearer: "bear", secondToken: "dest-token", secondSecret: "dest-secret", secondProject: 2 };
+
+let source;
+let destination;
+const opts = (extra = {}) => ({ ...quiet, endpoints: source.url, secondEndpoints: destination.url, start: "2024-01-01", end: "2024-01-02", ...extra });
+
+beforeEach(async () => {
+	source = await startMockServer();
+	destination = await startMockServer();
+	const into = { ...quiet, endpoints: source.url, fixData: false };
+	await main({ token: "t" }, [event("signup", 0), event("signup", 0), event("debug", 0), event("Purchase", 1)], into);
+	await main({ token: "t" }, [{ $distinct_id: "u1", $set: { $name: "Ann", plan: "pro" } }, { $distinct_id: "u2", $set: { $name: "Bo" } }], { ...into, recordType: "user", fixData: true });
+	await main({ token: "t", groupKey: "company_id" }, [{ $group_key: "company_id", $group_id: "acme", $set: { $name: "Acme" } }], { ...into, recordType: "group", fixData: true });
+	await main({ secret: "s", lookupTableId: "plans" }, "plan,price\npro,10\nfree,0\n", { ...into, recordType: "table" });
+	source.store.annotations.push(
+		{ id: 1, project_id: 1, date: "2024-01-01 00:00:00", description: "launch" },
+		{ id: 2, project_id: 1, date: "2024-01-02 00:00:00", description: "outage" }
+	);
+	destination.store.annotations.push({ id: 1, project_id: 2, date: "2024-01-01 00:00:00", description: "launch" });
+});
+afterEach(async () => {
+	await source.close();
+	await destination.close();
+});
+afterAll(() => destroy());
+
+test("copies every kind of data and the parity report matches", async () => {
+	const report = await migrate(creds, opts({
+		eventRenames: { signup: "Sign Up" },
+		eventBlacklist: ["debug"],
+		migrateGroups: [{ groupKey: "company_id", dataGroupId: 1 }],
+		lookupTables: { plans: "plans-copy" }
+	}));
+
+	expect(report.steps.events).toMatchObject({ success: 3, failed: 0 });
+	expect(destination.store.events.map((e) => e.event).sort()).toEqual(["Purchase", "Sign Up", "Sign Up"]);
+	expect(destination.store.events[0].properties.distinct_id).toBe("u1");
+
+	expect(report.steps.users).toMatchObject({ success: 2, failed: 0 });
+	expect(destination.store.profiles.find((p) => p.$distinct_id === "u1").$set).toMatchObject({ $name: "Ann", plan: "pro" });
+	expect(report.steps.groups.groups).toEqual([expect.objectContaining({ groupKey: "company_id", dataGroupId: "1", success: 1 })]);
+	expect(destination.store.groups[0]).toMatchObject({ $group_key: "company_id", $group_id: "acme", $set: { $name: "Acme" } });
+
+	expect(report.steps.tables.tables).toEqual([{ source: "plans", destination: "plans-copy", rows: 2 }]);
+	expect(destination.store.tables.get("plans-copy").trim().split("\n")).toEqual(["plan,price", "pro,10", "free,0"]);
+
+	expect(report.steps.annotations).toMatchObject({ success: 1, existing: 1 });
+	expect(destination.store.annotations.map((a) => a.description)).toEqual(["launch", "outage"]);
+
+	expect(report.parity).toMatchObject({ source: 3, destination: 3, matched: 2, mismatched: 0 });
+	expect(report.parity.rows).toEqual([
+		{ date: "2024-01-01", event: "Sign Up", source: 2, destination: 2, difference: 0 },
+		{ date: "2024-01-02", event: "Purchase", source: 1, destination: 1, difference: 0 }
+	]);
+	expect(formatMigrationReport(report)).toContain("all 2 event-days match");
+});
+
+test("a parity-only rerun re-counts both sides and lists the gaps", async () => {
+	await migrate(creds, opts({ migrateSteps: ["events"] }));
+	await main({ token: "t" }, [event("Purchase", 1)], { ...quiet, endpoints: source.url, fixData: false });
+
+	const report = await migrate(creds, opts({ migrateSteps: "parity" }));
+	expect(report.steps).toEqual({});
+	expect(report.parity).toMatchObject({ source: 5, destination: 4, mismatched: 1 });
+	expect(report.parity.rows.find((row) => row.difference)).toEqual({ date: "2024-01-02", event: "Purchase", source: 2, destination: 1, difference: -1 });
+	const text = formatMigrationReport(report);
+	expect(text).toContain("1 of 3 event-days differ");
+	expect(text).toMatch(/2024-01-02\s+Purchase\s+2\s+1\s+-1/);
+});
+
+test("a failed step is reported and the others still run; groups without migrateGroups are skipped", async () => {
+	const report = await migrate(creds, opts({ migrateSteps: ["tables", "users", "groups"], lookupTables: { missing: "x" } }));
+	expect(report.steps.tables.error).toMatch(/404/);
+	expect(report.steps.users).toMatchObject({ success: 2 });
+	expect(report.steps.groups.skipped).toMatch(/no migrateGroups/);
+	expect(report.parity).toBeNull();
+	expect(formatMigrationReport(report)).toMatch(/tables: FAILED/);
+});
+
+test("importing needs secondToken; unknown steps are refused", async () => {
+	await expect(migrate({ secret: "s" }, opts())).rejects.toThrow(/needs secondToken/);
+	await expect(migrate(creds, opts({ migrateSteps: ["events", "cohorts"] }))).rejects.toThrow(/got cohorts/);
+});
@@ -0,0 +1,153 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for the mock ingestion server (components/mock-server.js) and the `endpoints` override
+that points a job at it: Mixpanel's validation rules, injected 429s / 5xx / partial failures
+through both transports, profiles, lookup tables and the export round trip.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { startMockServer, validateEvent } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const event = (id, extra = {}) => ({ event: "test", properties: { distinct_id: id, time: 1700000000000, $insert_id: `insert-${id}`, ...extra } });
+
+const opts = (mock, extra = {}) => ({
+	endpoints: mock.url,
+	recordType: "event",
+	recordsPerBatch: 10,
+	workers: 1,
+	verbose: false,
+	showProgress: false,
+	logs: false,
+	fixData: false,
+	...extra
+});
+
+let mock;
+afterEach(async () => {
+	if (mock) await mock.close();
+	mock = null;
+});
+afterAll(() => destroy());
+
+describe("endpoints override", () => {
+	test("a base url re-roots every endpoint and keeps its path", () => {
+		const job = new Job({ token: "abc" }, { endpoints: "http://127.0.0.1:9999/" });
+		expect(job.url).toBe("http://127.0.0.1:9999/import");
+		job.recordType = "table";
+		job.lookupTableId = "t1";
+		expect(job.url).toBe("http://127.0.0.1:9999/lookup-tables/t1");
+		const eu = new Job({ token: "abc" }, { endpoints: "http://127.0.0.1:9999", region: "EU", recordType: "user" });
+		expect(eu.url).toBe("http://127.0.0.1:9999/engage");
+	});
+
+	test("an object swaps urls per record type", () => {
+		const job = new Job({ token: "abc" }, { endpoints: { event: "http://localhost:1/custom" } });
+		expect(job.url).toBe("http://localhost:1/custom");
+		const user = new Job({ token: "abc" }, { endpoints: { event: "http://localhost:1/custom" }, recordType: "user" });
+		expect(user.url).toBe("https://api.mixpanel.com/engage");
+	});
+});
+
+describe("validation", () => {
+	test("required fields, limits and strict-only $insert_id", () => {
+		expect(validateEvent(event("a"), true)).toBeNull();
+		expect(validateEvent({ properties: { time: 1, distinct_id: "a" } }, false).field).toBe("event");
+		expect(validateEvent({ event: "x", properties: { distinct_id: "a" } }, false).field).toBe("properties.time");
+		expect(validateEvent({ event: "x", properties: { time: Date.now() + 7200000, distinct_id: "a" } }, false).message).toMatch(/future/);
+		expect(validateEvent({ event: "x", properties: { time: 1700000000 } }, false).field).toBe("properties.distinct_id");
+		expect(validateEvent({ event: "x", properties: { time: 1700000000, $device_id: "d" } }, false)).toBeNull();
+		expect(validateEvent({ event: "x", properties: { time: 1700000000, distinct_id: "a" } }, true).field).toBe("properties.$insert_id");
+		expect(validateEvent(event("a", { $insert_id: "not valid!" }), false).field).toBe("properties.$insert_id");
+	});
+
+	test("oversized batches and missing auth are refused", async () => {
+		mock = await startMockServer();
+		const big = await fetch(`${mock.url}/import`, { method: "POST", headers: { Authorization: "Basic abc" }, body: JSON.stringify(Array.from({ length: 2001 }, (_, i) => event(`u${i}`))) });
+		expect(big.status).toBe(413);
+		const anon = await fetch(`${mock.url}/import`, { method: "POST", body: JSON.stringify([event("a")]) });
+		expect(anon.status).toBe(401);
+	});
+});
+
+describe("imports", () => {
+	test("got: strict failures come back as failed_records", async () => {
+		mock = await startMockServer();
+		const data = [event("a"), { event: "no time", properties: { distinct_id: "b", $insert_id: "b" } }, event("c")];
+		const result = await main({ token: "abc" }, data, opts(mock, { transport: "got" }));
+
+		expect(result.success).toBe(2);
+		expect(result.failed).toBe(1);
+		expect(mock.store.events.map((e) => e.properties.distinct_id)).toEqual(["a", "c"]);
+	});
+
+	test("undici: scripted 429 and 503 are retried, then the batch lands", async () => {
+		mock = await startMockServer({ statusOnRequest: { 1: 429, 2: 503 }, retryAfter: 0 });
+		const result = await main({ token: "abc" }, [event("a"), event("b")], opts(mock, { transport: "undici" }));
+
+		expect(result.success).toBe(2);
+		expect(result.rateLimit).toBe(1);
+		expect(result.serverErrors).toBe(1);
+		expect(mock.stats).toMatchObject({ requests: 3, rateLimited: 1, serverErrors: 1, accepted: 2 });
+	});
+
+	test("partial failures are injected per event", async () => {
+		mock = await startMockServer({ partialFailureRate: 1 });
+		const result = await main({ token: "abc" }, [event("a"), event("b")], opts(mock, { transport: "undici" }));
+		expect(result.success).toBe(0);
+		expect(result.failed).toBe(2);
+		expect(result.errors["mock server: injected partial failure"]).toBe(2);
+	});
+
+	test("profiles and groups need $token and one operation", async () => {
+		mock = await startMockServer();
+		const profile = { $distinct_id: "u1", $set: { plan: "pro" } };
+		const untokened = await main({ token: "abc" }, [profile], opts(mock, { recordType: "user" }));
+		expect(untokened.failed).toBe(1);
+
+		// fixData stamps $token on each update
+		const users = await main({ token: "abc" }, [profile], opts(mock, { recordType: "user", fixData: true }));
+		expect(users.success).toBe(1);
+		expect(mock.store.profiles).toEqual([{ ...profile, $token: "abc" }]);
+
+		const bad = await fetch(`${mock.url}/groups`, { method: "POST", body: JSON.stringify([{ $token: "abc", $group_key: "company", $group_id: "acme", $set: {}, $unset: [] }]) });
+		expect(bad.status).toBe(400);
+		expect((await bad.json()).error).toMatch(/exactly one/);
+	});
+});
+
+describe("tables and export", () => {
+	test("lookup tables are stored by id", async () => {
+		mock = await startMockServer();
+		const csv = "id,name\n1,one\n2,two\n";
+		const result = await main({ token: "abc", lookupTableId: "tbl-1" }, csv, opts(mock, { recordType: "table" }));
+		expect(result).toBeTruthy();
+		expect(mock.store.tables.get("tbl-1")).toBe(csv);
+	});
+
+	test("accepted events come back through an export job", async () => {
+		mock = await startMockServer();
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-mock-"));
+		try {
+			await main({ token: "abc" }, [event("a"), event("b", { time: 1600000000000 })], opts(mock));
+			const exported = await main({ secret: "shh" }, null, opts(mock, { recordType: "export", start: "2023-11-01", end: "2023-11-30", where: dir }));
+			const lines = fs.readFileSync(exported.file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+			expect(lines).toEqual([{ event: "test", properties: { distinct_id: "a", time: 1700000000, $insert_id: "insert-a" } }]);
+
+			const missing = await fetch(`${mock.url}/api/2.0/export`, { headers: { Authorization: "Basic abc" } });
+			expect(missing.status).toBe(400);
+		}
+		finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,163 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for csv / parquet output (components/output-format.js): flattening events and profiles,
+part naming, schema inference and widening across rolling parts, CSV escaping, event exports from
+the mock server, and `destination` in destination-only and dual-write imports. Parquet files are
+read back with hyparquet; fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Papa = require("papaparse");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { createPartWriter, flattenRecord, partBase } = require("../components/output-format.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const event = (id, extra = {}) => ({ event: "test", properties: { distinct_id: id, time: 1700000000000, $insert_id: `insert-${id}`, ...extra } });
+
+const opts = (extra = {}) => ({
+	endpoints: mock.url,
+	recordType: "event",
+	workers: 1,
+	verbose: false,
+	showProgress: false,
+	logs: false,
+	fixData: false,
+	...extra
+});
+
+/** rows and column types of a parquet file */
+async function readParquet(file) {
+	const { parquetReadObjects, parquetMetadata } = await import("hyparquet");
+	const buffer = fs.readFileSync(file);
+	const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+	const rows = await parquetReadObjects({ file: arrayBuffer });
+	const types = Object.fromEntries(parquetMetadata(arrayBuffer).schema.slice(1).map((c) => [c.name, c.converted_type || c.type]));
+	return { rows, types };
+}
+
+/** write records through a part writer and wait for it to finish */
+async function writeParts(base, records, options) {
+	const writer = createPartWriter(base, new Job({ token: "abc" }, { verbose: false, ...options }));
+	for (const record of records) writer.write(record);
+	writer.end();
+	await new Promise((resolve, reject) => writer.on("finish", resolve).on("error", reject));
+	return writer;
+}
+
+let dir;
+let mock;
+beforeEach(async () => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-output-"));
+	mock = await startMockServer();
+});
+afterEach(async () => {
+	fs.rmSync(dir, { recursive: true, force: true });
+	await mock.close();
+});
+afterAll(() => destroy());
+
+describe("flattening and naming", () => {
+	test("events and profiles become flat rows; nested values are JSON", () => {
+		expect(flattenRecord({ event: "buy", properties: { distinct_id: "u1", cart: { items: 2 }, tags: ["a"] } })).toEqual({
+			event: "buy", distinct_id: "u1", cart: '{"items":2}', tags: '["a"]'
+		});
+		expect(flattenRecord({ $distinct_id: "u1", $properties: { $name: "Ann", plan: "pro" } })).toEqual({
+			distinct_id: "u1", $name: "Ann", plan: "pro"
+		});
+	});
+
+	test("part bases come from the target file, or a name inside a folder", () => {
+		expect(partBase(path.join(dir, "events.ndjson"), "x")).toBe(path.join(dir, "events"));
+		expect(partBase(dir, "events")).toBe(path.join(dir, "events"));
+		expect(partBase("gs://bucket/exports/", "events")).toBe("gs://bucket/exports/events");
+		expect(partBase("s3://bucket/exports", "events")).toBe("s3://bucket/exports/events");
+		expect(partBase("s3://bucket/exports/out.json.gz", "events")).toBe("s3://bucket/exports/out");
+	});
+
+	test("outputFormat is validated", () => {
+		expect(() => new Job({ token: "abc" }, { outputFormat: "avro" })).toThrow(/outputFormat must be one of ndjson, csv, parquet/);
+	});
+});
+
+describe("part writer", () => {
+	test("parquet parts roll by row count; types are inferred and only widen", async () => {
+		const writer = await writeParts(path.join(dir, "events"), [
+			event("a", { price: 1.5, paid: true }),
+			event("b", { price: 2, paid: false }),
+			event("c", { price: "free", coupon: "x" })
+		], { outputFormat: "parquet", rowsPerPart: 2 });
+
+		expect(writer.parts).toEqual([path.join(dir, "events-part-00000.parquet"), path.join(dir, "events-part-00001.parquet")]);
+		expect(writer.rows()).toBe(3);
+
+		const first = await readParquet(writer.parts[0]);
+		expect(first.types).toMatchObject({ event: "UTF8", distinct_id: "UTF8", time: "TIMESTAMP_MILLIS", price: "DOUBLE", paid: "BOOLEAN" });
+		expect(first.rows.map((r) => [r.distinct_id, r.price, r.paid, r.time.getTime()])).toEqual([
+			["a", 1.5, true, 1700000000000],
+			["b", 2, false, 1700000000000]
+		]);
+
+		// price widens to a string; paid carries over (empty); coupon is new
+		const second = await readParquet(writer.parts[1]);
+		expect(second.types).toMatchObject({ price: "UTF8", paid: "BOOLEAN", coupon: "UTF8" });
+		expect(second.rows).toEqual([expect.objectContaining({ distinct_id: "c", price: "free", paid: null, coupon: "x" })]);
+	});
+
+	test("csv parts share a header and escape their cells", async () => {
+		const writer = await writeParts(partBase(path.join(dir, "out.csv"), "out"), [
+			event("a", { note: 'say "hi", ok' }),
+			event("b", { list: [1, 2] })
+		], { outputFormat: "csv" });
+
+		expect(writer.parts).toEqual([path.join(dir, "out-part-00000.csv")]);
+		const csv = fs.readFileSync(writer.parts[0], "utf8");
+		expect(csv.split("\n")[0]).toBe("event,distinct_id,time,$insert_id,note,list");
+		expect(Papa.parse(csv, { header: true, skipEmptyLines: true }).data).toEqual([
+			{ event: "test", distinct_id: "a", time: "2023-11-14T22:13:20.000Z", $insert_id: "insert-a", note: 'say "hi", ok', list: "" },
+			{ event: "test", distinct_id: "b", time: "2023-11-14T22:13:20.000Z", $insert_id: "insert-b", note: "", list: "[1,2]" }
+		]);
+	});
+});
+
+describe("jobs", () => {
+	test("event exports write parquet parts", async () => {
+		await main({ token: "abc" }, [event("a", { n: 1 }), event("b", { n: 2 }), event("c", { n: 3 })], opts());
+		const exported = await main({ secret: "shh" }, null, opts({
+			recordType: "export", start: "2023-11-01", end: "2023-11-30", where: dir, outputFormat: "parquet", rowsPerPart: 2
+		}));
+
+		expect(exported.success).toBe(3);
+		expect(exported.file).toEqual([path.join(dir, "events-part-00000.parquet"), path.join(dir, "events-part-00001.parquet")]);
+		const rows = [];
+		for (const file of exported.file) rows.push(...(await readParquet(file)).rows);
+		expect(rows.map((r) => [r.event, r.distinct_id, r.n, r.time.getTime()])).toEqual([
+			["test", "a", 1, 1700000000000],
+			["test", "b", 2, 1700000000000],
+			["test", "c", 3, 1700000000000]
+		]);
+		expect(fs.readdirSync(dir).sort()).toEqual(["events-part-00000.parquet", "events-part-00001.parquet"]);
+	});
+
+	test("destination writes csv alongside mixpanel, or instead of it", async () => {
+		const data = [event("a"), event("b")];
+		const both = await main({ token: "abc" }, data, opts({ destination: path.join(dir, "copy.csv"), outputFormat: "csv" }));
+		expect(both.success).toBe(2);
+		expect(mock.store.events).toHaveLength(2);
+		const copy = Papa.parse(fs.readFileSync(path.join(dir, "copy-part-00000.csv"), "utf8"), { header: true, skipEmptyLines: true }).data;
+		expect(copy.map((r) => r.distinct_id)).toEqual(["a", "b"]);
+
+		await main({ token: "abc" }, data, opts({ destination: path.join(dir, "only.parquet"), destinationOnly: true, outputFormat: "parquet" }));
+		expect(mock.store.events).toHaveLength(2);
+		const { rows } = await readParquet(path.join(dir, "only-part-00000.parquet"));
+		expect(rows.map((r) => r.distinct_id)).toEqual(["a", "b"]);
+	});
+});
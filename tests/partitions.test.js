@@ -0,0 +1,199 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for hive-partitioned output (components/partitions.js): partition paths and escaping,
+rolling parts by size, the open-partition cap, stale-part cleanup, parquet partitions, an event export from the mock
+server, and a partitioned `destination`. Output goes to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { createPartitionedWriter, partitionPath, partitionRoot } = require("../components/partitions.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const DAY = 86400;
+let seq = 0;
+const event = (name, day, extra = {}) => ({ event: name, properties: { distinct_id: "u1", time: 1704067200 + day * DAY, $insert_id: `insert-${seq++}`, ...extra } });
+
+/** every file under dir, relative, sorted */
+function tree(dir) {
+	return fs.readdirSync(dir, { recursive: true })
+		.filter((file) => fs.statSync(path.join(dir, file)).isFile())
+		.sort();
+}
+
+/** records in a (possibly gzipped) NDJSON file */
+function readNdjson(file) {
+	let text = fs.readFileSync(file);
+	if (file.endsWith(".gz")) text = zlib.gunzipSync(text);
+	return text.toString().trim().split("\n").map((line) => JSON.parse(line));
+}
+
+async function writeAll(root, records, options, writerOptions) {
+	const writer = createPartitionedWriter(root, new Job({ token: "abc" }, { verbose: false, ...options }), writerOptions);
+	for (const record of records) writer.write(record);
+	writer.end();
+	await new Promise((resolve, reject) => writer.on("finish", resolve).on("error", reject));
+	return writer;
+}
+
+let dir;
+let mock;
+beforeEach(async () => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-partitions-"));
+	mock = await startMockServer();
+});
+afterEach(async () => {
+	fs.rmSync(dir, { recursive: true, force: true });
+	await mock.close();
+});
+afterAll(() => destroy());
+
+describe("paths", () => {
+	test("date, event and property partitions; hive escaping and the default partition", () => {
+		expect(partitionPath(event("Sign Up", 0), ["date", "event"])).toBe("dt=2024-01-01/event=Sign Up");
+		expect(partitionPath({ event: "a/b=c", properties: { time: 1704067200000 } }, ["event", "date"])).toBe("event=a%2Fb%3Dc/dt=2024-01-01");
+		expect(partitionPath({ event: "x", properties: { mp_lib: "web" } }, ["mp_lib", "date", "event"])).toBe("mp_lib=web/dt=__HIVE_DEFAULT_PARTITION__/event=x");
+		expect(partitionPath({ properties: {} }, ["event"])).toBe("event=__HIVE_DEFAULT_PARTITION__");
+	});
+
+	test("roots drop file extensions and trailing slashes", () => {
+		expect(partitionRoot("gs://bucket/prefix/")).toBe("gs://bucket/prefix");
+		expect(partitionRoot("s3://bucket/prefix/events.json.gz")).toBe("s3://bucket/prefix/events");
+		expect(partitionRoot("/data/out")).toBe("/data/out");
+	});
+
+	test("partitionBy takes a list or a comma-separated string", () => {
+		expect(new Job({ token: "abc" }, { partitionBy: "date, event" }).partitionBy).toEqual(["date", "event"]);
+		expect(new Job({ token: "abc" }, {}).partitionBy).toEqual([]);
+	});
+});
+
+describe("writer", () => {
+	test("parts roll by size within each partition", async () => {
+		const records = [event("a", 0), event("a", 0), event("a", 0), event("b", 0), event("a", 1)];
+		const writer = await writeAll(dir, records, { partitionBy: ["date", "event"], partitionFileBytes: 150, compress: false });
+
+		expect(tree(dir)).toEqual([
+			"dt=2024-01-01/event=a/part-0000.ndjson",
+			"dt=2024-01-01/event=a/part-0001.ndjson",
+			"dt=2024-01-01/event=b/part-0000.ndjson",
+			"dt=2024-01-02/event=a/part-0000.ndjson"
+		].map((file) => path.join(...file.split("/"))));
+		expect(writer.rows()).toBe(5);
+		expect(writer.parts).toHaveLength(4);
+		const a = readNdjson(path.join(dir, "dt=2024-01-01", "event=a", "part-0000.ndjson"));
+		const a2 = readNdjson(path.join(dir, "dt=2024-01-01", "event=a", "part-0001.ndjson"));
+		expect([...a, ...a2]).toEqual(records.slice(0, 3));
+	});
+
+	test("past the open-partition cap the oldest part is suspended and its partition carries on in the same part", async () => {
+		const records = [];
+		for (let day = 0; day < 33; day++) records.push(event("e", day));
+		records.push(event("e", 0));
+		await writeAll(dir, records, { partitionBy: ["date"] });
+
+		const first = path.join(dir, "dt=2024-01-01");
+		expect(fs.readdirSync(first)).toEqual(["part-0000.ndjson.gz"]);
+		expect(readNdjson(path.join(first, "part-0000.ndjson.gz"))).toEqual([records[0], records[33]]);
+		expect(fs.readdirSync(dir)).toHaveLength(33);
+	});
+
+	test("many more partitions than the cap still write one part each", async () => {
+		const records = [];
+		for (let i = 0; i < 2000; i++) records.push(event(`e${i % 60}`, Math.floor(i / 1000)));
+		const writer = await writeAll(dir, records, { partitionBy: ["date", "event"] });
+
+		expect(tree(dir)).toHaveLength(120);
+		expect(writer.parts).toHaveLength(120);
+		const e7 = readNdjson(path.join(dir, "dt=2024-01-02", "event=e7", "part-0000.ndjson.gz"));
+		expect(e7).toEqual(records.filter((r) => r.event === "e7" && r.properties.time === 1704067200 + DAY));
+	});
+
+	test("with replace, rewriting a partition removes parts an earlier run left past the last one", async () => {
+		const options = { partitionBy: ["event"], partitionFileBytes: 150, compress: false };
+		await writeAll(dir, [event("a", 0), event("a", 0), event("a", 0), event("b", 0)], options, { replace: true });
+		expect(fs.readdirSync(path.join(dir, "event=a"))).toHaveLength(2);
+		fs.writeFileSync(path.join(dir, "event=a", "notes.txt"), "keep me");
+
+		await writeAll(dir, [event("a", 0)], options, { replace: true });
+		expect(tree(dir)).toEqual([
+			"event=a/notes.txt",
+			"event=a/part-0000.ndjson",
+			"event=b/part-0000.ndjson"
+		].map((file) => path.join(...file.split("/"))));
+		expect(readNdjson(path.join(dir, "event=a", "part-0000.ndjson"))).toHaveLength(1);
+	});
+
+	test("csv rows are staged on disk across suspends, and the staging folder is removed", async () => {
+		const staging = path.join(dir, "tmp");
+		fs.mkdirSync(staging);
+		jest.spyOn(os, "tmpdir").mockReturnValue(staging);
+		const records = [];
+		for (let i = 0; i < 200; i++) records.push(event(`e${i % 40}`, 0, { n: i }));
+		const root = path.join(dir, "out");
+		await writeAll(root, records, { partitionBy: ["event"], outputFormat: "csv" });
+		os.tmpdir.mockRestore();
+
+		expect(tree(root)).toHaveLength(40);
+		const e3 = fs.readFileSync(path.join(root, "event=e3", "part-0000.csv"), "utf8").trim().split("\n");
+		expect(e3).toHaveLength(6);
+		expect(fs.readdirSync(staging)).toEqual([]);
+	});
+
+	test("parquet partitions", async () => {
+		await writeAll(dir, [event("a", 0, { n: 1 }), event("a", 0, { n: 2 })], { partitionBy: ["event"], outputFormat: "parquet" });
+		const { parquetReadObjects } = await import("hyparquet");
+		const buffer = fs.readFileSync(path.join(dir, "event=a", "part-0000.parquet"));
+		const rows = await parquetReadObjects({ file: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) });
+		expect(rows.map((r) => r.n)).toEqual([1, 2]);
+	});
+});
+
+describe("jobs", () => {
+	const opts = (extra = {}) => ({ endpoints: mock.url, workers: 1, verbose: false, showProgress: false, logs: false, fixData: false, ...extra });
+
+	test("an event export writes partitions straight under `where`", async () => {
+		const events = [event("Sign Up", 0), event("Purchase", 0), event("Purchase", 1)].map((e) => ({ ...e, properties: { ...e.properties, time: e.properties.time * 1000 } }));
+		await main({ token: "abc" }, events, opts());
+
+		const exported = await main({ secret: "shh" }, null, opts({ recordType: "export", start: "2024-01-01", end: "2024-01-31", where: dir, partitionBy: ["date", "event"] }));
+		expect(exported.success).toBe(3);
+		expect(tree(dir)).toEqual([
+			"dt=2024-01-01/event=Purchase/part-0000.ndjson.gz",
+			"dt=2024-01-01/event=Sign Up/part-0000.ndjson.gz",
+			"dt=2024-01-02/event=Purchase/part-0000.ndjson.gz"
+		].map((file) => path.join(...file.split("/"))));
+		expect(readNdjson(path.join(dir, "dt=2024-01-02", "event=Purchase", "part-0000.ndjson.gz"))[0].event).toBe("Purchase");
+	});
+
+	test("destination-only imports write partitions", async () => {
+		const root = path.join(dir, "copy");
+		await main({ token: "abc" }, [event("a", 0), event("b", 0)], opts({ destination: root, destinationOnly: true, partitionBy: "event", compress: false }));
+		const files = tree(root);
+		expect(files).toHaveLength(2);
+		expect(files[0]).toMatch(/^event=a[\\/]part-\d{8}T\d{9}Z-[0-9a-f]{6}-0000\.ndjson$/);
+		expect(files[1]).toMatch(/^event=b[\\/]part-/);
+		expect(mock.store.events).toHaveLength(0);
+	});
+
+	test("successive destination imports into one partition keep each other's parts", async () => {
+		const root = path.join(dir, "copy");
+		const options = opts({ destination: root, destinationOnly: true, partitionBy: "event", compress: false });
+		await main({ token: "abc" }, [event("a", 0), event("a", 0)], options);
+		await main({ token: "abc" }, [event("a", 0)], options);
+
+		const files = fs.readdirSync(path.join(root, "event=a"));
+		expect(files).toHaveLength(2);
+		expect(files.flatMap((file) => readNdjson(path.join(root, "event=a", file)))).toHaveLength(3);
+	});
+});
@@ -0,0 +1,128 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for the Pendo vendor (vendor/pendo.js): track / page / feature events in both the
+camelCase aggregation shape and the snake_case Data Sync shape, visitors -> profiles and
+accounts -> groups with metadata namespace filtering, and a dry run through the pipeline.
+*/
+
+const main = require("../index.js");
+const { pendoEventsToMp, pendoUserToMp, pendoGroupToMp } = require("../vendor/pendo.js");
+
+jest.setTimeout(30000);
+
+describe("pendoEventsToMp", () => {
+	test("track events keep their name, context and custom properties", () => {
+		const transform = pendoEventsToMp();
+		const { event, properties } = transform({
+			type: "track",
+			event: "Report Exported",
+			visitorId: "user-1",
+			accountId: 42,
+			timestamp: 1700000000000,
+			properties: { format: "csv" },
+			context: { ip: "1.2.3.4", url: "https://app.example.com/reports", userAgent: "Mozilla/5.0" }
+		});
+
+		expect(event).toBe("Report Exported");
+		expect(properties).toMatchObject({
+			time: 1700000000000,
+			$user_id: "user-1",
+			account_id: "42",
+			format: "csv",
+			ip: "1.2.3.4",
+			$current_url: "https://app.example.com/reports",
+			user_agent: "Mozilla/5.0",
+			$source: "pendo-to-mixpanel"
+		});
+		expect(properties.$insert_id).toBeTruthy();
+		expect(properties).not.toHaveProperty("distinct_id");
+	});
+
+	test("page and feature rows are named by type, with ids resolved to names", () => {
+		const transform = pendoEventsToMp({ page_names: { p1: "Dashboard" }, feature_names: { f1: "Save Button" }, v2_compat: true });
+		const page = transform({ visitorId: "_PENDO_T_abc", pageId: "p1", browserTime: 1700000000000, numEvents: 3, remoteIp: "5.6.7.8" });
+		const feature = transform({ visitor_id: "user-2", account_id: "acme", feature_id: "f1", browser_time: "2023-11-14T22:13:20Z", event_type: "feature" });
+
+		expect(page.event).toBe("Page View");
+		expect(page.properties).toMatchObject({ $device_id: "_PENDO_T_abc", distinct_id: "_PENDO_T_abc", page_id: "p1", page_name: "Dashboard", num_events: 3, ip: "5.6.7.8" });
+		expect(page.properties).not.toHaveProperty("$user_id");
+
+		expect(feature.event).toBe("Feature Click");
+		expect(feature.properties).toMatchObject({ time: 1700000000000, $user_id: "user-2", account_id: "acme", feature_id: "f1", feature_name: "Save Button" });
+	});
+
+	test("the same row always hashes to the same $insert_id", () => {
+		const transform = pendoEventsToMp();
+		const row = { visitorId: "u", trackTypeId: "t1", browserTime: 1700000000000 };
+		expect(transform(row).properties.$insert_id).toBe(transform({ ...row }).properties.$insert_id);
+		expect(transform(row).event).toBe("t1");
+		expect(pendoEventsToMp({ track_names: { t1: "Signed Up" } })(row).event).toBe("Signed Up");
+		expect(transform({ pageId: "p1" })).toEqual({});
+	});
+
+	test("rows without a usable time are skipped, not stamped with the import time", () => {
+		const transform = pendoEventsToMp();
+		expect(transform({ visitorId: "u", pageId: "p1" })).toEqual({});
+		expect(transform({ visitorId: "u", pageId: "p1", browserTime: "not a time" })).toEqual({});
+		expect(transform({ visitorId: "u", pageId: "p1", day: "2023-11-14" }).properties.time).toBe(Date.UTC(2023, 10, 14));
+	});
+});
+
+describe("profiles", () => {
+	const metadata = {
+		agent: { email: "ada@example.com", full_name: "Ada", plan: "agent-plan" },
+		custom: { plan: "enterprise" },
+		auto: { firstvisit: 1700000000000, lastbrowsername: "Chrome", accountids: ["acme"] },
+		salesforce: { sfdc_id: "003" }
+	};
+
+	test("visitors keep only the chosen namespaces; later ones win", () => {
+		const profile = pendoUserToMp()({ visitorId: "user-1", metadata });
+		expect(profile.$distinct_id).toBe("user-1");
+		expect(profile.$set).toMatchObject({
+			$email: "ada@example.com",
+			$name: "Ada",
+			plan: "enterprise",
+			$created: "2023-11-14T22:13:20.000Z",
+			$browser: "Chrome",
+			account_id: ["acme"]
+		});
+		expect(profile.$set).not.toHaveProperty("sfdc_id");
+
+		const agentOnly = pendoUserToMp({ namespaces: ["agent"] })({ visitorId: "user-1", metadata });
+		expect(agentOnly.$set.plan).toBe("agent-plan");
+		expect(agentOnly.$set).not.toHaveProperty("$created");
+	});
+
+	test("anonymous visitors are skipped", () => {
+		expect(pendoUserToMp()({ visitorId: "_PENDO_T_abc", metadata })).toEqual({});
+	});
+
+	test("accounts become groups under group_key", () => {
+		const group = pendoGroupToMp({ group_key: "company", namespaces: ["custom"] })({ accountId: "acme", metadata: { agent: { name: "Acme" }, custom: { tier: "gold" } } });
+		expect(group).toEqual({ $group_key: "company", $group_id: "acme", $set: { tier: "gold" } });
+	});
+});
+
+describe("pipeline", () => {
+	test("vendor: pendo converts events on a dry run", async () => {
+		const data = [
+			{ type: "track", event: "Signed Up", visitorId: "user-1", accountId: "acme", timestamp: 1700000000000 },
+			{ type: "page", visitorId: "user-1", pageId: "p1", browserTime: 1700000060000 },
+			{ type: "page", pageId: "no-visitor", browserTime: 1700000060000 }
+		];
+		const result = await main({ token: "abc" }, data, {
+			recordType: "event",
+			vendor: "pendo",
+			dryRun: true,
+			verbose: false,
+			logs: false,
+			fixData: false
+		});
+
+		expect(result.dryRun.map((e) => e.event)).toEqual(["Signed Up", "Page View"]);
+		expect(result.dryRun[0].properties).toMatchObject({ $user_id: "user-1", account_id: "acme" });
+	});
+});
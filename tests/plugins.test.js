@@ -0,0 +1,115 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for transform plugins (components/plugins.js): plugins chained in order after
+transformFunc, with per-run state and records emitted at flush going through the plugins after
+them; loading from a file path (with init and heavyObjects) and by package name; dropping and
+splitting records; and the load and runtime errors.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+
+jest.setTimeout(30000);
+
+const event = (name, id) => ({ event: name, properties: { distinct_id: id, time: Date.UTC(2024, 0, 1), $insert_id: `${name}-${id}` } });
+const opts = (extra = {}) => ({ dryRun: true, verbose: false, showProgress: false, logs: false, fixData: false, ...extra });
+
+let dir;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-plugins-"));
+});
+afterEach(() => {
+	jest.restoreAllMocks();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** a counting plugin: tallies events per user in its state, emits one summary event per user at flush */
+const counter = {
+	name: "counter",
+	transform(record, ctx) {
+		const id = record.properties.distinct_id;
+		ctx.state.set(id, (ctx.state.get(id) || 0) + 1);
+		return record;
+	},
+	flush(ctx) {
+		return [...ctx.state].map(([id, count]) => ({ event: "events seen", properties: { distinct_id: id, time: Date.UTC(2024, 0, 2), $insert_id: `seen-${id}`, count } }));
+	}
+};
+const stamp = (label) => ({
+	name: `stamp-${label}`,
+	transform(record) {
+		record.properties.stamps = [...(record.properties.stamps || []), label];
+		return record;
+	}
+});
+
+test("plugins run in order after transformFunc; flushed records go through the plugins after them", async () => {
+	const transformFunc = (record) => {
+		record.properties.stamps = ["transformFunc"];
+		return record;
+	};
+	const result = await main({}, [event("a", "u1"), event("b", "u1"), event("c", "u2")], opts({ transformFunc, plugins: [stamp("first"), counter, stamp("last")] }));
+
+	expect(result.dryRun).toHaveLength(5);
+	expect(result.dryRun[0].properties.stamps).toEqual(["transformFunc", "first", "last"]);
+	const seen = result.dryRun.filter((record) => record.event === "events seen");
+	expect(seen.map((record) => [record.properties.distinct_id, record.properties.count, record.properties.stamps])).toEqual([
+		["u1", 2, ["last"]],
+		["u2", 1, ["last"]]
+	]);
+});
+
+test("state is per run, even when the plugin object is shared", async () => {
+	await main({}, [event("a", "u1")], opts({ plugins: [counter] }));
+	const second = await main({}, [event("a", "u1")], opts({ plugins: [counter] }));
+	expect(second.dryRun.find((record) => record.event === "events seen").properties.count).toBe(1);
+});
+
+test("a plugin file is loaded from the working directory; init sees heavyObjects", async () => {
+	fs.writeFileSync(path.join(dir, "plans.js"), `
+		module.exports = {
+			name: "plans",
+			init(job, ctx) { ctx.state.set("plans", job.heavyObjects.plans); },
+			async transform(record, ctx) {
+				if (record.properties.distinct_id === "drop") return null;
+				record.properties.plan = ctx.state.get("plans")[record.properties.distinct_id];
+				return record.properties.plan === "team" ? [record, { ...record, event: "team event" }] : record;
+			}
+		};
+	`);
+	jest.spyOn(process, "cwd").mockReturnValue(dir);
+	const heavyObjects = { plans: { u1: "pro", u2: "team" } };
+	const result = await main({}, [event("a", "u1"), event("b", "u2"), event("c", "drop")], opts({ plugins: "./plans.js", heavyObjects }));
+
+	expect(result.dryRun.map((record) => [record.event, record.properties.plan])).toEqual([["a", "pro"], ["b", "team"], ["team event", "team"]]);
+	expect(result.empty).toBe(1);
+});
+
+test("a plugin can be an installed package", async () => {
+	const pkg = path.join(dir, "node_modules", "mp-plugin-upper");
+	fs.mkdirSync(pkg, { recursive: true });
+	fs.writeFileSync(path.join(pkg, "package.json"), JSON.stringify({ name: "mp-plugin-upper", main: "index.js" }));
+	fs.writeFileSync(path.join(pkg, "index.js"), `exports.default = { name: "upper", transform: (record) => ({ ...record, event: record.event.toUpperCase() }) };`);
+	jest.spyOn(process, "cwd").mockReturnValue(dir);
+
+	const result = await main({}, [event("signup", "u1")], opts({ plugins: ["mp-plugin-upper"] }));
+	expect(result.dryRun[0].event).toBe("SIGNUP");
+});
+
+test("bad plugins fail the job with the plugin named", async () => {
+	await expect(new Job({}, opts({ plugins: ["./nope.js"] })).init()).rejects.toThrow(/couldn't load plugin "\.\/nope\.js"/);
+	await expect(new Job({}, opts({ plugins: [{ transform: (r) => r }] })).init()).rejects.toThrow(/must export \{ name, init\?, transform\?, flush\? \}/);
+	await expect(new Job({}, opts({ plugins: [{ name: "empty" }] })).init()).rejects.toThrow(/plugin "empty" needs a transform or a flush function/);
+
+	expect(() => new Job({}, opts({ plugins: [{ name: "hold", flush: () => [] }], checkpointPath: "./ledger.json" }))).toThrow(/incompatible with checkpointPath/);
+	expect(() => new Job({}, opts({ plugins: [{ name: "hold", flush: () => [] }], onFileComplete: "delete" }))).toThrow(/incompatible with onFileComplete/);
+
+	const broken = { name: "broken", transform: () => { throw new Error("boom"); } };
+	await expect(main({}, [event("a", "u1")], opts({ plugins: [broken] }))).rejects.toThrow(/boom/);
+});
@@ -0,0 +1,145 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for apiHost / endpointOverrides (components/job.js) and outbound proxy support
+(components/proxy.js): env resolution and NO_PROXY, then imports through a tiny local forward
+proxy on both transports, landing on the mock ingestion server.
+*/
+
+const http = require("http");
+const net = require("net");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { resolveProxy } = require("../components/proxy.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const event = (id) => ({ event: "test", properties: { distinct_id: id, time: 1700000000000, $insert_id: `insert-${id}` } });
+
+/**
+ * forward proxy: absolute-form requests (http-proxy-agent) and CONNECT tunnels (undici)
+ */
+function startProxy() {
+	const seen = [];
+	const server = http.createServer((req, res) => {
+		seen.push(`${req.method} ${req.url}`);
+		const upstream = http.request(req.url, { method: req.method, headers: req.headers }, (upRes) => {
+			res.writeHead(upRes.statusCode, upRes.headers);
+			upRes.pipe(res);
+		});
+		req.pipe(upstream);
+	});
+	server.on("connect", (req, socket, head) => {
+		seen.push(`CONNECT ${req.url}`);
+		const [host, port] = req.url.split(":");
+		const upstream = net.connect(Number(port), host, () => {
+			socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+			upstream.write(head);
+			upstream.pipe(socket);
+			socket.pipe(upstream);
+		});
+		upstream.on("error", () => socket.destroy());
+		socket.on("error", () => upstream.destroy());
+	});
+	return new Promise((resolve) => {
+		server.listen(0, "127.0.0.1", () => {
+			resolve({
+				url: `http://127.0.0.1:${server.address().port}`,
+				seen,
+				close: () => new Promise((done) => {
+					server.closeAllConnections();
+					server.close(() => done());
+				})
+			});
+		});
+	});
+}
+
+describe("apiHost / endpointOverrides", () => {
+	test("apiHost re-roots every endpoint; https is assumed", () => {
+		const job = new Job({ token: "abc" }, { apiHost: "mp-egress.corp.example" });
+		expect(job.url).toBe("https://mp-egress.corp.example/import");
+		expect(job.endpoints.us.export).toBe("https://mp-egress.corp.example/api/2.0/export");
+		expect(job.endpoints.eu.annotations).toBe("https://mp-egress.corp.example/api/app/projects");
+	});
+
+	test("per-type overrides win over apiHost", () => {
+		const opts = { apiHost: "http://127.0.0.1:9", endpointOverrides: { user: "http://127.0.0.1:10/people" }, recordType: "user" };
+		const job = new Job({ token: "abc" }, opts);
+		expect(job.url).toBe("http://127.0.0.1:10/people");
+		expect(job.endpoints.us.group).toBe("http://127.0.0.1:9/groups");
+	});
+
+	test("MP_API_HOST feeds apiHost from the environment", () => {
+		const { getEnvVars } = require("../components/parsers.js");
+		process.env.MP_API_HOST = "https://mp-egress.corp.example";
+		try {
+			expect(getEnvVars()).toMatchObject({ apiHost: "https://mp-egress.corp.example" });
+		}
+		finally {
+			delete process.env.MP_API_HOST;
+		}
+	});
+});
+
+describe("resolveProxy", () => {
+	const env = { HTTPS_PROXY: "http://secure:3128", http_proxy: "http://plain:3128", NO_PROXY: "localhost, .internal.example" };
+
+	test("picks the env var by scheme; job.proxy wins; false disables", () => {
+		expect(resolveProxy("https://api.mixpanel.com/import", {}, env)).toBe("http://secure:3128");
+		expect(resolveProxy("http://api.mixpanel.com/import", {}, env)).toBe("http://plain:3128");
+		expect(resolveProxy("https://api.mixpanel.com/import", { proxy: "http://mine:8080" }, env)).toBe("http://mine:8080");
+		expect(resolveProxy("https://api.mixpanel.com/import", { proxy: false }, env)).toBe("");
+	});
+
+	test("NO_PROXY hosts and domain suffixes connect directly", () => {
+		expect(resolveProxy("http://localhost:8765/import", {}, env)).toBe("");
+		expect(resolveProxy("https://mp.internal.example/import", { proxy: "http://mine:8080" }, env)).toBe("");
+		expect(resolveProxy("https://internal.example/import", {}, env)).toBe("");
+		expect(resolveProxy("https://notinternal.example/import", {}, env)).toBe("http://secure:3128");
+		expect(resolveProxy("https://api.mixpanel.com/import", {}, { ...env, NO_PROXY: "*" })).toBe("");
+	});
+});
+
+describe("imports through a proxy", () => {
+	let mock, proxy;
+	beforeEach(async () => {
+		mock = await startMockServer();
+		proxy = await startProxy();
+	});
+	afterEach(async () => {
+		await destroy();
+		await proxy.close();
+		await mock.close();
+	});
+
+	const opts = (transport) => ({
+		apiHost: mock.url,
+		proxy: proxy.url,
+		transport,
+		recordType: "event",
+		workers: 1,
+		verbose: false,
+		showProgress: false,
+		logs: false,
+		fixData: false
+	});
+
+	test("got sends absolute-form requests to the proxy", async () => {
+		const result = await main({ token: "abc" }, [event("a"), event("b")], opts("got"));
+		expect(result.success).toBe(2);
+		expect(proxy.seen).toEqual([expect.stringMatching(`^POST ${mock.url}/import\\?`)]);
+		expect(mock.store.events).toHaveLength(2);
+	});
+
+	test("undici tunnels through the proxy", async () => {
+		const result = await main({ token: "abc" }, [event("a"), event("b")], opts("undici"));
+		expect(result.success).toBe(2);
+		expect(proxy.seen).toEqual([`CONNECT 127.0.0.1:${mock.port}`]);
+		expect(mock.store.events).toHaveLength(2);
+	});
+});
@@ -0,0 +1,123 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for adaptive rate control (components/rate-control.js): the AIMD rules, Retry-After
+parsing, the maxEventsPerSecond ceiling, and imports against the mock server on both
+transports with the numbers surfacing in progressCallback and job.summary().
+*/
+
+const main = require("../index.js");
+const { destroy } = require("../components/importers.js");
+const { RateController, retryAfterMs } = require("../components/rate-control.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const event = (id) => ({ event: "test", properties: { distinct_id: id, time: 1700000000000, $insert_id: `insert-${id}` } });
+
+describe("RateController", () => {
+	test("starts at half of workers, adds a slot per healthy round, halves on 429 once per window", () => {
+		const rc = new RateController({ workers: 8, adaptiveConcurrency: true, latencyTarget: 500 });
+		expect(rc.limit).toBe(4);
+
+		for (let i = 0; i < 4; i++) rc.observe(200, 100);
+		expect(rc.limit).toBe(5);
+
+		rc.observe(429, 50);
+		expect(rc.limit).toBe(2);
+		rc.observe(503, 50);
+		expect(rc.limit).toBe(2);
+		expect(rc.summary()).toMatchObject({ adaptive: true, increases: 1, decreases: 1, peakLimit: 5, lowLimit: 2 });
+	});
+
+	test("slow responses hold the limit; it never passes workers", () => {
+		const rc = new RateController({ workers: 2, adaptiveConcurrency: true, latencyTarget: 500 });
+		for (let i = 0; i < 10; i++) rc.observe(200, 900);
+		expect(rc.limit).toBe(1);
+
+		const fast = new RateController({ workers: 2, adaptiveConcurrency: true, latencyTarget: 500 });
+		for (let i = 0; i < 10; i++) fast.observe(200, 10);
+		expect(fast.limit).toBe(2);
+	});
+
+	test("without adaptiveConcurrency the limit stays at workers, but Retry-After still pauses", () => {
+		const rc = new RateController({ workers: 3, maxEventsPerSecond: 100 });
+		rc.observe(429, 10, "2");
+		expect(rc.limit).toBe(3);
+		expect(rc.pausedUntil).toBeGreaterThan(Date.now() + 1500);
+		expect(rc.stats.pauses).toBe(1);
+	});
+
+	test("maxEventsPerSecond paces sends", async () => {
+		const rc = new RateController({ workers: 10, maxEventsPerSecond: 100 });
+		const started = Date.now();
+		for (let i = 0; i < 3; i++) {
+			await rc.acquire(50);
+			rc.release();
+		}
+		expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+	});
+
+	test("retryAfterMs reads seconds and HTTP dates", () => {
+		expect(retryAfterMs("3")).toBe(3000);
+		expect(retryAfterMs(["1"])).toBe(1000);
+		expect(retryAfterMs(undefined)).toBe(0);
+		expect(retryAfterMs("soon")).toBe(0);
+		expect(retryAfterMs("3600")).toBe(60000);
+		const date = new Date(Date.now() + 5000).toUTCString();
+		expect(retryAfterMs(date)).toBeGreaterThan(3000);
+	});
+});
+
+describe("imports", () => {
+	let mock;
+	afterEach(async () => {
+		await mock.close();
+		await destroy();
+	});
+
+	const opts = (extra) => ({
+		endpoints: mock.url,
+		recordType: "event",
+		recordsPerBatch: 2,
+		workers: 4,
+		adaptiveConcurrency: true,
+		verbose: false,
+		showProgress: false,
+		logs: false,
+		fixData: false,
+		...extra
+	});
+
+	test.each(["undici", "got"])("%s: a 429 with Retry-After halves concurrency and pauses sending", async (transport) => {
+		mock = await startMockServer({ statusOnRequest: { 1: 429 }, retryAfter: 1 });
+		const ticks = [];
+		const started = Date.now();
+		const result = await main({ token: "abc" }, Array.from({ length: 6 }, (_, i) => event(`u${i}`)), opts({
+			transport,
+			progressCallback: (...args) => ticks.push(args[6])
+		}));
+
+		expect(result.success).toBe(6);
+		expect(result.rateLimit).toBe(1);
+		expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+		expect(result.rateControl).toMatchObject({ adaptive: true, maxConcurrency: 4, decreases: 1, lowLimit: 1 });
+		expect(result.rateControl.pauses).toBe(1);
+		expect(ticks.at(-1)).toMatchObject({ maxConcurrency: 4, concurrency: 0 });
+	});
+
+	test("maxEventsPerSecond caps throughput", async () => {
+		mock = await startMockServer();
+		const started = Date.now();
+		const result = await main({ token: "abc" }, Array.from({ length: 6 }, (_, i) => event(`u${i}`)), opts({
+			adaptiveConcurrency: false,
+			maxEventsPerSecond: 4
+		}));
+
+		expect(result.success).toBe(6);
+		// 3 batches of 2 at 4/sec: sends at 0, 500 and 1000ms
+		expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+		expect(result.rateControl).toMatchObject({ adaptive: false, maxEventsPerSecond: 4, limit: 4 });
+	});
+});
@@ -0,0 +1,87 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for routeBy fan-out (components/routes.js): events split across projects by a tenant
+property, with batches that never mix tenants and per-route totals; a routing function with the
+job's own creds as the fallback; profiles stamped with their route's $token; a rejected record
+counted against its own route; and the option checks.
+*/
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+let seq = 0;
+const event = (tenant, extra = {}) => ({ event: "e", properties: { distinct_id: "u1", time: Date.UTC(2024, 0, 1), $insert_id: `insert-${seq++}`, tenant, ...extra } });
+
+let mock;
+const opts = (extra = {}) => ({ endpoints: mock.url, workers: 2, verbose: false, showProgress: false, logs: false, fixData: false, ...extra });
+const routes = { acme: { token: "acme-token" }, globex: { token: "globex-token", region: "EU" } };
+
+beforeEach(async () => {
+	mock = await startMockServer();
+});
+afterEach(async () => {
+	await mock.close();
+});
+afterAll(() => destroy());
+
+test.each(["got", "undici"])("events go to the project their tenant property names (%s)", async (transport) => {
+	const events = [event("acme"), event("globex"), event("acme"), event("acme"), event("initech"), event("globex")];
+	const result = await main({ project: 1 }, events, opts({ routeBy: "tenant", routes, recordsPerBatch: 2, transport }));
+
+	expect(result.success).toBe(5);
+	expect(result.routes).toEqual({
+		acme: { records: 3, batches: 2, success: 3, failed: 0 },
+		globex: { records: 2, batches: 1, success: 2, failed: 0 }
+	});
+	expect(result.unrouted).toBe(1);
+	// the EU route is still re-rooted on the mock by endpoints
+	expect(mock.stats.credentials).toEqual({ "acme-token": 2, "globex-token": 1 });
+	expect(mock.store.events.map((e) => e.properties.tenant).sort()).toEqual(["acme", "acme", "acme", "globex", "globex"]);
+});
+
+test("a routing function returns creds; what it can't place goes to the job's own creds", async () => {
+	const routeBy = (record) => (record.properties.tenant === "acme" ? { token: "acme-token", name: "acme" } : null);
+	const result = await main({ token: "own-token" }, [event("acme"), event("other"), event("acme")], opts({ routeBy }));
+
+	expect(result.routes).toEqual({
+		acme: { records: 2, batches: 1, success: 2, failed: 0 },
+		default: { records: 1, batches: 1, success: 1, failed: 0 }
+	});
+	expect(result.unrouted).toBe(0);
+	expect(mock.stats.credentials).toEqual({ "acme-token": 1, "own-token": 1 });
+});
+
+test("profiles carry their route's $token", async () => {
+	const users = [
+		{ $distinct_id: "a", $token: "stale", $set: { tenant: "acme", $name: "A" } },
+		{ $distinct_id: "b", $set: { tenant: "globex", $name: "B" } }
+	];
+	const result = await main({ project: 1 }, users, opts({ recordType: "user", routeBy: "tenant", routes }));
+
+	expect(result.success).toBe(2);
+	expect(mock.store.profiles.map((p) => [p.$distinct_id, p.$token]).sort()).toEqual([["a", "acme-token"], ["b", "globex-token"]]);
+});
+
+test("a rejected record counts against its own route", async () => {
+	const events = [event("acme"), event("globex", { $insert_id: "not a valid id!" }), event("globex")];
+	const result = await main({ project: 1 }, events, opts({ routeBy: "tenant", routes, strict: true }));
+
+	expect(result.failed).toBe(1);
+	expect(result.routes.acme).toMatchObject({ success: 1, failed: 0 });
+	expect(result.routes.globex).toMatchObject({ success: 1, failed: 1 });
+});
+
+test("option checks", () => {
+	expect(() => new Job({ project: 1 }, { routeBy: "tenant" })).toThrow(/routeBy needs routes/);
+	expect(() => new Job({ secret: "s" }, { routeBy: "tenant", routes, recordType: "table" })).toThrow(/event, user and group imports; got table/);
+	expect(() => new Job({ project: 1 }, { routeBy: "tenant", routes, checkpointPath: "./ledger.json" })).toThrow(/incompatible with checkpointPath/);
+	expect(() => new Job({ project: 1 }, { routeBy: "tenant", routes, verify: true })).toThrow(/can't be combined with routeBy/);
+	// routes can come from the CLI as JSON
+	expect(new Job({ project: 1 }, { routeBy: "tenant", routes: JSON.stringify(routes) }).routes).toEqual(routes);
+});
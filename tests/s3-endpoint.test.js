@@ -0,0 +1,132 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for S3-compatible endpoints (components/s3-client.js): the client options built from
+s3Endpoint / s3ForcePathStyle / s3SessionToken / s3Profile; and, against a local S3-compatible
+server, single and multi-file reads, a destination write and the write-access check, all
+path-style, without s3Region and with the session token sent.
+*/
+
+const http = require("http");
+
+const main = require("../index.js");
+const { s3ClientConfig } = require("../components/s3-client.js");
+const { validateCloudWriteAccess } = require("../components/parsers.js");
+
+jest.setTimeout(30000);
+
+const event = (id) => ({ event: "page", properties: { distinct_id: id, time: Date.UTC(2024, 0, 1), $insert_id: `insert-${id}` } });
+const ndjson = (events) => events.map((e) => JSON.stringify(e)).join("\n") + "\n";
+
+/**
+ * a path-style S3 stand-in: objects keyed "bucket/key"; every request logged
+ */
+function startS3() {
+	const objects = new Map();
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		const chunks = [];
+		req.on("data", (chunk) => chunks.push(chunk));
+		req.on("end", () => {
+			const key = decodeURIComponent(new URL(req.url, "http://s3").pathname.slice(1));
+			requests.push({ method: req.method, key, host: req.headers.host, token: req.headers["x-amz-security-token"], auth: req.headers.authorization || "" });
+			if (req.method === "PUT") {
+				objects.set(key, Buffer.concat(chunks));
+				res.writeHead(200, { ETag: '"etag"' });
+				return res.end();
+			}
+			if (req.method === "DELETE") {
+				objects.delete(key);
+				res.writeHead(204);
+				return res.end();
+			}
+			const body = objects.get(key);
+			if (!body) {
+				res.writeHead(404, { "Content-Type": "application/xml" });
+				return res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>not found</Message><Key>${key}</Key></Error>`);
+			}
+			res.writeHead(200, { "Content-Length": body.length, "Content-Type": "application/octet-stream", ETag: '"etag"' });
+			res.end(req.method === "HEAD" ? undefined : body);
+		});
+	});
+	return new Promise((resolve) => {
+		server.listen(0, "127.0.0.1", () => resolve({
+			url: `http://127.0.0.1:${server.address().port}`,
+			objects,
+			requests,
+			close: () => new Promise((done) => server.close(done))
+		}));
+	});
+}
+
+let s3;
+const creds = () => ({ s3Endpoint: s3.url, s3Key: "minio", s3Secret: "minio-secret", s3SessionToken: "session-token" });
+const opts = (extra = {}) => ({ dryRun: true, verbose: false, showProgress: false, logs: false, fixData: false, ...creds(), ...extra });
+
+beforeEach(async () => {
+	s3 = await startS3();
+	jest.spyOn(console, "log").mockImplementation(() => {});
+});
+afterEach(async () => {
+	jest.restoreAllMocks();
+	await s3.close();
+});
+
+test("client options: endpoint, path style, session token and profile", () => {
+	expect(s3ClientConfig({ s3Region: "us-west-2", s3Key: "k", s3Secret: "s" })).toEqual({ region: "us-west-2", credentials: { accessKeyId: "k", secretAccessKey: "s" } });
+	expect(s3ClientConfig({ s3Endpoint: "http://minio:9000", s3Key: "k", s3Secret: "s", s3SessionToken: "t" }, { maxAttempts: 3 })).toEqual({
+		region: "us-east-1",
+		maxAttempts: 3,
+		endpoint: "http://minio:9000",
+		forcePathStyle: true,
+		credentials: { accessKeyId: "k", secretAccessKey: "s", sessionToken: "t" }
+	});
+	expect(s3ClientConfig({ s3Endpoint: "https://acct.r2.cloudflarestorage.com", s3Region: "auto", s3ForcePathStyle: false, s3Profile: "r2" })).toEqual({
+		region: "auto",
+		endpoint: "https://acct.r2.cloudflarestorage.com",
+		forcePathStyle: false,
+		profile: "r2"
+	});
+	// keys win over a profile; a session token alone is ignored
+	expect(s3ClientConfig({ s3Key: "k", s3Secret: "s", s3Profile: "p" })).not.toHaveProperty("profile");
+	expect(s3ClientConfig({ s3SessionToken: "t" })).not.toHaveProperty("credentials");
+});
+
+test("reads one object and several from the endpoint, path-style, without s3Region", async () => {
+	s3.objects.set("bucket/2024/a.ndjson", Buffer.from(ndjson([event("a1"), event("a2")])));
+	s3.objects.set("bucket/2024/b.ndjson", Buffer.from(ndjson([event("b1")])));
+
+	const single = await main({}, "s3://bucket/2024/a.ndjson", opts());
+	expect(single.dryRun.map((e) => e.properties.distinct_id)).toEqual(["a1", "a2"]);
+
+	const multi = await main({}, ["s3://bucket/2024/a.ndjson", "s3://bucket/2024/b.ndjson"], opts());
+	expect(multi.dryRun.map((e) => e.properties.distinct_id).sort()).toEqual(["a1", "a2", "b1"]);
+
+	expect(s3.requests.length).toBeGreaterThan(0);
+	for (const request of s3.requests) {
+		expect(request.host).toBe(s3.url.replace("http://", ""));
+		expect(request.token).toBe("session-token");
+		expect(request.auth).toMatch(/Credential=minio\//);
+	}
+});
+
+test("writes a destination file to the endpoint", async () => {
+	const result = await main({ token: "t" }, [event("u1"), event("u2")], opts({ dryRun: false, destination: "s3://bucket/out/events.ndjson", destinationOnly: true }));
+	expect(result.failed).toBe(0);
+
+	// the upload finishes as the destination stream closes
+	for (let i = 0; i < 50 && !s3.objects.has("bucket/out/events.ndjson"); i++) await new Promise((r) => setTimeout(r, 20));
+	const written = s3.objects.get("bucket/out/events.ndjson").toString().trim().split("\n").map((line) => JSON.parse(line));
+	expect(written.map((e) => e.properties.distinct_id)).toEqual(["u1", "u2"]);
+	expect(s3.requests.find((r) => r.method === "PUT").token).toBe("session-token");
+});
+
+test("the write-access check puts and removes a probe object", async () => {
+	await expect(validateCloudWriteAccess("s3://bucket/exports/events.ndjson", creds())).resolves.toBe(true);
+	expect(s3.requests.map((r) => [r.method, r.key.replace(/write-test-.*/, "write-test")])).toEqual([
+		["PUT", "bucket/exports/.write-test"],
+		["DELETE", "bucket/exports/.write-test"]
+	]);
+	expect(s3.objects.size).toBe(0);
+});
@@ -0,0 +1,146 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for SCD from warehouse tables (components/scd.js): diffing consecutive snapshots for
+several tracked columns, users and groups in one run, history tables with valid_from / valid_to,
+ordering errors, and a token-only import into the mock server. Fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { createSCDStream, scdColumnSpecs } = require("../components/scd.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const day = (d) => Date.UTC(2024, 0, d);
+
+/** run rows through the SCD stage and collect what comes out */
+async function diff(rows, opts) {
+	const job = new Job({ token: "abc" }, { recordType: "scd", verbose: false, ...opts });
+	const out = await Readable.from(rows).pipe(createSCDStream(job)).toArray();
+	return { job, events: out.map(({ event, properties: { $insert_id, $mp_updated_at, ...props } }) => ({ event, ...props })) };
+}
+
+describe("scdColumnSpecs", () => {
+	test("lists, comma strings and label / type maps", () => {
+		expect(scdColumnSpecs(["plan"])).toEqual([{ column: "plan", label: "plan", type: "string" }]);
+		expect(scdColumnSpecs("plan, seats", "number").map((c) => c.column)).toEqual(["plan", "seats"]);
+		expect(scdColumnSpecs({ plan: "plan-history", seats: { type: "number" } })).toEqual([
+			{ column: "plan", label: "plan-history", type: "string" },
+			{ column: "seats", label: "seats", type: "number" }
+		]);
+		expect(scdColumnSpecs(undefined)).toEqual([]);
+	});
+});
+
+describe("snapshots", () => {
+	test("only changed columns fire, at the snapshot's time", async () => {
+		const { events } = await diff([
+			{ snapshot_date: "2024-01-01", distinct_id: "u1", plan: "free", seats: "1" },
+			{ snapshot_date: "2024-01-02", distinct_id: "u1", plan: "free", seats: "1" },
+			{ snapshot_date: "2024-01-03", distinct_id: "u1", plan: "pro", seats: "1" },
+			{ snapshot_date: "2024-01-04", distinct_id: "u1", plan: "pro", seats: 3 },
+			{ snapshot_date: "2024-01-05", distinct_id: "u1", plan: "", seats: 3 }
+		], { scdColumns: { plan: "plan-history", seats: { type: "number" } } });
+
+		expect(events).toEqual([
+			{ event: "plan-history", distinct_id: "u1", time: day(1), plan: "free" },
+			{ event: "seats", distinct_id: "u1", time: day(1), seats: 1 },
+			{ event: "plan-history", distinct_id: "u1", time: day(3), plan: "pro" },
+			{ event: "seats", distinct_id: "u1", time: day(4), seats: 3 },
+			{ event: "plan-history", distinct_id: "u1", time: day(5), plan: null }
+		]);
+	});
+
+	test("users and groups in one run; the user key wins over group columns", async () => {
+		const { events, job } = await diff([
+			{ snapshot_date: "2024-01-01", user_id: "u1", company_id: "acme", plan: "free" },
+			{ snapshot_date: "2024-01-01", company_id: "acme", plan: "enterprise" },
+			{ snapshot_date: "2024-01-01", team_id: "t9", plan: "team" },
+			{ snapshot_date: "2024-01-01", plan: "orphan" },
+			{ snapshot_date: "2024-01-02", user_id: "u1", company_id: "acme", plan: "pro" },
+			{ snapshot_date: "2024-01-02", company_id: "acme", plan: "enterprise" }
+		], { scdColumns: ["plan"], scdGroupKeys: ["company_id", "team_id"], keepBadRecords: true });
+
+		expect(events).toEqual([
+			{ event: "plan", distinct_id: "u1", time: day(1), plan: "free" },
+			{ event: "plan", distinct_id: "", company_id: "acme", time: day(1), plan: "enterprise" },
+			{ event: "plan", distinct_id: "", team_id: "t9", time: day(1), plan: "team" },
+			{ event: "plan", distinct_id: "u1", time: day(2), plan: "pro" }
+		]);
+		expect(job.failed).toBe(1);
+		expect(Object.keys(job.badRecords)).toEqual(["scd row has no user or group key"]);
+	});
+
+	test("out-of-order snapshots are an error", async () => {
+		await expect(diff([
+			{ snapshot_date: "2024-01-02", distinct_id: "u1", plan: "pro" },
+			{ snapshot_date: "2024-01-01", distinct_id: "u1", plan: "free" }
+		], { scdColumns: ["plan"] })).rejects.toThrow(/oldest first: distinct_id u1 has 2024-01-01/);
+	});
+});
+
+describe("history tables", () => {
+	test("versions fire at valid_from; a closed last version un-sets at valid_to", async () => {
+		const { events } = await diff([
+			{ distinct_id: "u1", plan: "free", region: "us", valid_from: "2024-01-01", valid_to: "2024-01-10" },
+			{ distinct_id: "u1", plan: "pro", region: "us", valid_from: "2024-01-10", valid_to: "2024-01-20" },
+			{ distinct_id: "u2", plan: "free", region: "eu", valid_from: "2024-01-02", valid_to: null },
+			{ distinct_id: "u3", plan: "pro", region: "eu", valid_from: "2024-01-03", valid_to: "9999-12-31" }
+		], { scdColumns: ["plan", "region"], scdSource: "history" });
+
+		expect(events).toEqual([
+			{ event: "plan", distinct_id: "u1", time: day(1), plan: "free" },
+			{ event: "region", distinct_id: "u1", time: day(1), region: "us" },
+			{ event: "plan", distinct_id: "u1", time: day(10), plan: "pro" },
+			{ event: "plan", distinct_id: "u2", time: day(2), plan: "free" },
+			{ event: "region", distinct_id: "u2", time: day(2), region: "eu" },
+			{ event: "plan", distinct_id: "u3", time: day(3), plan: "pro" },
+			{ event: "region", distinct_id: "u3", time: day(3), region: "eu" },
+			{ event: "plan", distinct_id: "u1", time: day(20), plan: null },
+			{ event: "region", distinct_id: "u1", time: day(20), region: null }
+		]);
+	});
+});
+
+describe("imports", () => {
+	let mock;
+	let dir;
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-scd-"));
+	});
+	afterEach(async () => {
+		fs.rmSync(dir, { recursive: true, force: true });
+		await mock.close();
+		await destroy();
+	});
+
+	test("a folder of daily snapshot files imports with only a token", async () => {
+		mock = await startMockServer();
+		fs.writeFileSync(path.join(dir, "2024-01-01.csv"), "snapshot_date,distinct_id,plan\n2024-01-01,u1,free\n2024-01-01,u2,free\n");
+		fs.writeFileSync(path.join(dir, "2024-01-02.csv"), "snapshot_date,distinct_id,plan\n2024-01-02,u1,free\n2024-01-02,u2,pro\n");
+
+		const opts = { endpoints: mock.url, recordType: "scd", scdColumns: ["plan"], verbose: false, showProgress: false, logs: false };
+		const result = await main({ token: "abc" }, dir, opts);
+		expect(result.success).toBe(3);
+		expect(mock.store.events.map((e) => [e.properties.distinct_id, e.properties.plan, e.properties.time])).toEqual([
+			["u1", "free", day(1)],
+			["u2", "free", day(1)],
+			["u2", "pro", day(2)]
+		]);
+
+		// same snapshots again: same $insert_ids
+		const again = await main({ token: "abc" }, dir, opts);
+		expect(again.success).toBe(3);
+		const ids = mock.store.events.map((e) => e.properties.$insert_id);
+		expect(ids.slice(3)).toEqual(ids.slice(0, 3));
+	});
+});
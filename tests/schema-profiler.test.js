@@ -0,0 +1,114 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for the schema profiler (components/schema-profiler.js): per-event property types,
+null rates, examples, time ranges and cardinality from a full streaming pass over files, and
+drift against a previous report. Fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+
+const main = require("../index.js");
+const { compareSchemas, formatSchemaReport, SchemaProfiler } = require("../components/schema-profiler.js");
+
+jest.setTimeout(30000);
+
+const lines = (rows) => rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+
+let dir;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-schema-"));
+});
+afterEach(() => {
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("profileSchema", () => {
+	test("types, null rates, examples and time ranges per event", async () => {
+		const file = path.join(dir, "events.ndjson");
+		fs.writeFileSync(file, lines([
+			{ event: "signup", properties: { distinct_id: "a", time: 1704067200, plan: "pro", seats: 3 } },
+			{ event: "signup", properties: { distinct_id: "b", time: 1704153600, plan: null, seats: "4" } },
+			{ event: "purchase", properties: { distinct_id: "a", time: 1704240000000, amount: 9.5, items: ["x"] } }
+		]));
+
+		const report = await main.profileSchema({}, file);
+
+		expect(report.records).toBe(3);
+		expect(report.source).toBe(file);
+		expect(report.time).toEqual({ min: "2024-01-01T00:00:00.000Z", max: "2024-01-03T00:00:00.000Z" });
+		expect(Object.keys(report.events)).toEqual(["purchase", "signup"]);
+
+		const signup = report.events.signup;
+		expect(signup.count).toBe(2);
+		expect(signup.time).toEqual({ min: "2024-01-01T00:00:00.000Z", max: "2024-01-02T00:00:00.000Z" });
+		expect(signup.properties.plan).toEqual({ present: 2, nullRate: 0.5, types: { string: 1, null: 1 }, examples: ["pro"], cardinality: 1 });
+		expect(signup.properties.seats.types).toEqual({ number: 1, string: 1 });
+		expect(report.events.purchase.properties.items).toMatchObject({ types: { array: 1 }, examples: ['["x"]'] });
+	});
+
+	test("streams a gzipped folder and csv rows; missing columns count as null", async () => {
+		fs.writeFileSync(path.join(dir, "a.json.gz"), zlib.gzipSync(lines(Array.from({ length: 500 }, (_, i) => ({ event: "view", properties: { distinct_id: `u${i % 50}`, time: 1704067200 + i } })))));
+		fs.writeFileSync(path.join(dir, "b.json.gz"), zlib.gzipSync(lines([{ event: "view", properties: { distinct_id: "u1", time: 1704067200, extra: true } }])));
+
+		const report = await main.profileSchema({}, dir);
+		expect(report.events.view.count).toBe(501);
+		expect(report.events.view.properties.distinct_id.cardinality).toBe(50);
+		expect(report.events.view.properties.extra.nullRate).toBeCloseTo(500 / 501, 4);
+
+		const csv = path.join(dir, "rows.csv");
+		fs.writeFileSync(csv, "event,user,time\nlogin,a,2024-01-01T00:00:00Z\nlogin,,2024-01-02T00:00:00Z\n");
+		const rows = await main.profileSchema({}, csv);
+		expect(rows.events.login.properties.user).toMatchObject({ present: 2, nullRate: 0.5 });
+		expect(rows.time.max).toBe("2024-01-02T00:00:00.000Z");
+	});
+});
+
+describe("cardinality", () => {
+	test("exact below the sketch size, estimated within a few percent above", () => {
+		const profiler = new SchemaProfiler();
+		for (let i = 0; i < 20000; i++) profiler.add({ event: "e", properties: { id: `user-${i}`, bucket: i % 100 } });
+		const { properties } = profiler.report("test").events.e;
+		expect(properties.bucket.cardinality).toBe(100);
+		expect(Math.abs(properties.id.cardinality - 20000) / 20000).toBeLessThan(0.15);
+	});
+});
+
+describe("drift", () => {
+	test("new, missing and retyped properties and events", async () => {
+		const before = path.join(dir, "before.ndjson");
+		const after = path.join(dir, "after.ndjson");
+		fs.writeFileSync(before, lines([
+			{ event: "signup", properties: { time: 1, plan: "pro", seats: 3, referrer: "x" } },
+			{ event: "cancel", properties: { time: 1 } }
+		]));
+		fs.writeFileSync(after, lines([
+			{ event: "signup", properties: { time: 1, plan: null, seats: "3", coupon: "SAVE" } },
+			{ event: "upgrade", properties: { time: 1 } }
+		]));
+
+		const previous = await main.profileSchema({}, before);
+		const reportFile = path.join(dir, "previous.json");
+		fs.writeFileSync(reportFile, JSON.stringify(previous));
+		const report = await main.profileSchema({}, after, { previousSchema: reportFile });
+
+		expect(report.drift).toEqual({
+			newEvents: ["upgrade"],
+			missingEvents: ["cancel"],
+			newProperties: [{ event: "signup", property: "coupon", types: ["string"] }],
+			missingProperties: [{ event: "signup", property: "referrer" }],
+			// null is not a type of its own: a property that is only ever null now has lost its type
+			changedTypes: [
+				{ event: "signup", property: "plan", was: ["string"], now: [] },
+				{ event: "signup", property: "seats", was: ["number"], now: ["string"] }
+			],
+			hasDrift: true
+		});
+		expect(compareSchemas(previous, previous).hasDrift).toBe(false);
+		expect(formatSchemaReport(report)).toMatch(/~ signup\.seats: number → string/);
+	});
+});
@@ -0,0 +1,134 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for the Segment / RudderStack vendor (vendor/segment.js): each record type keeps only
+its own call types, archive (camelCase) and warehouse (snake_case) rows both map, and a folder
+of bare .gz archive files imports on a dry run. Fixtures are written to a temp dir.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+
+const main = require("../index.js");
+const { segmentEventsToMp, segmentUserToMp, segmentGroupToMp } = require("../vendor/segment.js");
+
+jest.setTimeout(30000);
+
+const calls = [
+	{
+		type: "track",
+		event: "Order Completed",
+		messageId: "m-1",
+		anonymousId: "anon-1",
+		userId: "user-1",
+		timestamp: "2024-01-01T00:00:00.000Z",
+		properties: { revenue: 42 },
+		context: { ip: "1.2.3.4", library: { name: "analytics.js", version: "5.0.0" }, page: { url: "https://example.com/checkout" }, campaign: { name: "spring", source: "google" } }
+	},
+	{ type: "page", messageId: "m-2", anonymousId: "anon-1", category: "Docs", name: "Install", timestamp: "2024-01-01T00:01:00.000Z" },
+	{ type: "screen", messageId: "m-3", userId: "user-1", timestamp: "2024-01-01T00:02:00.000Z" },
+	{ type: "identify", messageId: "m-4", userId: "user-1", traits: { email: "ada@example.com", firstName: "Ada", plan: "pro" }, context: { ip: "1.2.3.4" } },
+	{ type: "group", messageId: "m-5", userId: "user-1", groupId: "acme", traits: { name: "Acme", employees: 50 } },
+	{ type: "alias", messageId: "m-6", userId: "user-1", previousId: "anon-1", timestamp: "2024-01-01T00:03:00.000Z" }
+];
+
+describe("segmentEventsToMp", () => {
+	test("track / page / screen become events; other calls are skipped", () => {
+		const transform = segmentEventsToMp();
+		const out = calls.map(transform);
+
+		expect(out.map((e) => e && e.event)).toEqual(["Order Completed", "Viewed Docs Install Page", "Loaded a Screen", null, null, null]);
+		expect(out[0].properties).toMatchObject({
+			time: 1704067200000,
+			$device_id: "anon-1",
+			$user_id: "user-1",
+			distinct_id: "user-1",
+			revenue: 42,
+			ip: "1.2.3.4",
+			$lib: "analytics.js",
+			$current_url: "https://example.com/checkout",
+			utm_campaign: "spring",
+			utm_source: "google",
+			$source: "segment-to-mixpanel"
+		});
+		expect(out[0].properties.$insert_id).toBeTruthy();
+		expect(out[1].properties.distinct_id).toBe("anon-1");
+	});
+
+	test("alias becomes $merge only when asked", () => {
+		const merge = segmentEventsToMp({ merge_aliases: true })(calls[5]);
+		expect(merge).toEqual({ event: "$merge", properties: { $distinct_ids: ["user-1", "anon-1"], time: 1704067380000 } });
+	});
+
+	test("calls without a usable timestamp are skipped, not stamped with the import time", () => {
+		const transform = segmentEventsToMp({ merge_aliases: true });
+		expect(transform({ type: "track", event: "x", userId: "u" })).toEqual({});
+		expect(transform({ type: "track", event: "x", userId: "u", timestamp: "not a date" })).toEqual({});
+		expect(transform({ type: "alias", userId: "u", previousId: "a" })).toEqual({});
+	});
+
+	test("warehouse rows: snake_case columns and stringified json", () => {
+		const transform = segmentEventsToMp({ v2_compat: false });
+		const { event, properties } = transform({
+			event: "order_completed",
+			event_text: "Order Completed",
+			anonymous_id: "anon-2",
+			message_id: "m-9",
+			original_timestamp: "2024-01-01T00:00:00Z",
+			properties: JSON.stringify({ revenue: 7 }),
+			context: JSON.stringify({ os: { name: "iOS" } })
+		});
+		expect(event).toBe("Order Completed");
+		expect(properties).toMatchObject({ $device_id: "anon-2", revenue: 7, $os: "iOS", time: 1704067200000 });
+		expect(properties).not.toHaveProperty("distinct_id");
+	});
+});
+
+describe("profiles", () => {
+	test("identify calls become $set profiles", () => {
+		const transform = segmentUserToMp();
+		const out = calls.map(transform);
+		expect(out.filter(Boolean)).toEqual([
+			{ $distinct_id: "user-1", $ip: "1.2.3.4", $set: { $source: "segment-to-mixpanel", $email: "ada@example.com", $first_name: "Ada", plan: "pro" } }
+		]);
+	});
+
+	test("group calls become group profiles", () => {
+		const transform = segmentGroupToMp({ group_key: "company_id" });
+		const out = calls.map(transform);
+		expect(out.filter(Boolean)).toEqual([
+			{ $group_id: "acme", $group_key: "company_id", $set: { $source: "segment-to-mixpanel", $name: "Acme", employees: 50 } }
+		]);
+	});
+});
+
+describe("pipeline", () => {
+	let dir;
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-segment-"));
+	});
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("a folder of bare .gz archive files imports as events", async () => {
+		const lines = (rows) => zlib.gzipSync(rows.map((r) => JSON.stringify(r)).join("\n") + "\n");
+		fs.writeFileSync(path.join(dir, "1704067200000.a1b2.gz"), lines(calls.slice(0, 3)));
+		fs.writeFileSync(path.join(dir, "1704067300000.c3d4.gz"), lines(calls.slice(3)));
+
+		const result = await main({ token: "abc" }, dir, {
+			recordType: "event",
+			vendor: "segment",
+			dryRun: true,
+			verbose: false,
+			logs: false,
+			fixData: false
+		});
+
+		expect(result.dryRun.map((e) => e.event).sort()).toEqual(["Loaded a Screen", "Order Completed", "Viewed Docs Install Page"]);
+		expect(result.empty).toBe(3);
+	});
+});
@@ -0,0 +1,123 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for sessionize (components/sessionize.js): sessions cut per distinct_id on the
+inactivity timeout with Session Start / Session End events and $session_id on every event;
+out-of-order input put back in order within the window, and stragglers past it counted as late;
+spill mode sorting shuffled input through on-disk runs (and cleaning them up); ids stable across
+reruns; events without an id or time passed through; and the option checks.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+
+jest.setTimeout(30000);
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+const event = (id, minute, name = "page") => ({ event: name, properties: { distinct_id: id, time: T0 + minute * MINUTE, $insert_id: `${id}-${minute}` } });
+const opts = (extra = {}) => ({ dryRun: true, verbose: false, showProgress: false, logs: false, fixData: false, sessionize: true, ...extra });
+
+/** [event, distinct_id, minute, $session_id] per record */
+const shape = (records) => records.map((r) => [r.event, r.properties.distinct_id, (r.properties.time - T0) / MINUTE, r.properties.$session_id]);
+/** session id → its events, for comparing runs regardless of interleaving */
+const bySession = (records) => {
+	const sessions = {};
+	for (const r of records) (sessions[r.properties.$session_id] ||= []).push(`${r.event}@${(r.properties.time - T0) / MINUTE}`);
+	return sessions;
+};
+
+let dir;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-sessions-test-"));
+});
+afterEach(() => {
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a gap longer than the timeout ends the session; each user has their own", async () => {
+	const events = [event("u1", 0), event("u2", 1), event("u2", 5), event("u1", 10), event("u1", 50)];
+	const result = await main({}, events, opts());
+
+	const sessions = Object.values(bySession(result.dryRun));
+	expect(sessions).toHaveLength(3);
+	expect(sessions).toEqual(expect.arrayContaining([
+		["Session Start@0", "page@0", "page@10", "Session End@10"],
+		["Session Start@1", "page@1", "page@5", "Session End@5"],
+		["Session Start@50", "page@50", "Session End@50"]
+	]));
+	const first = result.dryRun.find((r) => r.event === "Session End" && r.properties.distinct_id === "u1");
+	expect(first.properties).toMatchObject({ session_duration: 600, session_events: 2 });
+	expect(first.properties.$insert_id).toMatch(/^[0-9a-f]{32}$/);
+	expect(result.sessions).toEqual({ sessions: 3, events: 5, late: 0, skipped: 0, spilled: 0 });
+});
+
+test("out-of-order events within the window are sessionized in time order; later ones count as late", async () => {
+	const result = await main({}, [event("u1", 20), event("u1", 5), event("u1", 12), event("u1", 30)], opts({ sessionTimeoutMs: 10 * MINUTE }));
+	expect(shape(result.dryRun).map(([name, , minute]) => `${name}@${minute}`)).toEqual(["Session Start@5", "page@5", "page@12", "page@20", "page@30", "Session End@30"]);
+	expect(result.sessions.late).toBe(0);
+
+	// with a one-minute window, 3 arrives after 5 has gone out: it still joins 5's session
+	const joins = await main({}, [event("u1", 5), event("u1", 8), event("u1", 3)], opts({ sessionWindowMs: MINUTE, sessionTimeoutMs: 10 * MINUTE }));
+	expect(joins.sessions).toMatchObject({ sessions: 1, events: 3, late: 1 });
+	expect(new Set(joins.dryRun.map((r) => r.properties.$session_id)).size).toBe(1);
+	// the duration runs from the Session Start that already went out, not the late event
+	const start = joins.dryRun.find((r) => r.event === "Session Start");
+	const end = joins.dryRun.find((r) => r.event === "Session End");
+	expect((start.properties.time - T0) / MINUTE).toBe(5);
+	expect(end.properties).toMatchObject({ session_duration: 180, session_events: 3 });
+
+	// ...but one further back than the timeout gets a session of its own
+	const alone = await main({}, [event("u1", 100), event("u1", 102), event("u1", 0)], opts({ sessionWindowMs: MINUTE, sessionTimeoutMs: 10 * MINUTE }));
+	expect(alone.sessions).toMatchObject({ sessions: 2, events: 3, late: 1 });
+	expect(Object.values(bySession(alone.dryRun))).toEqual(expect.arrayContaining([
+		["Session Start@0", "page@0", "Session End@0"],
+		["Session Start@100", "page@100", "page@102", "Session End@102"]
+	]));
+});
+
+test("spill mode sorts shuffled input on disk and gets the same sessions as sorted input", async () => {
+	const sorted = [];
+	for (let minute = 0; minute < 300; minute += 7) for (const id of ["u1", "u2", "u3"]) sorted.push(event(id, minute + (id === "u2" && minute > 140 ? 60 : 0)));
+	// a deterministic shuffle
+	const shuffled = sorted.map((record, i) => [(i * 7919) % sorted.length, record]).sort((a, b) => a[0] - b[0]).map(([, record]) => record);
+
+	const expected = await main({}, structuredClone(sorted), opts({ sessionTimeoutMs: 30 * MINUTE }));
+	const spilled = await main({}, structuredClone(shuffled), opts({ sessionTimeoutMs: 30 * MINUTE, sessionSpill: true, sessionSpillDir: dir, sessionBufferSize: 10 }));
+
+	expect(bySession(spilled.dryRun)).toEqual(bySession(expected.dryRun));
+	expect(spilled.sessions.spilled).toBe(Math.ceil(sorted.length / 10));
+	expect(spilled.sessions.late).toBe(0);
+	expect(fs.readdirSync(dir)).toEqual([]);
+});
+
+test("reruns produce the same session ids and $insert_ids", async () => {
+	const events = () => [event("u1", 0), event("u1", 45), event("u2", 3)];
+	const first = await main({}, events(), opts());
+	const second = await main({}, events(), opts());
+	const ids = (result) => result.dryRun.map((r) => [r.properties.$session_id, r.properties.$insert_id]).sort();
+	expect(ids(second)).toEqual(ids(first));
+});
+
+test("events without a distinct_id or time pass through untouched", async () => {
+	const anonymous = { event: "page", properties: { time: T0, $insert_id: "anon" } };
+	const timeless = { event: "page", properties: { distinct_id: "u1", $insert_id: "timeless" } };
+	const result = await main({}, [anonymous, timeless, event("u1", 0)], opts());
+
+	expect(result.dryRun.find((r) => r.properties.$insert_id === "anon").properties.$session_id).toBeUndefined();
+	expect(result.dryRun.find((r) => r.properties.$insert_id === "timeless").properties.$session_id).toBeUndefined();
+	expect(result.sessions).toMatchObject({ sessions: 1, events: 1, skipped: 2 });
+});
+
+test("option checks", () => {
+	expect(() => new Job({ token: "t" }, { sessionize: true, recordType: "user" })).toThrow(/sessionize works for event imports; got user/);
+	expect(() => new Job({ token: "t" }, { sessionize: true, fastMode: true })).toThrow(/incompatible with fastMode/);
+	expect(() => new Job({ token: "t" }, { sessionize: true, checkpointPath: "./ledger.json" })).toThrow(/incompatible with checkpointPath/);
+	expect(() => new Job({ token: "t" }, { sessionize: true, sessionTimeoutMs: 0 })).toThrow(/sessionTimeoutMs must be a positive/);
+	expect(new Job({ token: "t" }, { sessionize: true }).sessionTimeoutMs).toBe(30 * MINUTE);
+});
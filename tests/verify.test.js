@@ -0,0 +1,109 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for import verification (components/verify.js): a clean import read back from the mock
+server; rejected records left out of the counts; events missing from the destination reported per
+event-day with the sampled $insert_ids; a late event picked up within verifyLagMs; the reservoir
+sample; and the cases that skip (token only) or never start (dry runs).
+*/
+
+const main = require("../index.js");
+const Job = require("../components/job.js");
+const { destroy } = require("../components/importers.js");
+const { ImportLedger, verifyImport } = require("../components/verify.js");
+const { startMockServer } = require("../components/mock-server.js");
+
+jest.setTimeout(30000);
+
+const DAY = 86400 * 1000;
+const JAN_1 = Date.UTC(2024, 0, 1);
+let seq = 0;
+const event = (name, day, insertId = `insert-${seq++}`) => ({ event: name, properties: { distinct_id: "u1", time: JAN_1 + day * DAY + 1000, $insert_id: insertId } });
+
+let mock;
+const opts = (extra = {}) => ({ endpoints: mock.url, workers: 1, verbose: false, showProgress: false, logs: false, fixData: false, verify: true, verifyLagMs: 0, ...extra });
+
+beforeEach(async () => {
+	mock = await startMockServer();
+});
+afterEach(async () => {
+	await mock.close();
+});
+afterAll(() => destroy());
+
+test("a clean import reads back in full", async () => {
+	const events = [event("signup", 0), event("signup", 0), event("Purchase", 1)];
+	const result = await main({ token: "t", secret: "s" }, events, opts());
+
+	expect(result.success).toBe(3);
+	expect(result.verification).toEqual({
+		ok: true,
+		start: "2024-01-01",
+		end: "2024-01-02",
+		expected: 3,
+		found: 3,
+		rows: [],
+		sample: { checked: 3, missing: 0, missingIds: [] },
+		attempts: 1,
+		lagMs: 0
+	});
+	// one export covers every imported day
+	expect(mock.stats.paths.export).toBe(1);
+});
+
+test("records Mixpanel rejected are not expected back", async () => {
+	const events = [event("signup", 0), event("signup", 0, "not a valid id!"), event("signup", 0)];
+	const result = await main({ token: "t", secret: "s" }, events, opts({ strict: true }));
+
+	expect(result.success).toBe(2);
+	expect(result.verification).toMatchObject({ ok: true, expected: 2, found: 2, sample: { checked: 2, missing: 0 } });
+});
+
+test("missing events are listed per event-day, with the sampled $insert_ids", async () => {
+	const events = [event("signup", 0), event("signup", 0), event("Purchase", 1)];
+	const job = new Job({ secret: "s" }, opts());
+	job.ledger = new ImportLedger(10);
+	job.ledger.record(events, { num_records_imported: 3 });
+	mock.store.events.push(events[0], event("signup", 2));
+
+	const report = await verifyImport(job);
+	expect(report).toMatchObject({ ok: false, expected: 3, found: 1, attempts: 1 });
+	expect(report.rows).toEqual([
+		{ date: "2024-01-01", event: "signup", expected: 2, found: 1, difference: -1 },
+		{ date: "2024-01-02", event: "Purchase", expected: 1, found: 0, difference: -1 }
+	]);
+	expect(report.sample).toEqual({ checked: 3, missing: 2, missingIds: [events[1].properties.$insert_id, events[2].properties.$insert_id] });
+});
+
+test("an event that shows up late is found within verifyLagMs", async () => {
+	const events = [event("signup", 0), event("signup", 0)];
+	const job = new Job({ secret: "s" }, opts({ verifyLagMs: 1500 }));
+	job.ledger = new ImportLedger(10);
+	job.ledger.record(events, { num_records_imported: 2 });
+	mock.store.events.push(events[0]);
+	setTimeout(() => mock.store.events.push(events[1]), 200);
+
+	const report = await verifyImport(job);
+	expect(report).toMatchObject({ ok: true, found: 2, attempts: 2, lagMs: 1500 });
+});
+
+test("the sample keeps verifySample ids, drawn from the whole import", () => {
+	const ledger = new ImportLedger(5);
+	const events = Array.from({ length: 500 }, (_, n) => event("e", 0, `id-${n}`));
+	ledger.record(events, { num_records_imported: 500, failed_records: [{ index: 0 }] });
+
+	expect(ledger.imported).toBe(499);
+	expect(ledger.sample).toHaveLength(5);
+	expect(ledger.sample).not.toContain("id-0");
+	expect(ledger.sample.some((id) => Number(id.slice(3)) >= 5)).toBe(true);
+});
+
+test("token-only imports skip verification; dry runs never start it", async () => {
+	const imported = await main({ token: "t" }, [event("signup", 0)], opts());
+	expect(imported.verification).toMatchObject({ ok: false, expected: 1, attempts: 0, skipped: expect.stringMatching(/api secret/) });
+	expect(mock.stats.paths.export).toBeUndefined();
+
+	const dry = await main({ token: "t", secret: "s" }, [event("signup", 0)], opts({ dryRun: true }));
+	expect(dry.verification).toBeUndefined();
+});
@@ -0,0 +1,179 @@
+// @ts-nocheck
+/* eslint-disable no-undef */
+
+/*
+Coverage for watch mode (components/watch.js) on a local folder: files that land between polls
+are imported once each, files still being written wait for watchSettle, the state file keeps a
+later watcher from importing them again, watchConcurrency caps the files running at once, stop()
+lets running files finish and leaves queued ones for the next run, "move" archival keeps each
+file's folders, and the option checks. The HTTP sender is mocked, as in checkpoint.test.js.
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mockFlush = { impl: null };
+jest.mock("../components/importers.js", () => {
+	const actual = jest.requireActual("../components/importers.js");
+	const flush = async (batch, job) => mockFlush.impl(batch, job);
+	return { ...actual, flushToMixpanel: flush, flushToMixpanelWithUndici: flush };
+});
+
+const main = require("../index.js");
+const { Watcher } = require("../components/watch.js");
+
+jest.setTimeout(30000);
+
+const ok = (batch) => [{ code: 200, num_records_imported: batch.length, error: null }, null];
+
+/** `count` jsonl events whose distinct_ids start with `prefix` */
+const events = (prefix, count) => Array.from({ length: count }, (_, i) => JSON.stringify({ event: "test", properties: { distinct_id: `${prefix}-${i}`, time: 1700000000 + i, $insert_id: `${prefix}-${i}` } })).join("\n") + "\n";
+
+let dir, landing, state;
+const opts = (extra = {}) => ({
+	recordType: "event",
+	workers: 1,
+	verbose: false,
+	showProgress: false,
+	logs: false,
+	compress: false,
+	fixData: false,
+	strict: false,
+	watchState: state,
+	watchSettle: 0,
+	...extra
+});
+
+const write = (relative, body) => {
+	const file = path.join(landing, relative);
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, body);
+	return file;
+};
+
+/** distinct_id prefixes of every record sent */
+let sent;
+beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "mp-watch-"));
+	landing = path.join(dir, "landing");
+	fs.mkdirSync(landing);
+	state = path.join(dir, "state", "watch.json");
+	sent = [];
+	mockFlush.impl = (batch) => {
+		sent.push(...batch.map((r) => r.properties.distinct_id.split("-")[0]));
+		return ok(batch);
+	};
+	jest.spyOn(console, "log").mockImplementation(() => {});
+});
+afterEach(() => {
+	jest.restoreAllMocks();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("files landing between polls are imported once; the state keeps a later watcher off them", async () => {
+	write("a.jsonl", events("a", 3));
+	const watcher = new Watcher({ token: "abc" }, landing, opts());
+	await watcher.poll();
+	await watcher.drain();
+	expect(sent).toEqual(["a", "a", "a"]);
+
+	write("b.jsonl", events("b", 2));
+	await watcher.poll();
+	await watcher.drain();
+	expect(sent.filter((p) => p === "b")).toHaveLength(2);
+	expect(sent.filter((p) => p === "a")).toHaveLength(3);
+
+	const summary = await watcher.stop();
+	expect(summary).toMatchObject({ source: landing, statePath: state, polls: 2, files: 2, errors: 0, running: 0, queued: 0 });
+	const saved = JSON.parse(fs.readFileSync(state, "utf8"));
+	expect(saved.files[path.join(landing, "a.jsonl")]).toMatchObject({ status: "done", attempts: 1, failed: 0 });
+
+	// a new watcher with the same state only takes the new file
+	write("c.jsonl", events("c", 1));
+	const later = new Watcher({ token: "abc" }, landing, opts());
+	await later.poll();
+	await later.drain();
+	expect((await later.stop()).files).toBe(1);
+	expect(sent.filter((p) => p === "c")).toHaveLength(1);
+	expect(sent).toHaveLength(6);
+});
+
+test("a file modified within watchSettle waits for a later poll", async () => {
+	const file = write("fresh.jsonl", events("f", 2));
+	const watcher = new Watcher({ token: "abc" }, landing, opts({ watchSettle: 60000 }));
+	await watcher.poll();
+	await watcher.drain();
+	expect(sent).toEqual([]);
+
+	const old = new Date(Date.now() - 120000);
+	fs.utimesSync(file, old, old);
+	await watcher.poll();
+	await watcher.drain();
+	expect(sent).toEqual(["f", "f"]);
+	await watcher.stop();
+});
+
+test("watchConcurrency caps files running at once; stop() finishes running files and leaves queued ones", async () => {
+	for (const name of ["a", "b", "c", "d", "e"]) write(`${name}.jsonl`, events(name, 2));
+	let active = 0;
+	let most = 0;
+	let release;
+	const gate = new Promise((resolve) => { release = resolve; });
+	mockFlush.impl = async (batch) => {
+		active++;
+		most = Math.max(most, active);
+		await gate;
+		active--;
+		sent.push(...batch.map((r) => r.properties.distinct_id.split("-")[0]));
+		return ok(batch);
+	};
+
+	const watcher = new Watcher({ token: "abc" }, landing, opts({ watchConcurrency: 2 }));
+	await watcher.poll();
+	expect(watcher.running.size).toBe(2);
+	expect(watcher.queue).toHaveLength(3);
+
+	// wait for both running imports to reach the sender, then stop while they're held there
+	while (active < 2) await new Promise((resolve) => setTimeout(resolve, 10));
+	const stopped = watcher.stop();
+	release();
+	const summary = await stopped;
+
+	expect(most).toBe(2);
+	expect(summary).toMatchObject({ files: 2, running: 0, queued: 3 });
+	expect([...new Set(sent)].sort()).toEqual(["a", "b"]);
+	expect(Object.keys(JSON.parse(fs.readFileSync(state, "utf8")).files).sort()).toEqual([path.join(landing, "a.jsonl"), path.join(landing, "b.jsonl")]);
+});
+
+test("move keeps each file's folders below the watched folder", async () => {
+	write("2024/01/a.jsonl", events("a", 2));
+	write("top.jsonl", events("t", 1));
+	const archive = path.join(dir, "archive");
+
+	const watcher = new Watcher({ token: "abc" }, landing, opts({ include: "**/*.jsonl", onFileComplete: "move", archivePrefix: archive }));
+	await watcher.poll();
+	await watcher.drain();
+	await watcher.stop();
+
+	expect(fs.existsSync(path.join(archive, "2024/01/a.jsonl"))).toBe(true);
+	expect(fs.existsSync(path.join(archive, "top.jsonl"))).toBe(true);
+	expect(fs.readdirSync(path.join(landing, "2024/01"))).toEqual([]);
+});
+
+test("mp.watch starts polling at once; option checks", async () => {
+	write("a.jsonl", events("a", 1));
+	const watcher = main.watch({ token: "abc" }, landing, opts({ watchInterval: 60000 }));
+	await watcher.drain();
+	expect((await watcher.stop()).files).toBe(1);
+
+	expect(() => new Watcher({ token: "t" }, undefined, opts())).toThrow(/needs a folder, bucket prefix or pattern/);
+	expect(() => new Watcher({ token: "t" }, landing, opts({ watchInterval: 0 }))).toThrow(/watchInterval must be a positive number/);
+	expect(() => new Watcher({ token: "t" }, landing, opts({ watchConcurrency: 1.5 }))).toThrow(/watchConcurrency must be a whole number/);
+	expect(() => new Watcher({ token: "t" }, landing, opts({ checkpointPath: path.join(dir, "ledger.json"), watchConcurrency: 2 }))).toThrow(/checkpointPath can't be combined with watchConcurrency/);
+	// import options are checked up front too
+	expect(() => new Watcher({ token: "t" }, landing, opts({ onFileComplete: "move" }))).toThrow(/needs archivePrefix/);
+
+	fs.writeFileSync(state, "{not json");
+	expect(() => new Watcher({ token: "t" }, landing, opts())).toThrow(/could not be parsed/);
+});
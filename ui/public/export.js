@@ -951,7 +951,8 @@ class MixpanelExportUI {
 			if (!s3Path.startsWith('s3://')) {
 				return { isValid: false, message: 'S3 path must start with s3:// (e.g., s3://bucket/path/file.jsonl).' };
 			}
-			if (!s3Region) {
+			// S3-compatible stores (s3Endpoint) don't need a region
+			if (!s3Region && !document.getElementById('s3Endpoint').value) {
 				return { isValid: false, message: 'S3 region is required when using Amazon S3 destination.' };
 			}
 		}
@@ -1050,11 +1051,17 @@ class MixpanelExportUI {
 				const s3Region = this.getElementValue('s3Region');
 				const s3Key = this.getElementValue('s3Key');
 				const s3Secret = this.getElementValue('s3Secret');
+				const s3SessionToken = this.getElementValue('s3SessionToken');
+				const s3Profile = this.getElementValue('s3Profile');
+				const s3Endpoint = this.getElementValue('s3Endpoint');
 
 				if (s3Path) command += ` --s3Path "${s3Path}"`;
 				if (s3Region) command += ` --s3Region "${s3Region}"`;
 				if (s3Key) command += ` --s3Key "${s3Key}"`;
 				if (s3Secret) command += ` --s3Secret [s3-secret]`;
+				if (s3SessionToken) command += ` --s3SessionToken [s3-session-token]`;
+				if (s3Profile) command += ` --s3Profile "${s3Profile}"`;
+				if (s3Endpoint) command += ` --s3Endpoint "${s3Endpoint}"`;
 			}
 
 			// Boolean flags
@@ -1249,7 +1256,10 @@ class MixpanelExportUI {
 			s3Path: this.getElementValue('s3Path'),
 			s3Region: this.getElementValue('s3Region'),
 			s3Key: this.getElementValue('s3Key'),
-			s3Secret: this.getElementValue('s3Secret')
+			s3Secret: this.getElementValue('s3Secret'),
+			s3SessionToken: this.getElementValue('s3SessionToken'),
+			s3Profile: this.getElementValue('s3Profile'),
+			s3Endpoint: this.getElementValue('s3Endpoint')
 		};
 
 		// Identity replay (export-import-event only) — one nested object per the
@@ -487,7 +487,7 @@ function signalJobComplete(jobId, result) {
 
 // Function to create a progress callback for a specific job
 function createProgressCallback(jobId) {
-	return (recordType, processed, requests, eps, bytesProcessed, downloadMessage) => {
+	return (recordType, processed, requests, eps, bytesProcessed, downloadMessage, rate) => {
 		const progressData = {
 			recordType: recordType || "",
 			processed: processed || 0,
@@ -502,6 +502,11 @@ function createProgressCallback(jobId) {
 			progressData.downloadMessage = downloadMessage;
 		}
 
+		// live concurrency / throughput (imports with adaptiveConcurrency or maxEventsPerSecond)
+		if (rate) {
+			progressData.rate = rate;
+		}
+
 		broadcastProgress(jobId, progressData);
 	};
 }
@@ -1239,6 +1244,63 @@ app.post("/columns", upload.array("files"), handleMulterError, async (req, res)
 	}
 });
 
+// Full-file schema profile (every record, unlike /sample and /columns), optionally diffed against a previous report
+// @ts-ignore
+app.post("/profile", upload.array("files"), handleMulterError, async (req, res) => {
+	try {
+		const { credentials, options, previousSchema } = req.body;
+
+		// Parse JSON strings - handle both array (from FormData) and string formats
+		const credentialsStr = Array.isArray(credentials) ? credentials[0] : credentials;
+		const optionsStr = Array.isArray(options) ? options[0] : options;
+		const previousStr = Array.isArray(previousSchema) ? previousSchema[0] : previousSchema;
+
+		const creds = JSON.parse(credentialsStr || "{}");
+		const opts = JSON.parse(optionsStr || "{}");
+		if (previousStr) opts.previousSchema = JSON.parse(previousStr);
+
+		let data;
+		if (req.body.cloudPaths) {
+			try {
+				data = JSON.parse(req.body.cloudPaths);
+				logger.debug({ cloudPaths: data }, "profile from cloud");
+			} catch (err) {
+				return res.status(400).json({
+					success: false,
+					error: "Invalid cloud paths format"
+				});
+			}
+			// @ts-ignore
+		} else if (req.files && req.files.length > 0) {
+			// @ts-ignore
+			data = req.files.length === 1 ? req.files[0].path : req.files.map(file => file.path);
+		} else {
+			return res.status(400).json({
+				success: false,
+				error: "No files or cloud paths provided"
+			});
+		}
+
+		const report = await mixpanelImport.profileSchema(creds, data, opts);
+		res.json({ success: true, report });
+	} catch (error) {
+		logger.error({ err: error }, "profile error");
+		res.status(500).json({
+			success: false,
+			error: error.message
+		});
+	} finally {
+		// @ts-ignore
+		for (const file of req.files || []) {
+			try {
+				fs.unlinkSync(file.path);
+			} catch (cleanupError) {
+				logger.warn({ err: cleanupError, filePath: file.path }, "temp cleanup failed");
+			}
+		}
+	}
+});
+
 // Handle dry run
 // @ts-ignore
 app.post("/dry-run", upload.array("files"), handleMulterError, async (req, res) => {
@@ -1507,7 +1569,11 @@ app.post("/export", async (req, res) => {
 			gcsCredentials: exportData.gcsCredentials,
 			s3Region: exportData.s3Region,
 			s3Key: exportData.s3Key,
-			s3Secret: exportData.s3Secret
+			s3Secret: exportData.s3Secret,
+			s3SessionToken: exportData.s3SessionToken,
+			s3Profile: exportData.s3Profile,
+			s3Endpoint: exportData.s3Endpoint,
+			s3ForcePathStyle: exportData.s3ForcePathStyle
 		};
 
 		// Export-import options (explicit construction drops unknown keys)
@@ -1547,10 +1613,15 @@ app.post("/export", async (req, res) => {
 		} else if (destinationType === 's3' && exportData.s3Path) {
 			// Validate S3 write access before starting export
 			try {
+				// the same client settings the export writes with (MinIO / R2 endpoints, session tokens, profiles)
 				await validateCloudWriteAccess(exportData.s3Path, {
 					s3Region: opts.s3Region,
 					s3Key: opts.s3Key,
-					s3Secret: opts.s3Secret
+					s3Secret: opts.s3Secret,
+					s3SessionToken: opts.s3SessionToken,
+					s3Profile: opts.s3Profile,
+					s3Endpoint: opts.s3Endpoint,
+					s3ForcePathStyle: opts.s3ForcePathStyle
 				});
 
 				// Set S3 path as export destination